@@ -0,0 +1,14 @@
+-- Migration: Store parsed address components next to calls.address
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_street_number VARCHAR(20);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_street_name VARCHAR(255);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_unit VARCHAR(50);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_city VARCHAR(100);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_state CHAR(2);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS address_zip VARCHAR(10);
+
+CREATE INDEX IF NOT EXISTS idx_calls_business_address_zip ON calls(business_id, address_zip);
+
+COMMENT ON COLUMN calls.address_state IS 'Two-letter US state code (only stored when valid)';
+COMMENT ON COLUMN calls.address_zip IS 'ZIP or ZIP+4 (only stored when well-formed)';
@@ -0,0 +1,46 @@
+-- Migration: Add custom function invocation log and appointment requests
+-- Run this in your Supabase SQL editor
+
+-- Custom functions the agent called during a call (/webhook/retell/functions/:name)
+CREATE TABLE IF NOT EXISTS function_invocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255) NOT NULL, -- Retell call ID (the call record may not exist yet)
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  function_name VARCHAR(100) NOT NULL,
+  arguments JSONB DEFAULT '{}',
+  result JSONB,
+  status VARCHAR(20) NOT NULL, -- 'success', 'rejected', 'error'
+  error_message TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Appointment requests recorded by the agent, confirmed by the business on callback
+CREATE TABLE IF NOT EXISTS appointment_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  call_id VARCHAR(255),
+  caller_name VARCHAR(255),
+  callback_number VARCHAR(20),
+  reason TEXT,
+  preferred_time VARCHAR(255), -- as the caller said it
+  address TEXT,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'confirmed', 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_function_invocations_call_id ON function_invocations(call_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_function_invocations_business_id ON function_invocations(business_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_appointment_requests_business_status ON appointment_requests(business_id, status);
+
+CREATE TRIGGER update_appointment_requests_updated_at BEFORE UPDATE ON appointment_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE function_invocations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointment_requests ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON function_invocations FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON appointment_requests FOR ALL USING (true);
+
+COMMENT ON TABLE function_invocations IS 'Custom function calls made by the agent during calls';
+COMMENT ON TABLE appointment_requests IS 'Appointment requests recorded by the agent during calls';
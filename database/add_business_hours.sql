@@ -0,0 +1,13 @@
+-- Migration: Add business hours, timezone and after-hours agent to businesses
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'America/New_York';
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS business_hours JSONB;
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS after_hours_agent_id VARCHAR(100);
+
+COMMENT ON COLUMN businesses.timezone IS 'IANA timezone used for business hours';
+COMMENT ON COLUMN businesses.business_hours IS 'Opening hours keyed by weekday, e.g. {"monday": {"open": "08:00", "close": "17:00"}, "sunday": null}';
+COMMENT ON COLUMN businesses.after_hours_agent_id IS 'Retell agent used for inbound calls outside business hours';
+
+-- Caller history lookups for inbound calls
+CREATE INDEX IF NOT EXISTS idx_calls_business_from_number ON calls(business_id, from_number, created_at DESC);
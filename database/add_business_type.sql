@@ -0,0 +1,6 @@
+-- Migration: Add the business type (vertical) to businesses
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE businesses ADD COLUMN IF NOT EXISTS business_type VARCHAR(50);
+
+COMMENT ON COLUMN businesses.business_type IS 'Vertical that picks the prompt template, urgency signals and detail fields: plumbing, electrical, hvac, landscaping, legal or medical (null for the standard template)';
@@ -0,0 +1,10 @@
+-- Migration: Store Retell call_analysis results and where each extracted field came from
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS user_sentiment VARCHAR(20);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS call_successful BOOLEAN;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extraction_sources JSONB;
+
+COMMENT ON COLUMN calls.user_sentiment IS 'Caller sentiment reported by Retell call_analysis';
+COMMENT ON COLUMN calls.call_successful IS 'Whether Retell call_analysis judged the call successful';
+COMMENT ON COLUMN calls.extraction_sources IS 'Source of each extracted field, e.g. {"name": "call_analysis", "reason": "regex"}';
@@ -0,0 +1,6 @@
+-- Migration: Store business-type-specific call details
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS details JSONB;
+
+COMMENT ON COLUMN calls.details IS 'Fields declared by the business type, e.g. {"system_type": "Furnace", "system_age": "15 years"}';
@@ -0,0 +1,12 @@
+-- Migration: Store a short headline next to the multi-sentence call summary
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS call_headline TEXT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS summary_source VARCHAR(20);
+
+-- Until now call_summary held the headline (the reason cut to 10 words)
+UPDATE calls SET call_headline = call_summary WHERE call_headline IS NULL AND call_summary IS NOT NULL;
+
+COMMENT ON COLUMN calls.call_headline IS 'Short headline (about 10 words), used as the Slack header';
+COMMENT ON COLUMN calls.call_summary IS '1-3 sentence summary: what the caller needs, how urgent it is and what was promised';
+COMMENT ON COLUMN calls.summary_source IS 'Where call_summary came from: call_analysis, extractive or generative';
@@ -0,0 +1,6 @@
+-- Migration: Add the language each call was in
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS language VARCHAR(5);
+
+COMMENT ON COLUMN calls.language IS 'Language the caller spoke, detected from the transcript: en or es';
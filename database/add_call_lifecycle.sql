@@ -0,0 +1,36 @@
+-- Migration: Add call lifecycle states and the call_events timeline
+-- Run this in your Supabase SQL editor
+
+-- Lifecycle: ringing -> in-progress -> ended -> analyzed, plus failed / abandoned
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS disconnection_reason VARCHAR(100);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE calls ALTER COLUMN call_status SET DEFAULT 'ringing';
+
+-- Map the old statuses onto the lifecycle
+UPDATE calls SET call_status = 'analyzed' WHERE call_status = 'completed' AND transcript_text IS NOT NULL;
+UPDATE calls SET call_status = 'ended' WHERE call_status = 'completed';
+
+COMMENT ON COLUMN calls.call_status IS 'Lifecycle state: ringing, in-progress, ended, analyzed, failed, abandoned';
+
+-- Every event applied to a call, in arrival order
+CREATE TABLE IF NOT EXISTS call_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  from_state VARCHAR(20), -- null when the event created the call
+  to_state VARCHAR(20) NOT NULL,
+  event_state VARCHAR(20) NOT NULL, -- state the event asked for
+  transitioned BOOLEAN NOT NULL DEFAULT false, -- false for late or repeated events
+  occurred_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON call_events(call_id, created_at);
+
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON call_events FOR ALL USING (true);
+
+COMMENT ON TABLE call_events IS 'Timeline of lifecycle events per call';
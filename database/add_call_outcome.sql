@@ -0,0 +1,16 @@
+-- Migration: Add caller sentiment and call outcome, with daily rollups
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS sentiment VARCHAR(20);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS outcome VARCHAR(30);
+
+ALTER TABLE call_analytics ADD COLUMN IF NOT EXISTS sentiment_counts JSONB DEFAULT '{}';
+ALTER TABLE call_analytics ADD COLUMN IF NOT EXISTS outcome_counts JSONB DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_calls_business_outcome ON calls(business_id, outcome, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_calls_business_sentiment ON calls(business_id, sentiment, created_at DESC);
+
+COMMENT ON COLUMN calls.sentiment IS 'Caller sentiment: positive, neutral or negative';
+COMMENT ON COLUMN calls.outcome IS 'What the call produced: lead_captured, information_only, wrong_number, hang_up or complaint';
+COMMENT ON COLUMN call_analytics.sentiment_counts IS 'Calls per sentiment, e.g. {"positive": 4, "negative": 1}';
+COMMENT ON COLUMN call_analytics.outcome_counts IS 'Calls per outcome, e.g. {"lead_captured": 6, "hang_up": 3}';
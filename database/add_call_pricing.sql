@@ -0,0 +1,19 @@
+-- Migration: Store the pricing in effect on each call
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS billable_seconds INTEGER;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS pricing_plan VARCHAR(100);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS rate_per_minute DECIMAL(10,4);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS pricing_rules JSONB;
+
+COMMENT ON COLUMN calls.billable_seconds IS 'Duration after minimum and rounding rules';
+COMMENT ON COLUMN calls.rate_per_minute IS 'Per-minute rate in effect when the call happened';
+COMMENT ON COLUMN calls.pricing_rules IS 'Minimum billable seconds, billing increment and rounding in effect when the call happened';
+
+-- Existing calls were priced at the flat Retell rate
+UPDATE calls
+SET pricing_plan = 'standard',
+    rate_per_minute = 0.091,
+    pricing_rules = '{"minimum_billable_seconds": 0, "billing_increment_seconds": 1, "rounding": "up"}',
+    billable_seconds = duration
+WHERE rate_per_minute IS NULL;
@@ -0,0 +1,21 @@
+-- Migration: Add call_transcript_turns table for speaker-separated transcripts
+-- Run this in your Supabase SQL editor
+
+CREATE TABLE IF NOT EXISTS call_transcript_turns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  turn_index INTEGER NOT NULL,
+  role VARCHAR(20) NOT NULL, -- 'agent' or 'user'
+  text TEXT NOT NULL,
+  start_offset DECIMAL(10,3), -- seconds from call start
+  end_offset DECIMAL(10,3), -- seconds from call start
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(call_id, turn_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_transcript_turns_call_id ON call_transcript_turns(call_id, turn_index);
+
+ALTER TABLE call_transcript_turns ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON call_transcript_turns FOR ALL USING (true);
+
+COMMENT ON TABLE call_transcript_turns IS 'Speaker-separated transcript turns per call';
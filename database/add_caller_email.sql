@@ -0,0 +1,6 @@
+-- Migration: Store the caller's email address
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+
+COMMENT ON COLUMN calls.email IS 'Caller email address (spelled-out addresses are normalized)';
@@ -0,0 +1,35 @@
+-- Migration: Add call urgency and emergency escalations
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS urgency VARCHAR(20);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS urgency_signals JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_calls_business_urgency ON calls(business_id, urgency, created_at DESC);
+
+COMMENT ON COLUMN calls.urgency IS 'emergency, same_day, routine or informational';
+COMMENT ON COLUMN calls.urgency_signals IS 'Phrases that set the urgency, e.g. ["burst pipe"]';
+
+-- Repeated on-call alerts for emergency calls, until someone acknowledges
+CREATE TABLE IF NOT EXISTS emergency_escalations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID UNIQUE REFERENCES calls(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'acknowledged', 'exhausted'
+  alert_count INTEGER DEFAULT 0,
+  last_alert_at TIMESTAMP WITH TIME ZONE,
+  acknowledge_token VARCHAR(64) NOT NULL, -- required by the acknowledge link
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_emergency_escalations_business_status ON emergency_escalations(business_id, status);
+
+CREATE TRIGGER update_emergency_escalations_updated_at BEFORE UPDATE ON emergency_escalations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE emergency_escalations ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON emergency_escalations FOR ALL USING (true);
+
+COMMENT ON TABLE emergency_escalations IS 'On-call alerting for emergency calls';
@@ -0,0 +1,8 @@
+-- Migration: Store per-field extraction confidence and transcript evidence spans
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extraction_confidence JSONB;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extraction_spans JSONB;
+
+COMMENT ON COLUMN calls.extraction_confidence IS 'Confidence (0-1) of each extracted field, e.g. {"name": 0.75, "address": 0.3}';
+COMMENT ON COLUMN calls.extraction_spans IS 'Character range of each extracted field in transcript_text, e.g. {"name": {"start": 11, "end": 21}}';
@@ -0,0 +1,8 @@
+-- Migration: Record which extraction provider and version produced each call's fields
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extraction_provider VARCHAR(20);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS extraction_provider_version VARCHAR(100);
+
+COMMENT ON COLUMN calls.extraction_provider IS 'Provider that extracted the transcript fields: regex, llm or stub (regex when another provider failed)';
+COMMENT ON COLUMN calls.extraction_provider_version IS 'Provider version, e.g. 1.0.0 for regex or gpt-4o-mini/v1 (model/prompt) for llm';
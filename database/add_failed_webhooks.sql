@@ -0,0 +1,31 @@
+-- Migration: Add failed_webhooks dead-letter table
+-- Run this in your Supabase SQL editor
+
+-- Webhooks that failed processing, kept for inspection and replay
+CREATE TABLE IF NOT EXISTS failed_webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255),
+  event_type VARCHAR(50),
+  to_number VARCHAR(20),
+  payload JSONB NOT NULL,
+  error_message TEXT,
+  attempt_count INTEGER DEFAULT 1,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'replayed', 'discarded'
+  first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  replayed_at TIMESTAMP WITH TIME ZONE,
+  discarded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_failed_webhooks_status ON failed_webhooks(status, first_failed_at);
+CREATE INDEX IF NOT EXISTS idx_failed_webhooks_call_id ON failed_webhooks(call_id);
+
+CREATE TRIGGER update_failed_webhooks_updated_at BEFORE UPDATE ON failed_webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE failed_webhooks ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON failed_webhooks FOR ALL USING (true);
+
+COMMENT ON TABLE failed_webhooks IS 'Dead-letter store for webhooks that failed processing';
@@ -0,0 +1,70 @@
+-- Migration: Add job_queue table for asynchronous webhook processing
+-- Run this in your Supabase SQL editor
+
+-- Background jobs (raw webhook events are persisted here before they are acknowledged)
+CREATE TABLE IF NOT EXISTS job_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sequence BIGSERIAL, -- enqueue order, used for per-key ordering
+  type VARCHAR(50) NOT NULL,
+  ordering_key VARCHAR(255), -- jobs sharing a key (e.g. call_id) run one at a time
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  locked_by VARCHAR(255),
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_ready ON job_queue(status, run_at, sequence);
+CREATE INDEX IF NOT EXISTS idx_job_queue_ordering_key ON job_queue(ordering_key, sequence) WHERE status IN ('queued', 'running');
+
+CREATE TRIGGER update_job_queue_updated_at BEFORE UPDATE ON job_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE job_queue ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON job_queue FOR ALL USING (true);
+
+COMMENT ON TABLE job_queue IS 'Background job queue for asynchronous webhook processing';
+
+-- Claim ready jobs for a worker. A job is only claimable when no earlier unfinished
+-- job shares its ordering_key; jobs left running by a dead worker are requeued.
+CREATE OR REPLACE FUNCTION claim_jobs(p_limit INTEGER, p_worker_id TEXT, p_lock_timeout_seconds INTEGER DEFAULT 300)
+RETURNS SETOF job_queue AS $$
+BEGIN
+    UPDATE job_queue
+    SET status = 'queued', locked_at = NULL, locked_by = NULL
+    WHERE status = 'running'
+      AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds);
+
+    RETURN QUERY
+    UPDATE job_queue j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_at = NOW(),
+        locked_by = p_worker_id
+    WHERE j.id IN (
+        SELECT c.id
+        FROM job_queue c
+        WHERE c.status = 'queued'
+          AND c.run_at <= NOW()
+          AND (
+            c.ordering_key IS NULL
+            OR NOT EXISTS (
+              SELECT 1 FROM job_queue e
+              WHERE e.ordering_key = c.ordering_key
+                AND e.status IN ('queued', 'running')
+                AND e.sequence < c.sequence
+            )
+          )
+        ORDER BY c.sequence
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
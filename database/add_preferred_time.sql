@@ -0,0 +1,10 @@
+-- Migration: Store the caller's preferred appointment window
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS preferred_time_phrase TEXT;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS preferred_time_start TIMESTAMP WITH TIME ZONE;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS preferred_time_end TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN calls.preferred_time_phrase IS 'What the caller said, e.g. "tomorrow afternoon"';
+COMMENT ON COLUMN calls.preferred_time_start IS 'Start of the preferred window, resolved in the business timezone';
+COMMENT ON COLUMN calls.preferred_time_end IS 'End of the preferred window';
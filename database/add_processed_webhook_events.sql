@@ -0,0 +1,24 @@
+-- Migration: Add processed_webhook_events ledger for idempotent webhook handling
+-- Run this in your Supabase SQL editor
+
+-- One row per (call_id, event_type) that has been processed
+CREATE TABLE IF NOT EXISTS processed_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  transcript_hash VARCHAR(64), -- sha256 of the transcript, used to detect re-sent call_analyzed updates
+  status VARCHAR(20) DEFAULT 'processing', -- 'processing', 'completed'
+  result JSONB,
+  update_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(call_id, event_type)
+);
+
+CREATE TRIGGER update_processed_webhook_events_updated_at BEFORE UPDATE ON processed_webhook_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE processed_webhook_events ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Service role can access all data" ON processed_webhook_events FOR ALL USING (true);
+
+COMMENT ON TABLE processed_webhook_events IS 'Ledger of processed webhook events for idempotent retries';
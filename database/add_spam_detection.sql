@@ -0,0 +1,19 @@
+-- Migration: Add spam scoring and the spam quarantine
+-- Run this in your Supabase SQL editor
+
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS is_spam BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS spam_score DECIMAL(3,2);
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS spam_signals JSONB;
+ALTER TABLE calls ADD COLUMN IF NOT EXISTS spam_reviewed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE call_analytics ADD COLUMN IF NOT EXISTS spam_calls INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_calls_business_spam ON calls(business_id, is_spam, created_at DESC);
+-- Repeat callers across businesses
+CREATE INDEX IF NOT EXISTS idx_calls_from_number ON calls(from_number, created_at DESC);
+
+COMMENT ON COLUMN calls.is_spam IS 'Quarantined as spam: no notifications, left out of call history and total_calls';
+COMMENT ON COLUMN calls.spam_score IS 'Spam score from 0 to 1; calls at or above spam_threshold are quarantined';
+COMMENT ON COLUMN calls.spam_signals IS 'Signals behind the score, e.g. [{"type": "robocall_script", "weight": 0.6, "detail": "extended warranty"}]';
+COMMENT ON COLUMN calls.spam_reviewed_at IS 'When the business un-flagged the call';
+COMMENT ON COLUMN call_analytics.spam_calls IS 'Calls quarantined as spam (not counted in total_calls)';
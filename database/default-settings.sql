@@ -12,6 +12,22 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Optional settings (not created by default):
+--   enabled_functions  - custom functions the agent may call, e.g. '["check_service_area", "get_business_hours"]'
+--   service_area_zips  - ZIP codes or prefixes served, e.g. '60601, 60602, 606'
+--   call_analysis_field_map - Retell custom_analysis_data keys for caller_name, callback_number,
+--                        address, reason and email, e.g. '{"caller_name": "customer_full_name"}'
+--   on_call_slack_webhook_url - where emergency alerts go (defaults to the business Slack webhook)
+--   on_call_contact    - Slack user ID (e.g. 'U024BE7LH') or name to mention in emergency alerts
+--   escalation_interval_minutes - minutes between unacknowledged emergency alerts (default 5)
+--   escalation_max_alerts - emergency alerts sent before giving up (default 6)
+--   extraction_provider - 'regex', 'llm' or 'stub' (defaults to EXTRACTION_PROVIDER, then 'regex')
+--   summary_mode       - 'extractive' or 'generative' (defaults to SUMMARY_MODE, then 'extractive')
+--   spam_blocklist     - numbers whose calls are always quarantined, e.g. '["+15551234567"]'
+--   spam_threshold     - spam score (0-1) at which calls are quarantined (defaults to SPAM_THRESHOLD, then 0.7)
+--   locale             - 'en' or 'es' (also 'es-MX', ...): language of the agent prompt (defaults to DEFAULT_LOCALE, then 'en')
+--   redaction_policy   - 'mask', 'hash' or 'drop' for card numbers, SSNs and the like (defaults to REDACTION_POLICY, then 'mask')
+
 -- Example usage (replace 'your-business-id-here' with actual business ID):
 -- SELECT create_default_business_settings('your-business-id-here');
 
@@ -15,6 +15,10 @@ CREATE TABLE businesses (
   phone_number VARCHAR(20) UNIQUE NOT NULL,
   custom_prompt TEXT,
   fallback_message TEXT DEFAULT 'Thank you for calling. Our office is currently closed. Please leave a message and we will get back to you during business hours.',
+  timezone VARCHAR(64) DEFAULT 'America/New_York', -- IANA timezone for business_hours
+  business_hours JSONB, -- {"monday": {"open": "08:00", "close": "17:00"}, "sunday": null}
+  after_hours_agent_id VARCHAR(100), -- Retell agent for inbound calls outside business hours
+  business_type VARCHAR(50), -- 'plumbing', 'electrical', 'hvac', 'landscaping', 'legal', 'medical' or null (standard template)
   is_active BOOLEAN DEFAULT true,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -27,24 +31,88 @@ CREATE TABLE calls (
   caller_name VARCHAR(255),
   callback_number VARCHAR(20),
   address TEXT,
+  address_street_number VARCHAR(20),
+  address_street_name VARCHAR(255),
+  address_unit VARCHAR(50),
+  address_city VARCHAR(100),
+  address_state CHAR(2), -- validated US state code
+  address_zip VARCHAR(10), -- validated ZIP or ZIP+4
   reason TEXT,
-  call_summary TEXT,
+  email VARCHAR(255),
+  preferred_time_phrase TEXT, -- "tomorrow afternoon"
+  preferred_time_start TIMESTAMP WITH TIME ZONE, -- window resolved in the business timezone
+  preferred_time_end TIMESTAMP WITH TIME ZONE,
+  call_headline TEXT, -- short headline (about 10 words), used as the Slack header
+  call_summary TEXT, -- 1-3 sentences: what the caller needs, how urgent, what was promised
+  summary_source VARCHAR(20), -- 'call_analysis', 'extractive' or 'generative'
+  urgency VARCHAR(20), -- 'emergency', 'same_day', 'routine', 'informational'
+  urgency_signals JSONB, -- phrases that set the urgency, e.g. ["burst pipe"]
+  details JSONB, -- business type fields, e.g. {"system_type": "Furnace", "system_age": "15 years"}
+  user_sentiment VARCHAR(20), -- from Retell call_analysis
+  call_successful BOOLEAN, -- from Retell call_analysis
+  sentiment VARCHAR(20), -- 'positive', 'neutral' or 'negative'
+  outcome VARCHAR(30), -- 'lead_captured', 'information_only', 'wrong_number', 'hang_up' or 'complaint'
+  language VARCHAR(5), -- 'en' or 'es', detected from what the caller said
+  extraction_sources JSONB, -- {"name": "call_analysis", "reason": "regex", ...}
+  extraction_confidence JSONB, -- {"name": 0.75, "address": 0.3, ...}
+  extraction_spans JSONB, -- {"name": {"start": 11, "end": 21}, ...} offsets into transcript_text
+  extraction_provider VARCHAR(20), -- 'regex', 'llm' or 'stub'
+  extraction_provider_version VARCHAR(100), -- e.g. '1.0.0' (regex) or 'gpt-4o-mini/v1' (llm model/prompt)
   recording_url TEXT,
   transcript_text TEXT,
   duration INTEGER, -- in seconds
   cost DECIMAL(10,4),
-  call_status VARCHAR(20) DEFAULT 'completed', -- 'completed', 'failed', 'in-progress'
+  billable_seconds INTEGER, -- duration after minimum and rounding rules
+  pricing_plan VARCHAR(100),
+  rate_per_minute DECIMAL(10,4), -- rate in effect when the call happened
+  pricing_rules JSONB, -- minimum_billable_seconds, billing_increment_seconds, rounding
+  call_status VARCHAR(20) DEFAULT 'ringing', -- 'ringing', 'in-progress', 'ended', 'analyzed', 'failed', 'abandoned'
+  status_updated_at TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  ended_at TIMESTAMP WITH TIME ZONE,
+  disconnection_reason VARCHAR(100),
   notification_sent BOOLEAN DEFAULT false,
+  is_spam BOOLEAN NOT NULL DEFAULT false, -- quarantined: no notifications, counted in spam_calls
+  spam_score DECIMAL(3,2), -- 0-1, flagged at spam_threshold (default 0.7)
+  spam_signals JSONB, -- [{"type": "robocall_script", "weight": 0.6, "detail": "extended warranty"}]
+  spam_reviewed_at TIMESTAMP WITH TIME ZONE, -- when the business un-flagged the call
   from_number VARCHAR(20),
   to_number VARCHAR(20),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Call lifecycle timeline
+CREATE TABLE call_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  from_state VARCHAR(20), -- null when the event created the call
+  to_state VARCHAR(20) NOT NULL,
+  event_state VARCHAR(20) NOT NULL, -- state the event asked for
+  transitioned BOOLEAN NOT NULL DEFAULT false, -- false for late or repeated events
+  occurred_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Speaker-separated transcript turns
+CREATE TABLE call_transcript_turns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
+  turn_index INTEGER NOT NULL,
+  role VARCHAR(20) NOT NULL, -- 'agent' or 'user'
+  text TEXT NOT NULL,
+  start_offset DECIMAL(10,3), -- seconds from call start
+  end_offset DECIMAL(10,3), -- seconds from call start
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(call_id, turn_index)
+);
+
 -- Notification tracking
 CREATE TABLE notification_logs (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   call_id UUID REFERENCES calls(id) ON DELETE CASCADE,
-  notification_type VARCHAR(20) NOT NULL, -- 'sms' or 'slack'
+  notification_type VARCHAR(20) NOT NULL, -- 'sms', 'slack' or 'slack_emergency'
   status VARCHAR(20) DEFAULT 'pending', -- 'sent', 'failed', 'pending'
   recipient VARCHAR(255),
   error_message TEXT,
@@ -75,19 +143,134 @@ CREATE TABLE call_analytics (
   total_cost DECIMAL(10,4) DEFAULT 0,
   successful_notifications INTEGER DEFAULT 0,
   failed_notifications INTEGER DEFAULT 0,
+  spam_calls INTEGER DEFAULT 0, -- quarantined calls, not counted in total_calls
+  sentiment_counts JSONB DEFAULT '{}', -- {"positive": 4, "neutral": 9, "negative": 1}
+  outcome_counts JSONB DEFAULT '{}', -- {"lead_captured": 6, "information_only": 5, "hang_up": 3}
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   UNIQUE(business_id, date)
 );
 
+-- Dead-letter store for webhooks that failed processing
+CREATE TABLE failed_webhooks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255),
+  event_type VARCHAR(50),
+  to_number VARCHAR(20),
+  payload JSONB NOT NULL,
+  error_message TEXT,
+  attempt_count INTEGER DEFAULT 1,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'replayed', 'discarded'
+  first_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_failed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  replayed_at TIMESTAMP WITH TIME ZONE,
+  discarded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Ledger of processed webhook events (idempotent retries)
+CREATE TABLE processed_webhook_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  transcript_hash VARCHAR(64), -- sha256 of the transcript, used to detect re-sent call_analyzed updates
+  status VARCHAR(20) DEFAULT 'processing', -- 'processing', 'completed'
+  result JSONB,
+  update_count INTEGER DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE(call_id, event_type)
+);
+
+-- Background job queue (asynchronous webhook processing)
+CREATE TABLE job_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  sequence BIGSERIAL, -- enqueue order, used for per-key ordering
+  type VARCHAR(50) NOT NULL,
+  ordering_key VARCHAR(255), -- jobs sharing a key (e.g. call_id) run one at a time
+  payload JSONB NOT NULL,
+  status VARCHAR(20) DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed'
+  attempts INTEGER DEFAULT 0,
+  max_attempts INTEGER DEFAULT 5,
+  run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  locked_at TIMESTAMP WITH TIME ZONE,
+  locked_by VARCHAR(255),
+  last_error TEXT,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Custom functions the agent called during a call (/webhook/retell/functions/:name)
+CREATE TABLE function_invocations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id VARCHAR(255) NOT NULL, -- Retell call ID (the call record may not exist yet)
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  function_name VARCHAR(100) NOT NULL,
+  arguments JSONB DEFAULT '{}',
+  result JSONB,
+  status VARCHAR(20) NOT NULL, -- 'success', 'rejected', 'error'
+  error_message TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Appointment requests recorded by the agent, confirmed by the business on callback
+CREATE TABLE appointment_requests (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  call_id VARCHAR(255),
+  caller_name VARCHAR(255),
+  callback_number VARCHAR(20),
+  reason TEXT,
+  preferred_time VARCHAR(255), -- as the caller said it
+  address TEXT,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'confirmed', 'cancelled'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Repeated on-call alerts for emergency calls, until someone acknowledges
+CREATE TABLE emergency_escalations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  call_id UUID UNIQUE REFERENCES calls(id) ON DELETE CASCADE,
+  business_id UUID REFERENCES businesses(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'active', -- 'active', 'acknowledged', 'exhausted'
+  alert_count INTEGER DEFAULT 0,
+  last_alert_at TIMESTAMP WITH TIME ZONE,
+  acknowledge_token VARCHAR(64) NOT NULL, -- required by the acknowledge link
+  acknowledged_at TIMESTAMP WITH TIME ZONE,
+  acknowledged_by VARCHAR(255),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Indexes for performance
 CREATE INDEX idx_businesses_phone_number ON businesses(phone_number);
 CREATE INDEX idx_calls_business_id ON calls(calls.business_id);
 CREATE INDEX idx_calls_created_at ON calls(created_at);
 CREATE INDEX idx_calls_status ON calls(call_status);
+CREATE INDEX idx_calls_business_from_number ON calls(business_id, from_number, created_at DESC);
+CREATE INDEX idx_calls_business_address_zip ON calls(business_id, address_zip);
+CREATE INDEX idx_calls_business_urgency ON calls(business_id, urgency, created_at DESC);
+CREATE INDEX idx_calls_business_spam ON calls(business_id, is_spam, created_at DESC);
+CREATE INDEX idx_calls_business_outcome ON calls(business_id, outcome, created_at DESC);
+CREATE INDEX idx_calls_business_sentiment ON calls(business_id, sentiment, created_at DESC);
+CREATE INDEX idx_calls_from_number ON calls(from_number, created_at DESC);
+CREATE INDEX idx_call_events_call_id ON call_events(call_id, created_at);
+CREATE INDEX idx_call_transcript_turns_call_id ON call_transcript_turns(call_id, turn_index);
 CREATE INDEX idx_notification_logs_call_id ON notification_logs(call_id);
 CREATE INDEX idx_notification_logs_status ON notification_logs(status);
 CREATE INDEX idx_call_analytics_business_date ON call_analytics(business_id, date);
+CREATE INDEX idx_failed_webhooks_status ON failed_webhooks(status, first_failed_at);
+CREATE INDEX idx_failed_webhooks_call_id ON failed_webhooks(call_id);
+CREATE INDEX idx_job_queue_ready ON job_queue(status, run_at, sequence);
+CREATE INDEX idx_job_queue_ordering_key ON job_queue(ordering_key, sequence) WHERE status IN ('queued', 'running');
+CREATE INDEX idx_function_invocations_call_id ON function_invocations(call_id, created_at);
+CREATE INDEX idx_function_invocations_business_id ON function_invocations(business_id, created_at);
+CREATE INDEX idx_appointment_requests_business_status ON appointment_requests(business_id, status);
+CREATE INDEX idx_emergency_escalations_business_status ON emergency_escalations(business_id, status);
 
 -- Triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -107,23 +290,99 @@ CREATE TRIGGER update_notification_logs_updated_at BEFORE UPDATE ON notification
 CREATE TRIGGER update_call_analytics_updated_at BEFORE UPDATE ON call_analytics
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_failed_webhooks_updated_at BEFORE UPDATE ON failed_webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_processed_webhook_events_updated_at BEFORE UPDATE ON processed_webhook_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_job_queue_updated_at BEFORE UPDATE ON job_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_appointment_requests_updated_at BEFORE UPDATE ON appointment_requests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_emergency_escalations_updated_at BEFORE UPDATE ON emergency_escalations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Job claiming (see database/add_job_queue.sql)
+CREATE OR REPLACE FUNCTION claim_jobs(p_limit INTEGER, p_worker_id TEXT, p_lock_timeout_seconds INTEGER DEFAULT 300)
+RETURNS SETOF job_queue AS $$
+BEGIN
+    UPDATE job_queue
+    SET status = 'queued', locked_at = NULL, locked_by = NULL
+    WHERE status = 'running'
+      AND locked_at < NOW() - make_interval(secs => p_lock_timeout_seconds);
+
+    RETURN QUERY
+    UPDATE job_queue j
+    SET status = 'running',
+        attempts = j.attempts + 1,
+        locked_at = NOW(),
+        locked_by = p_worker_id
+    WHERE j.id IN (
+        SELECT c.id
+        FROM job_queue c
+        WHERE c.status = 'queued'
+          AND c.run_at <= NOW()
+          AND (
+            c.ordering_key IS NULL
+            OR NOT EXISTS (
+              SELECT 1 FROM job_queue e
+              WHERE e.ordering_key = c.ordering_key
+                AND e.status IN ('queued', 'running')
+                AND e.sequence < c.sequence
+            )
+          )
+        ORDER BY c.sequence
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING j.*;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Row Level Security (RLS) policies
 ALTER TABLE businesses ENABLE ROW LEVEL SECURITY;
 ALTER TABLE calls ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE call_transcript_turns ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notification_logs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE business_settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE call_analytics ENABLE ROW LEVEL SECURITY;
+ALTER TABLE failed_webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE processed_webhook_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE job_queue ENABLE ROW LEVEL SECURITY;
+ALTER TABLE function_invocations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE appointment_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE emergency_escalations ENABLE ROW LEVEL SECURITY;
 
 -- Create policies for service role access
 CREATE POLICY "Service role can access all data" ON businesses FOR ALL USING (true);
 CREATE POLICY "Service role can access all data" ON calls FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON call_events FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON call_transcript_turns FOR ALL USING (true);
 CREATE POLICY "Service role can access all data" ON notification_logs FOR ALL USING (true);
 CREATE POLICY "Service role can access all data" ON business_settings FOR ALL USING (true);
 CREATE POLICY "Service role can access all data" ON call_analytics FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON failed_webhooks FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON processed_webhook_events FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON job_queue FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON function_invocations FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON appointment_requests FOR ALL USING (true);
+CREATE POLICY "Service role can access all data" ON emergency_escalations FOR ALL USING (true);
 
 -- Comments for documentation
 COMMENT ON TABLE businesses IS 'Business customers using the AI receptionist service';
 COMMENT ON TABLE calls IS 'Individual call records with extracted information';
+COMMENT ON TABLE call_events IS 'Timeline of lifecycle events per call';
+COMMENT ON TABLE call_transcript_turns IS 'Speaker-separated transcript turns per call';
 COMMENT ON TABLE notification_logs IS 'Tracking of SMS and Slack notifications sent';
 COMMENT ON TABLE business_settings IS 'Configurable settings per business';
 COMMENT ON TABLE call_analytics IS 'Daily aggregated call metrics per business';
+COMMENT ON TABLE failed_webhooks IS 'Dead-letter store for webhooks that failed processing';
+COMMENT ON TABLE processed_webhook_events IS 'Ledger of processed webhook events for idempotent retries';
+COMMENT ON TABLE job_queue IS 'Background job queue for asynchronous webhook processing';
+COMMENT ON TABLE function_invocations IS 'Custom function calls made by the agent during calls';
+COMMENT ON TABLE appointment_requests IS 'Appointment requests recorded by the agent during calls';
+COMMENT ON TABLE emergency_escalations IS 'On-call alerting for emergency calls';
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Run an extraction provider against the golden transcript corpus
+ *
+ * Usage: npm run eval:extraction -- [options]
+ *   --provider <name>   regex (default), llm or stub
+ *   --corpus <path>     corpus file (default test/fixtures/extraction/corpus.json)
+ *   --baseline <path>   baseline to diff against (default test/fixtures/extraction/baseline.<provider>.json)
+ *   --save-baseline     write this run as the new baseline
+ *   --json              print the report and diff as JSON
+ *
+ * Exits with 1 when there are failures the baseline did not have.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createExtractionProvider, PROVIDER_NAMES } = require('../src/services/extraction');
+const { buildTranscriptTurns, getSpeakerText } = require('../src/utils/transcriptTurns');
+const { detectLanguage } = require('../src/utils/language');
+const { evaluateCorpus, diffReports, formatReport } = require('../src/utils/extractionEvaluation');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures', 'extraction');
+
+/**
+ * Run a provider over every corpus case
+ * @param {Object} provider - Extraction provider
+ * @param {Array<Object>} cases - Corpus cases
+ * @returns {Promise<Object>} { outputs: case ID → extracted information, errors: case ID → message }
+ */
+async function runCorpus(provider, cases) {
+  const outputs = {};
+  const errors = {};
+
+  for (const testCase of cases) {
+    const event = {
+      call_id: testCase.id,
+      transcript: testCase.transcript,
+      transcript_object: testCase.transcript_object || null,
+      start_timestamp: Date.parse(testCase.call_started_at)
+    };
+
+    const turns = buildTranscriptTurns(event);
+
+    try {
+      outputs[testCase.id] = await provider.extract(testCase.transcript, {
+        turns,
+        referenceTime: event.start_timestamp,
+        timezone: testCase.timezone,
+        businessType: testCase.business_type,
+        language: detectLanguage(turns.length > 0 ? getSpeakerText(turns, 'user') : testCase.transcript)
+      });
+    } catch (error) {
+      outputs[testCase.id] = null;
+      errors[testCase.id] = error.message;
+    }
+  }
+
+  return { outputs, errors };
+}
+
+/**
+ * Parse command-line options
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(argv) {
+  const options = { provider: 'regex', corpus: null, baseline: null, saveBaseline: false, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--provider':
+        options.provider = argv[++i];
+        break;
+      case '--corpus':
+        options.corpus = argv[++i];
+        break;
+      case '--baseline':
+        options.baseline = argv[++i];
+        break;
+      case '--save-baseline':
+        options.saveBaseline = true;
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!PROVIDER_NAMES.includes(options.provider)) {
+    throw new Error(`Unknown provider: ${options.provider} (expected ${PROVIDER_NAMES.join(', ')})`);
+  }
+  options.corpus = options.corpus || path.join(FIXTURES_DIR, 'corpus.json');
+  options.baseline = options.baseline || path.join(FIXTURES_DIR, `baseline.${options.provider}.json`);
+
+  return options;
+}
+
+/**
+ * Evaluate, print, and compare with (or save) the baseline
+ * @returns {Promise<number>} Exit code
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { cases } = JSON.parse(fs.readFileSync(options.corpus, 'utf8'));
+  const provider = createExtractionProvider(options.provider);
+
+  const { outputs, errors } = await runCorpus(provider, cases);
+  const report = {
+    provider: { name: provider.name, version: provider.version },
+    ...evaluateCorpus(cases, outputs)
+  };
+
+  const baseline = fs.existsSync(options.baseline)
+    ? JSON.parse(fs.readFileSync(options.baseline, 'utf8'))
+    : null;
+  const diff = baseline ? diffReports(report, baseline) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ report, diff, errors }, null, 2));
+  } else {
+    console.log(`Provider: ${provider.name} ${provider.version}`);
+    if (baseline) console.log(`Baseline: ${path.relative(process.cwd(), options.baseline)} (${baseline.provider.name} ${baseline.provider.version})`);
+    console.log(formatReport(report, diff));
+    for (const [caseId, message] of Object.entries(errors)) {
+      console.log(`Error in ${caseId}: ${message}`);
+    }
+  }
+
+  if (options.saveBaseline) {
+    fs.writeFileSync(options.baseline, `${JSON.stringify(report, null, 2)}\n`);
+    console.log(`Baseline saved to ${path.relative(process.cwd(), options.baseline)}`);
+    return 0;
+  }
+
+  return diff && diff.regressions.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  main()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = { runCorpus, parseArgs };
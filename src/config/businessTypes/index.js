@@ -0,0 +1,44 @@
+/**
+ * Business types (verticals)
+ *
+ * Each vertical lives in its own module and declares everything that depends on it:
+ *   template       - agent prompt ({business_name} and {custom_instructions} placeholders)
+ *   localizedTemplates - the prompt in other languages, keyed by language ({ es: `...` }),
+ *                    chosen by the business's locale setting
+ *   urgencySignals - phrases that make a call an emergency or same-day job (see urgencyClassifier)
+ *   localizedUrgencySignals - the same signals in other languages, keyed by language, used
+ *                    for calls in that language
+ *   detailFields   - extra fields the template collects, extracted into calls.details:
+ *     { key, label, options: { Value: ['keyword', ...] } }  first value (in declared order)
+ *                                                           with a keyword the caller said
+ *     { key, label, pattern, format? }                     first capture group of the pattern,
+ *                                                           optionally passed through format
+ *
+ * Adding a vertical means adding its module here.
+ */
+
+const BUSINESS_TYPES = {
+  plumbing: require('./plumbing'),
+  electrical: require('./electrical'),
+  hvac: require('./hvac'),
+  landscaping: require('./landscaping'),
+  legal: require('./legal'),
+  medical: require('./medical')
+};
+
+/**
+ * Get a business type's definition
+ * @param {string|null} businessType - Business type (case-insensitive)
+ * @returns {Object|null} { template, localizedTemplates, urgencySignals, localizedUrgencySignals, detailFields } or null for unknown types
+ */
+function getBusinessType(businessType) {
+  if (!businessType || typeof businessType !== 'string') {
+    return null;
+  }
+  return BUSINESS_TYPES[businessType.toLowerCase()] || null;
+}
+
+module.exports = {
+  BUSINESS_TYPES,
+  getBusinessType
+};
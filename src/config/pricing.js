@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+
+/**
+ * Pricing plans for call cost
+ *
+ * The default "standard" plan is configured through environment variables. Extra
+ * named plans can be added as JSON in PRICING_PLANS, e.g.
+ *   PRICING_PLANS={"pro": {"rate_per_minute": 0.07, "billing_increment_seconds": 60}}
+ * Fields missing from a plan fall back to the standard plan.
+ */
+
+const ROUNDING_MODES = ['up', 'nearest', 'down'];
+
+const STANDARD_PLAN = {
+  name: 'standard',
+  // Retell AI pricing: $0.091/minute
+  rate_per_minute: parseNumber(process.env.CALL_RATE_PER_MINUTE, 0.091),
+  // Calls shorter than this are billed as this long
+  minimum_billable_seconds: parseNumber(process.env.CALL_MINIMUM_BILLABLE_SECONDS, 0),
+  // Billable time is rounded to this increment (1 = per second, 60 = per minute)
+  billing_increment_seconds: parseNumber(process.env.CALL_BILLING_INCREMENT_SECONDS, 1),
+  // How partial increments are rounded: 'up', 'nearest' or 'down'
+  rounding: ROUNDING_MODES.includes(process.env.CALL_BILLING_ROUNDING) ? process.env.CALL_BILLING_ROUNDING : 'up'
+};
+
+const DEFAULT_PLAN_NAME = process.env.DEFAULT_PRICING_PLAN || STANDARD_PLAN.name;
+
+function parseNumber(value, defaultValue) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : defaultValue;
+}
+
+function loadPlans() {
+  const plans = { [STANDARD_PLAN.name]: STANDARD_PLAN };
+
+  if (!process.env.PRICING_PLANS) {
+    return plans;
+  }
+
+  try {
+    const configured = JSON.parse(process.env.PRICING_PLANS);
+    for (const [name, plan] of Object.entries(configured)) {
+      plans[name] = { ...STANDARD_PLAN, ...plan, name };
+    }
+  } catch (error) {
+    logger.error('Invalid PRICING_PLANS configuration, using the standard plan only', {
+      error: error.message
+    });
+  }
+
+  return plans;
+}
+
+const PRICING_PLANS = loadPlans();
+
+module.exports = {
+  PRICING_PLANS,
+  DEFAULT_PLAN_NAME,
+  ROUNDING_MODES
+};
@@ -2,6 +2,11 @@ const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const { supabase } = require('../config/database');
 const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const transcriptService = require('../services/transcriptService');
+const functionInvocationService = require('../services/functionInvocationService');
+const callLifecycleService = require('../services/callLifecycleService');
+const escalationService = require('../services/escalationService');
+const spamService = require('../services/spamService');
 
 /**
  * Business Controller for managing business operations
@@ -54,6 +59,10 @@ class BusinessController {
           phone_number: businessData.phone_number,
           area_code: businessData.area_code,
           custom_prompt: businessData.custom_instructions,
+          timezone: businessData.timezone,
+          business_hours: businessData.business_hours,
+          after_hours_agent_id: businessData.after_hours_agent_id,
+          business_type: businessData.business_type || null,
           is_active: true
         })
         .select()
@@ -77,6 +86,9 @@ class BusinessController {
           owner_phone: business.owner_phone,
           phone_number: business.phone_number,
           area_code: business.area_code,
+          timezone: business.timezone,
+          business_hours: business.business_hours,
+          business_type: business.business_type,
           is_active: business.is_active,
           created_at: business.created_at
         }
@@ -119,6 +131,10 @@ class BusinessController {
           phone_number: business.phone_number,
           area_code: business.area_code,
           custom_prompt: business.custom_prompt,
+          timezone: business.timezone,
+          business_hours: business.business_hours,
+          after_hours_agent_id: business.after_hours_agent_id,
+          business_type: business.business_type,
           is_active: business.is_active,
           created_at: business.created_at,
           updated_at: business.updated_at
@@ -135,7 +151,7 @@ class BusinessController {
   }
 
   /**
-   * Get call history for a business
+   * Get call history for a business (quarantined spam calls are listed separately)
    * @param {string} businessId - Business ID
    * @param {Object} queryParams - Query parameters for filtering and pagination
    * @returns {Promise<Object>} Call history
@@ -154,37 +170,31 @@ class BusinessController {
       }
 
       // Build query
-      let query = supabase
+      let query = this.applyCallFilters(supabase
         .from('calls')
         .select('*')
         .eq('business_id', businessId)
+        .eq('is_spam', false), queryParams)
         .order('created_at', { ascending: false });
 
-      // Apply filters
-      if (queryParams.start_date) {
-        query = query.gte('created_at', queryParams.start_date);
-      }
-      if (queryParams.end_date) {
-        query = query.lte('created_at', queryParams.end_date);
-      }
-
       // Apply pagination
       const limit = parseInt(queryParams.limit) || 50;
       const offset = parseInt(queryParams.offset) || 0;
       
       query = query.range(offset, offset + limit - 1);
 
-      const { data: calls, error, count } = await query;
+      const { data: calls, error } = await query;
 
       if (error) {
         throw new Error(`Failed to fetch calls: ${error.message}`);
       }
 
-      // Get total count for pagination
-      const { count: totalCount, error: countError } = await supabase
+      // Get total count for pagination (with the same filters)
+      const { count: totalCount, error: countError } = await this.applyCallFilters(supabase
         .from('calls')
         .select('*', { count: 'exact', head: true })
-        .eq('business_id', businessId);
+        .eq('business_id', businessId)
+        .eq('is_spam', false), queryParams);
 
       if (countError) {
         logger.warn('Failed to get total call count', { error: countError.message });
@@ -211,6 +221,241 @@ class BusinessController {
     }
   }
 
+  /**
+   * Apply the call history filters (date range, sentiment, outcome) to a calls query
+   * @param {Object} query - Supabase query on calls
+   * @param {Object} queryParams - start_date, end_date, sentiment, outcome
+   * @returns {Object} Filtered query
+   */
+  applyCallFilters(query, queryParams) {
+    let filtered = query;
+
+    if (queryParams.start_date) {
+      filtered = filtered.gte('created_at', queryParams.start_date);
+    }
+    if (queryParams.end_date) {
+      filtered = filtered.lte('created_at', queryParams.end_date);
+    }
+    if (queryParams.sentiment) {
+      filtered = filtered.eq('sentiment', queryParams.sentiment);
+    }
+    if (queryParams.outcome) {
+      filtered = filtered.eq('outcome', queryParams.outcome);
+    }
+
+    return filtered;
+  }
+
+  /**
+   * Get speaker-separated transcript turns for a call
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @param {Object} options - Options
+   * @param {boolean} options.highlight - Highlight the caller's words
+   * @returns {Promise<Object>} Transcript turns
+   */
+  async getCallTranscript(businessId, callId, options = {}) {
+    try {
+      // Verify the call belongs to the business
+      const { data: call, error: callError } = await supabase
+        .from('calls')
+        .select('id, business_id, transcript_text')
+        .eq('id', callId)
+        .eq('business_id', businessId)
+        .single();
+
+      if (callError || !call) {
+        throw new NotFoundError('Call not found');
+      }
+
+      let turns = await transcriptService.getTranscriptTurns(callId);
+      if (options.highlight) {
+        turns = transcriptService.highlightUserTurns(turns);
+      }
+
+      return {
+        success: true,
+        call_id: call.id,
+        turns,
+        // Transcripts without speaker labels are only available as text
+        transcript_text: turns.length === 0 ? call.transcript_text : undefined
+      };
+
+    } catch (error) {
+      logger.error('Failed to get call transcript', {
+        error: error.message,
+        businessId,
+        callId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a call's lifecycle state and event timeline
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} Call state and events
+   */
+  async getCallTimeline(businessId, callId) {
+    try {
+      // Verify the call belongs to the business
+      const { data: call, error: callError } = await supabase
+        .from('calls')
+        .select('id, business_id, call_status, started_at, ended_at, disconnection_reason, status_updated_at')
+        .eq('id', callId)
+        .eq('business_id', businessId)
+        .single();
+
+      if (callError || !call) {
+        throw new NotFoundError('Call not found');
+      }
+
+      const events = await callLifecycleService.getTimeline(callId);
+
+      return {
+        success: true,
+        call_id: call.id,
+        call_status: call.call_status,
+        started_at: call.started_at,
+        ended_at: call.ended_at,
+        disconnection_reason: call.disconnection_reason,
+        status_updated_at: call.status_updated_at,
+        events
+      };
+
+    } catch (error) {
+      logger.error('Failed to get call timeline', {
+        error: error.message,
+        businessId,
+        callId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the custom function invocations logged for a call
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} Function invocations
+   */
+  async getCallFunctionInvocations(businessId, callId) {
+    try {
+      const invocations = await functionInvocationService.getInvocations(callId);
+      const ownInvocations = invocations.filter(invocation => invocation.business_id === businessId);
+
+      if (invocations.length > 0 && ownInvocations.length === 0) {
+        throw new NotFoundError('Call not found');
+      }
+
+      return {
+        success: true,
+        call_id: callId,
+        invocations: ownInvocations
+      };
+
+    } catch (error) {
+      logger.error('Failed to get call function invocations', {
+        error: error.message,
+        businessId,
+        callId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge a call's emergency escalation
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @param {Object} options - { token, acknowledgedBy }
+   * @returns {Promise<Object>} Escalation state
+   */
+  async acknowledgeEscalation(businessId, callId, options) {
+    try {
+      const escalation = await escalationService.acknowledge(businessId, callId, options);
+
+      return {
+        success: true,
+        call_id: callId,
+        status: escalation.status,
+        alert_count: escalation.alert_count,
+        acknowledged_at: escalation.acknowledged_at,
+        acknowledged_by: escalation.acknowledged_by
+      };
+
+    } catch (error) {
+      logger.error('Failed to acknowledge escalation', {
+        error: error.message,
+        businessId,
+        callId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List a business's quarantined spam calls
+   * @param {string} businessId - Business ID
+   * @param {Object} queryParams - Pagination (limit, offset)
+   * @returns {Promise<Object>} Quarantined calls
+   */
+  async getQuarantinedCalls(businessId, queryParams) {
+    try {
+      const limit = parseInt(queryParams.limit) || 50;
+      const offset = parseInt(queryParams.offset) || 0;
+      const { calls, total } = await spamService.listQuarantine(businessId, { limit, offset });
+
+      return {
+        success: true,
+        calls,
+        pagination: {
+          limit,
+          offset,
+          total,
+          has_more: (offset + limit) < total
+        }
+      };
+
+    } catch (error) {
+      logger.error('Failed to get quarantined calls', {
+        error: error.message,
+        businessId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Un-flag a call quarantined as spam
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} Un-flagged call
+   */
+  async unflagSpamCall(businessId, callId) {
+    try {
+      const call = await spamService.unflag(businessId, callId);
+
+      return {
+        success: true,
+        call_id: call.id,
+        is_spam: call.is_spam,
+        spam_score: call.spam_score,
+        spam_reviewed_at: call.spam_reviewed_at,
+        message: 'Call un-flagged as spam'
+      };
+
+    } catch (error) {
+      logger.error('Failed to un-flag spam call', {
+        error: error.message,
+        businessId,
+        callId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Update business information
    * @param {string} businessId - Business ID
@@ -272,6 +517,10 @@ class BusinessController {
           phone_number: updatedBusiness.phone_number,
           area_code: updatedBusiness.area_code,
           custom_prompt: updatedBusiness.custom_prompt,
+          timezone: updatedBusiness.timezone,
+          business_hours: updatedBusiness.business_hours,
+          after_hours_agent_id: updatedBusiness.after_hours_agent_id,
+          business_type: updatedBusiness.business_type,
           is_active: updatedBusiness.is_active,
           updated_at: updatedBusiness.updated_at
         }
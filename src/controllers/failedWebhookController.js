@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+const { ConflictError } = require('../middleware/errorHandler');
+const failedWebhookService = require('../services/failedWebhookService');
+const webhookController = require('./webhookController');
+
+// Upper bound on entries replayed in a single bulk request
+const MAX_BULK_REPLAY = 100;
+
+/**
+ * Failed Webhook Controller for inspecting and replaying dead-lettered webhooks
+ */
+class FailedWebhookController {
+  /**
+   * List failed webhooks
+   * @param {Object} queryParams - Filters and pagination
+   * @returns {Promise<Object>} Failed webhooks
+   */
+  async listFailedWebhooks(queryParams) {
+    const result = await failedWebhookService.listFailedWebhooks(queryParams);
+
+    return {
+      success: true,
+      ...result
+    };
+  }
+
+  /**
+   * Get a single failed webhook with its payload
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Failed webhook
+   */
+  async getFailedWebhook(id) {
+    const failedWebhook = await failedWebhookService.getFailedWebhook(id);
+
+    return {
+      success: true,
+      failed_webhook: failedWebhook
+    };
+  }
+
+  /**
+   * Replay a failed webhook through the normal webhook pipeline
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Replay result
+   */
+  async replayFailedWebhook(id) {
+    const failedWebhook = await failedWebhookService.getFailedWebhook(id);
+
+    if (failedWebhook.status !== 'pending') {
+      throw new ConflictError(`Failed webhook is already ${failedWebhook.status}`);
+    }
+
+    logger.info('Replaying failed webhook', {
+      failedWebhookId: id,
+      callId: failedWebhook.call_id,
+      attemptCount: failedWebhook.attempt_count
+    });
+
+    try {
+      const result = await webhookController.handleRetellWebhook(failedWebhook.payload, {
+        failedWebhookId: id
+      });
+      await failedWebhookService.markReplayed(id);
+
+      return {
+        success: true,
+        failed_webhook_id: id,
+        status: 'replayed',
+        result
+      };
+    } catch (error) {
+      // handleRetellWebhook has already recorded the new attempt against this entry
+      logger.warn('Replay of failed webhook failed', {
+        failedWebhookId: id,
+        error: error.message
+      });
+
+      return {
+        success: false,
+        failed_webhook_id: id,
+        status: 'pending',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Replay several failed webhooks, oldest first
+   * @param {Object} options - Replay options
+   * @param {Array<string>} options.ids - Specific entries to replay
+   * @param {number} options.limit - Maximum pending entries to replay when no IDs are given
+   * @returns {Promise<Object>} Bulk replay summary
+   */
+  async replayFailedWebhooks(options = {}) {
+    let ids = options.ids;
+
+    if (!ids || ids.length === 0) {
+      const limit = Math.min(parseInt(options.limit) || MAX_BULK_REPLAY, MAX_BULK_REPLAY);
+      const { failed_webhooks } = await failedWebhookService.listFailedWebhooks({ status: 'pending', limit });
+      ids = failed_webhooks.map(entry => entry.id);
+    }
+
+    // Replay sequentially so events for the same call keep their original order
+    const results = [];
+    for (const id of ids.slice(0, MAX_BULK_REPLAY)) {
+      try {
+        results.push(await this.replayFailedWebhook(id));
+      } catch (error) {
+        results.push({
+          success: false,
+          failed_webhook_id: id,
+          error: error.message
+        });
+      }
+    }
+
+    const replayed = results.filter(result => result.success).length;
+
+    logger.info('Bulk replay of failed webhooks completed', {
+      attempted: results.length,
+      replayed
+    });
+
+    return {
+      success: true,
+      attempted: results.length,
+      replayed,
+      failed: results.length - replayed,
+      results
+    };
+  }
+
+  /**
+   * Discard a failed webhook
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Discard result
+   */
+  async discardFailedWebhook(id) {
+    const failedWebhook = await failedWebhookService.discardFailedWebhook(id);
+
+    logger.info('Failed webhook discarded', { failedWebhookId: id });
+
+    return {
+      success: true,
+      message: 'Failed webhook discarded',
+      failed_webhook: failedWebhook
+    };
+  }
+}
+
+module.exports = new FailedWebhookController();
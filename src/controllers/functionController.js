@@ -0,0 +1,131 @@
+const logger = require('../utils/logger');
+const { NotFoundError, ForbiddenError, ValidationError } = require('../middleware/errorHandler');
+const { normalizeRetellEvent } = require('../utils/retellPayload');
+const agentFunctions = require('../services/functions');
+const businessSettingsService = require('../services/businessSettingsService');
+const functionInvocationService = require('../services/functionInvocationService');
+const webhookController = require('./webhookController');
+
+/**
+ * Function Controller for Retell custom functions the agent calls mid-call
+ */
+class FunctionController {
+  /**
+   * Run a custom function for the call in progress
+   * @param {string} name - Function name
+   * @param {Object} payload - Retell function call payload ({ name, call, args })
+   * @returns {Promise<Object>} Function result (returned to the agent as-is)
+   */
+  async handleFunctionCall(name, payload) {
+    const event = normalizeRetellEvent({ event: 'function_call', call: payload.call });
+    const args = payload.args || {};
+
+    logger.info('Processing agent function call', {
+      callId: event.call_id,
+      functionName: name,
+      toNumber: event.to_number
+    });
+
+    const agentFunction = agentFunctions.getFunction(name);
+    if (!agentFunction) {
+      throw new NotFoundError(`Unknown function: ${name}`);
+    }
+
+    const business = await webhookController.findBusinessByPhoneNumber(event.to_number);
+    if (!business) {
+      throw new NotFoundError(`Business not found for phone number: ${event.to_number}`);
+    }
+
+    const invocation = {
+      call_id: event.call_id,
+      business_id: business.id,
+      function_name: name,
+      arguments: args
+    };
+
+    const settings = await businessSettingsService.getSettings(business.id);
+    const enabledFunctions = businessSettingsService.parseListSetting(settings.enabled_functions);
+
+    if (!agentFunctions.isFunctionEnabled(agentFunction, enabledFunctions)) {
+      await this.logRejected(invocation, 'Function is not enabled for this business');
+      throw new ForbiddenError(`Function ${name} is not enabled for this business`);
+    }
+
+    const errors = agentFunctions.validateArguments(agentFunction.parameters, args);
+    if (errors.length > 0) {
+      await this.logRejected(invocation, errors.map(error => error.msg).join('; '));
+      throw new ValidationError('Invalid function arguments', errors);
+    }
+
+    const startedAt = Date.now();
+
+    try {
+      const result = await agentFunction.handler(args, { business, event, settings });
+
+      await functionInvocationService.logInvocation({
+        ...invocation,
+        result,
+        status: 'success',
+        duration_ms: Date.now() - startedAt
+      });
+
+      logger.info('Agent function call completed', {
+        callId: event.call_id,
+        functionName: name,
+        businessId: business.id
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Agent function call failed', {
+        error: error.message,
+        callId: event.call_id,
+        functionName: name
+      });
+
+      await functionInvocationService.logInvocation({
+        ...invocation,
+        status: 'error',
+        error_message: error.message,
+        duration_ms: Date.now() - startedAt
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Log a call that was refused before the function ran
+   * @param {Object} invocation - Invocation details
+   * @param {string} reason - Why it was refused
+   * @returns {Promise<void>}
+   */
+  async logRejected(invocation, reason) {
+    logger.warn('Agent function call rejected', {
+      callId: invocation.call_id,
+      functionName: invocation.function_name,
+      reason
+    });
+
+    await functionInvocationService.logInvocation({
+      ...invocation,
+      status: 'rejected',
+      error_message: reason,
+      duration_ms: 0
+    });
+  }
+
+  /**
+   * List the registered functions with their argument schemas
+   * @returns {Object} Function definitions
+   */
+  listFunctions() {
+    return {
+      success: true,
+      functions: agentFunctions.getFunctionDefinitions()
+    };
+  }
+}
+
+module.exports = new FunctionController();
@@ -1,8 +1,39 @@
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
 const { supabase } = require('../config/database');
-const { extractCallInformation } = require('../utils/informationExtractor');
+const { ConflictError } = require('../middleware/errorHandler');
+const { normalizeRetellEvent } = require('../utils/retellPayload');
+const { getBusinessStatus } = require('../utils/businessHours');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { isTerminalState, getAnalyticsDate } = require('../utils/callLifecycle');
+const { adjustCount } = require('../utils/callOutcome');
+const { DEFAULT_LANGUAGE } = require('../utils/language');
+const { planToCallFields } = require('../utils/pricing');
+const { generateCustomPrompt } = require('../services/promptTemplateService');
 const notificationService = require('../services/notificationService');
+const failedWebhookService = require('../services/failedWebhookService');
+const webhookEventLedger = require('../services/webhookEventLedger');
+const transcriptService = require('../services/transcriptService');
+const callerHistoryService = require('../services/callerHistoryService');
+const callLifecycleService = require('../services/callLifecycleService');
+const pricingService = require('../services/pricingService');
+const extractionService = require('../services/extractionService');
+const escalationService = require('../services/escalationService');
+const spamService = require('../services/spamService');
+const redactionService = require('../services/redactionService');
+const businessSettingsService = require('../services/businessSettingsService');
+const { URGENCY } = require('../utils/urgencyClassifier');
+
+/** @typedef {import('../utils/retellPayload').CallEvent} CallEvent */
+
+/**
+ * Treat an empty per-field map as missing so it never overwrites a stored one
+ * @param {Object|undefined} map - Per-field map
+ * @returns {Object|null} The map, or null when empty
+ */
+function nonEmpty(map) {
+  return map && Object.keys(map).length > 0 ? map : null;
+}
 
 /**
  * Webhook Controller for handling Retell AI events
@@ -11,43 +42,80 @@ class WebhookController {
   /**
    * Handle Retell AI webhook for call events
    * @param {Object} webhookData - Webhook payload from Retell AI
+   * @param {Object} options - Processing options
+   * @param {string} options.failedWebhookId - Dead-letter entry being replayed
+   * @param {boolean} options.deadLetter - Store failures for replay (default true; the queue worker
+   *   dead-letters only once its retries are exhausted)
    * @returns {Promise<Object>} Processing result
    */
-  async handleRetellWebhook(webhookData) {
+  async handleRetellWebhook(webhookData, options = {}) {
+    let claim = null;
+
+    // Map legacy flat and nested { event, call } payloads to one call event model
+    const event = normalizeRetellEvent(webhookData);
+
     try {
       logger.info('Processing Retell AI webhook', {
-        callId: webhookData.call_id,
-        eventType: webhookData.event_type,
-        toNumber: webhookData.to_number
+        callId: event.call_id,
+        eventType: event.event_type,
+        toNumber: event.to_number,
+        payloadFormat: event.format
       });
 
+      // Claim the event in the ledger so retried deliveries are not processed twice
+      const eventKey = this.getEventKey(event);
+      const transcriptHash = eventKey === 'call_analyzed'
+        ? webhookEventLedger.hashTranscript(event.transcript)
+        : null;
+
+      claim = await webhookEventLedger.claim(event.call_id, eventKey, transcriptHash);
+
+      if (claim.action === 'duplicate') {
+        logger.info('Duplicate webhook event ignored', {
+          callId: event.call_id,
+          eventType: eventKey
+        });
+
+        return {
+          ...claim.entry.result,
+          duplicate: true
+        };
+      }
+
       // Find business by phone number (faster than agent ID lookup)
-      const business = await this.findBusinessByPhoneNumber(webhookData.to_number);
+      const business = await this.findBusinessByPhoneNumber(event.to_number);
       if (!business) {
-        throw new Error(`Business not found for phone number: ${webhookData.to_number}`);
+        throw new Error(`Business not found for phone number: ${event.to_number}`);
       }
 
+      // Redact card numbers, SSNs and the like before anything is extracted, stored or sent
+      const redacted = await redactionService.redactEvent(event, business);
+
       // Handle different webhook event types
       let result;
-      switch (webhookData.event_type) {
+      switch (event.event_type) {
         case 'call_started':
-          result = await this.handleCallStarted(webhookData, business);
+          result = await this.handleCallStarted(redacted, business);
           break;
         case 'call_ended':
-          result = await this.handleCallEnded(webhookData, business);
+          result = await this.handleCallEnded(redacted, business);
           break;
         case 'call_analyzed':
-          result = await this.handleCallAnalyzed(webhookData, business);
+          result = await this.handleCallAnalyzed(redacted, business, {
+            isUpdate: claim.action === 'update'
+          });
           break;
         default:
           // Handle legacy webhook format (call_status based)
-          result = await this.handleLegacyWebhook(webhookData, business);
+          result = await this.handleLegacyWebhook(redacted, business);
           break;
       }
 
+      await webhookEventLedger.complete(claim, result);
+
       logger.info('Webhook processed successfully', {
-        callId: webhookData.call_id,
-        eventType: webhookData.event_type,
+        callId: event.call_id,
+        eventType: event.event_type,
         businessId: business.id,
         result: result
       });
@@ -55,50 +123,154 @@ class WebhookController {
       return result;
 
     } catch (error) {
+      // Another delivery of this event is in flight - let Retell retry later
+      if (error instanceof ConflictError) {
+        logger.warn('Webhook event already in progress', {
+          callId: event.call_id,
+          eventType: event.event_type
+        });
+        throw error;
+      }
+
       logger.error('Failed to process webhook', {
         error: error.message,
         webhookData,
         stack: error.stack
       });
 
-      // Log failed webhook attempt
-      await this.logFailedWebhook(webhookData, error.message);
+      if (claim) {
+        await webhookEventLedger.release(claim);
+      }
+
+      // Store failed webhook for replay
+      if (options.deadLetter !== false) {
+        await this.logFailedWebhook(webhookData, error.message, options.failedWebhookId);
+      }
 
       throw error;
     }
   }
 
+  /**
+   * Get the ledger key for a webhook event
+   * @param {CallEvent} event - Normalized call event
+   * @returns {string} Event key (event type, or legacy call status)
+   */
+  getEventKey(event) {
+    return event.event_type || `legacy_${event.call_status || 'unknown'}`;
+  }
+
+  /**
+   * Handle Retell call_inbound webhook. Runs before the call connects, so it is answered
+   * synchronously with the dynamic variables the agent needs for this business and caller.
+   * @param {Object} webhookData - Webhook payload ({ event: 'call_inbound', call_inbound: {...} })
+   * @param {Date} now - Current time (for business hours)
+   * @returns {Promise<Object>} Retell inbound response ({ call_inbound: { dynamic_variables, ... } })
+   */
+  async handleCallInbound(webhookData, now = new Date()) {
+    const event = normalizeRetellEvent(webhookData);
+
+    logger.info('Processing call inbound event', {
+      fromNumber: event.from_number,
+      toNumber: event.to_number
+    });
+
+    const business = await this.findBusinessByPhoneNumber(event.to_number);
+    if (!business) {
+      // Let the call continue with the agent's static prompt
+      logger.warn('No business found for inbound call', { toNumber: event.to_number });
+      return { call_inbound: {} };
+    }
+
+    const status = getBusinessStatus(business, now);
+    const [history, locale] = await Promise.all([
+      callerHistoryService.getCallerHistory(business.id, event.from_number),
+      businessSettingsService.getSetting(business.id, 'locale', process.env.DEFAULT_LOCALE || DEFAULT_LANGUAGE)
+    ]);
+
+    const response = {
+      dynamic_variables: this.buildDynamicVariables(business, status, history, locale),
+      metadata: {
+        business_id: business.id
+      }
+    };
+
+    // Route after-hours calls to a dedicated agent when one is configured
+    if (status.is_open === false && business.after_hours_agent_id) {
+      response.override_agent_id = business.after_hours_agent_id;
+    }
+
+    logger.info('Call inbound handled', {
+      businessId: business.id,
+      businessStatus: response.dynamic_variables.business_status,
+      priorCalls: history.prior_calls,
+      overrideAgent: !!response.override_agent_id
+    });
+
+    return { call_inbound: response };
+  }
+
+  /**
+   * Build Retell dynamic variables for an inbound call (Retell requires string values)
+   * @param {Object} business - Business data
+   * @param {Object} status - Business hours status from getBusinessStatus
+   * @param {Object} history - Caller history from callerHistoryService
+   * @param {string} locale - Business locale setting (picks the prompt's language)
+   * @returns {Object} Dynamic variables
+   */
+  buildDynamicVariables(business, status, history, locale = DEFAULT_LANGUAGE) {
+    let businessStatus = 'unknown';
+    if (status.configured) {
+      businessStatus = status.is_open ? 'open' : 'closed';
+    }
+
+    return {
+      business_name: business.business_name || '',
+      business_status: businessStatus,
+      today_hours: status.today_hours || '',
+      custom_instructions: business.custom_prompt || '',
+      agent_prompt: generateCustomPrompt({
+        business_name: business.business_name,
+        business_type: business.business_type,
+        custom_instructions: business.custom_prompt,
+        locale
+      }),
+      caller_prior_calls: String(history.prior_calls || 0),
+      caller_name: history.caller_name || '',
+      is_returning_caller: history.prior_calls > 0 ? 'true' : 'false'
+    };
+  }
+
   /**
    * Handle call started event
-   * @param {Object} webhookData - Webhook data
+   * @param {CallEvent} event - Normalized call event
    * @param {Object} business - Business data
    * @returns {Promise<Object>} Processing result
    */
-  async handleCallStarted(webhookData, business) {
+  async handleCallStarted(event, business) {
     try {
       logger.info('Processing call started event', {
-        callId: webhookData.call_id,
+        callId: event.call_id,
         businessId: business.id
       });
 
-      // Create initial call record
-      const callRecord = await this.createOrUpdateCall(webhookData, business.id, {}, 'in-progress');
-
-      // Update analytics for call start
-      await this.updateCallAnalytics(business.id, false, 'started');
+      // Create the call record (or fill in a call a later event already created)
+      const lifecycle = await this.applyCallEvent(event, business.id);
+      await this.trackLifecycleAnalytics(business.id, lifecycle);
 
       return {
         success: true,
-        call_id: callRecord.id,
+        call_id: lifecycle.call.id,
         business_id: business.id,
         event_type: 'call_started',
+        call_state: lifecycle.state,
         message: 'Call started successfully'
       };
 
     } catch (error) {
       logger.error('Failed to handle call started', {
         error: error.message,
-        callId: webhookData.call_id
+        callId: event.call_id
       });
       throw error;
     }
@@ -106,35 +278,34 @@ class WebhookController {
 
   /**
    * Handle call ended event
-   * @param {Object} webhookData - Webhook data
+   * @param {CallEvent} event - Normalized call event
    * @param {Object} business - Business data
    * @returns {Promise<Object>} Processing result
    */
-  async handleCallEnded(webhookData, business) {
+  async handleCallEnded(event, business) {
     try {
       logger.info('Processing call ended event', {
-        callId: webhookData.call_id,
+        callId: event.call_id,
         businessId: business.id
       });
 
-      // Update call status to completed
-      const callRecord = await this.updateCallStatus(webhookData.call_id, 'completed');
-
-      // Update analytics for call completion
-      await this.updateCallAnalytics(business.id, true, 'completed');
+      // Move the call to ended (or failed/abandoned), creating it if call_started never arrived
+      const lifecycle = await this.applyCallEvent(event, business.id);
+      await this.trackLifecycleAnalytics(business.id, lifecycle);
 
       return {
         success: true,
-        call_id: callRecord.id,
+        call_id: lifecycle.call.id,
         business_id: business.id,
         event_type: 'call_ended',
+        call_state: lifecycle.state,
         message: 'Call ended successfully'
       };
 
     } catch (error) {
       logger.error('Failed to handle call ended', {
         error: error.message,
-        callId: webhookData.call_id
+        callId: event.call_id
       });
       throw error;
     }
@@ -142,68 +313,87 @@ class WebhookController {
 
   /**
    * Handle call analyzed event (final event with transcript)
-   * @param {Object} webhookData - Webhook data
+   * @param {CallEvent} event - Normalized call event
    * @param {Object} business - Business data
+   * @param {Object} options - Processing options
+   * @param {boolean} options.isUpdate - Re-sent event with a changed transcript
    * @returns {Promise<Object>} Processing result
    */
-  async handleCallAnalyzed(webhookData, business) {
+  async handleCallAnalyzed(event, business, options = {}) {
+    const isUpdate = !!options.isUpdate;
+
     try {
       logger.info('Processing call analyzed event', {
-        callId: webhookData.call_id,
-        businessId: business.id
+        callId: event.call_id,
+        businessId: business.id,
+        isUpdate
       });
 
-      // Extract information from transcript
+      // Extract information from Retell's call_analysis, filling gaps from the transcript
       let extractedInfo = {};
-      let transcriptText = webhookData.transcript || 
-                          webhookData.transcript_text || 
-                          webhookData.conversation || 
-                          webhookData.call_summary ||
-                          webhookData.summary;
-      
-      if (transcriptText) {
+      const transcriptText = event.transcript;
+
+      if (transcriptText || event.call_analysis) {
         logger.info('Processing transcript from call analyzed event', {
-          callId: webhookData.call_id,
-          transcriptLength: transcriptText.length
-        });
-        
-        extractedInfo = extractCallInformation(transcriptText);
-        logger.info('Information extracted from transcript', {
-          callId: webhookData.call_id,
-          extractedInfo
+          callId: event.call_id,
+          transcriptLength: transcriptText ? transcriptText.length : 0,
+          hasCallAnalysis: !!event.call_analysis
         });
+
+        extractedInfo = await extractionService.extract(event, business);
       } else {
         logger.warn('No transcript available in call analyzed event', {
-          callId: webhookData.call_id
+          callId: event.call_id
         });
+        extractedInfo = extractionService.classify(event);
       }
 
+      // Spam is judged on the first analysis; a re-sent one keeps the verdict (and any review)
+      const spam = isUpdate ? null : await spamService.assess(event, business);
+
       // Update call record with extracted information
-      const callRecord = await this.createOrUpdateCall(webhookData, business.id, extractedInfo, 'completed');
+      const lifecycle = await this.applyCallEvent(event, business.id, extractedInfo, spam);
+      const callRecord = lifecycle.call;
+      await this.trackLifecycleAnalytics(business.id, lifecycle, spam);
+
+      // Store speaker-separated turns for chat-style transcripts
+      if (transcriptText) {
+        await transcriptService.saveTranscriptTurns(callRecord.id, event);
+      }
 
-      // Send notifications since call is now complete with transcript
+      // Send notifications since call is now complete with transcript (spam stays in quarantine)
       let notificationResult = null;
-      if (extractedInfo.call_summary) {
-        notificationResult = await notificationService.sendAllNotifications(callRecord, business);
+      if (callRecord.is_spam) {
+        logger.info('Notifications skipped for spam call', {
+          callId: callRecord.id,
+          spamScore: callRecord.spam_score
+        });
+      } else if (extractedInfo.call_headline) {
+        notificationResult = await notificationService.sendAllNotifications(callRecord, business, { isUpdate });
         
         // Update call record with notification status
         await this.updateCallNotificationStatus(callRecord.id, notificationResult.overall.success);
       }
 
+      await this.escalateIfEmergency(callRecord, business);
+
       return {
         success: true,
         call_id: callRecord.id,
         business_id: business.id,
         event_type: 'call_analyzed',
+        call_state: lifecycle.state,
+        is_update: isUpdate,
+        is_spam: !!callRecord.is_spam,
         notifications_sent: notificationResult?.overall.success || false,
         extracted_info: extractedInfo,
-        message: 'Call analyzed and notifications sent'
+        message: isUpdate ? 'Call analysis updated and notifications sent' : 'Call analyzed and notifications sent'
       };
 
     } catch (error) {
       logger.error('Failed to handle call analyzed', {
         error: error.message,
-        callId: webhookData.call_id
+        callId: event.call_id
       });
       throw error;
     }
@@ -211,65 +401,70 @@ class WebhookController {
 
   /**
    * Handle legacy webhook format (call_status based)
-   * @param {Object} webhookData - Webhook data
+   * @param {CallEvent} event - Normalized call event
    * @param {Object} business - Business data
    * @returns {Promise<Object>} Processing result
    */
-  async handleLegacyWebhook(webhookData, business) {
+  async handleLegacyWebhook(event, business) {
     try {
       logger.info('Processing legacy webhook format', {
-        callId: webhookData.call_id,
-        callStatus: webhookData.call_status,
+        callId: event.call_id,
+        callStatus: event.call_status,
         businessId: business.id
       });
 
       // Extract information from transcript if call completed
       let extractedInfo = {};
+      let spam = null;
       
-      let transcriptText = webhookData.transcript || 
-                          webhookData.transcript_text || 
-                          webhookData.conversation || 
-                          webhookData.call_summary ||
-                          webhookData.summary;
+      const transcriptText = event.transcript;
       
-      if (webhookData.call_status === 'completed' && transcriptText) {
+      if (event.call_status === 'completed') {
+        spam = await spamService.assess(event, business);
+      }
+
+      if (event.call_status === 'completed' && transcriptText) {
         logger.info('Processing completed call with transcript', {
-          callId: webhookData.call_id,
+          callId: event.call_id,
           transcriptLength: transcriptText.length
         });
         
-        extractedInfo = extractCallInformation(transcriptText);
-        logger.info('Information extracted from transcript', {
-          callId: webhookData.call_id,
-          extractedInfo
-        });
+        extractedInfo = await extractionService.extract(event, business);
       } else {
         logger.warn('No transcript available for extraction', {
-          callId: webhookData.call_id,
-          callStatus: webhookData.call_status,
+          callId: event.call_id,
+          callStatus: event.call_status,
           hasTranscript: !!transcriptText
         });
       }
 
       // Create or update call record
-      const callRecord = await this.createOrUpdateCall(webhookData, business.id, extractedInfo, webhookData.call_status);
+      const lifecycle = await this.applyCallEvent(event, business.id, extractedInfo, spam);
+      const callRecord = lifecycle.call;
+
+      if (event.call_status === 'completed' && transcriptText) {
+        await transcriptService.saveTranscriptTurns(callRecord.id, event);
+      }
 
       // Send notifications if call completed
       let notificationResult = null;
-      if (webhookData.call_status === 'completed') {
+      if (event.call_status === 'completed' && !callRecord.is_spam) {
         notificationResult = await notificationService.sendAllNotifications(callRecord, business);
         
         // Update call record with notification status
         await this.updateCallNotificationStatus(callRecord.id, notificationResult.overall.success);
+        await this.escalateIfEmergency(callRecord, business);
       }
 
       // Update analytics
-      await this.updateCallAnalytics(business.id, webhookData.call_status === 'completed');
+      await this.trackLifecycleAnalytics(business.id, lifecycle, spam);
 
       return {
         success: true,
         call_id: callRecord.id,
         business_id: business.id,
+        call_state: lifecycle.state,
+        is_spam: !!callRecord.is_spam,
         notifications_sent: notificationResult?.overall.success || false,
         extracted_info: extractedInfo
       };
@@ -277,7 +472,7 @@ class WebhookController {
     } catch (error) {
       logger.error('Failed to handle legacy webhook', {
         error: error.message,
-        callId: webhookData.call_id
+        callId: event.call_id
       });
       throw error;
     }
@@ -330,105 +525,30 @@ class WebhookController {
    * @returns {string} Normalized phone number
    */
   normalizePhoneNumber(phoneNumber) {
-    if (!phoneNumber) return null;
-    
-    // Remove all non-digit characters
-    const cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Handle different formats
-    if (cleaned.length === 10) {
-      return `+1${cleaned}`;
-    } else if (cleaned.length === 11 && cleaned.startsWith('1')) {
-      return `+${cleaned}`;
-    } else if (cleaned.length === 11) {
-      return `+${cleaned}`;
-    } else {
-      return `+${cleaned}`;
-    }
+    return normalizePhoneNumber(phoneNumber);
   }
 
   /**
-   * Create or update call record
-   * @param {Object} webhookData - Webhook data from Retell AI
+   * Apply a call event to its call record through the lifecycle state machine
+   * @param {CallEvent} event - Normalized call event
    * @param {string} businessId - Business ID
    * @param {Object} extractedInfo - Extracted caller information
-   * @param {string} callStatus - Status of the call (e.g., 'completed', 'in-progress')
-   * @returns {Promise<Object>} Call record
+   * @param {Object|null} spam - Spam verdict from spamService.assess (null leaves the stored one)
+   * @returns {Promise<Object>} Lifecycle result ({ call, previousState, state, transitioned, created })
    */
-  async createOrUpdateCall(webhookData, businessId, extractedInfo, callStatus) {
+  async applyCallEvent(event, businessId, extractedInfo = {}, spam = null) {
     try {
-      // Get transcript text from webhook data
-      const transcriptText = webhookData.transcript || 
-                            webhookData.transcript_text || 
-                            webhookData.conversation || 
-                            webhookData.call_summary ||
-                            webhookData.summary;
-      
-      const callData = {
-        business_id: businessId,
-        caller_name: extractedInfo.name,
-        callback_number: extractedInfo.callback_number,
-        address: extractedInfo.address,
-        reason: extractedInfo.reason,
-        call_summary: extractedInfo.call_summary,
-        recording_url: webhookData.recording_url,
-        transcript_text: transcriptText,
-        duration: webhookData.call_duration || 0,
-        call_status: callStatus, // Use the provided callStatus
-        from_number: webhookData.from_number,
-        to_number: webhookData.to_number,
-        // Calculate cost based on duration (Retell AI pricing: $0.091/minute)
-        cost: webhookData.call_duration ? (webhookData.call_duration / 60) * 0.091 : 0
+      const plan = await pricingService.getPlanForBusiness(businessId);
+      const fields = {
+        ...this.buildCallFields(event, businessId, extractedInfo),
+        ...this.buildSpamFields(spam),
+        ...planToCallFields(plan)
       };
-
-      // Check if call already exists (update) or create new
-      const { data: existingCall, error: fetchError } = await supabase
-        .from('calls')
-        .select('id')
-        .eq('id', webhookData.call_id)
-        .single();
-
-      let result;
-      if (existingCall && !fetchError) {
-        // Update existing call
-        const { data, error } = await supabase
-          .from('calls')
-          .update(callData)
-          .eq('id', webhookData.call_id)
-          .select()
-          .single();
-
-        if (error) {
-          throw new Error(`Failed to update call: ${error.message}`);
-        }
-
-        result = data;
-        logger.info('Call record updated', { callId: webhookData.call_id });
-      } else {
-        // Create new call with webhook call_id
-        const { data, error } = await supabase
-          .from('calls')
-          .insert({
-            id: webhookData.call_id, // Use Retell AI call ID
-            ...callData
-          })
-          .select()
-          .single();
-
-        if (error) {
-          throw new Error(`Failed to create call: ${error.message}`);
-        }
-
-        result = data;
-        logger.info('Call record created', { callId: webhookData.call_id });
-      }
-
-      return result;
-
+      return await callLifecycleService.applyEvent(event, fields);
     } catch (error) {
       logger.error('Error creating/updating call record', {
         error: error.message,
-        webhookData,
+        event,
         businessId
       });
       throw error;
@@ -436,32 +556,150 @@ class WebhookController {
   }
 
   /**
-   * Update call status
-   * @param {string} callId - Call ID
-   * @param {string} status - New status (e.g., 'completed', 'in-progress')
-   * @returns {Promise<Object>} Updated call record
+   * Build the call record fields an event carries (unknown values are left null so
+   * they never overwrite what an earlier event stored). Cost is computed from the
+   * merged duration by the lifecycle service.
+   * @param {CallEvent} event - Normalized call event
+   * @param {string} businessId - Business ID
+   * @param {Object} extractedInfo - Extracted caller information
+   * @returns {Object} Call fields
    */
-  async updateCallStatus(callId, status) {
-    try {
-      const { data, error } = await supabase
-        .from('calls')
-        .update({ call_status: status })
-        .eq('id', callId)
-        .select()
-        .single();
+  buildCallFields(event, businessId, extractedInfo) {
+    return {
+      business_id: businessId,
+      caller_name: extractedInfo.name,
+      callback_number: extractedInfo.callback_number,
+      address: extractedInfo.address,
+      ...this.buildAddressFields(extractedInfo.address_components),
+      reason: extractedInfo.reason,
+      email: extractedInfo.email,
+      ...this.buildPreferredTimeFields(extractedInfo.preferred_time),
+      call_headline: extractedInfo.call_headline,
+      call_summary: extractedInfo.call_summary,
+      summary_source: extractedInfo.sources ? extractedInfo.sources.call_summary || null : null,
+      urgency: extractedInfo.urgency ? extractedInfo.urgency.level : null,
+      urgency_signals: extractedInfo.urgency && extractedInfo.urgency.signals.length > 0 ? extractedInfo.urgency.signals : null,
+      details: nonEmpty(extractedInfo.details),
+      user_sentiment: extractedInfo.user_sentiment,
+      call_successful: extractedInfo.call_successful,
+      sentiment: extractedInfo.sentiment,
+      outcome: extractedInfo.outcome,
+      language: extractedInfo.language,
+      extraction_sources: nonEmpty(extractedInfo.sources),
+      extraction_confidence: nonEmpty(extractedInfo.confidence),
+      extraction_spans: nonEmpty(extractedInfo.spans),
+      extraction_provider: extractedInfo.provider ? extractedInfo.provider.name : null,
+      extraction_provider_version: extractedInfo.provider ? extractedInfo.provider.version : null,
+      recording_url: event.recording_url,
+      transcript_text: event.transcript,
+      // Derived from start/end timestamps when Retell sends them
+      duration: Number.isFinite(event.duration_seconds) ? event.duration_seconds : null,
+      from_number: event.from_number,
+      to_number: event.to_number,
+      disconnection_reason: event.disconnection_reason,
+      started_at: event.start_timestamp ? new Date(event.start_timestamp).toISOString() : null,
+      ended_at: event.end_timestamp ? new Date(event.end_timestamp).toISOString() : null
+    };
+  }
 
-      if (error) {
-        throw new Error(`Failed to update call status: ${error.message}`);
-      }
-      logger.info('Call status updated', { callId, status });
-      return data;
+  /**
+   * Map parsed address components to their call columns
+   * @param {Object|null} components - Components from parseAddress
+   * @returns {Object} Address columns (all null when the address did not parse)
+   */
+  buildAddressFields(components) {
+    const parts = components || {};
+    return {
+      address_street_number: parts.street_number || null,
+      address_street_name: parts.street_name || null,
+      address_unit: parts.unit || null,
+      address_city: parts.city || null,
+      address_state: parts.state || null,
+      address_zip: parts.zip || null
+    };
+  }
+
+  /**
+   * Map the caller's preferred appointment window to its call columns
+   * @param {Object|null} preferredTime - { phrase, start, end } from the extractor
+   * @returns {Object} Preferred time columns (all null when none was mentioned)
+   */
+  buildPreferredTimeFields(preferredTime) {
+    const time = preferredTime || {};
+    return {
+      preferred_time_phrase: time.phrase || null,
+      preferred_time_start: time.start || null,
+      preferred_time_end: time.end || null
+    };
+  }
+
+  /**
+   * Map a spam verdict to its call columns
+   * @param {Object|null} spam - { score, is_spam, signals } from spamService.assess
+   * @returns {Object} Spam columns (all null when the call was not scored)
+   */
+  buildSpamFields(spam) {
+    if (!spam) {
+      return { is_spam: null, spam_score: null, spam_signals: null };
+    }
+    return {
+      is_spam: spam.is_spam,
+      spam_score: spam.score,
+      spam_signals: spam.signals.length > 0 ? spam.signals : null
+    };
+  }
+
+  /**
+   * Count a call in the daily analytics when it is first seen and when it first ends,
+   * so retried or out-of-order events are not counted twice, and count its sentiment
+   * and outcome once classified. Spam calls are counted in spam_calls instead.
+   * @param {string} businessId - Business ID
+   * @param {Object} lifecycle - Lifecycle result from applyCallEvent
+   * @param {Object|null} spam - Spam verdict this event set
+   * @returns {Promise<void>}
+   */
+  async trackLifecycleAnalytics(businessId, lifecycle, spam = null) {
+    if (spam && spam.is_spam) {
+      // Take back what the call's earlier events counted
+      await spamService.moveAnalytics(businessId, {
+        started: !lifecycle.created,
+        completed: isTerminalState(lifecycle.previousState)
+      }, true, lifecycle.call.created_at);
+      return;
+    }
+    if (lifecycle.call.is_spam) {
+      return;
+    }
+
+    if (lifecycle.created) {
+      await this.updateCallAnalytics(businessId, false, 'started', lifecycle.call.created_at);
+    }
+    if (lifecycle.transitioned && isTerminalState(lifecycle.state) && !isTerminalState(lifecycle.previousState)) {
+      await this.updateCallAnalytics(businessId, true, 'completed', lifecycle.call.created_at);
+    }
+    await this.updateClassificationAnalytics(businessId, lifecycle.previous || {}, lifecycle.call);
+  }
+
+  /**
+   * Page the on-call contact for an emergency call. Escalation problems are logged rather
+   * than failing the event, which would resend the owner's notifications on retry.
+   * @param {Object} callRecord - Stored call record
+   * @param {Object} business - Business data
+   * @returns {Promise<void>}
+   */
+  async escalateIfEmergency(callRecord, business) {
+    if (callRecord.urgency !== URGENCY.EMERGENCY || callRecord.is_spam) {
+      return;
+    }
+
+    try {
+      await escalationService.startEscalation(callRecord, business);
     } catch (error) {
-      logger.error('Exception updating call status', {
+      logger.error('Failed to start emergency escalation', {
         error: error.message,
-        callId,
-        status
+        callId: callRecord.id,
+        businessId: business.id
       });
-      throw error;
     }
   }
 
@@ -497,18 +735,19 @@ class WebhookController {
    * @param {string} businessId - Business ID
    * @param {boolean} callCompleted - Whether call was completed successfully
    * @param {string} eventType - Type of event (e.g., 'started', 'completed')
+   * @param {string|null} createdAt - The call's created_at; counted on that day (see getAnalyticsDate)
    * @returns {Promise<void>}
    */
-  async updateCallAnalytics(businessId, callCompleted, eventType) {
+  async updateCallAnalytics(businessId, callCompleted, eventType, createdAt = null) {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const date = getAnalyticsDate(createdAt);
 
-      // Get or create analytics record for today
+      // Get or create analytics record for the call's day
       const { data: existingAnalytics, error: fetchError } = await supabase
         .from('call_analytics')
         .select('*')
         .eq('business_id', businessId)
-        .eq('date', today)
+        .eq('date', date)
         .single();
 
       if (existingAnalytics && !fetchError) {
@@ -532,14 +771,14 @@ class WebhookController {
           logger.error('Failed to update call analytics', {
             error: error.message,
             businessId,
-            date: today
+            date
           });
         }
       } else {
         // Create new record
         const analyticsData = {
           business_id: businessId,
-          date: today,
+          date,
           total_calls: 1,
           successful_notifications: eventType === 'completed' ? 1 : 0,
           failed_notifications: eventType === 'completed' ? 0 : 1
@@ -553,7 +792,7 @@ class WebhookController {
           logger.error('Failed to create call analytics', {
             error: error.message,
             businessId,
-            date: today
+            date
           });
         }
       }
@@ -566,22 +805,83 @@ class WebhookController {
   }
 
   /**
-   * Log failed webhook processing
+   * Update the call's day's sentiment and outcome counts when its classification changes
+   * (a re-sent analysis moves the call from its old values to the new ones)
+   * @param {string} businessId - Business ID
+   * @param {Object} previous - Call record before the event
+   * @param {Object} call - Call record after the event
+   * @returns {Promise<void>}
+   */
+  async updateClassificationAnalytics(businessId, previous, call) {
+    const sentimentChanged = (previous.sentiment || null) !== (call.sentiment || null);
+    const outcomeChanged = (previous.outcome || null) !== (call.outcome || null);
+    if (!sentimentChanged && !outcomeChanged) {
+      return;
+    }
+
+    const date = getAnalyticsDate(call.created_at);
+
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('call_analytics')
+        .select('*')
+        .eq('business_id', businessId)
+        .eq('date', date)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(fetchError.message);
+      }
+
+      let sentimentCounts = existing ? existing.sentiment_counts : null;
+      let outcomeCounts = existing ? existing.outcome_counts : null;
+      if (sentimentChanged) {
+        sentimentCounts = adjustCount(adjustCount(sentimentCounts, previous.sentiment, -1), call.sentiment, 1);
+      }
+      if (outcomeChanged) {
+        outcomeCounts = adjustCount(adjustCount(outcomeCounts, previous.outcome, -1), call.outcome, 1);
+      }
+
+      const counts = { sentiment_counts: sentimentCounts || {}, outcome_counts: outcomeCounts || {} };
+      const { error } = existing
+        ? await supabase.from('call_analytics').update(counts).eq('id', existing.id)
+        : await supabase.from('call_analytics').insert({ business_id: businessId, date, ...counts });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      logger.error('Failed to update sentiment and outcome analytics', {
+        error: error.message,
+        businessId,
+        date
+      });
+    }
+  }
+
+  /**
+   * Log failed webhook processing and store it in the dead-letter table for replay
    * @param {Object} webhookData - Original webhook data
    * @param {string} errorMessage - Error message
+   * @param {string} failedWebhookId - Existing dead-letter entry (when replaying)
    * @returns {Promise<void>}
    */
-  async logFailedWebhook(webhookData, errorMessage) {
+  async logFailedWebhook(webhookData, errorMessage, failedWebhookId = null) {
     try {
-      // This could be expanded to store failed webhooks for retry processing
-      logger.error('Failed webhook logged', {
-        webhookData,
+      const entry = await failedWebhookService.recordFailure(webhookData, errorMessage, failedWebhookId);
+
+      logger.error('Failed webhook stored for replay', {
+        failedWebhookId: entry.id,
+        callId: entry.call_id,
+        eventType: entry.event_type,
+        attemptCount: entry.attempt_count,
         errorMessage,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
-      logger.error('Failed to log failed webhook', {
+      logger.error('Failed to store failed webhook', {
         error: error.message,
+        errorMessage,
         webhookData
       });
     }
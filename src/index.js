@@ -8,6 +8,10 @@ const rateLimit = require('express-rate-limit');
 
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
+const { captureRawBody } = require('./middleware/webhookSignature');
+const { getJobWorker } = require('./services/queue');
+const webhookQueueService = require('./services/webhookQueueService');
+const escalationService = require('./services/escalationService');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -35,9 +39,9 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (raw body is kept for webhook signature verification)
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody }));
 
 // Simple request logging (only in development)
 if (process.env.NODE_ENV === 'development') {
@@ -51,9 +55,11 @@ if (process.env.NODE_ENV === 'development') {
 const webhookRoutes = require('./routes/webhooks');
 const businessRoutes = require('./routes/businesses');
 const healthRoutes = require('./routes/health');
+const adminRoutes = require('./routes/admin');
 
 app.use('/webhook', webhookRoutes);
 app.use('/api/businesses', businessRoutes);
+app.use('/api/admin', adminRoutes);
 app.use('/', healthRoutes);
 
 // 404 handler
@@ -68,21 +74,26 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
+// Graceful shutdown - let running jobs finish before exiting
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down gracefully`);
+  await getJobWorker().stop();
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+// Start server and background worker (skipped when the app is required by tests)
+if (require.main === module) {
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 AI Receptionist server running on port ${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/health`);
-});
+  webhookQueueService.registerHandlers();
+  escalationService.registerHandlers();
+  getJobWorker().start();
+
+  app.listen(PORT, () => {
+    console.log(`🚀 AI Receptionist server running on port ${PORT}`);
+    console.log(`📊 Health check: http://localhost:${PORT}/health`);
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('./errorHandler');
+
+/**
+ * Middleware that requires the x-admin-key header to match ADMIN_API_KEY
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    logger.error('Rejecting admin request - ADMIN_API_KEY is not configured', {
+      path: req.originalUrl
+    });
+    return next(new UnauthorizedError('Admin API is not configured'));
+  }
+
+  const provided = Buffer.from(req.get('x-admin-key') || '');
+  const expected = Buffer.from(adminKey);
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    logger.warn('Rejected admin request with invalid key', {
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return next(new UnauthorizedError('Invalid admin key'));
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAdminKey
+};
@@ -51,6 +51,7 @@ function errorHandler(err, req, res, next) {
     error: {
       message,
       statusCode,
+      ...(err.details && { details: err.details }),
       ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
     },
     timestamp: new Date().toISOString()
@@ -70,10 +71,11 @@ function asyncHandler(fn) {
  * Custom error classes
  */
 class ValidationError extends Error {
-  constructor(message = 'Validation Error') {
+  constructor(message = 'Validation Error', details = null) {
     super(message);
     this.name = 'ValidationError';
     this.statusCode = 400;
+    this.details = details;
   }
 }
 
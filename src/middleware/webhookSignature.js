@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('./errorHandler');
+
+// Retell signs each delivery as `v=<timestamp ms>,d=<hex digest>`
+const SIGNATURE_HEADER = 'x-retell-signature';
+const SIGNATURE_FORMAT = /^v=(\d+),d=([a-f0-9]+)$/i;
+
+// Default tolerance for signature timestamps (5 minutes)
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * express.json `verify` hook that keeps the raw request body for signature checks
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} buf - Raw body buffer
+ */
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+/**
+ * Get the configured webhook secrets (current first, then previous for rotation)
+ * @returns {Array<string>} Secrets to try
+ */
+function getWebhookSecrets() {
+  return [
+    process.env.RETELL_WEBHOOK_SECRET,
+    process.env.RETELL_WEBHOOK_SECRET_PREVIOUS
+  ].filter(secret => secret && secret.trim().length > 0);
+}
+
+/**
+ * Check whether signature verification is bypassed (never in production)
+ * @returns {boolean} Whether verification should be skipped
+ */
+function isVerificationBypassed() {
+  if (process.env.RETELL_WEBHOOK_SKIP_VERIFICATION !== 'true') {
+    return false;
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    logger.warn('RETELL_WEBHOOK_SKIP_VERIFICATION is ignored in production');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Compute the Retell signature digest for a payload
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number|string} timestamp - Signature timestamp in milliseconds
+ * @returns {string} Hex encoded HMAC-SHA256 digest
+ */
+function computeSignature(rawBody, secret, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(Buffer.concat([Buffer.from(rawBody || ''), Buffer.from(String(timestamp))]))
+    .digest('hex');
+}
+
+/**
+ * Build a signature header value (useful for tests and local tooling)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Signature timestamp in milliseconds
+ * @returns {string} Header value
+ */
+function signPayload(rawBody, secret, timestamp = Date.now()) {
+  return `v=${timestamp},d=${computeSignature(rawBody, secret, timestamp)}`;
+}
+
+/**
+ * Verify a signature header against the raw body
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signatureHeader - Value of the x-retell-signature header
+ * @param {Array<string>} secrets - Secrets to try
+ * @param {Object} options - Verification options
+ * @param {number} options.toleranceMs - Maximum signature age
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {{valid: boolean, reason: string|null}} Verification result
+ */
+function verifySignature(rawBody, signatureHeader, secrets, options = {}) {
+  const toleranceMs = options.toleranceMs || DEFAULT_TOLERANCE_MS;
+  const now = options.now || Date.now();
+
+  if (!signatureHeader) {
+    return { valid: false, reason: 'Missing signature' };
+  }
+
+  const match = signatureHeader.trim().match(SIGNATURE_FORMAT);
+  if (!match) {
+    return { valid: false, reason: 'Malformed signature' };
+  }
+
+  const timestamp = Number(match[1]);
+  const digest = match[2].toLowerCase();
+
+  if (Math.abs(now - timestamp) > toleranceMs) {
+    return { valid: false, reason: 'Stale signature' };
+  }
+
+  const provided = Buffer.from(digest, 'hex');
+  const matched = secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(rawBody, secret, timestamp), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  });
+
+  return matched
+    ? { valid: true, reason: null }
+    : { valid: false, reason: 'Invalid signature' };
+}
+
+/**
+ * Middleware that rejects Retell webhooks without a valid signature
+ */
+function verifyRetellSignature(req, res, next) {
+  if (isVerificationBypassed()) {
+    return next();
+  }
+
+  const secrets = getWebhookSecrets();
+  if (secrets.length === 0) {
+    logger.error('Rejecting webhook - RETELL_WEBHOOK_SECRET is not configured', {
+      path: req.originalUrl
+    });
+    return next(new UnauthorizedError('Webhook signature verification is not configured'));
+  }
+
+  const toleranceMs = parseInt(process.env.RETELL_WEBHOOK_TOLERANCE_MS) || DEFAULT_TOLERANCE_MS;
+  const { valid, reason } = verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), secrets, { toleranceMs });
+
+  if (!valid) {
+    logger.warn('Rejected webhook with invalid signature', {
+      reason,
+      path: req.originalUrl,
+      ip: req.ip
+    });
+    return next(new UnauthorizedError(reason));
+  }
+
+  next();
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  captureRawBody,
+  computeSignature,
+  signPayload,
+  verifySignature,
+  verifyRetellSignature
+};
@@ -0,0 +1,120 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireAdminKey } = require('../middleware/adminAuth');
+const failedWebhookController = require('../controllers/failedWebhookController');
+const functionController = require('../controllers/functionController');
+
+const router = express.Router();
+
+router.use(requireAdminKey);
+
+/**
+ * GET /api/admin/failed-webhooks
+ * List dead-lettered webhooks
+ */
+router.get('/failed-webhooks', [
+  query('status').optional().isIn(['pending', 'replayed', 'discarded', 'all']).withMessage('Invalid status'),
+  query('call_id').optional().isString().withMessage('Call ID must be a string'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await failedWebhookController.listFailedWebhooks(req.query);
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/failed-webhooks/replay
+ * Replay several dead-lettered webhooks (given IDs, or the oldest pending ones)
+ */
+router.post('/failed-webhooks/replay', [
+  body('ids').optional().isArray({ min: 1, max: 100 }).withMessage('IDs must be an array of 1-100 entries'),
+  body('ids.*').optional().isUUID().withMessage('Invalid failed webhook ID format'),
+  body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await failedWebhookController.replayFailedWebhooks(req.body);
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/failed-webhooks/:id
+ * Inspect a dead-lettered webhook and its payload
+ */
+router.get('/failed-webhooks/:id', [
+  param('id').isUUID().withMessage('Invalid failed webhook ID format')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await failedWebhookController.getFailedWebhook(req.params.id);
+  res.json(result);
+}));
+
+/**
+ * POST /api/admin/failed-webhooks/:id/replay
+ * Replay a single dead-lettered webhook
+ */
+router.post('/failed-webhooks/:id/replay', [
+  param('id').isUUID().withMessage('Invalid failed webhook ID format')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await failedWebhookController.replayFailedWebhook(req.params.id);
+  res.status(result.success ? 200 : 502).json(result);
+}));
+
+/**
+ * DELETE /api/admin/failed-webhooks/:id
+ * Discard a dead-lettered webhook
+ */
+router.delete('/failed-webhooks/:id', [
+  param('id').isUUID().withMessage('Invalid failed webhook ID format')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await failedWebhookController.discardFailedWebhook(req.params.id);
+  res.json(result);
+}));
+
+/**
+ * GET /api/admin/functions
+ * List the custom functions agents can call, with argument schemas for Retell agent setup
+ */
+router.get('/functions', (req, res) => {
+  res.json(functionController.listFunctions());
+});
+
+module.exports = router;
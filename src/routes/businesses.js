@@ -1,7 +1,10 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const { asyncHandler } = require('../middleware/errorHandler');
 const businessController = require('../controllers/businessController');
+const { isValidTimezone, isValidBusinessHours } = require('../utils/businessHours');
+const { SENTIMENTS, OUTCOMES } = require('../utils/callOutcome');
+const { getAvailableBusinessTypes } = require('../services/promptTemplateService');
 
 const router = express.Router();
 
@@ -17,7 +20,11 @@ router.post('/', [
   body('retell_agent_id').notEmpty().trim().withMessage('Retell agent ID is required'),
   body('phone_number').notEmpty().trim().withMessage('Phone number is required'),
   body('area_code').notEmpty().trim().isLength({ min: 3, max: 3 }).withMessage('Area code must be 3 digits'),
-  body('custom_instructions').optional().isString().withMessage('Custom instructions must be a string')
+  body('custom_instructions').optional().isString().withMessage('Custom instructions must be a string'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+  body('business_hours').optional({ values: 'null' }).custom(isValidBusinessHours).withMessage('Business hours must map weekdays to { open, close } times (HH:MM) or null'),
+  body('after_hours_agent_id').optional({ values: 'null' }).isString().trim().withMessage('After-hours agent ID must be a string'),
+  body('business_type').optional({ values: 'null' }).isString().trim().toLowerCase().isIn(getAvailableBusinessTypes()).withMessage(`Business type must be one of: ${getAvailableBusinessTypes().join(', ')}`)
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -52,14 +59,16 @@ router.get('/:id', [
 
 /**
  * GET /api/businesses/:id/calls
- * Get call history for a business
+ * Get call history for a business (?sentiment= and ?outcome= filter it)
  */
 router.get('/:id/calls', [
   param('id').isUUID().withMessage('Invalid business ID format'),
   body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   body('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
   body('start_date').optional().isISO8601().withMessage('Start date must be a valid ISO date'),
-  body('end_date').optional().isISO8601().withMessage('End date must be a valid ISO date')
+  body('end_date').optional().isISO8601().withMessage('End date must be a valid ISO date'),
+  query('sentiment').optional().isIn(SENTIMENTS).withMessage(`sentiment must be one of: ${SENTIMENTS.join(', ')}`),
+  query('outcome').optional().isIn(OUTCOMES).withMessage(`outcome must be one of: ${OUTCOMES.join(', ')}`)
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -73,6 +82,135 @@ router.get('/:id/calls', [
   res.json(result);
 }));
 
+/**
+ * GET /api/businesses/:id/calls/quarantine
+ * List calls flagged as spam, with their spam score and signals
+ */
+router.get('/:id/calls/quarantine', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.getQuarantinedCalls(req.params.id, req.query);
+  res.json(result);
+}));
+
+/**
+ * POST /api/businesses/:id/calls/:callId/unflag
+ * Un-flag a quarantined call (not spam): it returns to the call history and analytics
+ */
+router.post('/:id/calls/:callId/unflag', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  param('callId').notEmpty().withMessage('Call ID is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.unflagSpamCall(req.params.id, req.params.callId);
+  res.json(result);
+}));
+
+/**
+ * GET /api/businesses/:id/calls/:callId/transcript
+ * Get speaker-separated transcript turns for a call (?highlight=true marks the caller's words)
+ */
+router.get('/:id/calls/:callId/transcript', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  param('callId').notEmpty().withMessage('Call ID is required'),
+  query('highlight').optional().isBoolean().withMessage('highlight must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.getCallTranscript(req.params.id, req.params.callId, {
+    highlight: req.query.highlight === 'true'
+  });
+  res.json(result);
+}));
+
+/**
+ * GET /api/businesses/:id/calls/:callId/events
+ * Get a call's lifecycle state and event timeline
+ */
+router.get('/:id/calls/:callId/events', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  param('callId').notEmpty().withMessage('Call ID is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.getCallTimeline(req.params.id, req.params.callId);
+  res.json(result);
+}));
+
+/**
+ * GET /api/businesses/:id/calls/:callId/functions
+ * Get the custom functions the agent called during a call, with arguments and results
+ */
+router.get('/:id/calls/:callId/functions', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  param('callId').notEmpty().withMessage('Call ID is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.getCallFunctionInvocations(req.params.id, req.params.callId);
+  res.json(result);
+}));
+
+/**
+ * GET /api/businesses/:id/calls/:callId/escalation/acknowledge
+ * Acknowledge an emergency escalation and stop its alerts (the link in the Slack alert, so a GET)
+ */
+router.get('/:id/calls/:callId/escalation/acknowledge', [
+  param('id').isUUID().withMessage('Invalid business ID format'),
+  param('callId').isUUID().withMessage('Invalid call ID format'),
+  query('token').notEmpty().withMessage('Acknowledge token is required'),
+  query('acknowledged_by').optional().isString().trim().isLength({ max: 255 }).withMessage('acknowledged_by must be a string of up to 255 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await businessController.acknowledgeEscalation(req.params.id, req.params.callId, {
+    token: req.query.token,
+    acknowledgedBy: req.query.acknowledged_by || null
+  });
+  res.json(result);
+}));
+
 /**
  * PUT /api/businesses/:id
  * Update business information
@@ -84,6 +222,10 @@ router.put('/:id', [
   body('owner_phone').optional().trim().notEmpty().withMessage('Owner phone cannot be empty'),
   body('slack_webhook_url').optional().isURL().withMessage('Slack webhook must be a valid URL'),
   body('custom_instructions').optional().isString().withMessage('Custom instructions must be a string'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Timezone must be a valid IANA timezone'),
+  body('business_hours').optional({ values: 'null' }).custom(isValidBusinessHours).withMessage('Business hours must map weekdays to { open, close } times (HH:MM) or null'),
+  body('after_hours_agent_id').optional({ values: 'null' }).isString().trim().withMessage('After-hours agent ID must be a string'),
+  body('business_type').optional({ values: 'null' }).isString().trim().toLowerCase().isIn(getAvailableBusinessTypes()).withMessage(`Business type must be one of: ${getAvailableBusinessTypes().join(', ')}`),
   body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -139,7 +139,8 @@ router.get('/', (req, res) => {
       'health-database': '/health/database',
       metrics: '/metrics',
       webhooks: '/webhook',
-      businesses: '/api/businesses'
+      businesses: '/api/businesses',
+      admin: '/api/admin'
     },
     documentation: 'See README.md for API documentation',
     timestamp: new Date().toISOString()
@@ -1,23 +1,46 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { verifyRetellSignature } = require('../middleware/webhookSignature');
+const webhookQueueService = require('../services/webhookQueueService');
 const webhookController = require('../controllers/webhookController');
+const functionController = require('../controllers/functionController');
+const { normalizeRetellEvent } = require('../utils/retellPayload');
 
 const router = express.Router();
 
+// Legacy statuses plus the statuses Retell reports on the nested call object
+const CALL_STATUSES = ['completed', 'failed', 'in-progress', 'registered', 'ongoing', 'ended', 'error', 'not_connected'];
+
+/**
+ * Replace the request body with the normalized call event so validators see one model
+ * for both payload shapes. The payload as received is kept on req.rawPayload.
+ */
+function normalizeRetellPayload(req, res, next) {
+  req.rawPayload = req.body;
+  req.body = normalizeRetellEvent(req.body);
+  next();
+}
+
 /**
  * POST /webhook/retell
  * Handle call events from Retell AI (call_started, call_ended, call_analyzed)
+ * Accepts both the legacy flat payload and the nested { event, call } payload.
+ * Requests must carry a valid x-retell-signature header. Events are persisted
+ * and acknowledged immediately, then processed by the background worker.
  */
-router.post('/retell', [
+router.post('/retell', verifyRetellSignature, normalizeRetellPayload, [
   body('call_id').notEmpty().withMessage('Call ID is required'),
   body('to_number').notEmpty().withMessage('To number (business phone) is required'),
-  body('event_type').optional().isIn(['call_started', 'call_ended', 'call_analyzed']).withMessage('Invalid event type'),
-  body('call_status').optional().isIn(['completed', 'failed', 'in-progress']).withMessage('Invalid call status'),
-  body('transcript').optional().isString().withMessage('Transcript must be a string'),
-  body('recording_url').optional().isURL().withMessage('Recording URL must be a valid URL'),
-  body('from_number').optional().isString().withMessage('From number must be a string'),
-  body('agent_id').optional().isString().withMessage('Agent ID is optional')
+  body('event_type').optional({ values: 'null' }).isIn(['call_started', 'call_ended', 'call_analyzed']).withMessage('Invalid event type'),
+  body('call_status').optional({ values: 'null' }).isIn(CALL_STATUSES).withMessage('Invalid call status'),
+  body('transcript').optional({ values: 'null' }).isString().withMessage('Transcript must be a string'),
+  body('transcript_object').optional({ values: 'null' }).isArray().withMessage('Transcript object must be an array'),
+  body('recording_url').optional({ values: 'null' }).isURL().withMessage('Recording URL must be a valid URL'),
+  body('from_number').optional({ values: 'null' }).isString().withMessage('From number must be a string'),
+  body('agent_id').optional({ values: 'null' }).isString().withMessage('Agent ID is optional'),
+  body('start_timestamp').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('Start timestamp must be in milliseconds'),
+  body('end_timestamp').optional({ values: 'null' }).isInt({ min: 0 }).withMessage('End timestamp must be in milliseconds')
 ], asyncHandler(async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
@@ -28,7 +51,62 @@ router.post('/retell', [
     });
   }
 
-  const result = await webhookController.handleRetellWebhook(req.body);
+  const job = await webhookQueueService.enqueueWebhook(req.rawPayload);
+  res.json({
+    success: true,
+    queued: true,
+    job_id: job.id,
+    call_id: req.body.call_id,
+    event_type: req.body.event_type || null
+  });
+}));
+
+/**
+ * POST /webhook/retell/inbound
+ * Handle Retell call_inbound events. Answered synchronously (Retell waits for the
+ * response before connecting the call) with per-business dynamic variables and an
+ * optional agent override.
+ */
+router.post('/retell/inbound', verifyRetellSignature, normalizeRetellPayload, [
+  body('event_type').equals('call_inbound').withMessage('Event must be call_inbound'),
+  body('to_number').notEmpty().withMessage('To number (business phone) is required'),
+  body('from_number').optional({ values: 'null' }).isString().withMessage('From number must be a string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await webhookController.handleCallInbound(req.rawPayload);
+  res.json(result);
+}));
+
+/**
+ * POST /webhook/retell/functions/:name
+ * Run a custom function the Retell agent calls during a conversation
+ * (check_service_area, get_business_hours, lookup_existing_customer, create_appointment_request).
+ * Payload: { name, call: { call_id, to_number, from_number, ... }, args }. The response body is
+ * the function result, which Retell hands back to the agent.
+ */
+router.post('/retell/functions/:name', verifyRetellSignature, [
+  param('name').matches(/^[a-z][a-z0-9_]*$/).withMessage('Invalid function name'),
+  body('call').isObject().withMessage('Call details are required'),
+  body('call.call_id').notEmpty().withMessage('Call ID is required'),
+  body('call.to_number').notEmpty().withMessage('To number (business phone) is required'),
+  body('args').optional({ values: 'null' }).isObject().withMessage('Arguments must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  const result = await functionController.handleFunctionCall(req.params.name, req.body);
   res.json(result);
 }));
 
@@ -0,0 +1,132 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+
+/**
+ * Business Settings Service - per-business key/value settings (business_settings table)
+ */
+class BusinessSettingsService {
+  /**
+   * Get all settings for a business
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Settings keyed by setting_key (raw string values)
+   */
+  async getSettings(businessId) {
+    const { data, error } = await supabase
+      .from('business_settings')
+      .select('setting_key, setting_value')
+      .eq('business_id', businessId);
+
+    if (error) {
+      logger.warn('Failed to load business settings', {
+        error: error.message,
+        businessId
+      });
+      return {};
+    }
+
+    const settings = {};
+    for (const row of data || []) {
+      settings[row.setting_key] = row.setting_value;
+    }
+    return settings;
+  }
+
+  /**
+   * Get a single setting
+   * @param {string} businessId - Business ID
+   * @param {string} key - Setting key
+   * @param {*} defaultValue - Value when the setting is missing
+   * @returns {Promise<string|*>} Raw setting value or the default
+   */
+  async getSetting(businessId, key, defaultValue = null) {
+    const settings = await this.getSettings(businessId);
+    return settings[key] !== undefined && settings[key] !== null ? settings[key] : defaultValue;
+  }
+
+  /**
+   * Get a setting holding a list, stored as a JSON array or a comma-separated string
+   * @param {string} businessId - Business ID
+   * @param {string} key - Setting key
+   * @returns {Promise<Array<string>|null>} List, or null when the setting is missing
+   */
+  async getListSetting(businessId, key) {
+    const value = await this.getSetting(businessId, key);
+    return this.parseListSetting(value);
+  }
+
+  /**
+   * Get a setting holding a JSON object
+   * @param {string} businessId - Business ID
+   * @param {string} key - Setting key
+   * @returns {Promise<Object|null>} Parsed object, or null when missing or invalid
+   */
+  async getJsonSetting(businessId, key) {
+    const value = await this.getSetting(businessId, key);
+    return this.parseJsonSetting(value);
+  }
+
+  /**
+   * Create or replace a setting
+   * @param {string} businessId - Business ID
+   * @param {string} key - Setting key
+   * @param {*} value - Value (non-strings are stored as JSON)
+   * @returns {Promise<Object>} Stored setting
+   */
+  async setSetting(businessId, key, value) {
+    const settingValue = typeof value === 'string' ? value : JSON.stringify(value);
+
+    const { data, error } = await supabase
+      .from('business_settings')
+      .upsert({
+        business_id: businessId,
+        setting_key: key,
+        setting_value: settingValue
+      }, { onConflict: 'business_id,setting_key' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save business setting: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Parse a list setting value
+   * @param {string|null} value - Raw setting value
+   * @returns {Array<string>|null} List, or null when missing
+   */
+  parseListSetting(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const trimmed = String(value).trim();
+    if (trimmed.startsWith('[')) {
+      const parsed = this.parseJsonSetting(trimmed);
+      return Array.isArray(parsed) ? parsed.map(item => String(item).trim()).filter(Boolean) : [];
+    }
+
+    return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  /**
+   * Parse a JSON setting value
+   * @param {string|null} value - Raw setting value
+   * @returns {*} Parsed value, or null when missing or invalid
+   */
+  parseJsonSetting(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new BusinessSettingsService();
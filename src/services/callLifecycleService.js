@@ -0,0 +1,213 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const {
+  getEventState,
+  getStateRank,
+  resolveCallState,
+  mergeCallFields
+} = require('../utils/callLifecycle');
+const { calculateCallCost, planFromCall } = require('../utils/pricing');
+
+/**
+ * Call Lifecycle Service - applies call events to call records through the lifecycle
+ * state machine and keeps the call_events timeline
+ */
+class CallLifecycleService {
+  /**
+   * Apply a call event. Creates the call on whichever event arrives first.
+   * @param {Object} event - Normalized call event
+   * @param {Object} fields - Call fields carried by the event (see WebhookController.buildCallFields)
+   * @param {boolean} retried - Internal: retrying after losing an insert race
+   * @returns {Promise<Object>} { call, previous, previousState, state, transitioned, created }
+   *   (previous is the record before this event, null when it created the call)
+   */
+  async applyEvent(event, fields, retried = false) {
+    const targetState = getEventState(event);
+    const existing = await this.findCall(event.call_id);
+    const previousState = existing ? existing.call_status : null;
+
+    const { state, transitioned } = resolveCallState(previousState, targetState);
+    const overwrite = getStateRank(targetState) >= getStateRank(previousState);
+    const updates = mergeCallFields(existing, fields, overwrite);
+
+    Object.assign(updates, this.priceCall(existing, updates));
+
+    if (transitioned) {
+      updates.call_status = state;
+      updates.status_updated_at = new Date().toISOString();
+    }
+
+    let call;
+    if (!existing) {
+      const { data, error } = await supabase
+        .from('calls')
+        .insert({ id: event.call_id, ...updates })
+        .select()
+        .single();
+
+      if (error) {
+        // Another event for this call created it first - apply this one on top
+        if (error.code === '23505' && !retried) {
+          return this.applyEvent(event, fields, true);
+        }
+        throw new Error(`Failed to create call: ${error.message}`);
+      }
+
+      call = data;
+      logger.info('Call record created', { callId: event.call_id, state });
+    } else if (Object.keys(updates).length > 0) {
+      const { data, error } = await supabase
+        .from('calls')
+        .update(updates)
+        .eq('id', event.call_id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update call: ${error.message}`);
+      }
+
+      call = data;
+      logger.info('Call record updated', {
+        callId: event.call_id,
+        previousState,
+        state,
+        updatedFields: Object.keys(updates)
+      });
+    } else {
+      call = existing;
+    }
+
+    if (!transitioned && existing) {
+      logger.info('Call event did not advance the call state', {
+        callId: event.call_id,
+        eventType: event.event_type,
+        state: previousState,
+        eventState: targetState
+      });
+    }
+
+    await this.recordEvent(event, call, {
+      fromState: previousState,
+      toState: state,
+      eventState: targetState,
+      transitioned
+    });
+
+    return {
+      call,
+      previous: existing,
+      previousState,
+      state,
+      transitioned,
+      created: !existing
+    };
+  }
+
+  /**
+   * Price a call with the plan snapshot stored on it (or being stored by this event),
+   * so a rate change never reprices calls that already happened
+   * @param {Object|null} existing - Stored call record
+   * @param {Object} updates - Fields this event writes
+   * @returns {Object} { billable_seconds, cost } when they change, otherwise {}
+   */
+  priceCall(existing, updates) {
+    const call = { ...(existing || {}), ...updates };
+    const plan = planFromCall(call);
+    const duration = call.duration === null || call.duration === undefined ? null : Number(call.duration);
+    const priced = plan ? calculateCallCost(duration, plan) : null;
+
+    if (!priced) {
+      return {};
+    }
+    if (existing && Number(existing.cost) === priced.cost && existing.billable_seconds === priced.billable_seconds) {
+      return {};
+    }
+    return priced;
+  }
+
+  /**
+   * Find a call record
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object|null>} Call record or null
+   */
+  async findCall(callId) {
+    const { data, error } = await supabase
+      .from('calls')
+      .select('*')
+      .eq('id', callId)
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to fetch call: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Append an event to the call's timeline. Timeline failures do not fail the event.
+   * @param {Object} event - Normalized call event
+   * @param {Object} call - Call record
+   * @param {Object} transition - { fromState, toState, eventState, transitioned }
+   * @returns {Promise<void>}
+   */
+  async recordEvent(event, call, transition) {
+    const { error } = await supabase
+      .from('call_events')
+      .insert({
+        call_id: call.id,
+        business_id: call.business_id,
+        event_type: event.event_type || `legacy_${event.call_status || 'unknown'}`,
+        from_state: transition.fromState,
+        to_state: transition.toState,
+        event_state: transition.eventState,
+        transitioned: transition.transitioned,
+        occurred_at: this.getOccurredAt(event)
+      });
+
+    if (error) {
+      logger.error('Failed to record call event', {
+        error: error.message,
+        callId: call.id,
+        eventType: event.event_type
+      });
+    }
+  }
+
+  /**
+   * When the event happened, from the call's own timestamps where Retell sends them
+   * @param {Object} event - Normalized call event
+   * @returns {string} ISO timestamp
+   */
+  getOccurredAt(event) {
+    if (event.event_type === 'call_started' && event.start_timestamp) {
+      return new Date(event.start_timestamp).toISOString();
+    }
+    if (event.event_type === 'call_ended' && event.end_timestamp) {
+      return new Date(event.end_timestamp).toISOString();
+    }
+    return new Date().toISOString();
+  }
+
+  /**
+   * Get a call's event timeline
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array<Object>>} Events in the order they were received
+   */
+  async getTimeline(callId) {
+    const { data, error } = await supabase
+      .from('call_events')
+      .select('*')
+      .eq('call_id', callId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch call events: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new CallLifecycleService();
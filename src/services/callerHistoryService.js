@@ -0,0 +1,62 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+
+/**
+ * Caller History Service - what a business already knows about a caller
+ */
+class CallerHistoryService {
+  /**
+   * Get a caller's previous calls to a business
+   * @param {string} businessId - Business ID
+   * @param {string} phoneNumber - Caller phone number (normalized)
+   * @param {Object} options - Options
+   * @param {string} options.excludeCallId - Leave out the call in progress
+   * @returns {Promise<Object>} { prior_calls, caller_name, last_address, last_reason, last_call_at }
+   */
+  async getCallerHistory(businessId, phoneNumber, options = {}) {
+    const empty = { prior_calls: 0, caller_name: null, last_address: null, last_reason: null, last_call_at: null };
+
+    if (!businessId || !phoneNumber) {
+      return empty;
+    }
+
+    let query = supabase
+      .from('calls')
+      .select('caller_name, address, reason, created_at', { count: 'exact' })
+      .eq('business_id', businessId)
+      .eq('from_number', phoneNumber);
+
+    if (options.excludeCallId) {
+      query = query.neq('id', options.excludeCallId);
+    }
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .limit(20);
+
+    if (error) {
+      logger.warn('Failed to look up caller history', {
+        error: error.message,
+        businessId,
+        phoneNumber
+      });
+      return empty;
+    }
+
+    const calls = data || [];
+    const latest = field => {
+      const call = calls.find(candidate => candidate[field]);
+      return call ? call[field] : null;
+    };
+
+    return {
+      prior_calls: count || calls.length,
+      caller_name: latest('caller_name'),
+      last_address: latest('address'),
+      last_reason: latest('reason'),
+      last_call_at: calls.length > 0 ? calls[0].created_at : null
+    };
+  }
+}
+
+module.exports = new CallerHistoryService();
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const { NotFoundError, ForbiddenError } = require('../middleware/errorHandler');
+const { getJobQueue, getJobWorker } = require('./queue');
+const notificationService = require('./notificationService');
+const businessSettingsService = require('./businessSettingsService');
+
+const EMERGENCY_ESCALATION_JOB = 'emergency_escalation';
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+const DEFAULT_MAX_ALERTS = 6;
+
+/**
+ * Escalation Service - repeated on-call alerts for emergency calls until acknowledged
+ *
+ * Each emergency call gets one emergency_escalations row. The first alert goes out
+ * straight away; each later alert is a delayed job that re-checks the row and stops
+ * once someone has acknowledged (or after escalation_max_alerts alerts).
+ */
+class EscalationService {
+  /**
+   * Start escalating an emergency call (a no-op when the call already has an escalation,
+   * e.g. for a re-sent call_analyzed event)
+   * @param {Object} callData - Stored call record
+   * @param {Object} businessData - Business data
+   * @returns {Promise<Object|null>} Escalation, or null when the business has nowhere to alert
+   */
+  async startEscalation(callData, businessData) {
+    const existing = await this.findByCallId(callData.id);
+    if (existing) {
+      return existing;
+    }
+
+    const settings = await this.getEscalationSettings(businessData);
+    if (!settings.webhookUrl) {
+      logger.warn('Emergency call but no on-call Slack webhook configured', {
+        callId: callData.id,
+        businessId: businessData.id
+      });
+      return null;
+    }
+
+    const { data: escalation, error } = await supabase
+      .from('emergency_escalations')
+      .insert({
+        call_id: callData.id,
+        business_id: businessData.id,
+        status: 'active',
+        alert_count: 0,
+        acknowledge_token: crypto.randomBytes(16).toString('hex')
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to start escalation: ${error.message}`);
+    }
+
+    logger.warn('Emergency escalation started', {
+      escalationId: escalation.id,
+      callId: callData.id,
+      businessId: businessData.id
+    });
+
+    return this.sendAlert(escalation, callData, businessData, settings);
+  }
+
+  /**
+   * Send the next alert and schedule the next check
+   * @param {Object} escalation - Active escalation
+   * @param {Object} callData - Call record
+   * @param {Object} businessData - Business data
+   * @param {Object} settings - Escalation settings (see getEscalationSettings)
+   * @returns {Promise<Object>} Updated escalation
+   */
+  async sendAlert(escalation, callData, businessData, settings) {
+    const attempt = (escalation.alert_count || 0) + 1;
+
+    await notificationService.sendEmergencyAlert(callData, businessData, {
+      webhookUrl: settings.webhookUrl,
+      contact: settings.contact,
+      attempt,
+      maxAlerts: settings.maxAlerts,
+      acknowledgeUrl: this.getAcknowledgeUrl(escalation)
+    });
+
+    const updated = await this.updateEscalation(escalation.id, {
+      alert_count: attempt,
+      last_alert_at: new Date().toISOString()
+    });
+
+    // The check after the last alert marks an unacknowledged escalation exhausted
+    await getJobQueue().enqueue({
+      type: EMERGENCY_ESCALATION_JOB,
+      payload: { escalation_id: escalation.id },
+      orderingKey: `escalation:${escalation.id}`,
+      runAt: new Date(Date.now() + settings.intervalMinutes * 60 * 1000)
+    });
+
+    return updated;
+  }
+
+  /**
+   * Handle a scheduled alert: stop when acknowledged, give up after the last alert
+   * @param {Object} job - Queue job ({ payload: { escalation_id } })
+   * @returns {Promise<void>}
+   */
+  async handleEscalationJob(job) {
+    const escalation = await this.findById(job.payload.escalation_id);
+    if (!escalation || escalation.status !== 'active') {
+      return;
+    }
+
+    const [callData, businessData] = await Promise.all([
+      this.getRecord('calls', escalation.call_id),
+      this.getRecord('businesses', escalation.business_id)
+    ]);
+    const settings = await this.getEscalationSettings(businessData);
+
+    if (escalation.alert_count >= settings.maxAlerts || !settings.webhookUrl) {
+      await this.updateEscalation(escalation.id, { status: 'exhausted' });
+      logger.error('Emergency escalation was never acknowledged', {
+        escalationId: escalation.id,
+        callId: escalation.call_id,
+        businessId: escalation.business_id,
+        alerts: escalation.alert_count
+      });
+      return;
+    }
+
+    await this.sendAlert(escalation, callData, businessData, settings);
+  }
+
+  /**
+   * Acknowledge a call's escalation, stopping further alerts
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @param {Object} options - Acknowledgement
+   * @param {string} options.token - Token from the alert's acknowledge link
+   * @param {string|null} options.acknowledgedBy - Who acknowledged
+   * @returns {Promise<Object>} Escalation
+   */
+  async acknowledge(businessId, callId, { token, acknowledgedBy = null }) {
+    const escalation = await this.findByCallId(callId);
+    if (!escalation || escalation.business_id !== businessId) {
+      throw new NotFoundError('Escalation not found');
+    }
+    if (!token || !safeEqual(token, escalation.acknowledge_token)) {
+      throw new ForbiddenError('Invalid acknowledge token');
+    }
+    if (escalation.status === 'acknowledged') {
+      return escalation;
+    }
+
+    const updated = await this.updateEscalation(escalation.id, {
+      status: 'acknowledged',
+      acknowledged_at: new Date().toISOString(),
+      acknowledged_by: acknowledgedBy
+    });
+
+    logger.info('Emergency escalation acknowledged', {
+      escalationId: escalation.id,
+      callId,
+      businessId,
+      acknowledgedBy,
+      alerts: escalation.alert_count
+    });
+
+    return updated;
+  }
+
+  /**
+   * Get a business's escalation settings: on_call_slack_webhook_url (falls back to the
+   * business Slack webhook), on_call_contact, escalation_interval_minutes and escalation_max_alerts
+   * @param {Object} businessData - Business data
+   * @returns {Promise<Object>} { webhookUrl, contact, intervalMinutes, maxAlerts }
+   */
+  async getEscalationSettings(businessData) {
+    const settings = await businessSettingsService.getSettings(businessData.id);
+    const interval = parseFloat(settings.escalation_interval_minutes);
+    const maxAlerts = parseInt(settings.escalation_max_alerts, 10);
+
+    return {
+      webhookUrl: settings.on_call_slack_webhook_url || businessData.slack_webhook_url || null,
+      contact: settings.on_call_contact || null,
+      intervalMinutes: interval > 0 ? interval : DEFAULT_INTERVAL_MINUTES,
+      maxAlerts: maxAlerts > 0 ? maxAlerts : DEFAULT_MAX_ALERTS
+    };
+  }
+
+  /**
+   * Build the acknowledge link put in alerts (needs BASE_URL)
+   * @param {Object} escalation - Escalation
+   * @returns {string|null} URL or null
+   */
+  getAcknowledgeUrl(escalation) {
+    if (!process.env.BASE_URL) {
+      return null;
+    }
+    const base = process.env.BASE_URL.replace(/\/+$/, '');
+    return `${base}/api/businesses/${escalation.business_id}/calls/${escalation.call_id}/escalation/acknowledge?token=${escalation.acknowledge_token}`;
+  }
+
+  /**
+   * Find the escalation for a call
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object|null>} Escalation or null
+   */
+  async findByCallId(callId) {
+    const { data, error } = await supabase
+      .from('emergency_escalations')
+      .select('*')
+      .eq('call_id', callId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up escalation: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find an escalation by ID
+   * @param {string} escalationId - Escalation ID
+   * @returns {Promise<Object|null>} Escalation or null
+   */
+  async findById(escalationId) {
+    const { data, error } = await supabase
+      .from('emergency_escalations')
+      .select('*')
+      .eq('id', escalationId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to look up escalation: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Update an escalation
+   * @param {string} escalationId - Escalation ID
+   * @param {Object} fields - Fields to set
+   * @returns {Promise<Object>} Updated escalation
+   */
+  async updateEscalation(escalationId, fields) {
+    const { data, error } = await supabase
+      .from('emergency_escalations')
+      .update(fields)
+      .eq('id', escalationId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update escalation: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Load a call or business row for an alert
+   * @param {string} table - 'calls' or 'businesses'
+   * @param {string} id - Row ID
+   * @returns {Promise<Object>} Row
+   */
+  async getRecord(table, id) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) {
+      throw new Error(`Failed to load ${table} row ${id}: ${error ? error.message : 'not found'}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Register the escalation job handler with the shared worker
+   */
+  registerHandlers() {
+    getJobWorker().registerHandler(EMERGENCY_ESCALATION_JOB, job => this.handleEscalationJob(job));
+  }
+}
+
+/**
+ * Compare tokens in constant time
+ * @param {string} a - Token
+ * @param {string} b - Token
+ * @returns {boolean} Whether they match
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = new EscalationService();
@@ -0,0 +1,49 @@
+const logger = require('../../utils/logger');
+const RegexProvider = require('./regexProvider');
+const LlmProvider = require('./llmProvider');
+const StubProvider = require('./stubProvider');
+
+const PROVIDER_NAMES = ['regex', 'llm', 'stub'];
+
+const sharedProviders = {};
+
+/**
+ * Create an extraction provider
+ * @param {string} name - 'regex', 'llm' or 'stub'
+ * @param {Object} options - Provider options
+ * @returns {RegexProvider|LlmProvider|StubProvider} Provider
+ */
+function createExtractionProvider(name, options = {}) {
+  switch (name) {
+    case 'regex':
+      return new RegexProvider();
+    case 'llm':
+      return new LlmProvider(options);
+    case 'stub':
+      return new StubProvider(options);
+    default:
+      throw new Error(`Unknown extraction provider: ${name}`);
+  }
+}
+
+/**
+ * Get the shared provider for a name
+ * @param {string} name - Provider name
+ * @returns {RegexProvider|LlmProvider|StubProvider} Shared provider
+ */
+function getExtractionProvider(name) {
+  if (!sharedProviders[name]) {
+    sharedProviders[name] = createExtractionProvider(name);
+    logger.info('Extraction provider initialized', { provider: name, version: sharedProviders[name].version });
+  }
+  return sharedProviders[name];
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  createExtractionProvider,
+  getExtractionProvider,
+  RegexProvider,
+  LlmProvider,
+  StubProvider
+};
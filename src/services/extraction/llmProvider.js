@@ -0,0 +1,251 @@
+const axios = require('axios');
+const { EXTRACTED_FIELDS } = require('../../utils/informationExtractor');
+const { cleanCallbackNumber, cleanEmail, hasValue } = require('../../utils/callAnalysis');
+const { parseAddress } = require('../../utils/addressParser');
+const { extractPreferredTime } = require('../../utils/appointmentTime');
+const { URGENCY_LEVELS } = require('../../utils/urgencyClassifier');
+const { getDetailFields } = require('../../utils/detailExtractor');
+
+// Bump when the prompt or schema changes, so stored results say which one produced them
+const PROMPT_VERSION = 'v1';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Confidence given to LLM values (the model reports none)
+const LLM_CONFIDENCE = 0.8;
+
+const TEXT_FIELDS = {
+  caller_name: "The caller's full name",
+  callback_number: 'Best number to call the caller back on',
+  address: 'Service address, as complete as the caller gave it',
+  reason: 'What the caller needs, as a short phrase',
+  email: "The caller's email address",
+  preferred_time: 'When the caller wants someone to come, in their own words'
+};
+
+const SYSTEM_PROMPT = `You read phone call transcripts between a receptionist (Agent) and a caller (User) and extract the caller's details.
+Only use what the caller said or confirmed; use null for anything they did not give. Do not guess.
+Reply with a single JSON object matching the schema.`;
+
+/**
+ * LLM extraction provider - sends the transcript and a JSON schema to an OpenAI-compatible
+ * chat completions endpoint (EXTRACTION_LLM_URL) and maps the JSON reply to the extractor's
+ * result shape. Invalid or off-schema replies throw, so the caller can fall back to regex.
+ */
+class LlmProvider {
+  /**
+   * @param {Object} options - Provider options (default to the EXTRACTION_LLM_* environment variables)
+   * @param {string} options.url - Chat completions URL
+   * @param {string} options.apiKey - Bearer token
+   * @param {string} options.model - Model name
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.url = options.url || process.env.EXTRACTION_LLM_URL || null;
+    this.apiKey = options.apiKey || process.env.EXTRACTION_LLM_API_KEY || null;
+    this.model = options.model || process.env.EXTRACTION_LLM_MODEL || DEFAULT_MODEL;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.EXTRACTION_LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.version = `${this.model}/${PROMPT_VERSION}`;
+  }
+
+  /**
+   * Extract caller information from a transcript
+   * @param {string|null} transcript - Full transcript
+   * @param {Object} context - { referenceTime, timezone, businessType }
+   * @returns {Promise<Object>} Extracted information (see extractCallInformation)
+   */
+  async extract(transcript, context = {}) {
+    if (!this.url) {
+      throw new Error('EXTRACTION_LLM_URL is not configured');
+    }
+
+    const detailFields = getDetailFields(context.businessType);
+    if (!transcript) {
+      return toExtractedInfo({}, '', context, detailFields);
+    }
+
+    const response = await axios.post(this.url, {
+      model: this.model,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: transcript }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'call_extraction', strict: true, schema: buildExtractionSchema(detailFields) }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      timeout: this.timeoutMs
+    });
+
+    const content = response.data && response.data.choices && response.data.choices[0] &&
+      response.data.choices[0].message && response.data.choices[0].message.content;
+    const parsed = parseExtractionJson(content, detailFields);
+
+    return toExtractedInfo(parsed, transcript, context, detailFields);
+  }
+}
+
+/**
+ * Build the JSON schema the model must answer with
+ * @param {Array<Object>} detailFields - Business type detail fields
+ * @returns {Object} JSON schema
+ */
+function buildExtractionSchema(detailFields) {
+  const properties = {};
+  for (const [field, description] of Object.entries(TEXT_FIELDS)) {
+    properties[field] = { type: ['string', 'null'], description };
+  }
+  properties.urgency = {
+    type: ['string', 'null'],
+    enum: [...URGENCY_LEVELS, null],
+    description: 'emergency (danger or damage happening now), same_day, routine, or informational (no job requested)'
+  };
+
+  const detailProperties = {};
+  for (const field of detailFields) {
+    detailProperties[field.key] = field.options
+      ? { type: ['string', 'null'], enum: [...Object.keys(field.options), null], description: field.label }
+      : { type: ['string', 'null'], description: field.label };
+  }
+  properties.details = {
+    type: 'object',
+    additionalProperties: false,
+    required: Object.keys(detailProperties),
+    properties: detailProperties
+  };
+
+  return {
+    type: 'object',
+    additionalProperties: false,
+    required: Object.keys(properties),
+    properties
+  };
+}
+
+/**
+ * Parse and check the model's reply
+ * @param {string|undefined} content - Message content
+ * @param {Array<Object>} detailFields - Business type detail fields
+ * @returns {Object} Parsed reply
+ * @throws {Error} When the reply is not JSON or does not match the schema
+ */
+function parseExtractionJson(content, detailFields) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('LLM provider returned an empty reply');
+  }
+
+  let parsed;
+  try {
+    // Some models wrap JSON in a code fence despite the schema
+    parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error(`LLM provider returned invalid JSON: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('LLM provider returned JSON that is not an object');
+  }
+
+  for (const field of Object.keys(TEXT_FIELDS)) {
+    if (parsed[field] !== undefined && parsed[field] !== null && typeof parsed[field] !== 'string') {
+      throw new Error(`LLM provider returned an invalid ${field}`);
+    }
+  }
+  if (parsed.urgency !== undefined && parsed.urgency !== null && !URGENCY_LEVELS.includes(parsed.urgency)) {
+    throw new Error('LLM provider returned an invalid urgency');
+  }
+
+  if (parsed.details !== undefined && parsed.details !== null) {
+    if (typeof parsed.details !== 'object' || Array.isArray(parsed.details)) {
+      throw new Error('LLM provider returned invalid details');
+    }
+    for (const field of detailFields) {
+      const value = parsed.details[field.key];
+      const allowed = field.options ? Object.keys(field.options) : null;
+      if (value !== undefined && value !== null && (typeof value !== 'string' || (allowed && !allowed.includes(value)))) {
+        throw new Error(`LLM provider returned an invalid ${field.key}`);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Map a parsed reply to the extractor's result shape
+ * @param {Object} parsed - Parsed reply
+ * @param {string} transcript - Transcript (for evidence spans)
+ * @param {Object} context - { referenceTime, timezone }
+ * @param {Array<Object>} detailFields - Business type detail fields
+ * @returns {Object} Extracted information
+ */
+function toExtractedInfo(parsed, transcript, context, detailFields) {
+  const info = {
+    name: cleanText(parsed.caller_name),
+    callback_number: cleanCallbackNumber(parsed.callback_number),
+    address: cleanText(parsed.address),
+    reason: cleanText(parsed.reason),
+    email: cleanEmail(parsed.email)
+  };
+  info.address_components = parseAddress(info.address);
+
+  const phrase = cleanText(parsed.preferred_time);
+  const window = phrase
+    ? extractPreferredTime(phrase.toLowerCase(), { referenceTime: context.referenceTime, timezone: context.timezone })
+    : null;
+  info.preferred_time = window ? { ...window.value, phrase } : null;
+
+  info.urgency = parsed.urgency ? { level: parsed.urgency, signals: [], confidence: LLM_CONFIDENCE } : null;
+
+  const details = {};
+  for (const { key } of detailFields) {
+    const value = parsed.details ? cleanText(parsed.details[key]) : null;
+    if (value) details[key] = value;
+  }
+  info.details = Object.keys(details).length > 0 ? details : null;
+
+  const confidence = {};
+  const spans = {};
+  const evidence = { ...info, preferred_time: phrase };
+  for (const field of [...EXTRACTED_FIELDS, 'preferred_time']) {
+    if (!evidence[field]) continue;
+    confidence[field] = LLM_CONFIDENCE;
+    spans[field] = findSpan(transcript, evidence[field]);
+  }
+  info.confidence = confidence;
+  info.spans = spans;
+
+  return info;
+}
+
+/**
+ * Trim a reply value
+ * @param {*} value - Value
+ * @returns {string|null} Trimmed string or null
+ */
+function cleanText(value) {
+  return hasValue(value) ? String(value).trim() : null;
+}
+
+/**
+ * Locate a value in the transcript (case-insensitive) as its evidence span
+ * @param {string} transcript - Transcript
+ * @param {string} value - Value
+ * @returns {Object|null} { start, end } or null when the model reworded it
+ */
+function findSpan(transcript, value) {
+  const start = transcript.toLowerCase().indexOf(String(value).toLowerCase());
+  return start === -1 ? null : { start, end: start + String(value).length };
+}
+
+module.exports = LlmProvider;
+module.exports.buildExtractionSchema = buildExtractionSchema;
+module.exports.parseExtractionJson = parseExtractionJson;
@@ -0,0 +1,25 @@
+const { extractCallInformation } = require('../../utils/informationExtractor');
+const { version } = require('../../../package.json');
+
+/**
+ * Regex extraction provider - the built-in pattern extractor (always available, used as
+ * the fallback for the other providers). Versioned with the application, since its rules ship with it.
+ */
+class RegexProvider {
+  constructor() {
+    this.name = 'regex';
+    this.version = version;
+  }
+
+  /**
+   * Extract caller information from a transcript
+   * @param {string|null} transcript - Full transcript
+   * @param {Object} context - { turns, referenceTime, timezone, businessType, language } (see extractCallInformation)
+   * @returns {Promise<Object>} Extracted information
+   */
+  async extract(transcript, context = {}) {
+    return extractCallInformation(transcript, context);
+  }
+}
+
+module.exports = RegexProvider;
@@ -0,0 +1,43 @@
+const { extractCallInformation } = require('../../utils/informationExtractor');
+
+/**
+ * Stub extraction provider - deterministic results for tests and local development
+ */
+class StubProvider {
+  /**
+   * @param {Object} options - Stub behaviour
+   * @param {Object} options.result - Fields returned for every transcript (merged over an empty result)
+   * @param {string} options.error - Fail every extraction with this message
+   * @param {number} options.delayMs - Wait this long before answering (for timeout tests)
+   * @param {string} options.version - Reported version
+   */
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.version = options.version || '1';
+    this.result = options.result || {};
+    this.error = options.error || null;
+    this.delayMs = options.delayMs || 0;
+    this.calls = [];
+  }
+
+  /**
+   * Return the configured result
+   * @param {string|null} transcript - Full transcript
+   * @param {Object} context - Extraction context
+   * @returns {Promise<Object>} Extracted information
+   */
+  async extract(transcript, context = {}) {
+    this.calls.push({ transcript, context });
+
+    if (this.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delayMs));
+    }
+    if (this.error) {
+      throw new Error(this.error);
+    }
+
+    return { ...extractCallInformation(null), ...this.result };
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,181 @@
+const logger = require('../utils/logger');
+const { calculateConfidence } = require('../utils/informationExtractor');
+const {
+  resolveAnalysisFieldMap,
+  extractFromCallAnalysis,
+  mergeExtractedInfo
+} = require('../utils/callAnalysis');
+const { buildTranscriptTurns, getSpeakerText } = require('../utils/transcriptTurns');
+const { getDetailFields } = require('../utils/detailExtractor');
+const { withTimeout } = require('../utils/timeout');
+const { classifySentiment, classifyOutcome } = require('../utils/callOutcome');
+const { detectLanguage } = require('../utils/language');
+const { PROVIDER_NAMES, getExtractionProvider } = require('./extraction');
+const summaryService = require('./summaryService');
+const businessSettingsService = require('./businessSettingsService');
+
+/** @typedef {import('../utils/retellPayload').CallEvent} CallEvent */
+
+const DEFAULT_PROVIDER = 'regex';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Extraction Service - caller information from Retell's call_analysis and the transcript
+ *
+ * Transcript extraction goes through a provider (src/services/extraction) chosen per
+ * business with the extraction_provider setting. When a provider other than regex fails,
+ * times out or returns invalid JSON, the regex provider is used instead.
+ */
+class ExtractionService {
+  /**
+   * Extract caller information for a call event. Structured call_analysis fields win;
+   * the provider fills the gaps. Appointment times are resolved against the call
+   * start in the business's timezone.
+   * @param {CallEvent} event - Normalized call event
+   * @param {Object} business - Business data (id, timezone, business_type)
+   * @returns {Promise<Object>} Extracted information with per-field sources, the
+   *   provider that produced it ({ name, version, fallback_from }), the call's
+   *   language, headline and summary (see summaryService), sentiment and outcome
+   */
+  async extract(event, business) {
+    const turns = buildTranscriptTurns(event);
+    const context = {
+      turns,
+      referenceTime: event.start_timestamp || Date.now(),
+      timezone: business.timezone,
+      businessType: business.business_type,
+      language: this.detectLanguage(event, turns)
+    };
+
+    const provider = await this.getProvider(business.id);
+    const { info, used, fallbackFrom } = await this.runProvider(provider, event, context);
+
+    let structured = {};
+    if (event.call_analysis) {
+      const fieldMap = await this.getFieldMap(business.id);
+      structured = extractFromCallAnalysis(event.call_analysis, fieldMap, getDetailFields(business.business_type));
+    }
+
+    // Provider names double as field sources (SOURCES.REGEX, SOURCES.LLM, SOURCES.STUB)
+    const extractedInfo = mergeExtractedInfo(structured, info, used.name);
+    extractedInfo.provider = {
+      name: used.name,
+      version: used.version,
+      fallback_from: fallbackFrom
+    };
+    extractedInfo.language = context.language;
+
+    // Headline always from the summarizer; a call_summary from Retell's analysis is kept
+    const summary = await summaryService.summarize(event, extractedInfo, business, context.turns);
+    extractedInfo.call_headline = summary.headline;
+    if (!extractedInfo.call_summary && summary.summary) {
+      extractedInfo.call_summary = summary.summary;
+      extractedInfo.sources.call_summary = summary.summarizer.name;
+    }
+    extractedInfo.summarizer = summary.summarizer;
+
+    Object.assign(extractedInfo, this.classify(event, extractedInfo, context.turns));
+
+    logger.info('Information extracted from call', {
+      callId: event.call_id,
+      provider: extractedInfo.provider,
+      extractedInfo,
+      overallConfidence: calculateConfidence(extractedInfo)
+    });
+
+    return extractedInfo;
+  }
+
+  /**
+   * Classify the caller's sentiment and what the call produced (also for calls
+   * without a transcript, which are hang-ups)
+   * @param {CallEvent} event - Normalized call event
+   * @param {Object} info - Extracted information
+   * @param {Array<Object>} turns - Speaker turns
+   * @returns {Object} { sentiment, outcome }
+   */
+  classify(event, info = {}, turns = buildTranscriptTurns(event)) {
+    const callerText = turns.length > 0 ? getSpeakerText(turns, 'user') : event.transcript;
+
+    return {
+      sentiment: classifySentiment(callerText, info.user_sentiment),
+      outcome: classifyOutcome({ callerText, info })
+    };
+  }
+
+  /**
+   * Detect the language the caller spoke (see language.detectLanguage)
+   * @param {CallEvent} event - Normalized call event
+   * @param {Array<Object>} turns - Speaker turns
+   * @returns {string|null} 'en' or 'es' (null without a transcript)
+   */
+  detectLanguage(event, turns = buildTranscriptTurns(event)) {
+    return detectLanguage(turns.length > 0 ? getSpeakerText(turns, 'user') : event.transcript);
+  }
+
+  /**
+   * Run a provider, falling back to regex when it fails
+   * @param {Object} provider - Extraction provider
+   * @param {CallEvent} event - Normalized call event
+   * @param {Object} context - Extraction context
+   * @returns {Promise<Object>} { info, used, fallbackFrom }
+   */
+  async runProvider(provider, event, context) {
+    if (provider.name === 'regex') {
+      return { info: await provider.extract(event.transcript, context), used: provider, fallbackFrom: null };
+    }
+
+    try {
+      const info = await withTimeout(
+        provider.extract(event.transcript, context),
+        parseInt(process.env.EXTRACTION_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        `${provider.name} extraction timed out`
+      );
+      return { info, used: provider, fallbackFrom: null };
+    } catch (error) {
+      logger.warn('Extraction provider failed, falling back to regex', {
+        callId: event.call_id,
+        provider: provider.name,
+        version: provider.version,
+        error: error.message
+      });
+
+      const regex = getExtractionProvider('regex');
+      return { info: await regex.extract(event.transcript, context), used: regex, fallbackFrom: provider.name };
+    }
+  }
+
+  /**
+   * Get the business's extraction provider (business setting extraction_provider,
+   * defaulting to EXTRACTION_PROVIDER, then regex)
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Extraction provider
+   */
+  async getProvider(businessId) {
+    const name = await businessSettingsService.getSetting(
+      businessId,
+      'extraction_provider',
+      process.env.EXTRACTION_PROVIDER || DEFAULT_PROVIDER
+    );
+
+    if (!PROVIDER_NAMES.includes(name)) {
+      logger.warn('Unknown extraction provider, using regex', { businessId, provider: name });
+      return getExtractionProvider(DEFAULT_PROVIDER);
+    }
+
+    return getExtractionProvider(name);
+  }
+
+  /**
+   * Get the business's mapping of custom_analysis_data keys to call fields
+   * (business setting call_analysis_field_map)
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Resolved field map
+   */
+  async getFieldMap(businessId) {
+    const customMap = await businessSettingsService.getJsonSetting(businessId, 'call_analysis_field_map');
+    return resolveAnalysisFieldMap(customMap);
+  }
+}
+
+module.exports = new ExtractionService();
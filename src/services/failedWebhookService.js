@@ -0,0 +1,216 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { normalizeRetellEvent } = require('../utils/retellPayload');
+const redactionService = require('./redactionService');
+
+/**
+ * Failed Webhook Service - dead-letter store for webhooks that could not be processed
+ */
+class FailedWebhookService {
+  /**
+   * Record a failed webhook. Repeated failures of the same entry increment its attempt count.
+   * @param {Object} webhookData - Original webhook payload (stored redacted)
+   * @param {string} errorMessage - Error message
+   * @param {string|null} failedWebhookId - Existing dead-letter entry (when replaying)
+   * @returns {Promise<Object>} Stored dead-letter entry
+   */
+  async recordFailure(webhookData, errorMessage, failedWebhookId = null) {
+    const now = new Date().toISOString();
+    const event = normalizeRetellEvent(webhookData);
+    const payload = redactionService.redactPayload(webhookData);
+
+    const existing = failedWebhookId
+      ? await this.findById(failedWebhookId)
+      : await this.findPendingEntry(event);
+
+    if (existing) {
+      const { data, error } = await supabase
+        .from('failed_webhooks')
+        .update({
+          payload,
+          error_message: errorMessage,
+          attempt_count: (existing.attempt_count || 0) + 1,
+          status: 'pending',
+          last_failed_at: now
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update failed webhook: ${error.message}`);
+      }
+
+      return data;
+    }
+
+    const { data, error } = await supabase
+      .from('failed_webhooks')
+      .insert({
+        call_id: event.call_id,
+        event_type: event.event_type,
+        to_number: event.to_number,
+        payload,
+        error_message: errorMessage,
+        attempt_count: 1,
+        status: 'pending',
+        first_failed_at: now,
+        last_failed_at: now
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to store failed webhook: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Find a pending dead-letter entry for the same call and event
+   * @param {Object} event - Normalized call event
+   * @returns {Promise<Object|null>} Pending entry or null
+   */
+  async findPendingEntry(event) {
+    if (!event.call_id) {
+      return null;
+    }
+
+    let query = supabase
+      .from('failed_webhooks')
+      .select('*')
+      .eq('call_id', event.call_id)
+      .eq('status', 'pending');
+
+    query = event.event_type
+      ? query.eq('event_type', event.event_type)
+      : query.is('event_type', null);
+
+    const { data, error } = await query.limit(1);
+
+    if (error) {
+      logger.warn('Failed to look up pending failed webhook', {
+        error: error.message,
+        callId: event.call_id
+      });
+      return null;
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Get a dead-letter entry by ID
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object|null>} Entry or null
+   */
+  async findById(id) {
+    const { data, error } = await supabase
+      .from('failed_webhooks')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error || !data) {
+      return null;
+    }
+
+    return data;
+  }
+
+  /**
+   * Get a dead-letter entry by ID, throwing if it does not exist
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Entry
+   */
+  async getFailedWebhook(id) {
+    const entry = await this.findById(id);
+    if (!entry) {
+      throw new NotFoundError('Failed webhook not found');
+    }
+    return entry;
+  }
+
+  /**
+   * List dead-letter entries
+   * @param {Object} queryParams - Filters and pagination (status, call_id, limit, offset)
+   * @returns {Promise<Object>} Entries with pagination
+   */
+  async listFailedWebhooks(queryParams = {}) {
+    const limit = parseInt(queryParams.limit) || 50;
+    const offset = parseInt(queryParams.offset) || 0;
+    const status = queryParams.status || 'pending';
+
+    let query = supabase
+      .from('failed_webhooks')
+      .select('*', { count: 'exact' })
+      .order('first_failed_at', { ascending: true });
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+    if (queryParams.call_id) {
+      query = query.eq('call_id', queryParams.call_id);
+    }
+
+    const { data, error, count } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch failed webhooks: ${error.message}`);
+    }
+
+    return {
+      failed_webhooks: data || [],
+      pagination: {
+        limit,
+        offset,
+        total: count || 0,
+        has_more: (offset + limit) < (count || 0)
+      }
+    };
+  }
+
+  /**
+   * Mark a dead-letter entry as successfully replayed
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async markReplayed(id) {
+    return this.updateStatus(id, { status: 'replayed', replayed_at: new Date().toISOString() });
+  }
+
+  /**
+   * Discard a dead-letter entry so it is no longer replayed
+   * @param {string} id - Failed webhook ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async discardFailedWebhook(id) {
+    await this.getFailedWebhook(id);
+    return this.updateStatus(id, { status: 'discarded', discarded_at: new Date().toISOString() });
+  }
+
+  /**
+   * Update dead-letter entry status fields
+   * @param {string} id - Failed webhook ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateStatus(id, updates) {
+    const { data, error } = await supabase
+      .from('failed_webhooks')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update failed webhook: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = new FailedWebhookService();
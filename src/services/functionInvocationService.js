@@ -0,0 +1,73 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+
+/**
+ * Function Invocation Service - log of custom function calls made by the agent during calls
+ */
+class FunctionInvocationService {
+  /**
+   * Record a function invocation. Logging failures never fail the function call.
+   * @param {Object} invocation - Invocation details
+   * @param {string} invocation.call_id - Retell call ID
+   * @param {string|null} invocation.business_id - Business ID
+   * @param {string} invocation.function_name - Function name
+   * @param {Object} invocation.arguments - Arguments sent by the agent
+   * @param {Object|null} invocation.result - Result returned to the agent
+   * @param {string} invocation.status - 'success', 'rejected' or 'error'
+   * @param {string|null} invocation.error_message - Error message
+   * @param {number} invocation.duration_ms - Execution time
+   * @returns {Promise<Object|null>} Stored invocation or null
+   */
+  async logInvocation(invocation) {
+    try {
+      const { data, error } = await supabase
+        .from('function_invocations')
+        .insert({
+          call_id: invocation.call_id,
+          business_id: invocation.business_id,
+          function_name: invocation.function_name,
+          arguments: invocation.arguments || {},
+          result: invocation.result || null,
+          status: invocation.status,
+          error_message: invocation.error_message || null,
+          duration_ms: invocation.duration_ms
+        })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Failed to log function invocation', {
+        error: error.message,
+        callId: invocation.call_id,
+        functionName: invocation.function_name
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get the function invocations for a call
+   * @param {string} callId - Retell call ID
+   * @returns {Promise<Array<Object>>} Invocations in call order
+   */
+  async getInvocations(callId) {
+    const { data, error } = await supabase
+      .from('function_invocations')
+      .select('*')
+      .eq('call_id', callId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch function invocations: ${error.message}`);
+    }
+
+    return data || [];
+  }
+}
+
+module.exports = new FunctionInvocationService();
@@ -0,0 +1,47 @@
+const businessSettingsService = require('../businessSettingsService');
+
+/**
+ * check_service_area(zip) - whether the business serves a ZIP code
+ *
+ * The service area is the business's service_area_zips setting: a list of five-digit
+ * ZIP codes and/or ZIP prefixes (e.g. "606" covers 60601-60699).
+ */
+module.exports = {
+  name: 'check_service_area',
+  description: 'Check whether the business serves the caller\'s ZIP code. Call this once the caller gives their ZIP code.',
+  parameters: {
+    type: 'object',
+    properties: {
+      zip: {
+        type: 'string',
+        description: 'Five-digit ZIP code',
+        pattern: '^\\d{5}(-\\d{4})?$'
+      }
+    },
+    required: ['zip']
+  },
+  enabledByDefault: true,
+
+  async handler(args, { business, settings }) {
+    const zip = args.zip.slice(0, 5);
+    const serviceArea = businessSettingsService.parseListSetting(settings.service_area_zips);
+
+    if (!serviceArea || serviceArea.length === 0) {
+      return {
+        zip,
+        in_service_area: null,
+        message: `${business.business_name} has not listed a service area. Let the caller know someone will confirm.`
+      };
+    }
+
+    const inServiceArea = serviceArea.some(entry => zip.startsWith(entry));
+
+    return {
+      zip,
+      in_service_area: inServiceArea,
+      message: inServiceArea
+        ? `${zip} is inside the service area.`
+        : `${zip} is outside the service area. Apologize and offer to take a message anyway.`
+    };
+  }
+};
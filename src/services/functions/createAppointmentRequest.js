@@ -0,0 +1,83 @@
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../../utils/logger');
+const { supabase } = require('../../config/database');
+const { normalizePhoneNumber } = require('../../utils/phoneNumber');
+
+/**
+ * create_appointment_request(...) - record a request for the business to book a visit
+ *
+ * The agent cannot see the business's calendar, so this stores a pending request
+ * that the owner confirms when they call back.
+ */
+module.exports = {
+  name: 'create_appointment_request',
+  description: 'Record the caller\'s request for an appointment once you have confirmed their name, callback number and reason. The business will call back to confirm the time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      caller_name: {
+        type: 'string',
+        description: 'Caller\'s full name',
+        minLength: 2,
+        maxLength: 255
+      },
+      callback_number: {
+        type: 'string',
+        description: 'Best number to call back (defaults to the caller\'s number)',
+        pattern: '^[+\\d\\s().-]{7,20}$'
+      },
+      reason: {
+        type: 'string',
+        description: 'What the appointment is for',
+        minLength: 2,
+        maxLength: 1000
+      },
+      preferred_time: {
+        type: 'string',
+        description: 'When the caller would like the appointment, in their words (e.g. "Tuesday morning")',
+        maxLength: 255
+      },
+      address: {
+        type: 'string',
+        description: 'Service address, if the business visits the caller',
+        maxLength: 500
+      }
+    },
+    required: ['caller_name', 'reason']
+  },
+  enabledByDefault: true,
+
+  async handler(args, { business, event }) {
+    const { data, error } = await supabase
+      .from('appointment_requests')
+      .insert({
+        id: uuidv4(),
+        business_id: business.id,
+        call_id: event.call_id,
+        caller_name: args.caller_name,
+        callback_number: normalizePhoneNumber(args.callback_number || event.from_number),
+        reason: args.reason,
+        preferred_time: args.preferred_time || null,
+        address: args.address || null,
+        status: 'pending'
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to create appointment request: ${error.message}`);
+    }
+
+    logger.info('Appointment request created', {
+      appointmentRequestId: data.id,
+      businessId: business.id,
+      callId: event.call_id
+    });
+
+    return {
+      success: true,
+      appointment_request_id: data.id,
+      message: `The request has been recorded. ${business.business_name} will call back to confirm the time.`
+    };
+  }
+};
@@ -0,0 +1,33 @@
+const { getBusinessStatus, describeWeeklyHours } = require('../../utils/businessHours');
+
+/**
+ * get_business_hours() - whether the business is open now and its weekly hours
+ */
+module.exports = {
+  name: 'get_business_hours',
+  description: 'Get the business\'s opening hours and whether it is open right now. Call this when the caller asks when the business is open.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  enabledByDefault: true,
+
+  async handler(args, { business }) {
+    const status = getBusinessStatus(business);
+
+    if (!status.configured) {
+      return {
+        configured: false,
+        message: 'Business hours are not available. Offer to have someone call back with details.'
+      };
+    }
+
+    return {
+      configured: true,
+      is_open: status.is_open,
+      today_hours: status.today_hours,
+      timezone: status.timezone,
+      weekly_hours: describeWeeklyHours(business)
+    };
+  }
+};
@@ -0,0 +1,147 @@
+const checkServiceArea = require('./checkServiceArea');
+const getBusinessHours = require('./getBusinessHours');
+const lookupExistingCustomer = require('./lookupExistingCustomer');
+const createAppointmentRequest = require('./createAppointmentRequest');
+
+/**
+ * @typedef {Object} AgentFunction
+ * @property {string} name - Function name Retell calls (/webhook/retell/functions/:name)
+ * @property {string} description - Description shown to the agent's LLM
+ * @property {Object} parameters - JSON Schema for the arguments (object with properties/required)
+ * @property {boolean} enabledByDefault - Available to businesses without an enabled_functions setting
+ * @property {Function} handler - async (args, context) => result; context is { business, event, settings }
+ */
+
+const registry = new Map();
+
+/**
+ * Register a function the agent can call mid-call
+ * @param {AgentFunction} agentFunction - Function definition
+ */
+function registerFunction(agentFunction) {
+  if (registry.has(agentFunction.name)) {
+    throw new Error(`Function already registered: ${agentFunction.name}`);
+  }
+  registry.set(agentFunction.name, agentFunction);
+}
+
+/**
+ * Get a registered function
+ * @param {string} name - Function name
+ * @returns {AgentFunction|null} Function definition or null
+ */
+function getFunction(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * List registered functions
+ * @returns {Array<AgentFunction>} Function definitions
+ */
+function listFunctions() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Get the definitions to paste into a Retell agent's custom functions
+ * @returns {Array<Object>} { name, description, parameters, enabled_by_default }
+ */
+function getFunctionDefinitions() {
+  return listFunctions().map(agentFunction => ({
+    name: agentFunction.name,
+    description: agentFunction.description,
+    parameters: agentFunction.parameters,
+    enabled_by_default: agentFunction.enabledByDefault
+  }));
+}
+
+/**
+ * Check whether a function is enabled for a business
+ * @param {AgentFunction} agentFunction - Function definition
+ * @param {Array<string>|null} enabledFunctions - Business's enabled_functions setting (null when unset)
+ * @returns {boolean} Whether the business may call the function
+ */
+function isFunctionEnabled(agentFunction, enabledFunctions) {
+  if (!enabledFunctions) {
+    return agentFunction.enabledByDefault;
+  }
+  return enabledFunctions.includes(agentFunction.name);
+}
+
+/**
+ * Validate arguments against a function's parameter schema
+ * Supports the JSON Schema subset used by the registered functions: type, required,
+ * enum, pattern, minLength and maxLength.
+ * @param {Object} parameters - JSON Schema ({ type: 'object', properties, required })
+ * @param {Object} args - Arguments sent by the agent
+ * @returns {Array<Object>} Errors ({ path, msg }); empty when valid
+ */
+function validateArguments(parameters, args) {
+  const errors = [];
+  const properties = parameters.properties || {};
+  const values = args || {};
+
+  for (const field of parameters.required || []) {
+    if (values[field] === undefined || values[field] === null || values[field] === '') {
+      errors.push({ path: field, msg: `${field} is required` });
+    }
+  }
+
+  for (const [field, value] of Object.entries(values)) {
+    const schema = properties[field];
+    if (!schema) {
+      if (parameters.additionalProperties === false) {
+        errors.push({ path: field, msg: `${field} is not a known argument` });
+      }
+      continue;
+    }
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+
+    if (!matchesType(value, schema.type)) {
+      errors.push({ path: field, msg: `${field} must be of type ${schema.type}` });
+      continue;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push({ path: field, msg: `${field} must be one of: ${schema.enum.join(', ')}` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(String(value))) {
+      errors.push({ path: field, msg: `${field} has an invalid format` });
+    }
+    if (schema.minLength !== undefined && String(value).length < schema.minLength) {
+      errors.push({ path: field, msg: `${field} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && String(value).length > schema.maxLength) {
+      errors.push({ path: field, msg: `${field} must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    default:
+      return true;
+  }
+}
+
+[checkServiceArea, getBusinessHours, lookupExistingCustomer, createAppointmentRequest].forEach(registerFunction);
+
+module.exports = {
+  registerFunction,
+  getFunction,
+  listFunctions,
+  getFunctionDefinitions,
+  isFunctionEnabled,
+  validateArguments
+};
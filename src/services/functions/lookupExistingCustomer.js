@@ -0,0 +1,44 @@
+const callerHistoryService = require('../callerHistoryService');
+const { normalizePhoneNumber } = require('../../utils/phoneNumber');
+
+/**
+ * lookup_existing_customer() - what the business knows about the caller
+ *
+ * Disabled by default: it reads back details from earlier calls, so businesses opt in
+ * through their enabled_functions setting. Only the number the call comes from is looked
+ * up, so a caller can never pull up someone else's name and address.
+ */
+module.exports = {
+  name: 'lookup_existing_customer',
+  description: 'Look up whether the caller has called before from this number, and the name and address on file.',
+  parameters: {
+    type: 'object',
+    properties: {}
+  },
+  enabledByDefault: false,
+
+  async handler(args, { business, event }) {
+    const phone = normalizePhoneNumber(event.from_number);
+    if (!phone) {
+      return { found: false, message: 'No phone number available to look up.' };
+    }
+
+    const history = await callerHistoryService.getCallerHistory(business.id, phone, {
+      excludeCallId: event.call_id
+    });
+
+    if (history.prior_calls === 0) {
+      return { found: false, phone, message: 'This caller has not called before.' };
+    }
+
+    return {
+      found: true,
+      phone,
+      prior_calls: history.prior_calls,
+      caller_name: history.caller_name,
+      address: history.last_address,
+      last_reason: history.last_reason,
+      last_call_at: history.last_call_at
+    };
+  }
+};
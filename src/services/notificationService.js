@@ -1,6 +1,20 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
 const { supabase } = require('../config/database');
+const { getLowConfidenceFields } = require('../utils/informationExtractor');
+const { formatTimeWindow } = require('../utils/appointmentTime');
+const { URGENCY, URGENCY_LABELS } = require('../utils/urgencyClassifier');
+const { getDetailLabel } = require('../utils/detailExtractor');
+const { getLanguageLabel } = require('../utils/language');
+const redactionService = require('./redactionService');
+
+const FIELD_LABELS = {
+  name: 'Name',
+  callback_number: 'Callback',
+  address: 'Address',
+  reason: 'Reason',
+  email: 'Email'
+};
 
 /**
  * Notification Service for Slack (SMS handled by Retell AI)
@@ -50,9 +64,11 @@ class NotificationService {
    * Send Slack notification
    * @param {Object} callData - Call information
    * @param {Object} businessData - Business information
+   * @param {Object} options - Notification options
+   * @param {boolean} options.isUpdate - Notification is for an updated call analysis
    * @returns {Promise<Object>} Notification result
    */
-  async sendSlackNotification(callData, businessData) {
+  async sendSlackNotification(callData, businessData, options = {}) {
     try {
       if (!businessData.slack_webhook_url) {
         logger.warn('No Slack webhook URL configured for business', {
@@ -66,8 +82,12 @@ class NotificationService {
         };
       }
 
-      const message = this.formatSlackMessage(callData, businessData);
-      
+      // Stored calls are already redacted; this also covers calls saved before redaction
+      const message = await redactionService.redactForBusiness(
+        businessData.id,
+        this.formatSlackMessage(callData, businessData, options)
+      );
+
       const response = await axios.post(businessData.slack_webhook_url, message, {
         headers: {
           'Content-Type': 'application/json'
@@ -120,9 +140,10 @@ class NotificationService {
    * Send both SMS and Slack notifications
    * @param {Object} callData - Call information
    * @param {Object} businessData - Business information
+   * @param {Object} options - Notification options (see sendSlackNotification)
    * @returns {Promise<Object>} Combined notification results
    */
-  async sendAllNotifications(callData, businessData) {
+  async sendAllNotifications(callData, businessData, options = {}) {
     const results = {
       sms: null,
       slack: null,
@@ -134,7 +155,7 @@ class NotificationService {
       results.sms = await this.sendSMSNotification(callData, businessData);
       
       // Send Slack notification
-      results.slack = await this.sendSlackNotification(callData, businessData);
+      results.slack = await this.sendSlackNotification(callData, businessData, options);
 
       // Determine overall success
       const smsSuccess = results.sms.success;
@@ -171,66 +192,274 @@ class NotificationService {
    * Format Slack message
    * @param {Object} callData - Call information
    * @param {Object} businessData - Business information
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.isUpdate - Mark the message as an updated call analysis
    * @returns {Object} Formatted Slack message
    */
-  formatSlackMessage(callData, businessData) {
+  formatSlackMessage(callData, businessData, options = {}) {
     const timestamp = new Date(callData.created_at).toLocaleString();
-    
-    return {
-      text: `New call for ${businessData.business_name}`,
-      blocks: [
-        {
-          type: "header",
-          text: {
-            type: "plain_text",
-            text: `${callData.call_summary || 'Customer inquiry'} - ${businessData.business_name}`
+    const prefix = options.isUpdate ? 'Updated: ' : '';
+    const lowConfidence = getLowConfidenceFields(callData.extraction_confidence);
+    const flag = field => (lowConfidence.includes(field) ? ' ⚠️' : '');
+
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `${prefix}${callData.call_headline || 'Customer inquiry'} - ${businessData.business_name}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Name:* ${callData.caller_name || 'Not provided'}${flag('name')}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Callback:* ${callData.callback_number || 'Not provided'}${flag('callback_number')}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Address:* ${callData.address || 'Not provided'}${flag('address')}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Reason:* ${callData.reason || 'Not provided'}${flag('reason')}`
+          },
+          ...(callData.email ? [{
+            type: "mrkdwn",
+            text: `*Email:* ${callData.email}${flag('email')}`
+          }] : []),
+          ...(callData.preferred_time_start && callData.preferred_time_end ? [{
+            type: "mrkdwn",
+            text: `*Preferred time:* ${formatTimeWindow(callData.preferred_time_start, callData.preferred_time_end, businessData.timezone)}` +
+              (callData.preferred_time_phrase ? ` ("${callData.preferred_time_phrase}")` : '')
+          }] : []),
+          ...(callData.urgency === URGENCY.EMERGENCY || callData.urgency === URGENCY.SAME_DAY ? [{
+            type: "mrkdwn",
+            text: `*Urgency:* ${URGENCY_LABELS[callData.urgency]}`
+          }] : []),
+          ...(getLanguageLabel(callData.language) ? [{
+            type: "mrkdwn",
+            text: `*Language:* ${getLanguageLabel(callData.language)}`
+          }] : [])
+        ]
+      }
+    ];
+
+    if (callData.call_summary) {
+      blocks.push({
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Summary:* ${callData.call_summary}`
+        }
+      });
+    }
+
+    // Business type details (HVAC system, legal matter type, ...), labelled from the type's schema
+    const details = callData.details && typeof callData.details === 'object' ? Object.entries(callData.details) : [];
+    if (details.length > 0) {
+      blocks.push({
+        type: "section",
+        fields: details.slice(0, 10).map(([key, value]) => ({
+          type: "mrkdwn",
+          text: `*${getDetailLabel(businessData.business_type, key)}:* ${value}`
+        }))
+      });
+    }
+
+    if (lowConfidence.length > 0) {
+      blocks.push({
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `⚠️ Low confidence: ${lowConfidence.map(field => FIELD_LABELS[field]).join(', ')} - check the recording before calling back`
           }
-        },
-        {
-          type: "section",
-          fields: [
-            {
-              type: "mrkdwn",
-              text: `*Name:* ${callData.caller_name || 'Not provided'}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Callback:* ${callData.callback_number || 'Not provided'}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Address:* ${callData.address || 'Not provided'}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Reason:* ${callData.reason || 'Not provided'}`
-            }
-          ]
-        },
-        {
-          type: "section",
-          text: {
+        ]
+      });
+    }
+
+    blocks.push(
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*Recording:* ${callData.recording_url ? `<${callData.recording_url}|Download Audio>` : 'Not available'}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
             type: "mrkdwn",
-            text: `*Recording:* ${callData.recording_url ? `<${callData.recording_url}|Download Audio>` : 'Not available'}`
+            text: `⏰ ${timestamp} | 📞 Call ID: ${callData.id}`
           }
+        ]
+      }
+    );
+
+    return {
+      text: options.isUpdate
+        ? `Updated call details for ${businessData.business_name}`
+        : `New call for ${businessData.business_name}`,
+      blocks
+    };
+  }
+
+  /**
+   * Send an emergency escalation alert to the on-call contact's Slack webhook
+   * @param {Object} callData - Call information
+   * @param {Object} businessData - Business information
+   * @param {Object} alert - Alert details (see formatEmergencyMessage) plus webhookUrl
+   * @returns {Promise<Object>} Notification result
+   */
+  async sendEmergencyAlert(callData, businessData, alert) {
+    try {
+      const message = await redactionService.redactForBusiness(
+        businessData.id,
+        this.formatEmergencyMessage(callData, businessData, alert)
+      );
+
+      const response = await axios.post(alert.webhookUrl, message, {
+        headers: {
+          'Content-Type': 'application/json'
         },
+        timeout: 10000
+      });
+
+      if (response.status !== 200) {
+        throw new Error(`Slack API returned status ${response.status}`);
+      }
+
+      logger.info('Emergency alert sent', {
+        callId: callData.id,
+        businessId: businessData.id,
+        attempt: alert.attempt
+      });
+
+      await this.logNotification(callData.id, 'slack_emergency', 'sent', alert.webhookUrl);
+
+      return {
+        success: true,
+        status: 'sent'
+      };
+
+    } catch (error) {
+      logger.error('Emergency alert failed', {
+        error: error.message,
+        callId: callData.id,
+        businessId: businessData.id,
+        attempt: alert.attempt
+      });
+
+      await this.logNotification(callData.id, 'slack_emergency', 'failed', alert.webhookUrl, error.message);
+
+      return {
+        success: false,
+        error: error.message,
+        status: 'failed'
+      };
+    }
+  }
+
+  /**
+   * Format an emergency escalation alert: pages the channel, leads with what the caller
+   * said and how to reach them, and repeats until acknowledged
+   * @param {Object} callData - Call information
+   * @param {Object} businessData - Business information
+   * @param {Object} alert - Alert details
+   * @param {number} alert.attempt - Alert number (1-based)
+   * @param {number} alert.maxAlerts - Alerts sent before giving up
+   * @param {string|null} alert.contact - On-call contact to mention (Slack user ID or name)
+   * @param {string|null} alert.acknowledgeUrl - Link that acknowledges the escalation
+   * @returns {Object} Formatted Slack message
+   */
+  formatEmergencyMessage(callData, businessData, alert) {
+    const mention = alert.contact
+      ? (/^[UW][A-Z0-9]+$/.test(alert.contact) ? `<@${alert.contact}>` : alert.contact)
+      : '<!channel>';
+    const signals = Array.isArray(callData.urgency_signals) && callData.urgency_signals.length > 0
+      ? callData.urgency_signals.join(', ')
+      : 'emergency';
+    const repeat = alert.attempt > 1 ? ` (alert ${alert.attempt} of ${alert.maxAlerts}, not yet acknowledged)` : '';
+
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `🚨 EMERGENCY - ${businessData.business_name}`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `${mention} Emergency call${repeat}: *${signals}*\n${callData.reason || callData.call_summary || 'No details captured'}`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Call back now:* ${callData.callback_number || callData.from_number || 'Not provided'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Name:* ${callData.caller_name || 'Not provided'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Address:* ${callData.address || 'Not provided'}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Recording:* ${callData.recording_url ? `<${callData.recording_url}|Listen>` : 'Not available'}`
+          }
+        ]
+      }
+    ];
+
+    if (alert.acknowledgeUrl) {
+      blocks.push({
+        type: "actions",
+        elements: [
+          {
+            type: "button",
+            style: "danger",
+            text: { type: "plain_text", text: "Acknowledge" },
+            url: alert.acknowledgeUrl
+          }
+        ]
+      });
+    }
+
+    blocks.push({
+      type: "context",
+      elements: [
         {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: `⏰ ${timestamp} | 📞 Call ID: ${callData.id}`
-            }
-          ]
+          type: "mrkdwn",
+          text: `Alerts repeat until someone acknowledges | 📞 Call ID: ${callData.id}`
         }
       ]
+    });
+
+    return {
+      text: `🚨 Emergency call for ${businessData.business_name}: ${signals}`,
+      blocks
     };
   }
 
   /**
    * Log notification attempt to database
    * @param {string} callId - Call ID
-   * @param {string} type - Notification type (sms/slack)
+   * @param {string} type - Notification type (sms/slack/slack_emergency)
    * @param {string} status - Status (sent/failed/pending)
    * @param {string} recipient - Recipient information
    * @param {string} errorMessage - Error message if failed
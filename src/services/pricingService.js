@@ -0,0 +1,26 @@
+const { PRICING_PLANS, DEFAULT_PLAN_NAME } = require('../config/pricing');
+const { resolvePlan } = require('../utils/pricing');
+const businessSettingsService = require('./businessSettingsService');
+
+/**
+ * Pricing Service - the pricing plan in effect for a business
+ */
+class PricingService {
+  /**
+   * Get the current plan for a business (pricing_plan setting: a plan name, or a
+   * JSON object of overrides such as { "plan": "pro", "rate_per_minute": 0.06 })
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Pricing plan
+   */
+  async getPlanForBusiness(businessId) {
+    const value = await businessSettingsService.getSetting(businessId, 'pricing_plan');
+    const trimmed = value ? String(value).trim() : null;
+    const planSetting = trimmed && trimmed.startsWith('{')
+      ? businessSettingsService.parseJsonSetting(trimmed)
+      : trimmed;
+
+    return resolvePlan(planSetting, PRICING_PLANS, DEFAULT_PLAN_NAME);
+  }
+}
+
+module.exports = new PricingService();
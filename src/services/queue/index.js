@@ -0,0 +1,61 @@
+const logger = require('../../utils/logger');
+const MemoryQueue = require('./memoryQueue');
+const PostgresQueue = require('./postgresQueue');
+const JobWorker = require('./jobWorker');
+
+let sharedQueue = null;
+let sharedWorker = null;
+
+/**
+ * Create a queue backend
+ * @param {string} backend - 'memory' or 'postgres'
+ * @returns {MemoryQueue|PostgresQueue} Queue backend
+ */
+function createQueue(backend) {
+  switch (backend) {
+    case 'memory':
+      return new MemoryQueue();
+    case 'postgres':
+      return new PostgresQueue();
+    default:
+      throw new Error(`Unknown queue backend: ${backend}`);
+  }
+}
+
+/**
+ * Get the configured queue backend (WEBHOOK_QUEUE_BACKEND, defaulting to
+ * postgres in production and memory elsewhere)
+ * @returns {MemoryQueue|PostgresQueue} Shared queue
+ */
+function getJobQueue() {
+  if (!sharedQueue) {
+    const backend = process.env.WEBHOOK_QUEUE_BACKEND ||
+      (process.env.NODE_ENV === 'production' ? 'postgres' : 'memory');
+    sharedQueue = createQueue(backend);
+    logger.info('Job queue initialized', { backend });
+  }
+  return sharedQueue;
+}
+
+/**
+ * Get the shared worker for the configured queue
+ * @returns {JobWorker} Shared worker
+ */
+function getJobWorker() {
+  if (!sharedWorker) {
+    sharedWorker = new JobWorker(getJobQueue(), {
+      concurrency: parseInt(process.env.WEBHOOK_WORKER_CONCURRENCY) || 4,
+      pollIntervalMs: parseInt(process.env.WEBHOOK_WORKER_POLL_INTERVAL_MS) || 1000
+    });
+  }
+  return sharedWorker;
+}
+
+module.exports = {
+  createQueue,
+  getJobQueue,
+  getJobWorker,
+  MemoryQueue,
+  PostgresQueue,
+  JobWorker
+};
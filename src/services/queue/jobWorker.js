@@ -0,0 +1,218 @@
+const os = require('os');
+const logger = require('../../utils/logger');
+
+/**
+ * Job worker - polls a queue backend and runs registered handlers with a
+ * concurrency limit and exponential backoff between attempts
+ */
+class JobWorker {
+  /**
+   * @param {Object} queue - Queue backend (MemoryQueue or PostgresQueue)
+   * @param {Object} options - Worker options
+   * @param {number} options.concurrency - Maximum jobs running at once
+   * @param {number} options.pollIntervalMs - Delay between polls when idle
+   * @param {number} options.baseBackoffMs - Delay before the first retry
+   * @param {number} options.maxBackoffMs - Upper bound on retry delay
+   * @param {string} options.workerId - Identifier recorded on claimed jobs
+   */
+  constructor(queue, options = {}) {
+    this.queue = queue;
+    this.concurrency = options.concurrency || 4;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.baseBackoffMs = options.baseBackoffMs || 2000;
+    this.maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+
+    this.handlers = {};
+    this.active = new Set();
+    this.running = false;
+    this.timer = null;
+    this.ticking = false;
+    this.pollRequested = false;
+  }
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job) => result
+   * @param {Object} options - Handler options
+   * @param {Function} options.onFailure - async (job, error) called once attempts are exhausted
+   */
+  registerHandler(type, handler, options = {}) {
+    this.handlers[type] = { handler, onFailure: options.onFailure || null };
+  }
+
+  /**
+   * Start polling the queue
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    logger.info('Job worker started', {
+      workerId: this.workerId,
+      concurrency: this.concurrency,
+      types: Object.keys(this.handlers)
+    });
+    this.schedule(0);
+  }
+
+  /**
+   * Stop polling and wait for running jobs to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    await Promise.allSettled([...this.active]);
+  }
+
+  /**
+   * Poll immediately (e.g. right after a job was enqueued)
+   */
+  notify() {
+    if (this.running) {
+      this.schedule(0);
+    }
+  }
+
+  /**
+   * Schedule the next poll
+   * @param {number} delayMs - Delay before polling
+   */
+  schedule(delayMs) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.tick();
+    }, delayMs);
+    // Never keep the process alive just for polling
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Claim and start as many jobs as the concurrency limit allows
+   * @returns {Promise<number>} Number of jobs started
+   */
+  async tick() {
+    if (this.ticking) {
+      // Poll again as soon as the current tick finishes
+      this.pollRequested = true;
+      return 0;
+    }
+    this.ticking = true;
+    this.pollRequested = false;
+
+    let started = 0;
+    try {
+      const capacity = this.concurrency - this.active.size;
+      if (capacity > 0) {
+        const jobs = await this.queue.claim(capacity, this.workerId);
+        for (const job of jobs) {
+          const execution = this.execute(job).finally(() => {
+            this.active.delete(execution);
+            this.notify();
+          });
+          this.active.add(execution);
+          started++;
+        }
+      }
+    } catch (error) {
+      logger.error('Job worker failed to claim jobs', {
+        error: error.message,
+        workerId: this.workerId
+      });
+    } finally {
+      this.ticking = false;
+    }
+
+    if (this.running && !this.timer) {
+      this.schedule(this.pollRequested ? 0 : this.pollIntervalMs);
+    }
+
+    return started;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * @param {Object} job - Claimed job
+   * @returns {Promise<void>}
+   */
+  async execute(job) {
+    const registration = this.handlers[job.type];
+
+    try {
+      if (!registration) {
+        throw new Error(`No handler registered for job type: ${job.type}`);
+      }
+
+      await registration.handler(job);
+      await this.queue.complete(job.id);
+
+    } catch (error) {
+      const attemptsLeft = job.attempts < job.max_attempts && registration;
+
+      if (attemptsLeft) {
+        const retryAt = new Date(Date.now() + this.getBackoffMs(job.attempts));
+        logger.warn('Job failed, scheduling retry', {
+          jobId: job.id,
+          type: job.type,
+          attempt: job.attempts,
+          maxAttempts: job.max_attempts,
+          retryAt: retryAt.toISOString(),
+          error: error.message
+        });
+        await this.safely(() => this.queue.retry(job.id, error.message, retryAt), job);
+        return;
+      }
+
+      logger.error('Job failed permanently', {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        error: error.message
+      });
+      await this.safely(() => this.queue.fail(job.id, error.message), job);
+
+      if (registration && registration.onFailure) {
+        await this.safely(() => registration.onFailure(job, error), job);
+      }
+    }
+  }
+
+  /**
+   * Exponential backoff with a little jitter
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffMs(attempt) {
+    const delay = Math.min(this.maxBackoffMs, this.baseBackoffMs * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.round(delay * (1 + Math.random() * 0.1));
+  }
+
+  /**
+   * Run queue bookkeeping without letting its errors escape the worker
+   * @param {Function} fn - Operation to run
+   * @param {Object} job - Job being processed
+   * @returns {Promise<void>}
+   */
+  async safely(fn, job) {
+    try {
+      await fn();
+    } catch (error) {
+      logger.error('Job bookkeeping failed', {
+        error: error.message,
+        jobId: job.id,
+        type: job.type
+      });
+    }
+  }
+}
+
+module.exports = JobWorker;
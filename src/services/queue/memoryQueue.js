@@ -0,0 +1,125 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * In-memory job queue (single process, not durable - intended for tests and local development)
+ */
+class MemoryQueue {
+  constructor() {
+    this.jobs = [];
+    this.sequence = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - Job definition
+   * @param {string} job.type - Job type (selects the worker handler)
+   * @param {Object} job.payload - Job payload
+   * @param {string} job.orderingKey - Jobs sharing a key run one at a time, in enqueue order
+   * @param {number} job.maxAttempts - Attempts before the job is failed permanently
+   * @param {Date} job.runAt - Earliest time to run the job
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue({ type, payload, orderingKey = null, maxAttempts = 5, runAt = new Date() }) {
+    const job = {
+      id: uuidv4(),
+      sequence: ++this.sequence,
+      type,
+      payload,
+      ordering_key: orderingKey,
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts,
+      run_at: new Date(runAt),
+      last_error: null,
+      created_at: new Date()
+    };
+
+    this.jobs.push(job);
+    return { ...job };
+  }
+
+  /**
+   * Claim ready jobs for processing. A job is only claimable when no earlier
+   * unfinished job shares its ordering key.
+   * @param {number} limit - Maximum jobs to claim
+   * @param {string} workerId - Claiming worker
+   * @returns {Promise<Array<Object>>} Claimed jobs
+   */
+  async claim(limit, workerId) {
+    const now = Date.now();
+    const blockedKeys = new Set();
+    const claimed = [];
+
+    for (const job of this.jobs) {
+      if (claimed.length >= limit) break;
+
+      const blocked = job.ordering_key && blockedKeys.has(job.ordering_key);
+      if (job.ordering_key) {
+        blockedKeys.add(job.ordering_key);
+      }
+
+      if (blocked || job.status !== 'queued' || job.run_at.getTime() > now) {
+        continue;
+      }
+
+      job.status = 'running';
+      job.attempts += 1;
+      job.locked_by = workerId;
+      job.locked_at = new Date();
+      claimed.push({ ...job });
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async complete(jobId) {
+    this.jobs = this.jobs.filter(job => job.id !== jobId);
+  }
+
+  /**
+   * Return a job to the queue for another attempt
+   * @param {string} jobId - Job ID
+   * @param {string} errorMessage - Error from the failed attempt
+   * @param {Date} runAt - When to retry
+   * @returns {Promise<void>}
+   */
+  async retry(jobId, errorMessage, runAt) {
+    const job = this.jobs.find(entry => entry.id === jobId);
+    if (job) {
+      job.status = 'queued';
+      job.last_error = errorMessage;
+      job.run_at = new Date(runAt);
+      job.locked_by = null;
+      job.locked_at = null;
+    }
+  }
+
+  /**
+   * Fail a job permanently
+   * @param {string} jobId - Job ID
+   * @param {string} errorMessage - Final error
+   * @returns {Promise<void>}
+   */
+  async fail(jobId, errorMessage) {
+    this.jobs = this.jobs.filter(job => job.id !== jobId);
+  }
+
+  /**
+   * Get queue depth by status
+   * @returns {Promise<Object>} Counts
+   */
+  async stats() {
+    return {
+      backend: 'memory',
+      queued: this.jobs.filter(job => job.status === 'queued').length,
+      running: this.jobs.filter(job => job.status === 'running').length
+    };
+  }
+}
+
+module.exports = MemoryQueue;
@@ -0,0 +1,144 @@
+const { supabase } = require('../../config/database');
+
+// Running jobs whose worker has not reported back within this time are requeued
+const DEFAULT_LOCK_TIMEOUT_SECONDS = 300;
+
+/**
+ * Postgres-backed job queue using the job_queue table (see database/add_job_queue.sql)
+ */
+class PostgresQueue {
+  constructor(options = {}) {
+    this.lockTimeoutSeconds = options.lockTimeoutSeconds || DEFAULT_LOCK_TIMEOUT_SECONDS;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} job - Job definition (see MemoryQueue#enqueue)
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueue({ type, payload, orderingKey = null, maxAttempts = 5, runAt = new Date() }) {
+    const { data, error } = await supabase
+      .from('job_queue')
+      .insert({
+        type,
+        payload,
+        ordering_key: orderingKey,
+        status: 'queued',
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_at: new Date(runAt).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to enqueue job: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  /**
+   * Claim ready jobs with FOR UPDATE SKIP LOCKED, honouring per-key ordering
+   * @param {number} limit - Maximum jobs to claim
+   * @param {string} workerId - Claiming worker
+   * @returns {Promise<Array<Object>>} Claimed jobs
+   */
+  async claim(limit, workerId) {
+    const { data, error } = await supabase.rpc('claim_jobs', {
+      p_limit: limit,
+      p_worker_id: workerId,
+      p_lock_timeout_seconds: this.lockTimeoutSeconds
+    });
+
+    if (error) {
+      throw new Error(`Failed to claim jobs: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Mark a job as completed
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async complete(jobId) {
+    await this.update(jobId, {
+      status: 'completed',
+      completed_at: new Date().toISOString(),
+      locked_by: null,
+      locked_at: null
+    });
+  }
+
+  /**
+   * Return a job to the queue for another attempt
+   * @param {string} jobId - Job ID
+   * @param {string} errorMessage - Error from the failed attempt
+   * @param {Date} runAt - When to retry
+   * @returns {Promise<void>}
+   */
+  async retry(jobId, errorMessage, runAt) {
+    await this.update(jobId, {
+      status: 'queued',
+      last_error: errorMessage,
+      run_at: new Date(runAt).toISOString(),
+      locked_by: null,
+      locked_at: null
+    });
+  }
+
+  /**
+   * Fail a job permanently
+   * @param {string} jobId - Job ID
+   * @param {string} errorMessage - Final error
+   * @returns {Promise<void>}
+   */
+  async fail(jobId, errorMessage) {
+    await this.update(jobId, {
+      status: 'failed',
+      last_error: errorMessage,
+      locked_by: null,
+      locked_at: null
+    });
+  }
+
+  /**
+   * Get queue depth by status
+   * @returns {Promise<Object>} Counts
+   */
+  async stats() {
+    const counts = { backend: 'postgres' };
+
+    for (const status of ['queued', 'running', 'failed']) {
+      const { count, error } = await supabase
+        .from('job_queue')
+        .select('*', { count: 'exact', head: true })
+        .eq('status', status);
+
+      counts[status] = error ? null : count || 0;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Update a job row
+   * @param {string} jobId - Job ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<void>}
+   */
+  async update(jobId, updates) {
+    const { error } = await supabase
+      .from('job_queue')
+      .update(updates)
+      .eq('id', jobId);
+
+    if (error) {
+      throw new Error(`Failed to update job: ${error.message}`);
+    }
+  }
+}
+
+module.exports = PostgresQueue;
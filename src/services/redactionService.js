@@ -0,0 +1,186 @@
+const logger = require('../utils/logger');
+const {
+  DEFAULT_REDACTION_POLICY,
+  REDACTION_POLICY,
+  isValidRedactionPolicy,
+  redactText,
+  redactValue
+} = require('../utils/redaction');
+const businessSettingsService = require('./businessSettingsService');
+
+/** @typedef {import('../utils/retellPayload').CallEvent} CallEvent */
+
+// Raw payload fields that hold what was said (legacy and nested shapes); ids, numbers
+// and URLs are stored as sent
+const PAYLOAD_TEXT_FIELDS = ['transcript', 'transcript_text', 'conversation', 'call_summary', 'summary', 'call_analysis'];
+const PAYLOAD_UTTERANCE_FIELDS = ['transcript_object', 'transcript_with_tool_calls'];
+
+/**
+ * Redaction Service - strips card numbers, SSNs, dates of birth and account numbers
+ * from call events before they are stored, summarized or sent to Slack
+ *
+ * Businesses choose how values are replaced with the redaction_policy setting ('mask',
+ * 'hash' or 'drop', default REDACTION_POLICY, then mask). The hash policy is keyed with
+ * REDACTION_HASH_SECRET so the same card can be recognised across calls without storing it.
+ * Raw webhook payloads are redacted with the default policy before they are queued or
+ * dead-lettered, without waiting on the database before the webhook is acknowledged.
+ */
+class RedactionService {
+  /**
+   * Get the business's redaction options
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} { policy, secret } for redactText
+   */
+  async getOptions(businessId) {
+    const policy = await businessSettingsService.getSetting(businessId, 'redaction_policy', this.getDefaultPolicy());
+    return this.resolveOptions(policy, businessId);
+  }
+
+  /**
+   * Get the default policy (REDACTION_POLICY, then mask)
+   * @returns {string} Policy
+   */
+  getDefaultPolicy() {
+    return process.env.REDACTION_POLICY || DEFAULT_REDACTION_POLICY;
+  }
+
+  /**
+   * Turn a policy into redaction options, falling back to mask when it cannot be used
+   * @param {string} policy - Policy name
+   * @param {string|null} businessId - Business ID (for logging)
+   * @returns {Object} { policy, secret } for redactText
+   */
+  resolveOptions(policy, businessId = null) {
+    const secret = process.env.REDACTION_HASH_SECRET;
+
+    if (!isValidRedactionPolicy(policy)) {
+      logger.warn('Unknown redaction policy, using mask', { businessId, policy });
+      return { policy: DEFAULT_REDACTION_POLICY };
+    }
+    if (policy === REDACTION_POLICY.HASH && !secret) {
+      logger.warn('REDACTION_HASH_SECRET is not set, using mask', { businessId });
+      return { policy: DEFAULT_REDACTION_POLICY };
+    }
+
+    return { policy, secret };
+  }
+
+  /**
+   * Redact a call event's transcript, utterances and Retell analysis
+   * @param {CallEvent} event - Normalized call event
+   * @param {Object} business - Business data
+   * @returns {Promise<CallEvent>} Redacted copy of the event
+   */
+  async redactEvent(event, business) {
+    if (!event.transcript && !event.transcript_object && !event.call_analysis) {
+      return event;
+    }
+
+    const options = await this.getOptions(business.id);
+    const transcript = redactText(event.transcript, options);
+
+    if (transcript.redactions.length > 0) {
+      logger.info('Sensitive data redacted from transcript', {
+        callId: event.call_id,
+        businessId: business.id,
+        policy: options.policy,
+        types: [...new Set(transcript.redactions.map(redaction => redaction.type))]
+      });
+    }
+
+    return {
+      ...event,
+      transcript: transcript.text,
+      transcript_object: event.transcript_object
+        ? event.transcript_object.map(utterance => this.redactUtterance(utterance, options))
+        : event.transcript_object,
+      call_analysis: redactValue(event.call_analysis, options)
+    };
+  }
+
+  /**
+   * Redact one transcript_object utterance. Word-level text would repeat what was
+   * redacted, so a changed utterance keeps only its word timings.
+   * @param {Object} utterance - { role, content, words }
+   * @param {Object} options - Redaction options
+   * @returns {Object} Redacted utterance
+   */
+  redactUtterance(utterance, options) {
+    if (!utterance || typeof utterance.content !== 'string') {
+      return utterance;
+    }
+
+    const { text, redactions } = redactText(utterance.content, options);
+    if (redactions.length === 0) {
+      return utterance;
+    }
+
+    return {
+      ...utterance,
+      content: text,
+      words: Array.isArray(utterance.words)
+        ? utterance.words.map(word => ({ start: word.start, end: word.end }))
+        : utterance.words
+    };
+  }
+
+  /**
+   * Redact a raw webhook payload before it is persisted (job queue, dead-letter store).
+   * Runs before the webhook is acknowledged, so it uses the default policy and no database
+   * reads, and only touches the transcript and analysis fields. Fails open: a payload that
+   * cannot be redacted is stored as received rather than failing the webhook.
+   * @param {Object} webhookData - Raw webhook payload (legacy flat or nested)
+   * @returns {Object} Redacted copy in the same shape
+   */
+  redactPayload(webhookData) {
+    try {
+      const options = this.resolveOptions(this.getDefaultPolicy());
+
+      if (webhookData && webhookData.call && typeof webhookData.call === 'object') {
+        return { ...webhookData, call: this.redactPayloadFields(webhookData.call, options) };
+      }
+      return this.redactPayloadFields(webhookData, options);
+    } catch (error) {
+      logger.warn('Failed to redact webhook payload, storing it as received', { error: error.message });
+      return webhookData;
+    }
+  }
+
+  /**
+   * Redact the transcript and analysis fields of a payload's call object
+   * @param {Object} fields - Call object (or the legacy flat payload)
+   * @param {Object} options - Redaction options
+   * @returns {Object} Redacted copy
+   */
+  redactPayloadFields(fields, options) {
+    if (!fields || typeof fields !== 'object') {
+      return fields;
+    }
+
+    const redacted = { ...fields };
+    for (const key of PAYLOAD_TEXT_FIELDS) {
+      if (redacted[key] !== undefined && redacted[key] !== null) {
+        redacted[key] = redactValue(redacted[key], options);
+      }
+    }
+    for (const key of PAYLOAD_UTTERANCE_FIELDS) {
+      if (Array.isArray(redacted[key])) {
+        redacted[key] = redacted[key].map(utterance => this.redactUtterance(utterance, options));
+      }
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Redact every string in a value with the business's policy (e.g. a Slack payload)
+   * @param {string} businessId - Business ID
+   * @param {*} value - Value
+   * @returns {Promise<*>} Redacted copy
+   */
+  async redactForBusiness(businessId, value) {
+    return redactValue(value, await this.getOptions(businessId));
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,240 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+const { isTerminalState, getAnalyticsDate } = require('../utils/callLifecycle');
+const { adjustCount } = require('../utils/callOutcome');
+const { buildTranscriptTurns, getSpeakerText } = require('../utils/transcriptTurns');
+const { DEFAULT_SPAM_THRESHOLD, scoreSpam } = require('../utils/spamScorer');
+const businessSettingsService = require('./businessSettingsService');
+
+const REPEAT_WINDOW_HOURS = 24;
+
+/** @typedef {import('../utils/retellPayload').CallEvent} CallEvent */
+
+/**
+ * Spam Service - flags spam and robocalls, keeps them out of notifications and
+ * analytics, and lets a business review and un-flag them
+ *
+ * Businesses add numbers to the spam_blocklist setting and can change the score at
+ * which a call is flagged with spam_threshold (default SPAM_THRESHOLD, then 0.7).
+ */
+class SpamService {
+  /**
+   * Score a call for spam
+   * @param {CallEvent} event - Normalized call event
+   * @param {Object} business - Business data
+   * @returns {Promise<Object>} { score, is_spam, signals } (see scoreSpam)
+   */
+  async assess(event, business) {
+    const fromNumber = normalizePhoneNumber(event.from_number);
+    const turns = buildTranscriptTurns(event);
+    const callerText = turns.length > 0 ? getSpeakerText(turns, 'user') : event.transcript;
+
+    const [blocklist, threshold, repeatBusinesses] = await Promise.all([
+      this.getBlocklist(business.id),
+      this.getThreshold(business.id),
+      this.countRecentBusinesses(event.from_number, business.id)
+    ]);
+
+    const result = scoreSpam({
+      callerText,
+      agentText: getSpeakerText(turns, 'agent'),
+      duration: event.duration_seconds,
+      repeatBusinesses,
+      blocklisted: !!fromNumber && blocklist.includes(fromNumber)
+    }, { threshold });
+
+    if (result.is_spam) {
+      logger.info('Call flagged as spam', {
+        callId: event.call_id,
+        businessId: business.id,
+        score: result.score,
+        signals: result.signals.map(signal => signal.type)
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the business's blocked numbers (spam_blocklist setting, normalized)
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Array<string>>} E.164 numbers
+   */
+  async getBlocklist(businessId) {
+    const numbers = await businessSettingsService.getListSetting(businessId, 'spam_blocklist');
+    return (numbers || []).map(normalizePhoneNumber).filter(Boolean);
+  }
+
+  /**
+   * Get the score at which the business's calls are flagged
+   * @param {string} businessId - Business ID
+   * @returns {Promise<number>} Threshold between 0 and 1
+   */
+  async getThreshold(businessId) {
+    const value = parseFloat(await businessSettingsService.getSetting(
+      businessId,
+      'spam_threshold',
+      process.env.SPAM_THRESHOLD || DEFAULT_SPAM_THRESHOLD
+    ));
+    return value > 0 && value <= 1 ? value : DEFAULT_SPAM_THRESHOLD;
+  }
+
+  /**
+   * Count the other businesses a number called recently (across all tenants)
+   * @param {string|null} fromNumber - Caller number as stored on calls
+   * @param {string} businessId - Business being called (not counted)
+   * @returns {Promise<number>} Distinct businesses
+   */
+  async countRecentBusinesses(fromNumber, businessId) {
+    if (!fromNumber) {
+      return 0;
+    }
+
+    const since = new Date(Date.now() - REPEAT_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('calls')
+      .select('business_id')
+      .eq('from_number', fromNumber)
+      .neq('business_id', businessId)
+      .gte('created_at', since)
+      .limit(500);
+
+    if (error) {
+      logger.warn('Failed to count repeat calls', {
+        error: error.message,
+        businessId,
+        fromNumber
+      });
+      return 0;
+    }
+
+    return new Set((data || []).map(row => row.business_id)).size;
+  }
+
+  /**
+   * List a business's quarantined (spam) calls, newest first
+   * @param {string} businessId - Business ID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { calls, total }
+   */
+  async listQuarantine(businessId, { limit = 50, offset = 0 } = {}) {
+    const { data, error, count } = await supabase
+      .from('calls')
+      .select('id, from_number, caller_name, call_headline, duration, transcript_text, spam_score, spam_signals, call_status, created_at', { count: 'exact' })
+      .eq('business_id', businessId)
+      .eq('is_spam', true)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw new Error(`Failed to list quarantined calls: ${error.message}`);
+    }
+
+    return { calls: data || [], total: count || 0 };
+  }
+
+  /**
+   * Un-flag a quarantined call: it shows in the call history and is counted in
+   * analytics again. spam_reviewed_at records the review.
+   * @param {string} businessId - Business ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} Updated call
+   */
+  async unflag(businessId, callId) {
+    const { data: call, error: callError } = await supabase
+      .from('calls')
+      .select('id, business_id, is_spam, call_status, sentiment, outcome, created_at')
+      .eq('id', callId)
+      .eq('business_id', businessId)
+      .maybeSingle();
+
+    if (callError || !call) {
+      throw new NotFoundError('Call not found');
+    }
+    if (!call.is_spam) {
+      throw new ConflictError('Call is not flagged as spam');
+    }
+
+    const { data, error } = await supabase
+      .from('calls')
+      .update({ is_spam: false, spam_reviewed_at: new Date().toISOString() })
+      .eq('id', callId)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to un-flag call: ${error.message}`);
+    }
+
+    await this.moveAnalytics(businessId, {
+      started: true,
+      completed: isTerminalState(call.call_status),
+      sentiment: call.sentiment,
+      outcome: call.outcome
+    }, false, call.created_at);
+
+    logger.info('Call un-flagged as spam', { callId, businessId });
+
+    return data;
+  }
+
+  /**
+   * Move a call's counts between the regular and spam analytics of the day it was
+   * counted on (see getAnalyticsDate, even when it is un-flagged later)
+   * @param {string} businessId - Business ID
+   * @param {Object} counted - Which of the call's events the regular counts include
+   *   ({ started, completed }; see WebhookController.updateCallAnalytics) and its
+   *   counted sentiment and outcome
+   * @param {boolean} toSpam - Move into spam_calls (true) or back out of it (false)
+   * @param {string|null} createdAt - The call's created_at (defaults to now)
+   * @returns {Promise<void>}
+   */
+  async moveAnalytics(businessId, counted, toSpam, createdAt = null) {
+    const sign = toSpam ? -1 : 1;
+    const date = getAnalyticsDate(createdAt);
+
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('call_analytics')
+        .select('*')
+        .eq('business_id', businessId)
+        .eq('date', date)
+        .maybeSingle();
+
+      if (fetchError) {
+        throw new Error(fetchError.message);
+      }
+
+      // A started call adds one call, a completed one another call and a notification
+      const calls = (counted.started ? 1 : 0) + (counted.completed ? 1 : 0);
+      const notifications = counted.completed ? 1 : 0;
+
+      const current = existing || { total_calls: 0, successful_notifications: 0, spam_calls: 0 };
+      const counts = {
+        total_calls: Math.max(0, (current.total_calls || 0) + sign * calls),
+        successful_notifications: Math.max(0, (current.successful_notifications || 0) + sign * notifications),
+        spam_calls: Math.max(0, (current.spam_calls || 0) - sign),
+        sentiment_counts: adjustCount(current.sentiment_counts, counted.sentiment, sign),
+        outcome_counts: adjustCount(current.outcome_counts, counted.outcome, sign)
+      };
+
+      const { error } = existing
+        ? await supabase.from('call_analytics').update(counts).eq('id', existing.id)
+        : await supabase.from('call_analytics').insert({ business_id: businessId, date, ...counts });
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      logger.error('Failed to update spam analytics', {
+        error: error.message,
+        businessId,
+        date
+      });
+    }
+  }
+}
+
+module.exports = new SpamService();
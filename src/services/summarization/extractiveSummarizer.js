@@ -0,0 +1,24 @@
+const { summarizeCall } = require('../../utils/callSummarizer');
+const { version } = require('../../../package.json');
+
+/**
+ * Extractive summarizer - headline and summary built from the call's own sentences
+ * (always available, used as the fallback for the generative summarizer)
+ */
+class ExtractiveSummarizer {
+  constructor() {
+    this.name = 'extractive';
+    this.version = version;
+  }
+
+  /**
+   * Summarize a call
+   * @param {Object} input - { transcript, turns, info, timezone }
+   * @returns {Promise<Object>} { headline, summary }
+   */
+  async summarize({ transcript, turns, info, timezone }) {
+    return summarizeCall(turns || [], transcript, info, { timezone });
+  }
+}
+
+module.exports = ExtractiveSummarizer;
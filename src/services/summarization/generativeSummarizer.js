@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { URGENCY_LABELS } = require('../../utils/urgencyClassifier');
+const { splitSentences } = require('../../utils/callSummarizer');
+
+// Bump when the prompt or schema changes
+const PROMPT_VERSION = 'v1';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const MAX_HEADLINE_LENGTH = 100;
+const MAX_SUMMARY_SENTENCES = 3;
+
+const SYSTEM_PROMPT = `You summarize phone calls between a receptionist (Agent) and a caller (User) for the business owner who will call back.
+Write a headline of at most 10 words, and a summary of 1 to 3 sentences covering what the caller needs, how urgent it is, and what the agent promised.
+Only state what was said in the call. Reply with a single JSON object matching the schema.`;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['headline', 'summary'],
+  properties: {
+    headline: { type: 'string', description: 'At most 10 words, e.g. "Burst pipe in basement, water everywhere"' },
+    summary: { type: 'string', description: '1 to 3 sentences' }
+  }
+};
+
+/**
+ * Generative summarizer - asks an OpenAI-compatible chat completions endpoint
+ * (SUMMARY_LLM_URL, falling back to EXTRACTION_LLM_URL) for the headline and summary.
+ * Replies that are not JSON, or break the length limits, throw so the caller can fall back.
+ */
+class GenerativeSummarizer {
+  /**
+   * @param {Object} options - Summarizer options (default to SUMMARY_LLM_*, then EXTRACTION_LLM_*)
+   * @param {string} options.url - Chat completions URL
+   * @param {string} options.apiKey - Bearer token
+   * @param {string} options.model - Model name
+   * @param {number} options.timeoutMs - Request timeout
+   */
+  constructor(options = {}) {
+    this.name = 'generative';
+    this.url = options.url || process.env.SUMMARY_LLM_URL || process.env.EXTRACTION_LLM_URL || null;
+    this.apiKey = options.apiKey || process.env.SUMMARY_LLM_API_KEY || process.env.EXTRACTION_LLM_API_KEY || null;
+    this.model = options.model || process.env.SUMMARY_LLM_MODEL || process.env.EXTRACTION_LLM_MODEL || DEFAULT_MODEL;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.SUMMARY_LLM_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+    this.version = `${this.model}/${PROMPT_VERSION}`;
+  }
+
+  /**
+   * Summarize a call
+   * @param {Object} input - { transcript, info }
+   * @returns {Promise<Object>} { headline, summary }
+   */
+  async summarize({ transcript, info = {} }) {
+    if (!this.url) {
+      throw new Error('SUMMARY_LLM_URL is not configured');
+    }
+    if (!transcript) {
+      throw new Error('No transcript to summarize');
+    }
+
+    const response = await axios.post(this.url, {
+      model: this.model,
+      temperature: 0,
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: `${describeKnownFields(info)}Transcript:\n${transcript}` }
+      ],
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: 'call_summary', strict: true, schema: SUMMARY_SCHEMA }
+      }
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      timeout: this.timeoutMs
+    });
+
+    const content = response.data && response.data.choices && response.data.choices[0] &&
+      response.data.choices[0].message && response.data.choices[0].message.content;
+
+    return parseSummaryJson(content);
+  }
+}
+
+/**
+ * Give the model the fields already extracted, so the summary agrees with them
+ * @param {Object} info - Extracted information
+ * @returns {string} Prompt lines (empty when nothing is known)
+ */
+function describeKnownFields(info) {
+  const lines = [];
+  if (info.name) lines.push(`Caller: ${info.name}`);
+  if (info.urgency && URGENCY_LABELS[info.urgency.level]) lines.push(`Urgency: ${URGENCY_LABELS[info.urgency.level]}`);
+  if (info.preferred_time && info.preferred_time.phrase) lines.push(`Preferred time: ${info.preferred_time.phrase}`);
+  return lines.length > 0 ? `${lines.join('\n')}\n\n` : '';
+}
+
+/**
+ * Parse and check the model's reply
+ * @param {string|undefined} content - Message content
+ * @returns {Object} { headline, summary }
+ * @throws {Error} When the reply is not JSON or breaks the limits
+ */
+function parseSummaryJson(content) {
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('Summarizer returned an empty reply');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+  } catch (error) {
+    throw new Error(`Summarizer returned invalid JSON: ${error.message}`);
+  }
+
+  const headline = parsed && typeof parsed.headline === 'string' ? parsed.headline.trim() : '';
+  const summary = parsed && typeof parsed.summary === 'string' ? parsed.summary.trim() : '';
+
+  if (!headline || headline.length > MAX_HEADLINE_LENGTH) {
+    throw new Error('Summarizer returned an invalid headline');
+  }
+  const sentences = splitSentences(summary).length;
+  if (sentences < 1 || sentences > MAX_SUMMARY_SENTENCES) {
+    throw new Error(`Summarizer returned ${sentences} summary sentences`);
+  }
+
+  return { headline, summary };
+}
+
+module.exports = GenerativeSummarizer;
+module.exports.parseSummaryJson = parseSummaryJson;
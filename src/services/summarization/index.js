@@ -0,0 +1,45 @@
+const logger = require('../../utils/logger');
+const ExtractiveSummarizer = require('./extractiveSummarizer');
+const GenerativeSummarizer = require('./generativeSummarizer');
+
+const SUMMARIZER_NAMES = ['extractive', 'generative'];
+
+const sharedSummarizers = {};
+
+/**
+ * Create a summarizer
+ * @param {string} name - 'extractive' or 'generative'
+ * @param {Object} options - Summarizer options
+ * @returns {ExtractiveSummarizer|GenerativeSummarizer} Summarizer
+ */
+function createSummarizer(name, options = {}) {
+  switch (name) {
+    case 'extractive':
+      return new ExtractiveSummarizer();
+    case 'generative':
+      return new GenerativeSummarizer(options);
+    default:
+      throw new Error(`Unknown summarizer: ${name}`);
+  }
+}
+
+/**
+ * Get the shared summarizer for a name
+ * @param {string} name - Summarizer name
+ * @returns {ExtractiveSummarizer|GenerativeSummarizer} Shared summarizer
+ */
+function getSummarizer(name) {
+  if (!sharedSummarizers[name]) {
+    sharedSummarizers[name] = createSummarizer(name);
+    logger.info('Summarizer initialized', { summarizer: name, version: sharedSummarizers[name].version });
+  }
+  return sharedSummarizers[name];
+}
+
+module.exports = {
+  SUMMARIZER_NAMES,
+  createSummarizer,
+  getSummarizer,
+  ExtractiveSummarizer,
+  GenerativeSummarizer
+};
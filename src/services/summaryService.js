@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const { withTimeout } = require('../utils/timeout');
+const { FALLBACK_HEADLINE } = require('../utils/callSummarizer');
+const { SUMMARIZER_NAMES, getSummarizer } = require('./summarization');
+const businessSettingsService = require('./businessSettingsService');
+
+const DEFAULT_SUMMARIZER = 'extractive';
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Summary Service - the headline and 1-3 sentence summary stored with each call
+ *
+ * The summarizer is chosen per business with the summary_mode setting. When the
+ * generative summarizer fails or times out, the extractive one is used instead.
+ */
+class SummaryService {
+  /**
+   * Summarize a call
+   * @param {Object} event - Normalized call event (transcript)
+   * @param {Object} info - Extracted information (name, reason, urgency, preferred_time)
+   * @param {Object} business - Business data (id, timezone)
+   * @param {Array<Object>} turns - Speaker turns
+   * @returns {Promise<Object>} { headline, summary, summarizer: { name, version, fallback_from } }
+   */
+  async summarize(event, info, business, turns = []) {
+    const input = { transcript: event.transcript || null, turns, info, timezone: business.timezone };
+    const summarizer = await this.getSummarizer(business.id);
+
+    let result;
+    let used = summarizer;
+    let fallbackFrom = null;
+
+    try {
+      result = summarizer.name === DEFAULT_SUMMARIZER
+        ? await summarizer.summarize(input)
+        : await withTimeout(
+          summarizer.summarize(input),
+          parseInt(process.env.SUMMARY_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+          `${summarizer.name} summary timed out`
+        );
+    } catch (error) {
+      if (summarizer.name === DEFAULT_SUMMARIZER) {
+        throw error;
+      }
+
+      logger.warn('Summarizer failed, falling back to extractive', {
+        callId: event.call_id,
+        summarizer: summarizer.name,
+        version: summarizer.version,
+        error: error.message
+      });
+
+      used = getSummarizer(DEFAULT_SUMMARIZER);
+      fallbackFrom = summarizer.name;
+      result = await used.summarize(input);
+    }
+
+    return {
+      headline: result.headline || FALLBACK_HEADLINE,
+      summary: result.summary || null,
+      summarizer: { name: used.name, version: used.version, fallback_from: fallbackFrom }
+    };
+  }
+
+  /**
+   * Get the business's summarizer (business setting summary_mode, defaulting to
+   * SUMMARY_MODE, then extractive)
+   * @param {string} businessId - Business ID
+   * @returns {Promise<Object>} Summarizer
+   */
+  async getSummarizer(businessId) {
+    const name = await businessSettingsService.getSetting(
+      businessId,
+      'summary_mode',
+      process.env.SUMMARY_MODE || DEFAULT_SUMMARIZER
+    );
+
+    if (!SUMMARIZER_NAMES.includes(name)) {
+      logger.warn('Unknown summary mode, using extractive', { businessId, summaryMode: name });
+      return getSummarizer(DEFAULT_SUMMARIZER);
+    }
+
+    return getSummarizer(name);
+  }
+}
+
+module.exports = new SummaryService();
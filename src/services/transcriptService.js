@@ -0,0 +1,104 @@
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const { buildTranscriptTurns } = require('../utils/transcriptTurns');
+
+/**
+ * Transcript Service for storing and reading speaker-separated transcript turns
+ */
+class TranscriptService {
+  /**
+   * Replace the stored transcript turns for a call
+   * @param {string} callId - Call ID
+   * @param {Object} event - Normalized call event
+   * @returns {Promise<number>} Number of turns stored
+   */
+  async saveTranscriptTurns(callId, event) {
+    const turns = buildTranscriptTurns(event);
+
+    try {
+      // Re-sent transcripts replace the previous turns
+      const { error: deleteError } = await supabase
+        .from('call_transcript_turns')
+        .delete()
+        .eq('call_id', callId);
+
+      if (deleteError) {
+        throw new Error(deleteError.message);
+      }
+
+      if (turns.length === 0) {
+        logger.info('No speaker-separated turns found in transcript', { callId });
+        return 0;
+      }
+
+      const { error } = await supabase
+        .from('call_transcript_turns')
+        .insert(turns.map(turn => ({ call_id: callId, ...turn })));
+
+      if (error) {
+        throw new Error(error.message);
+      }
+
+      logger.info('Transcript turns stored', { callId, turns: turns.length });
+      return turns.length;
+
+    } catch (error) {
+      logger.error('Failed to store transcript turns', {
+        error: error.message,
+        callId
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Get transcript turns for a call in order
+   * @param {string} callId - Call ID
+   * @returns {Promise<Array<Object>>} Turns
+   */
+  async getTranscriptTurns(callId) {
+    const { data, error } = await supabase
+      .from('call_transcript_turns')
+      .select('turn_index, role, text, start_offset, end_offset')
+      .eq('call_id', callId)
+      .order('turn_index', { ascending: true });
+
+    if (error) {
+      throw new Error(`Failed to fetch transcript turns: ${error.message}`);
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Mark the caller's turns and wrap their words in <mark> tags for display
+   * @param {Array<Object>} turns - Turns
+   * @returns {Array<Object>} Turns with highlighted and display_html fields
+   */
+  highlightUserTurns(turns) {
+    return turns.map(turn => {
+      const escaped = escapeHtml(turn.text);
+      return {
+        ...turn,
+        highlighted: turn.role === 'user',
+        display_html: turn.role === 'user' ? `<mark>${escaped}</mark>` : escaped
+      };
+    });
+  }
+}
+
+/**
+ * Escape text for safe HTML display
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = new TranscriptService();
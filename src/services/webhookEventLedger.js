@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { supabase } = require('../config/database');
+const { ConflictError } = require('../middleware/errorHandler');
+
+// Postgres unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+// A 'processing' entry older than this is assumed to belong to a crashed attempt
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+/**
+ * Webhook Event Ledger - records processed (call_id, event_type) pairs so retried
+ * deliveries are answered with the original result instead of being reprocessed
+ */
+class WebhookEventLedger {
+  /**
+   * Hash transcript text so re-sent call_analyzed events can be compared
+   * @param {string|null} transcript - Transcript text
+   * @returns {string|null} sha256 hex digest or null
+   */
+  hashTranscript(transcript) {
+    if (!transcript) {
+      return null;
+    }
+    return crypto.createHash('sha256').update(transcript).digest('hex');
+  }
+
+  /**
+   * Claim an event for processing
+   * @param {string} callId - Retell call ID
+   * @param {string} eventType - Event type key
+   * @param {string|null} transcriptHash - Transcript hash (call_analyzed only)
+   * @returns {Promise<Object>} Claim: { action: 'process'|'update'|'duplicate', entry, previous }
+   */
+  async claim(callId, eventType, transcriptHash = null) {
+    const { data: inserted, error: insertError } = await supabase
+      .from('processed_webhook_events')
+      .insert({
+        call_id: callId,
+        event_type: eventType,
+        transcript_hash: transcriptHash,
+        status: 'processing'
+      })
+      .select()
+      .single();
+
+    if (!insertError) {
+      return { action: 'process', entry: inserted, previous: null };
+    }
+
+    if (insertError.code !== UNIQUE_VIOLATION) {
+      throw new Error(`Failed to record webhook event: ${insertError.message}`);
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('processed_webhook_events')
+      .select('*')
+      .eq('call_id', callId)
+      .eq('event_type', eventType)
+      .single();
+
+    if (fetchError || !existing) {
+      throw new Error(`Failed to load webhook event: ${fetchError ? fetchError.message : 'not found'}`);
+    }
+
+    if (existing.status === 'processing') {
+      const age = Date.now() - new Date(existing.updated_at || existing.created_at).getTime();
+      if (age < STALE_PROCESSING_MS) {
+        throw new ConflictError(`Event ${eventType} for call ${callId} is already being processed`);
+      }
+
+      const entry = await this.claimEntry(existing, { transcript_hash: transcriptHash, status: 'processing' });
+      if (!entry) {
+        throw new ConflictError(`Event ${eventType} for call ${callId} was reclaimed by another delivery`);
+      }
+
+      logger.warn('Reclaimed stale webhook event', { callId, eventType });
+      return { action: 'process', entry, previous: null };
+    }
+
+    const transcriptChanged = eventType === 'call_analyzed' &&
+      transcriptHash &&
+      transcriptHash !== existing.transcript_hash;
+
+    if (!transcriptChanged) {
+      return { action: 'duplicate', entry: existing, previous: null };
+    }
+
+    const entry = await this.claimEntry(existing, {
+      transcript_hash: transcriptHash,
+      status: 'processing',
+      update_count: (existing.update_count || 0) + 1
+    });
+    if (!entry) {
+      throw new ConflictError(`Update of ${eventType} for call ${callId} is already being processed`);
+    }
+
+    return { action: 'update', entry, previous: existing };
+  }
+
+  /**
+   * Mark a claimed event as completed and store its result
+   * @param {Object} claim - Claim returned by claim()
+   * @param {Object} result - Processing result
+   * @returns {Promise<void>}
+   */
+  async complete(claim, result) {
+    try {
+      await this.updateEntry(claim.entry.id, { status: 'completed', result });
+    } catch (error) {
+      logger.error('Failed to complete webhook event', {
+        error: error.message,
+        callId: claim.entry.call_id,
+        eventType: claim.entry.event_type
+      });
+    }
+  }
+
+  /**
+   * Release a claim after a failed attempt so the event can be retried
+   * @param {Object} claim - Claim returned by claim()
+   * @returns {Promise<void>}
+   */
+  async release(claim) {
+    try {
+      if (claim.previous) {
+        // Failed update: restore the last completed state so a retry is detected as an update again
+        await this.updateEntry(claim.entry.id, {
+          status: 'completed',
+          transcript_hash: claim.previous.transcript_hash,
+          update_count: claim.previous.update_count
+        });
+        return;
+      }
+
+      const { error } = await supabase
+        .from('processed_webhook_events')
+        .delete()
+        .eq('id', claim.entry.id);
+
+      if (error) {
+        throw new Error(error.message);
+      }
+    } catch (error) {
+      logger.error('Failed to release webhook event', {
+        error: error.message,
+        callId: claim.entry.call_id,
+        eventType: claim.entry.event_type
+      });
+    }
+  }
+
+  /**
+   * Take over an existing entry only if nobody changed it since it was read
+   * (updated_at is bumped by a trigger on every update)
+   * @param {Object} existing - Entry as read
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object|null>} Updated entry, or null when another delivery got there first
+   */
+  async claimEntry(existing, updates) {
+    let query = supabase
+      .from('processed_webhook_events')
+      .update(updates)
+      .eq('id', existing.id)
+      .eq('status', existing.status);
+
+    query = existing.updated_at
+      ? query.eq('updated_at', existing.updated_at)
+      : query.is('updated_at', null);
+
+    const { data, error } = await query.select();
+
+    if (error) {
+      throw new Error(`Failed to claim webhook event: ${error.message}`);
+    }
+
+    return data && data.length > 0 ? data[0] : null;
+  }
+
+  /**
+   * Update a ledger entry
+   * @param {string} id - Ledger entry ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(id, updates) {
+    const { data, error } = await supabase
+      .from('processed_webhook_events')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update webhook event: ${error.message}`);
+    }
+
+    return data;
+  }
+}
+
+module.exports = new WebhookEventLedger();
@@ -0,0 +1,67 @@
+const logger = require('../utils/logger');
+const { getJobQueue, getJobWorker } = require('./queue');
+const failedWebhookService = require('./failedWebhookService');
+const redactionService = require('./redactionService');
+const { normalizeRetellEvent } = require('../utils/retellPayload');
+
+const RETELL_WEBHOOK_JOB = 'retell_webhook';
+
+/**
+ * Webhook Queue Service - persists incoming Retell events and processes them in the background
+ */
+class WebhookQueueService {
+  /**
+   * Persist a webhook event for background processing
+   * @param {Object} webhookData - Raw webhook payload from Retell AI (stored redacted)
+   * @returns {Promise<Object>} Queued job
+   */
+  async enqueueWebhook(webhookData) {
+    const event = normalizeRetellEvent(webhookData);
+    const payload = redactionService.redactPayload(webhookData);
+
+    const job = await getJobQueue().enqueue({
+      type: RETELL_WEBHOOK_JOB,
+      payload,
+      // Events for the same call are processed one at a time, in arrival order
+      orderingKey: event.call_id,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5
+    });
+
+    logger.info('Webhook queued for processing', {
+      jobId: job.id,
+      callId: event.call_id,
+      eventType: event.event_type
+    });
+
+    getJobWorker().notify();
+
+    return job;
+  }
+
+  /**
+   * Register the webhook job handler with the shared worker
+   */
+  registerHandlers() {
+    // Required lazily to keep the controller free of queue dependencies
+    const webhookController = require('../controllers/webhookController');
+
+    getJobWorker().registerHandler(
+      RETELL_WEBHOOK_JOB,
+      job => webhookController.handleRetellWebhook(job.payload, { deadLetter: false }),
+      {
+        // Retries exhausted - move the event to the dead-letter store
+        onFailure: async (job, error) => {
+          const entry = await failedWebhookService.recordFailure(job.payload, error.message);
+          logger.error('Webhook moved to dead-letter store after retries', {
+            jobId: job.id,
+            failedWebhookId: entry.id,
+            callId: entry.call_id,
+            attempts: job.attempts
+          });
+        }
+      }
+    );
+  }
+}
+
+module.exports = new WebhookQueueService();
@@ -0,0 +1,259 @@
+/**
+ * US street address parsing
+ *
+ * Splits a free-text address ("123 Main Street Apt 4, Anytown, CA 90210") into street
+ * number, street name, unit, city, state and ZIP. State abbreviations and full names
+ * are validated against the US list and ZIPs must be 5 digits or ZIP+4; parts that fail
+ * validation are left null rather than stored wrong, listed in rejected, and make the
+ * address invalid. Spanish street order ("Calle Principal
+ * 45") is read too, with the pattern from the Spanish pattern set.
+ */
+
+const { STREET_PATTERN: SPANISH_STREET_PATTERN } = require('./spanishPatterns');
+
+const US_STATES = {
+  AL: 'alabama', AK: 'alaska', AZ: 'arizona', AR: 'arkansas', CA: 'california',
+  CO: 'colorado', CT: 'connecticut', DE: 'delaware', FL: 'florida', GA: 'georgia',
+  HI: 'hawaii', ID: 'idaho', IL: 'illinois', IN: 'indiana', IA: 'iowa',
+  KS: 'kansas', KY: 'kentucky', LA: 'louisiana', ME: 'maine', MD: 'maryland',
+  MA: 'massachusetts', MI: 'michigan', MN: 'minnesota', MS: 'mississippi', MO: 'missouri',
+  MT: 'montana', NE: 'nebraska', NV: 'nevada', NH: 'new hampshire', NJ: 'new jersey',
+  NM: 'new mexico', NY: 'new york', NC: 'north carolina', ND: 'north dakota', OH: 'ohio',
+  OK: 'oklahoma', OR: 'oregon', PA: 'pennsylvania', RI: 'rhode island', SC: 'south carolina',
+  SD: 'south dakota', TN: 'tennessee', TX: 'texas', UT: 'utah', VT: 'vermont',
+  VA: 'virginia', WA: 'washington', WV: 'west virginia', WI: 'wisconsin', WY: 'wyoming',
+  DC: 'district of columbia', PR: 'puerto rico'
+};
+
+const STREET_SUFFIXES = [
+  'street', 'st', 'avenue', 'ave', 'road', 'rd', 'drive', 'dr', 'lane', 'ln', 'way',
+  'boulevard', 'blvd', 'court', 'ct', 'place', 'pl', 'circle', 'cir', 'terrace', 'ter',
+  'parkway', 'pkwy', 'highway', 'hwy', 'trail', 'trl', 'square', 'sq', 'loop', 'pike'
+];
+
+// Codes that are also English words ("in", "me", "or"); only trusted in capitals or before a ZIP
+const AMBIGUOUS_STATE_CODES = ['AL', 'CO', 'DE', 'HI', 'ID', 'IN', 'LA', 'MA', 'ME', 'OH', 'OK', 'OR', 'PA'];
+
+// "Apt 4", "Unit 4", "Suite 200" or "#4" at the end of the text
+const UNIT_PATTERN = /[\s,]*(?:\b(?:apartment|apt|unit|suite|ste)|#)\s*\.?\s*#?\s*([a-z0-9-]+)\s*$/i;
+
+const ZIP_PATTERN = /^\d{5}(?:-\d{4})?$/;
+
+/**
+ * @typedef {Object} AddressComponents
+ * @property {string|null} street_number - House number ("123", "12B")
+ * @property {string|null} street_name - Street name with suffix ("Main Street")
+ * @property {string|null} unit - Apartment/unit/suite ("4B")
+ * @property {string|null} city - City
+ * @property {string|null} state - Two-letter state code
+ * @property {string|null} zip - ZIP or ZIP+4
+ * @property {Array<string>} rejected - Parts given but dropped as invalid ('state', 'zip')
+ * @property {boolean} valid - Street number and name plus a ZIP or city and state, and nothing rejected
+ */
+
+/**
+ * Parse a free-text US address
+ * @param {string|null} address - Address text
+ * @returns {AddressComponents|null} Components, or null when the text has neither a street number nor a ZIP
+ */
+function parseAddress(address) {
+  if (!address || typeof address !== 'string') {
+    return null;
+  }
+
+  let rest = address.replace(/\s+/g, ' ').replace(/[\s.,;]+$/, '').trim();
+
+  const rejected = [];
+
+  // A unit at the very end ("123 Main St Apt 12") is not a ZIP
+  let unit = null;
+  const trailingUnit = rest.match(UNIT_PATTERN);
+  if (trailingUnit) {
+    unit = trailingUnit[1];
+    rest = rest.slice(0, trailingUnit.index);
+  }
+
+  // ZIP (ZIP+4 may be spoken or written with a space or dash)
+  let zip = null;
+  const zipMatch = rest.match(/[\s,]*\b(\d{5})(?:[-\s](\d{4}))?$/);
+  if (zipMatch) {
+    zip = zipMatch[2] ? `${zipMatch[1]}-${zipMatch[2]}` : zipMatch[1];
+    rest = rest.slice(0, zipMatch.index);
+  } else {
+    // A malformed ZIP after the city or state is dropped rather than read as part of the
+    // city; a short number is a house number ("Calle Principal 45")
+    const badZip = rest.match(/[\s,]+(\d{3,4}|\d{6,9}|\d+-\d*)$/);
+    if (badZip && isAfterCityOrState(rest.slice(0, badZip.index))) {
+      rest = rest.slice(0, badZip.index);
+      rejected.push('zip');
+    }
+  }
+
+  // State: a two-letter code or a full name at the end
+  let state = null;
+  const stateMatch = findState(rest, !!zip || rejected.includes('zip'));
+  if (stateMatch) {
+    state = stateMatch.code;
+    rest = rest.slice(0, stateMatch.index).replace(/[\s,]+$/, '');
+  } else {
+    // Likewise an unknown state code after the city ("Anytown, ZZ")
+    const badState = rest.match(/,\s*[a-z]{2}$/i);
+    if (badState) {
+      rest = rest.slice(0, badState.index);
+      rejected.push('state');
+    }
+  }
+
+  const parts = rest.split(',').map(part => part.trim()).filter(Boolean);
+  let streetLine = parts.shift() || '';
+  let city = null;
+
+  // A separate "Apt 4" part between the street and the city
+  while (parts.length > 0 && UNIT_PATTERN.test(` ${parts[0]}`) && !unit) {
+    unit = ` ${parts.shift()}`.match(UNIT_PATTERN)[1];
+  }
+  if (parts.length > 0) {
+    city = parts.join(', ');
+  } else {
+    // No commas: the city follows the street suffix (and unit)
+    const split = splitStreetAndCity(streetLine);
+    streetLine = split.street;
+    city = split.city;
+  }
+
+  const unitMatch = streetLine.match(UNIT_PATTERN);
+  if (unitMatch) {
+    unit = unit || unitMatch[1];
+    streetLine = streetLine.slice(0, unitMatch.index);
+  }
+
+  let streetNumber = null;
+  let streetName = null;
+  const streetMatch = streetLine.trim().match(/^(\d+[a-z]?)\s+(.+)$/i);
+  const spanishMatch = streetMatch ? null : streetLine.trim().match(SPANISH_STREET_PATTERN);
+  if (streetMatch) {
+    streetNumber = streetMatch[1].toUpperCase();
+    streetName = titleCase(streetMatch[2]);
+  } else if (spanishMatch) {
+    streetNumber = spanishMatch[2].toUpperCase();
+    streetName = titleCase(spanishMatch[1]);
+    // Without commas the city follows the house number
+    city = city || spanishMatch[3] || null;
+  }
+
+  if (!streetNumber && !zip) {
+    return null;
+  }
+
+  const components = {
+    street_number: streetNumber,
+    street_name: streetName,
+    unit: unit ? unit.toUpperCase() : null,
+    city: city ? titleCase(city.replace(/^(?:in|at|en)\s+/i, '')) : null,
+    state,
+    zip: zip && isValidZip(zip) ? zip : null,
+    rejected
+  };
+
+  components.valid = !!(components.street_number && components.street_name &&
+    (components.zip || (components.city && components.state))) && rejected.length === 0;
+
+  return components;
+}
+
+/**
+ * Find a state code or name at the end of the text
+ * @param {string} text - Address text without the ZIP
+ * @param {boolean} hasZip - A ZIP followed the text (ambiguous codes also count after a comma)
+ * @returns {Object|null} { code, index }
+ */
+function findState(text, hasZip) {
+  const codeMatch = text.match(/(?:^|[\s,])([a-z]{2})$/i);
+  if (codeMatch && isValidState(codeMatch[1])) {
+    const code = codeMatch[1].toUpperCase();
+    const afterComma = /,\s*[a-z]{2}$/i.test(text);
+    if (!AMBIGUOUS_STATE_CODES.includes(code) || hasZip || afterComma || codeMatch[1] === code) {
+      return { code, index: codeMatch.index };
+    }
+  }
+
+  const lower = text.toLowerCase();
+  for (const [code, name] of Object.entries(US_STATES)) {
+    if (lower.endsWith(name) && (lower.length === name.length || /[\s,]/.test(lower[lower.length - name.length - 1]))) {
+      return { code, index: lower.length - name.length };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Split "123 main st apt 4 springfield" into the street line and the city
+ * @param {string} line - Street line without commas
+ * @returns {Object} { street, city }
+ */
+function splitStreetAndCity(line) {
+  const words = line.split(' ');
+  const suffixIndex = words.findIndex((word, index) => index > 1 && STREET_SUFFIXES.includes(word.toLowerCase().replace(/\.$/, '')));
+
+  if (suffixIndex === -1) {
+    return { street: line, city: null };
+  }
+
+  let end = suffixIndex + 1;
+  if (words[end] && ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw'].includes(words[end].toLowerCase())) {
+    end += 1;
+  }
+  const afterSuffix = words.slice(end).join(' ');
+  const unitMatch = afterSuffix.match(/^(?:apartment|apt|unit|suite|ste|#)\s*\.?\s*#?\s*[a-z0-9-]+/i);
+  if (unitMatch) {
+    end += unitMatch[0].split(' ').length;
+  }
+
+  const city = words.slice(end).join(' ').trim();
+  return { street: words.slice(0, end).join(' '), city: city || null };
+}
+
+/**
+ * Check whether a trailing number is in the ZIP's place: after a city (past a comma), a
+ * state, or a street that already starts with its house number
+ * @param {string} text - Address text before the number
+ * @returns {boolean} Whether the number stands where a ZIP would
+ */
+function isAfterCityOrState(text) {
+  return text.includes(',') || /^\d/.test(text) || !!findState(text, true);
+}
+
+/**
+ * Check a US state or territory code
+ * @param {string} code - Two-letter code
+ * @returns {boolean} Whether it is valid
+ */
+function isValidState(code) {
+  return typeof code === 'string' && Object.prototype.hasOwnProperty.call(US_STATES, code.toUpperCase());
+}
+
+/**
+ * Check a ZIP code format (5 digits or ZIP+4)
+ * @param {string} zip - ZIP code
+ * @returns {boolean} Whether it is valid
+ */
+function isValidZip(zip) {
+  return typeof zip === 'string' && ZIP_PATTERN.test(zip);
+}
+
+/**
+ * Capitalize each word
+ * @param {string} text - Text
+ * @returns {string} Title-cased text
+ */
+function titleCase(text) {
+  return text.trim().split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+module.exports = {
+  US_STATES,
+  parseAddress,
+  isValidState,
+  isValidZip
+};
@@ -0,0 +1,379 @@
+/**
+ * Preferred appointment time extraction
+ *
+ * Finds what the caller said about when they want someone to come ("tomorrow afternoon",
+ * "next Tuesday at 3", "any time after 5 on the 12th") and resolves it to a window
+ * against the call's start time in the business's timezone.
+ *
+ * Conventions:
+ * - An hour without am/pm is read as business hours: 1-6 → PM, 7-11 → AM
+ * - "Tuesday" and "next Tuesday" both mean the coming Tuesday (a week out when said on a Tuesday)
+ * - "the 12th" is this month's 12th, or next month's once it has passed
+ * - A time with no day is today, or tomorrow once the window has passed
+ */
+
+const { getLocalTime, localTimeToDate, DEFAULT_TIMEZONE, WEEKDAYS } = require('./businessHours');
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+const HOUR_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Windows in minutes after midnight (business-local)
+const DAY_WINDOW = { start: 8 * 60, end: 18 * 60 };
+const PARTS_OF_DAY = {
+  morning: { start: 8 * 60, end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening: { start: 17 * 60, end: 20 * 60 },
+  tonight: { start: 17 * 60, end: 21 * 60 }
+};
+const EXACT_TIME_MINUTES = 60;
+
+const HOUR = `(\\d{1,2}|${Object.keys(HOUR_WORDS).join('|')})`;
+const SUFFIX = "(am|pm|a\\.m\\.?|p\\.m\\.?|o'clock)";
+const WEEKDAY = '(monday|tuesday|wednesday|thursday|friday|saturday|sunday)';
+
+// Words that may follow a bare "at 3" (so "at 12 oak lane" is not a time)
+const AFTER_BARE_HOUR = "(?=\\s*(?:$|[.,;?!]|(?:in the|on|or|and|tomorrow|today|tonight|this|next|monday|tuesday|wednesday|thursday|friday|saturday|sunday|works|would|is|if|please|that|sharp|ish|or so)\\b))";
+
+const COMPONENT_PATTERNS = [
+  { type: 'relative_day', pattern: /\b(the day after tomorrow|today|tomorrow)\b/g },
+  { type: 'tonight', pattern: /\btonight\b/g },
+  { type: 'weekend', pattern: /\b(this|next|the)\s+weekend\b/g },
+  { type: 'next_week', pattern: /\bnext week\b/g },
+  { type: 'weekday', pattern: new RegExp(`\\b(?:(this|next|on)\\s+)?${WEEKDAY}\\b`, 'g') },
+  { type: 'month_day', pattern: new RegExp(`\\b(${MONTHS.join('|')})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'g') },
+  { type: 'day_of_month', pattern: /\bthe\s+(\d{1,2})(?:st|nd|rd|th)\b/g },
+  {
+    type: 'range',
+    pattern: new RegExp(`\\bbetween\\s+${HOUR}(?::(\\d{2}))?\\s*${SUFFIX}?\\s+(?:and|to)\\s+${HOUR}(?::(\\d{2}))?\\s*${SUFFIX}?`, 'g')
+  },
+  { type: 'time', pattern: new RegExp(`\\b(?:(at|around|about|after|before|by|until|from)\\s+)?${HOUR}(?::(\\d{2}))?\\s*${SUFFIX}`, 'g') },
+  { type: 'time', pattern: new RegExp(`\\b(at|around|about|after|before|by|until|from)\\s+${HOUR}(?::(\\d{2}))?(?!\\d)${AFTER_BARE_HOUR}`, 'g') },
+  { type: 'noon', pattern: /\b(?:at\s+)?(noon|midday|lunchtime)\b/g },
+  { type: 'part_of_day', pattern: /\b(?:(?:in|during) the\s+|this\s+)?(morning|afternoon|evening)\b/g },
+  { type: 'any_time', pattern: /\b(?:any\s?time|whenever|sometime)\b/g }
+];
+
+// Text allowed between components of one phrase
+const CONNECTOR = /^[\s,]*(?:(?:or|on|at|in the|maybe|say|like|preferably|ideally|but)[\s,]+)*$/;
+
+/**
+ * Find and resolve the caller's preferred appointment time
+ * @param {string} text - Cleaned (lowercase) caller text
+ * @param {Object} context - { referenceTime, timezone }
+ * @returns {Object|null} { value: { phrase, start, end }, confidence, span } or null
+ */
+function extractPreferredTime(text, context = {}) {
+  const group = findTimePhrase(text);
+  if (!group) {
+    return null;
+  }
+
+  const window = resolveTimeWindow(group.components, context.referenceTime, context.timezone);
+  if (!window) {
+    return null;
+  }
+
+  const hasDay = group.components.some(component => isDayComponent(component.type));
+  const hasTime = group.components.some(component => isTimeComponent(component.type));
+
+  return {
+    value: {
+      phrase: text.slice(group.start, group.end),
+      start: window.start,
+      end: window.end
+    },
+    confidence: hasDay && hasTime ? 0.8 : 0.6,
+    span: { start: group.start, end: group.end }
+  };
+}
+
+/**
+ * Find the most specific time phrase: adjacent date/time components grouped together
+ * @param {string} text - Cleaned text
+ * @returns {Object|null} { start, end, components }
+ */
+function findTimePhrase(text) {
+  const matches = [];
+  for (const { type, pattern } of COMPONENT_PATTERNS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      matches.push({ type, match, start: match.index, end: match.index + match[0].length });
+    }
+  }
+
+  // Keep the longest of overlapping matches
+  matches.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const components = [];
+  for (const candidate of matches) {
+    const previous = components[components.length - 1];
+    if (!previous || candidate.start >= previous.end) {
+      components.push(candidate);
+    }
+  }
+
+  const groups = [];
+  for (const component of components) {
+    const group = groups[groups.length - 1];
+    if (group && CONNECTOR.test(text.slice(group.end, component.start))) {
+      group.components.push(component);
+      group.end = component.end;
+    } else {
+      groups.push({ start: component.start, end: component.end, components: [component] });
+    }
+  }
+
+  // "any time" alone says nothing; prefer a phrase with both a day and a time
+  const useful = groups.filter(group => group.components.some(component => component.type !== 'any_time'));
+  const score = group => (group.components.some(c => isDayComponent(c.type)) ? 1 : 0) +
+    (group.components.some(c => isTimeComponent(c.type)) ? 1 : 0);
+
+  return useful.reduce((best, group) => (!best || score(group) > score(best) ? group : best), null);
+}
+
+/**
+ * Resolve phrase components to a window
+ * @param {Array<Object>} components - Matched components
+ * @param {Date|number|string} referenceTime - When the call happened
+ * @param {string} timezone - Business timezone
+ * @returns {Object|null} { start, end } ISO timestamps
+ */
+function resolveTimeWindow(components, referenceTime, timezone) {
+  const timeZone = timezone || DEFAULT_TIMEZONE;
+  const reference = getLocalTime(referenceTime ? new Date(referenceTime) : new Date(), timeZone);
+  const today = { year: reference.year, month: reference.month, day: reference.day };
+
+  let firstDay = null;
+  let lastDay = null;
+  let window = null;
+  let partOfDay = null;
+
+  for (const { type, match } of components) {
+    switch (type) {
+      case 'relative_day': {
+        const offset = { today: 0, tomorrow: 1, 'the day after tomorrow': 2 }[match[1]];
+        firstDay = addDays(today, offset);
+        break;
+      }
+      case 'tonight':
+        firstDay = today;
+        partOfDay = PARTS_OF_DAY.tonight;
+        break;
+      case 'weekday': {
+        const target = WEEKDAYS.indexOf(match[2]);
+        let ahead = (target - WEEKDAYS.indexOf(reference.weekday) + 7) % 7;
+        if (ahead === 0 && match[1] !== 'this') ahead = 7;
+        firstDay = addDays(today, ahead);
+        break;
+      }
+      case 'weekend': {
+        const toSaturday = (6 - WEEKDAYS.indexOf(reference.weekday) + 7) % 7;
+        const saturday = addDays(today, reference.weekday === 'sunday' && match[1] !== 'next' ? -1 : toSaturday);
+        firstDay = match[1] === 'next' && toSaturday === 0 ? addDays(saturday, 7) : saturday;
+        lastDay = addDays(firstDay, 1);
+        break;
+      }
+      case 'next_week': {
+        const toMonday = ((1 - WEEKDAYS.indexOf(reference.weekday) + 7) % 7) || 7;
+        firstDay = addDays(today, toMonday);
+        lastDay = addDays(firstDay, 4);
+        break;
+      }
+      case 'month_day': {
+        const month = MONTHS.indexOf(match[1]) + 1;
+        const day = parseInt(match[2], 10);
+        const year = compareDays({ year: today.year, month, day }, today) < 0 ? today.year + 1 : today.year;
+        firstDay = validDay(year, month, day);
+        break;
+      }
+      case 'day_of_month': {
+        const day = parseInt(match[1], 10);
+        let month = today.month;
+        let year = today.year;
+        if (day < today.day) {
+          month = month === 12 ? 1 : month + 1;
+          year = month === 1 ? year + 1 : year;
+        }
+        firstDay = validDay(year, month, day);
+        break;
+      }
+      case 'range': {
+        const from = toMinutes(match[1], match[2], match[3]);
+        let to = toMinutes(match[4], match[5], match[6]);
+        if (to.minutes <= from.minutes) to = { ...to, minutes: to.minutes + 12 * 60 };
+        window = { start: from.minutes, end: to.minutes, ambiguous: from.ambiguous && to.ambiguous };
+        break;
+      }
+      case 'time': {
+        const time = toMinutes(match[2], match[3], match[4]);
+        window = { ...timeWindow(match[1], time.minutes), ambiguous: time.ambiguous, hour: time };
+        break;
+      }
+      case 'noon':
+        window = { start: 12 * 60, end: 12 * 60 + EXACT_TIME_MINUTES };
+        break;
+      case 'part_of_day':
+        partOfDay = PARTS_OF_DAY[match[1]];
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (firstDay === null && !window && !partOfDay) {
+    return null;
+  }
+  if (components.some(component => isDayComponent(component.type)) && !firstDay) {
+    return null; // e.g. "the 31st" in a 30-day month
+  }
+
+  // "3 in the morning": the part of day settles am/pm
+  if (window && window.ambiguous && partOfDay === PARTS_OF_DAY.morning && window.start >= 12 * 60) {
+    window = { start: window.start - 12 * 60, end: window.end - 12 * 60 };
+  }
+
+  const minutes = window || partOfDay || DAY_WINDOW;
+
+  let startDay = firstDay;
+  if (!startDay) {
+    // A time alone means today, unless that window is already over
+    startDay = minutes.end <= reference.minutes ? addDays(today, 1) : today;
+  }
+  const endDay = window || partOfDay ? startDay : (lastDay || startDay);
+
+  return {
+    start: localTimeToDate({ ...startDay, minutes: minutes.start }, timeZone).toISOString(),
+    end: localTimeToDate({ ...endDay, minutes: minutes.end }, timeZone).toISOString()
+  };
+}
+
+/**
+ * Window for a time with its preposition
+ * @param {string|undefined} preposition - at, after, before, ...
+ * @param {number} minutes - Minutes after midnight
+ * @returns {Object} { start, end }
+ */
+function timeWindow(preposition, minutes) {
+  switch (preposition) {
+    case 'after':
+    case 'from':
+      return { start: minutes, end: Math.max(minutes + EXACT_TIME_MINUTES, DAY_WINDOW.end + 2 * 60) };
+    case 'before':
+    case 'by':
+    case 'until':
+      return { start: Math.min(DAY_WINDOW.start, minutes - EXACT_TIME_MINUTES), end: minutes };
+    default:
+      return { start: minutes, end: minutes + EXACT_TIME_MINUTES };
+  }
+}
+
+/**
+ * Convert a spoken hour to minutes after midnight
+ * @param {string} hourText - "3" or "three"
+ * @param {string|undefined} minuteText - "30"
+ * @param {string|undefined} suffix - am, pm, o'clock
+ * @returns {Object} { minutes, ambiguous }
+ */
+function toMinutes(hourText, minuteText, suffix) {
+  const hour = HOUR_WORDS[hourText] || parseInt(hourText, 10);
+  const minute = minuteText ? parseInt(minuteText, 10) : 0;
+  const marker = suffix ? suffix.charAt(0) : null;
+
+  let hour24;
+  if (marker === 'p') {
+    hour24 = (hour % 12) + 12;
+  } else if (marker === 'a') {
+    hour24 = hour % 12;
+  } else if (hour > 12) {
+    hour24 = hour; // Already 24-hour
+  } else {
+    hour24 = hour >= 1 && hour <= 6 ? hour + 12 : hour;
+  }
+
+  return { minutes: hour24 * 60 + minute, ambiguous: marker !== 'p' && marker !== 'a' && hour <= 12 };
+}
+
+/**
+ * Add days to a calendar date
+ * @param {Object} date - { year, month, day }
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day }
+ */
+function addDays(date, days) {
+  const shifted = new Date(Date.UTC(date.year, date.month - 1, date.day + days));
+  return { year: shifted.getUTCFullYear(), month: shifted.getUTCMonth() + 1, day: shifted.getUTCDate() };
+}
+
+/**
+ * Build a calendar date, rejecting days the month does not have
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {Object|null} { year, month, day } or null
+ */
+function validDay(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && day >= 1 ? { year, month, day } : null;
+}
+
+/**
+ * Compare calendar dates
+ * @param {Object} a - { year, month, day }
+ * @param {Object} b - { year, month, day }
+ * @returns {number} Negative, zero or positive
+ */
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/**
+ * @param {string} type - Component type
+ * @returns {boolean} Whether the component names a day
+ */
+function isDayComponent(type) {
+  return ['relative_day', 'tonight', 'weekday', 'weekend', 'next_week', 'month_day', 'day_of_month'].includes(type);
+}
+
+/**
+ * @param {string} type - Component type
+ * @returns {boolean} Whether the component names a time of day
+ */
+function isTimeComponent(type) {
+  return ['range', 'time', 'noon', 'part_of_day', 'tonight'].includes(type);
+}
+
+/**
+ * Format a window for notifications in the business's timezone
+ * @param {string} start - ISO start
+ * @param {string} end - ISO end
+ * @param {string} timezone - Business timezone
+ * @returns {string} e.g. "Tue, Mar 12, 5:00 PM - 8:00 PM"
+ */
+function formatTimeWindow(start, end, timezone) {
+  const timeZone = timezone || DEFAULT_TIMEZONE;
+  const dayFormat = new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', month: 'short', day: 'numeric' });
+  const timeFormat = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: '2-digit' });
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+
+  const startDay = dayFormat.format(startDate);
+  const endDay = dayFormat.format(endDate);
+
+  return startDay === endDay
+    ? `${startDay}, ${timeFormat.format(startDate)} - ${timeFormat.format(endDate)}`
+    : `${startDay}, ${timeFormat.format(startDate)} - ${endDay}, ${timeFormat.format(endDate)}`;
+}
+
+module.exports = {
+  extractPreferredTime,
+  findTimePhrase,
+  resolveTimeWindow,
+  formatTimeWindow
+};
@@ -0,0 +1,207 @@
+/**
+ * Business hours utilities
+ *
+ * Hours are stored per business as JSON keyed by lowercase weekday, in the
+ * business's own timezone:
+ *   { "monday": { "open": "08:00", "close": "17:00" }, ..., "sunday": null }
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULT_TIMEZONE = 'America/New_York';
+const TIME_FORMAT = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+/**
+ * Get the wall-clock date and time in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { weekday, year, month, day, hour, minute, minutes }
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || DEFAULT_TIMEZONE,
+    weekday: 'long',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const values = {};
+  for (const part of parts) {
+    values[part.type] = part.value;
+  }
+
+  const hour = parseInt(values.hour, 10) % 24;
+  const minute = parseInt(values.minute, 10);
+
+  return {
+    weekday: values.weekday.toLowerCase(),
+    year: parseInt(values.year, 10),
+    month: parseInt(values.month, 10),
+    day: parseInt(values.day, 10),
+    hour,
+    minute,
+    minutes: hour * 60 + minute
+  };
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ * @param {Object} local - { year, month, day, minutes } (minutes after midnight)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Instant
+ */
+function localTimeToDate(local, timeZone) {
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, 0, local.minutes);
+  let instant = wallClock;
+
+  // Shift by the zone's offset; the second pass settles days that change offset (DST)
+  for (let pass = 0; pass < 2; pass++) {
+    const actual = getLocalTime(new Date(instant), timeZone);
+    instant += wallClock - Date.UTC(actual.year, actual.month - 1, actual.day, actual.hour, actual.minute);
+  }
+
+  return new Date(instant);
+}
+
+/**
+ * Check that a timezone is a valid IANA timezone
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean} Whether the timezone is valid
+ */
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a business hours object
+ * @param {Object} hours - Business hours keyed by weekday
+ * @returns {boolean} Whether the hours are valid
+ */
+function isValidBusinessHours(hours) {
+  if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+    return false;
+  }
+
+  return Object.entries(hours).every(([day, range]) => {
+    if (!WEEKDAYS.includes(day)) return false;
+    if (range === null) return true;
+    return range && TIME_FORMAT.test(range.open) && TIME_FORMAT.test(range.close);
+  });
+}
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Format "HH:MM" as a spoken 12-hour time ("8:00 AM")
+ * @param {string} time - Time string
+ * @returns {string} Formatted time
+ */
+function formatTime(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  const normalizedHour = hour % 24;
+  const suffix = normalizedHour < 12 ? 'AM' : 'PM';
+  const displayHour = normalizedHour % 12 === 0 ? 12 : normalizedHour % 12;
+  return `${displayHour}:${String(minute).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Get a business's hours for the current local day
+ * @param {Object} business - Business record (business_hours, timezone)
+ * @param {Date} now - Current instant
+ * @returns {Object|null} { open, close } or null when closed all day / not configured
+ */
+function getTodayHours(business, now = new Date()) {
+  if (!isValidBusinessHours(business.business_hours)) {
+    return null;
+  }
+
+  const local = getLocalTime(now, business.timezone);
+  return business.business_hours[local.weekday] || null;
+}
+
+/**
+ * Get open/closed status for a business
+ * @param {Object} business - Business record (business_hours, timezone)
+ * @param {Date} now - Current instant
+ * @returns {Object} { configured, is_open, today_hours, timezone }
+ */
+function getBusinessStatus(business, now = new Date()) {
+  const timezone = business.timezone || DEFAULT_TIMEZONE;
+
+  if (!isValidBusinessHours(business.business_hours)) {
+    return { configured: false, is_open: null, today_hours: null, timezone };
+  }
+
+  const local = getLocalTime(now, timezone);
+  const today = business.business_hours[local.weekday];
+
+  // Yesterday's hours may run past midnight (e.g. 18:00-02:00)
+  const yesterday = business.business_hours[WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7]];
+  const openFromYesterday = !!yesterday &&
+    toMinutes(yesterday.close) < toMinutes(yesterday.open) &&
+    local.minutes < toMinutes(yesterday.close);
+
+  let openToday = false;
+  if (today) {
+    const open = toMinutes(today.open);
+    const close = toMinutes(today.close);
+    openToday = close > open
+      ? local.minutes >= open && local.minutes < close
+      : local.minutes >= open;
+  }
+
+  return {
+    configured: true,
+    is_open: openToday || openFromYesterday,
+    today_hours: today ? `${formatTime(today.open)} to ${formatTime(today.close)}` : 'Closed',
+    timezone
+  };
+}
+
+/**
+ * Describe a full week of hours, one line per day
+ * @param {Object} business - Business record (business_hours)
+ * @returns {Array<Object>} [{ day, hours }]
+ */
+function describeWeeklyHours(business) {
+  if (!isValidBusinessHours(business.business_hours)) {
+    return [];
+  }
+
+  return WEEKDAYS.slice(1).concat(WEEKDAYS[0]).map(day => {
+    const range = business.business_hours[day];
+    return {
+      day,
+      hours: range ? `${formatTime(range.open)} to ${formatTime(range.close)}` : 'Closed'
+    };
+  });
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  getLocalTime,
+  localTimeToDate,
+  isValidTimezone,
+  isValidBusinessHours,
+  getTodayHours,
+  getBusinessStatus,
+  describeWeeklyHours,
+  formatTime
+};
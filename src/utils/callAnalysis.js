@@ -0,0 +1,209 @@
+/**
+ * Retell post-call analysis (call_analysis) merging
+ *
+ * Retell's call_analyzed payload can carry structured results:
+ *   { call_summary, user_sentiment, call_successful, custom_analysis_data: { ... } }
+ * Structured values are preferred over the transcript extractor (regex by default, see
+ * src/services/extraction); the extractor fills whatever the analysis left empty. Each
+ * caller field records which source produced it.
+ */
+
+const { normalizePhoneNumber } = require('./phoneNumber');
+const { parseAddress } = require('./addressParser');
+
+const SOURCES = {
+  CALL_ANALYSIS: 'call_analysis',
+  REGEX: 'regex',
+  LLM: 'llm',
+  STUB: 'stub'
+};
+
+// Call record field → key in the extracted information object
+const ANALYSIS_FIELDS = {
+  caller_name: 'name',
+  callback_number: 'callback_number',
+  address: 'address',
+  reason: 'reason',
+  email: 'email'
+};
+
+// custom_analysis_data keys tried for each call field when a business has no mapping
+const DEFAULT_ANALYSIS_FIELD_MAP = {
+  caller_name: ['caller_name', 'customer_name', 'name'],
+  callback_number: ['callback_number', 'phone_number', 'phone'],
+  address: ['address', 'service_address'],
+  reason: ['reason', 'call_reason', 'service_needed'],
+  email: ['email', 'email_address']
+};
+
+const SENTIMENTS = ['Positive', 'Neutral', 'Negative', 'Unknown'];
+
+// Confidence given to values Retell's analysis returned (they have no transcript span)
+const ANALYSIS_CONFIDENCE = 0.9;
+
+/**
+ * Resolve a business's analysis key mapping on top of the defaults
+ * @param {Object|null} customMap - { caller_name: 'customer_full_name', reason: ['issue', 'job'] }
+ * @returns {Object} Call field → list of custom_analysis_data keys
+ */
+function resolveAnalysisFieldMap(customMap) {
+  const fieldMap = {};
+
+  for (const field of Object.keys(ANALYSIS_FIELDS)) {
+    const custom = customMap && typeof customMap === 'object' ? customMap[field] : null;
+    const keys = Array.isArray(custom) ? custom : (custom ? [custom] : null);
+
+    fieldMap[field] = keys
+      ? keys.map(key => String(key).trim()).filter(Boolean)
+      : DEFAULT_ANALYSIS_FIELD_MAP[field];
+  }
+
+  return fieldMap;
+}
+
+/**
+ * Read caller information from Retell's call_analysis
+ * @param {Object|null} callAnalysis - call_analysis from the normalized event
+ * @param {Object} fieldMap - Resolved field map (see resolveAnalysisFieldMap)
+ * @param {Array<Object>} detailFields - Business type detail fields, read from custom_analysis_data by key
+ * @returns {Object} { name, callback_number, address, reason, email, details, call_summary, user_sentiment, call_successful }
+ */
+function extractFromCallAnalysis(callAnalysis, fieldMap, detailFields = []) {
+  const analysis = callAnalysis && typeof callAnalysis === 'object' ? callAnalysis : {};
+  const data = analysis.custom_analysis_data && typeof analysis.custom_analysis_data === 'object'
+    ? analysis.custom_analysis_data
+    : {};
+
+  const extracted = {};
+  for (const [field, infoKey] of Object.entries(ANALYSIS_FIELDS)) {
+    const key = (fieldMap[field] || []).find(candidate => hasValue(data[candidate]));
+    extracted[infoKey] = key ? String(data[key]).trim() : null;
+  }
+
+  extracted.callback_number = cleanCallbackNumber(extracted.callback_number);
+  extracted.email = cleanEmail(extracted.email);
+
+  const details = {};
+  for (const { key } of detailFields) {
+    if (hasValue(data[key])) {
+      details[key] = String(data[key]).trim();
+    }
+  }
+  extracted.details = Object.keys(details).length > 0 ? details : null;
+
+  extracted.call_summary = hasValue(analysis.call_summary) ? String(analysis.call_summary).trim() : null;
+  extracted.user_sentiment = SENTIMENTS.includes(analysis.user_sentiment) ? analysis.user_sentiment : null;
+  extracted.call_successful = typeof analysis.call_successful === 'boolean' ? analysis.call_successful : null;
+
+  return extracted;
+}
+
+/**
+ * Merge structured analysis with transcript extraction, preferring the analysis
+ * @param {Object} structured - Result of extractFromCallAnalysis
+ * @param {Object} extracted - Result of an extraction provider (see extractCallInformation)
+ * @param {string} source - Source recorded for the provider's fields (regex, llm, stub)
+ * @returns {Object} Extracted information with sources ({ name: 'call_analysis', reason: 'regex', ... }),
+ *   confidence and transcript spans for the caller fields, the parsed address, the preferred time, the urgency and the business type details
+ */
+function mergeExtractedInfo(structured, extracted, source = SOURCES.REGEX) {
+  const merged = {
+    user_sentiment: structured.user_sentiment || null,
+    call_successful: structured.call_successful === undefined ? null : structured.call_successful
+  };
+  const sources = {};
+  const confidence = {};
+  const spans = {};
+  const extractedConfidence = extracted.confidence || {};
+  const extractedSpans = extracted.spans || {};
+  const callerFields = Object.values(ANALYSIS_FIELDS);
+
+  for (const field of [...callerFields, 'call_summary']) {
+    if (hasValue(structured[field])) {
+      merged[field] = structured[field];
+      sources[field] = SOURCES.CALL_ANALYSIS;
+      if (callerFields.includes(field)) {
+        confidence[field] = ANALYSIS_CONFIDENCE;
+        spans[field] = null;
+      }
+    } else if (hasValue(extracted[field])) {
+      merged[field] = extracted[field];
+      sources[field] = source;
+      if (callerFields.includes(field)) {
+        confidence[field] = extractedConfidence[field] !== undefined ? extractedConfidence[field] : null;
+        spans[field] = extractedSpans[field] || null;
+      }
+    } else {
+      merged[field] = null;
+    }
+  }
+
+  merged.address_components = parseAddress(merged.address);
+
+  // Retell's analysis has no appointment window; it only comes from the extraction provider
+  merged.preferred_time = extracted.preferred_time || null;
+  if (merged.preferred_time) {
+    sources.preferred_time = source;
+    confidence.preferred_time = extractedConfidence.preferred_time !== undefined ? extractedConfidence.preferred_time : null;
+    spans.preferred_time = extractedSpans.preferred_time || null;
+  }
+
+  merged.urgency = extracted.urgency || null;
+
+  // Business type details: analysis values win key by key
+  const details = { ...(extracted.details || {}), ...(structured.details || {}) };
+  merged.details = Object.keys(details).length > 0 ? details : null;
+
+  merged.sources = sources;
+  merged.confidence = confidence;
+  merged.spans = spans;
+  return merged;
+}
+
+/**
+ * Normalize a structured callback number (from call_analysis or an extraction provider)
+ * @param {string|null} value - Phone number as returned
+ * @returns {string|null} E.164 number, or null when it is not 7-15 digits
+ */
+function cleanCallbackNumber(value) {
+  if (!hasValue(value)) {
+    return null;
+  }
+  const digits = String(value).replace(/\D/g, '');
+  return digits.length >= 7 && digits.length <= 15 ? normalizePhoneNumber(digits) : null;
+}
+
+/**
+ * Normalize a structured email address
+ * @param {string|null} value - Email as returned
+ * @returns {string|null} Lowercase email, or null when malformed
+ */
+function cleanEmail(value) {
+  if (!hasValue(value)) {
+    return null;
+  }
+  const email = String(value).toLowerCase().replace(/\s+/g, '');
+  return /^[^@]+@[^@]+\.[a-z]{2,}$/.test(email) ? email : null;
+}
+
+/**
+ * Check for a usable analysis value
+ * @param {*} value - Value
+ * @returns {boolean} Whether the value is present and non-blank
+ */
+function hasValue(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+module.exports = {
+  SOURCES,
+  ANALYSIS_FIELDS,
+  ANALYSIS_CONFIDENCE,
+  DEFAULT_ANALYSIS_FIELD_MAP,
+  resolveAnalysisFieldMap,
+  extractFromCallAnalysis,
+  mergeExtractedInfo,
+  cleanCallbackNumber,
+  cleanEmail,
+  hasValue
+};
@@ -0,0 +1,168 @@
+/**
+ * Call lifecycle state machine
+ *
+ *   ringing → in-progress → ended → analyzed
+ *                  ↘ failed / abandoned
+ *
+ * Retell events can arrive late or out of order (call_analyzed before call_ended, a
+ * delayed call_started after everything else). A call only ever moves forward: an
+ * event whose state ranks at or below the current state leaves the status alone and
+ * can only fill in fields that are still empty. failed and abandoned are terminal;
+ * analysis that arrives for them still fills in fields but keeps the status.
+ */
+
+const CALL_STATES = ['ringing', 'in-progress', 'ended', 'analyzed', 'failed', 'abandoned'];
+
+const STATE_RANK = {
+  ringing: 0,
+  'in-progress': 1,
+  ended: 2,
+  analyzed: 3,
+  failed: 3,
+  abandoned: 3
+};
+
+const TERMINAL_STATES = ['ended', 'analyzed', 'failed', 'abandoned'];
+
+// Set by the first event only, e.g. the pricing in effect when the call happened
+const WRITE_ONCE_FIELDS = ['pricing_plan', 'rate_per_minute', 'pricing_rules'];
+
+// Retell disconnection reasons for calls that never connected
+const ABANDONED_REASONS = ['dial_busy', 'dial_failed', 'dial_no_answer', 'registered_call_timeout', 'error_user_not_joined'];
+
+// Retell disconnection reasons (besides error_*) for calls that broke
+const FAILED_REASONS = ['concurrency_limit_reached', 'no_valid_payment'];
+
+// Statuses Retell (and legacy payloads) report, mapped to lifecycle states
+const STATUS_STATES = {
+  registered: 'ringing',
+  ongoing: 'in-progress',
+  'in-progress': 'in-progress',
+  ended: 'ended',
+  error: 'failed',
+  failed: 'failed',
+  not_connected: 'abandoned'
+};
+
+/**
+ * Get the state a call event moves the call to
+ * @param {Object} event - Normalized call event
+ * @returns {string} Target lifecycle state
+ */
+function getEventState(event) {
+  const failure = getDisconnectionState(event.disconnection_reason);
+
+  switch (event.event_type) {
+    case 'call_started':
+      return 'in-progress';
+    case 'call_ended':
+      return failure || (STATUS_STATES[event.call_status] === 'failed' ? 'failed' : 'ended');
+    case 'call_analyzed':
+      return 'analyzed';
+    default:
+      break;
+  }
+
+  // Legacy payloads only carry a status; "completed" with a transcript is a finished call
+  if (event.call_status === 'completed') {
+    return event.transcript ? 'analyzed' : 'ended';
+  }
+  return failure || STATUS_STATES[event.call_status] || 'ringing';
+}
+
+/**
+ * Map a disconnection reason to failed/abandoned
+ * @param {string|null} reason - Retell disconnection reason
+ * @returns {string|null} 'failed', 'abandoned' or null for a normal hang-up
+ */
+function getDisconnectionState(reason) {
+  if (!reason) return null;
+  if (ABANDONED_REASONS.includes(reason)) return 'abandoned';
+  if (reason.startsWith('error_') || FAILED_REASONS.includes(reason)) return 'failed';
+  return null;
+}
+
+/**
+ * Get a state's position in the lifecycle
+ * @param {string|null} state - Lifecycle state
+ * @returns {number} Rank (-1 for no state yet)
+ */
+function getStateRank(state) {
+  return state && STATE_RANK[state] !== undefined ? STATE_RANK[state] : -1;
+}
+
+/**
+ * Resolve the next state for a call
+ * @param {string|null} currentState - Current state (null for a new call)
+ * @param {string} targetState - State the event moves towards
+ * @returns {Object} { state, transitioned }
+ */
+function resolveCallState(currentState, targetState) {
+  if (getStateRank(targetState) > getStateRank(currentState)) {
+    return { state: targetState, transitioned: true };
+  }
+  return { state: currentState, transitioned: false };
+}
+
+/**
+ * Check whether a state ends the call
+ * @param {string|null} state - Lifecycle state
+ * @returns {boolean} Whether the call is over
+ */
+function isTerminalState(state) {
+  return TERMINAL_STATES.includes(state);
+}
+
+/**
+ * Get the call_analytics day a call is counted on: the day it was created (UTC), so its
+ * start, end, classification and any spam move all land on the same row
+ * @param {string|null} createdAt - The call's created_at (defaults to now)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+function getAnalyticsDate(createdAt) {
+  return new Date(createdAt || Date.now()).toISOString().split('T')[0];
+}
+
+/**
+ * Merge incoming call fields into an existing call record without going backwards
+ * @param {Object|null} existing - Stored call record (null for a new call)
+ * @param {Object} incoming - Fields from the event (null/undefined values are ignored)
+ * @param {boolean} overwrite - Whether incoming values replace stored ones (event is at
+ *   least as far along as the call); otherwise they only fill empty fields
+ * @returns {Object} Fields to write
+ */
+function mergeCallFields(existing, incoming, overwrite) {
+  const merged = {};
+
+  for (const [field, value] of Object.entries(incoming)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    const current = existing ? existing[field] : null;
+    const isEmpty = current === null || current === undefined || current === '';
+
+    if (isEmpty || (overwrite && current !== value && !WRITE_ONCE_FIELDS.includes(field))) {
+      merged[field] = value;
+    }
+  }
+
+  // The earliest reported start and latest reported end win
+  if (existing && incoming.started_at && existing.started_at && incoming.started_at > existing.started_at) {
+    delete merged.started_at;
+  }
+  if (existing && incoming.ended_at && existing.ended_at && incoming.ended_at < existing.ended_at) {
+    delete merged.ended_at;
+  }
+
+  return merged;
+}
+
+module.exports = {
+  CALL_STATES,
+  getEventState,
+  getDisconnectionState,
+  getStateRank,
+  resolveCallState,
+  isTerminalState,
+  getAnalyticsDate,
+  mergeCallFields
+};
@@ -0,0 +1,165 @@
+/**
+ * Caller sentiment and call outcome classification
+ *
+ * Sentiment (positive / neutral / negative) comes from Retell's user_sentiment when its
+ * analysis has one, otherwise from mood phrases in the caller's words. The outcome says
+ * what the call produced: a lead (a way to reach the caller plus what they need), only
+ * information, a wrong number, a hang-up before anything was said, or a complaint.
+ */
+
+const SENTIMENT = {
+  POSITIVE: 'positive',
+  NEUTRAL: 'neutral',
+  NEGATIVE: 'negative'
+};
+
+const SENTIMENTS = [SENTIMENT.POSITIVE, SENTIMENT.NEUTRAL, SENTIMENT.NEGATIVE];
+
+const OUTCOME = {
+  LEAD_CAPTURED: 'lead_captured',
+  INFORMATION_ONLY: 'information_only',
+  WRONG_NUMBER: 'wrong_number',
+  HANG_UP: 'hang_up',
+  COMPLAINT: 'complaint'
+};
+
+const OUTCOMES = Object.values(OUTCOME);
+
+// Plain "thank you" is politeness, not a mood
+const POSITIVE_PHRASES = [
+  'thank you so much', 'thanks so much', 'really appreciate', 'appreciate it', 'awesome', 'wonderful',
+  'fantastic', 'excellent', 'amazing', 'perfect', 'great service', 'so helpful', 'very helpful',
+  'happy with', 'love your', 'recommend you'
+];
+
+const NEGATIVE_PHRASES = [
+  'upset', 'angry', 'furious', 'frustrated', 'frustrating', 'annoyed', 'disappointed', 'not happy',
+  'unhappy', 'ridiculous', 'unacceptable', 'terrible', 'horrible', 'awful', 'worst', 'fed up',
+  'sick of', 'waste of time', 'rude', 'nobody called me back', 'no one called me back', 'never called me back'
+];
+
+// About service the business already did
+const COMPLAINT_PHRASES = [
+  'complaint', 'complain', 'speak to a manager', 'speak to the manager', 'talk to a manager',
+  'talk to the manager', 'never showed up', 'never show up', 'no-show', 'still not fixed',
+  'still broken', 'still leaking', 'overcharged', 'charged me twice', 'double charged', 'want a refund',
+  'want my money back', 'botched', 'messed up', 'damaged my', 'made it worse'
+];
+
+const WRONG_NUMBER_PHRASES = [
+  'wrong number', 'dialed the wrong', 'dialled the wrong', 'meant to call', 'i was trying to reach',
+  'i was trying to call', 'is this not', 'sorry, wrong', 'must have misdialed'
+];
+
+// Words just before a phrase that negate it ("not upset", "no complaint")
+const NEGATION = /\b(?:not|no|never|isn't|wasn't|don't|without)\s+(?:\w+\s+)?$/;
+
+// A caller who said no more than this hung up before saying what they wanted
+const HANG_UP_MAX_WORDS = 3;
+
+/**
+ * Classify the caller's sentiment
+ * @param {string|null} callerText - What the caller said
+ * @param {string|null} reported - Retell's user_sentiment ('Positive', 'Neutral', 'Negative', 'Unknown')
+ * @returns {string|null} 'positive', 'neutral' or 'negative' (null when the caller said nothing)
+ */
+function classifySentiment(callerText, reported = null) {
+  const fromAnalysis = reported ? String(reported).toLowerCase() : null;
+  if (SENTIMENTS.includes(fromAnalysis)) {
+    return fromAnalysis;
+  }
+  if (countWords(callerText) === 0) {
+    return null;
+  }
+
+  const negative = findPhrases(callerText, NEGATIVE_PHRASES).length + findPhrases(callerText, COMPLAINT_PHRASES).length;
+  const positive = findPhrases(callerText, POSITIVE_PHRASES).length;
+
+  if (negative > positive) return SENTIMENT.NEGATIVE;
+  if (positive > negative) return SENTIMENT.POSITIVE;
+  return SENTIMENT.NEUTRAL;
+}
+
+/**
+ * Classify what the call produced
+ * @param {Object} call - Call signals
+ * @param {string|null} call.callerText - What the caller said
+ * @param {Object} call.info - Extracted information (callback_number, email, reason, details, urgency)
+ * @returns {string} One of OUTCOMES
+ */
+function classifyOutcome({ callerText, info = {} }) {
+  if (countWords(callerText) <= HANG_UP_MAX_WORDS) {
+    return OUTCOME.HANG_UP;
+  }
+  if (findPhrases(callerText, WRONG_NUMBER_PHRASES).length > 0) {
+    return OUTCOME.WRONG_NUMBER;
+  }
+  if (findPhrases(callerText, COMPLAINT_PHRASES).length > 0) {
+    return OUTCOME.COMPLAINT;
+  }
+
+  const reachable = !!(info.callback_number || info.email);
+  const hasNeed = !!(info.reason || (info.details && Object.keys(info.details).length > 0) ||
+    (info.urgency && info.urgency.level && info.urgency.level !== 'informational'));
+
+  return reachable && hasNeed ? OUTCOME.LEAD_CAPTURED : OUTCOME.INFORMATION_ONLY;
+}
+
+/**
+ * Find the phrases mentioned in text, skipping negated mentions
+ * @param {string|null} text - Text
+ * @param {Array<string>} phrases - Lowercase phrases
+ * @returns {Array<string>} Phrases found
+ */
+function findPhrases(text, phrases) {
+  if (!text) {
+    return [];
+  }
+
+  const lower = text.toLowerCase().replace(/[’‘]/g, "'");
+  return phrases.filter(phrase => {
+    const pattern = new RegExp(`\\b${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g');
+    let match;
+    while ((match = pattern.exec(lower)) !== null) {
+      if (!NEGATION.test(lower.slice(0, match.index))) {
+        return true;
+      }
+    }
+    return false;
+  });
+}
+
+/**
+ * Count words
+ * @param {string|null} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text ? text.split(/\s+/).filter(word => /\w/.test(word)).length : 0;
+}
+
+/**
+ * Add to a count in a { value: count } rollup (e.g. call_analytics.outcome_counts)
+ * @param {Object|null} counts - Current counts
+ * @param {string|null} key - Value to count (no-op when null)
+ * @param {number} delta - Amount to add (negative to take back)
+ * @returns {Object} New counts (never below 0)
+ */
+function adjustCount(counts, key, delta) {
+  const next = { ...(counts || {}) };
+  if (key) {
+    next[key] = Math.max(0, (next[key] || 0) + delta);
+  }
+  return next;
+}
+
+module.exports = {
+  SENTIMENT,
+  SENTIMENTS,
+  OUTCOME,
+  OUTCOMES,
+  classifySentiment,
+  classifyOutcome,
+  findPhrases,
+  adjustCount
+};
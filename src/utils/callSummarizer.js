@@ -0,0 +1,218 @@
+/**
+ * Extractive call summaries
+ *
+ * Builds a short headline and a 1-3 sentence summary from the call itself: what the caller
+ * needs (their own words), how urgent it is (with the preferred time), and what the agent
+ * promised. Deterministic and offline; the generative summarizer falls back to it.
+ */
+
+const { URGENCY, URGENCY_LABELS } = require('./urgencyClassifier');
+const { formatTimeWindow } = require('./appointmentTime');
+
+const HEADLINE_WORDS = 10;
+const FALLBACK_HEADLINE = 'Customer inquiry';
+const DANGLING_WORDS = /^(?:and|or|but|so|what|which|when|where|who|how|is|are|was|the|a|an|to|of|in|on|at|for|with|my|our|there's|it's|he's|she's|that's)$/i;
+
+// Sentences that say what the caller needs
+const NEED_CUES = /\b(?:need|needs|want|wants|would like|i'd like|look(?:ing|in'?) (?:for|to)|calling (?:about|because|to)|question|problem|issue|broken|not working|stopped|leak\w*|clog\w*|burst|no (?:heat|power|hot water)|refill|appointment|schedule|quote|estimate)\b/i;
+
+// Leading small talk and self-introductions ("Hi, yeah, this is Tom Becker, ...")
+const FILLER_PREFIX = /^(?:(?:hi|hello|hey|hallo|yeah|yes|um|uh|so|well|okay|ok|aye)\b[\s,.!-]*)+/i;
+const INTRO_PREFIX = /^(?:[MmIi][ey] name(?: is|'s)|[Tt]his is|I'm|I am|i'm|i am)\s+[A-Z][\w'-]*(?:\s+[A-Z][\w'-]*)?\s*[,.]?\s*(?:and\s+)?/;
+
+// Courtesy words before the agent's commitment
+const COURTESY_PREFIX = /^(?:(?:thank you|thanks|okay|ok|great|got it|alright|perfect)\b[\s,.!]*)+/i;
+
+// Agent sentences that commit to something ("A plumber will call you back shortly")
+const PROMISE = /\b(?:will|we'll|i'll|he'll|she'll|they'll|going to)\b[^?]*\b(?:call|reach out|get back|contact|text|email|send|come|be out|be there|schedule|book|have someone|pass|follow up)\b/i;
+
+/**
+ * Summarize a call
+ * @param {Array<Object>} turns - Speaker turns ({ role, text }); empty for transcripts without speakers
+ * @param {string|null} transcript - Full transcript (used when there are no turns)
+ * @param {Object} info - Extracted information (name, reason, urgency, preferred_time)
+ * @param {Object} options - Options
+ * @param {string} options.timezone - Business timezone for the preferred time
+ * @returns {Object} { headline, summary } (summary is null when the caller said nothing usable)
+ */
+function summarizeCall(turns, transcript, info = {}, options = {}) {
+  const callerText = turns.length > 0
+    ? turns.filter(turn => turn.role === 'user').map(turn => turn.text)
+    : [transcript || ''];
+  const agentText = turns.filter(turn => turn.role === 'agent').map(turn => turn.text);
+
+  const need = findNeedSentence(splitSentences(callerText.join(' ')), info);
+  const sentences = [];
+
+  if (need) {
+    sentences.push(`${info.name || 'The caller'} said: "${need}"`);
+  } else if (info.reason) {
+    sentences.push(`${info.name || 'The caller'} called about ${lowerFirst(stripEnd(info.reason))}.`);
+  }
+
+  const urgency = describeUrgency(info, options.timezone);
+  if (urgency && sentences.length > 0) {
+    sentences.push(urgency);
+  }
+
+  const promise = findPromise(agentText);
+  if (promise && sentences.length > 0) {
+    sentences.push(`Agent promised: "${promise}"`);
+  }
+
+  return {
+    headline: createHeadline(info, need),
+    summary: sentences.length > 0 ? sentences.join(' ') : null
+  };
+}
+
+/**
+ * Create the short headline (about 10 words) from the reason or the caller's need sentence
+ * @param {Object} info - Extracted information
+ * @param {string|null} need - Caller's need sentence
+ * @returns {string} Headline
+ */
+function createHeadline(info = {}, need = null) {
+  // The reason is the tighter phrasing when it covers most of the need sentence
+  const useReason = info.reason && (!need || (
+    need.toLowerCase().includes(stripEnd(info.reason).toLowerCase()) &&
+    countWords(info.reason) * 2 >= countWords(need)
+  ));
+  const text = useReason ? info.reason : (need ? stripEnd(need) : null);
+  if (!text) {
+    return info.name ? `Call from ${info.name}` : FALLBACK_HEADLINE;
+  }
+
+  const words = text.split(/\s+/).filter(word => word.length > 0);
+  if (words.length <= HEADLINE_WORDS) {
+    return upperFirst(stripEnd(text));
+  }
+
+  // Don't end a cut headline on "and", "the", ...
+  const kept = words.slice(0, HEADLINE_WORDS);
+  while (kept.length > 1 && DANGLING_WORDS.test(stripEnd(kept[kept.length - 1]))) {
+    kept.pop();
+  }
+  return `${upperFirst(stripEnd(kept.join(' ')))}...`;
+}
+
+/**
+ * Split text into sentences
+ * @param {string} text - Text
+ * @returns {Array<string>} Trimmed sentences
+ */
+function splitSentences(text) {
+  return (text.match(/[^.?!]+(?:[.?!]+|$)/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0);
+}
+
+/**
+ * Pick the caller sentence that says what they need: need cues and urgency signals
+ * count most, holding the extracted reason breaks ties, and the earliest sentence wins
+ * @param {Array<string>} sentences - Caller sentences
+ * @param {Object} info - Extracted information (reason, urgency)
+ * @returns {string|null} Sentence without greeting or self-introduction
+ */
+function findNeedSentence(sentences, info) {
+  const reason = info.reason ? stripEnd(info.reason).toLowerCase() : null;
+  const signals = info.urgency && info.urgency.signals ? info.urgency.signals : [];
+
+  let best = null;
+  let bestScore = -1;
+  for (const sentence of sentences) {
+    const text = upperFirst(sentence.replace(FILLER_PREFIX, '').replace(INTRO_PREFIX, '').trim());
+    if (text.split(/\s+/).length < 3 || /\d{3}[\s-]?\d{4}/.test(text)) continue;
+
+    const lower = text.toLowerCase();
+    const score = (NEED_CUES.test(text) ? 2 : 0) +
+      (signals.some(signal => lower.includes(signal)) ? 2 : 0) +
+      (reason && lower.includes(reason) ? 1 : 0);
+
+    if (score > bestScore) {
+      best = text;
+      bestScore = score;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Describe urgency and the preferred time in one sentence
+ * @param {Object} info - Extracted information
+ * @param {string} timezone - Business timezone
+ * @returns {string|null} e.g. "Urgency: Emergency (burst pipe); prefers Wed, Mar 11, 8:00 AM - 12:00 PM."
+ */
+function describeUrgency(info, timezone) {
+  const parts = [];
+
+  if (info.urgency && URGENCY_LABELS[info.urgency.level]) {
+    // Signals explain an urgent call; for routine ones they are just keywords
+    const urgent = info.urgency.level === URGENCY.EMERGENCY || info.urgency.level === URGENCY.SAME_DAY;
+    const signals = urgent && info.urgency.signals && info.urgency.signals.length > 0 ? ` (${info.urgency.signals.join(', ')})` : '';
+    parts.push(`Urgency: ${URGENCY_LABELS[info.urgency.level]}${signals}`);
+  }
+  if (info.preferred_time && info.preferred_time.start && info.preferred_time.end) {
+    const window = formatTimeWindow(info.preferred_time.start, info.preferred_time.end, timezone);
+    parts.push(parts.length > 0 ? `prefers ${window}` : `Prefers ${window}`);
+  }
+
+  return parts.length > 0 ? `${parts.join('; ')}.` : null;
+}
+
+/**
+ * Find the agent's last commitment to the caller
+ * @param {Array<string>} agentText - Agent turns
+ * @returns {string|null} Sentence
+ */
+function findPromise(agentText) {
+  const sentences = splitSentences(agentText.join(' '))
+    .filter(sentence => !sentence.endsWith('?'))
+    .map(sentence => upperFirst(sentence.replace(COURTESY_PREFIX, '')));
+  const promises = sentences.filter(sentence => PROMISE.test(sentence));
+  return promises.length > 0 ? promises[promises.length - 1] : null;
+}
+
+/**
+ * Remove trailing punctuation
+ * @param {string} text - Text
+ * @returns {string} Text
+ */
+function stripEnd(text) {
+  return text.trim().replace(/[\s.?!,;:]+$/, '');
+}
+
+/**
+ * Count words
+ * @param {string} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(word => word.length > 0).length;
+}
+
+/**
+ * Uppercase the first letter
+ * @param {string} text - Text
+ * @returns {string} Text
+ */
+function upperFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Lowercase the first letter (unless the first word is an acronym like "AC")
+ * @param {string} text - Text
+ * @returns {string} Text
+ */
+function lowerFirst(text) {
+  return /^[A-Z]{2}/.test(text) ? text : text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+module.exports = {
+  FALLBACK_HEADLINE,
+  summarizeCall,
+  createHeadline,
+  splitSentences
+};
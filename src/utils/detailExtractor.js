@@ -0,0 +1,103 @@
+/**
+ * Business-type detail extraction
+ *
+ * Reads the extra fields a vertical's template collects (HVAC system type, property size,
+ * legal matter type, ...) using the detailFields schema declared with the business type
+ * (src/config/businessTypes).
+ */
+
+const { getBusinessType } = require('../config/businessTypes');
+
+/**
+ * Get the detail fields declared for a business type
+ * @param {string|null} businessType - Business type
+ * @returns {Array<Object>} Field definitions (empty for unknown types)
+ */
+function getDetailFields(businessType) {
+  const definition = getBusinessType(businessType);
+  return definition && Array.isArray(definition.detailFields) ? definition.detailFields : [];
+}
+
+/**
+ * Extract a business type's details from caller text
+ * @param {string|null} text - Caller text (cleaned, lowercase)
+ * @param {Array<Object>} fields - Field definitions (see getDetailFields)
+ * @returns {Object|null} { key: value } for the fields found, or null when none were
+ */
+function extractDetails(text, fields) {
+  if (!text || typeof text !== 'string' || !fields || fields.length === 0) {
+    return null;
+  }
+
+  const details = {};
+  for (const field of fields) {
+    const value = field.options ? matchOption(text, field.options) : matchPattern(text, field);
+    if (value) {
+      details[field.key] = value;
+    }
+  }
+
+  return Object.keys(details).length > 0 ? details : null;
+}
+
+/**
+ * Pick the first option (in declared order) with a keyword in the text
+ * @param {string} text - Cleaned text
+ * @param {Object} options - Value → keywords
+ * @returns {string|null} Value
+ */
+function matchOption(text, options) {
+  for (const [value, keywords] of Object.entries(options)) {
+    if (keywords.some(keyword => containsPhrase(text, keyword))) {
+      return value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Read a pattern field's first capture group
+ * @param {string} text - Cleaned text
+ * @param {Object} field - { pattern, format? }
+ * @returns {string|null} Value
+ */
+function matchPattern(text, field) {
+  const match = field.pattern ? text.match(field.pattern) : null;
+  if (!match || !match[1]) {
+    return null;
+  }
+  const value = match[1].trim();
+  return field.format ? field.format(value) : value;
+}
+
+/**
+ * Check for a phrase as whole words
+ * @param {string} text - Cleaned text
+ * @param {string} phrase - Phrase
+ * @returns {boolean} Whether the text contains it
+ */
+function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?:^|[^a-z0-9])${escaped}(?![a-z0-9])`).test(text);
+}
+
+/**
+ * Label for a detail key, from the business type's schema
+ * @param {string|null} businessType - Business type
+ * @param {string} key - Detail key
+ * @returns {string} Label ("system_type" → "System" or, for undeclared keys, "System type")
+ */
+function getDetailLabel(businessType, key) {
+  const field = getDetailFields(businessType).find(candidate => candidate.key === key);
+  if (field && field.label) {
+    return field.label;
+  }
+  const words = key.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+module.exports = {
+  getDetailFields,
+  extractDetails,
+  getDetailLabel
+};
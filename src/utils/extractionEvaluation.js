@@ -0,0 +1,299 @@
+/**
+ * Extraction evaluation
+ *
+ * Scores extractor output against the labeled corpus (test/fixtures/extraction/corpus.json):
+ * per-field precision and recall, the share of calls with every field right (exact match),
+ * and which failures are new or fixed since a saved baseline.
+ *
+ * A wrong value counts against both precision and recall; a value where the label is null
+ * only against precision, a missing value only against recall. Labels may list alternatives
+ * (["Leaky faucet", "Faucet is leaking"]); text is compared case- and punctuation-insensitively.
+ */
+
+const EVALUATED_FIELDS = ['name', 'callback_number', 'address', 'reason', 'email', 'preferred_time', 'urgency'];
+
+// Compared as-is (lowercased); everything else also ignores punctuation and spacing
+const EXACT_FIELDS = ['callback_number', 'email', 'preferred_time', 'urgency'];
+
+/**
+ * Flatten extracted information (or a label) into comparable fields: preferred_time
+ * becomes "start/end", urgency its level and each detail "details.<key>"
+ * @param {Object|null} info - Extracted information or expected labels
+ * @returns {Object} Field → value, alternatives or null
+ */
+function flattenFields(info) {
+  const fields = {};
+  if (!info) {
+    return fields;
+  }
+
+  for (const field of EVALUATED_FIELDS) {
+    fields[field] = info[field] === undefined ? null : info[field];
+  }
+
+  const time = info.preferred_time;
+  fields.preferred_time = time && time.start ? `${time.start}/${time.end}` : null;
+
+  const urgency = info.urgency;
+  fields.urgency = urgency && typeof urgency === 'object' ? urgency.level : (urgency || null);
+
+  for (const [key, value] of Object.entries(info.details || {})) {
+    fields[`details.${key}`] = value;
+  }
+
+  return fields;
+}
+
+/**
+ * Normalize a value for comparison
+ * @param {string} field - Field name
+ * @param {*} value - Value
+ * @returns {string|null} Comparable value
+ */
+function normalizeValue(field, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const text = String(value).toLowerCase().trim();
+  if (EXACT_FIELDS.includes(field)) {
+    return text;
+  }
+
+  return text.replace(/[^a-z0-9]+/g, ' ').trim() || null;
+}
+
+/**
+ * Check an actual value against a label
+ * @param {string} field - Field name
+ * @param {*} expected - Label (value or array of alternatives)
+ * @param {*} actual - Extracted value
+ * @returns {boolean} Whether they match
+ */
+function valuesMatch(field, expected, actual) {
+  const alternatives = Array.isArray(expected) ? expected : [expected];
+  const normalized = normalizeValue(field, actual);
+  return alternatives.some(alternative => normalizeValue(field, alternative) === normalized);
+}
+
+/**
+ * Score one corpus case
+ * @param {Object} testCase - Corpus case ({ id, expected })
+ * @param {Object|null} info - Extracted information (null when the provider failed)
+ * @returns {Object} { id, exact, fields: { field: { expected, actual, outcome } } } where
+ *   outcome is 'tp', 'fp', 'fn', 'wrong' (counts as both fp and fn) or 'tn'
+ */
+function scoreCase(testCase, info) {
+  const expected = flattenFields(testCase.expected);
+  const actual = flattenFields(info);
+  const fieldNames = [...new Set([...EVALUATED_FIELDS, ...Object.keys(expected), ...Object.keys(actual)])];
+
+  const fields = {};
+  for (const field of fieldNames) {
+    const expectedValue = expected[field] === undefined ? null : expected[field];
+    const actualValue = actual[field] === undefined ? null : actual[field];
+    const hasExpected = Array.isArray(expectedValue) ? expectedValue.length > 0 : normalizeValue(field, expectedValue) !== null;
+    const hasActual = normalizeValue(field, actualValue) !== null;
+
+    let outcome;
+    if (!hasExpected) {
+      outcome = hasActual ? 'fp' : 'tn';
+    } else if (!hasActual) {
+      outcome = 'fn';
+    } else {
+      outcome = valuesMatch(field, expectedValue, actualValue) ? 'tp' : 'wrong';
+    }
+
+    fields[field] = { expected: expectedValue, actual: actualValue, outcome };
+  }
+
+  return {
+    id: testCase.id,
+    exact: Object.values(fields).every(({ outcome }) => outcome === 'tp' || outcome === 'tn'),
+    fields
+  };
+}
+
+/**
+ * Score a provider's output for the whole corpus
+ * @param {Array<Object>} cases - Corpus cases
+ * @param {Object} outputs - Case ID → extracted information (or null)
+ * @returns {Object} { cases, exact_match_rate, fields: { field: { tp, fp, fn, precision, recall } }, failures }
+ */
+function evaluateCorpus(cases, outputs) {
+  const fields = {};
+  const failures = [];
+  let exact = 0;
+
+  for (const testCase of cases) {
+    const scored = scoreCase(testCase, outputs[testCase.id] || null);
+    if (scored.exact) exact++;
+
+    for (const [field, result] of Object.entries(scored.fields)) {
+      const counts = fields[field] || (fields[field] = { tp: 0, fp: 0, fn: 0 });
+      if (result.outcome === 'tp') counts.tp++;
+      if (result.outcome === 'fp' || result.outcome === 'wrong') counts.fp++;
+      if (result.outcome === 'fn' || result.outcome === 'wrong') counts.fn++;
+
+      if (result.outcome !== 'tp' && result.outcome !== 'tn') {
+        failures.push({ case_id: testCase.id, field, expected: result.expected, actual: result.actual });
+      }
+    }
+  }
+
+  for (const counts of Object.values(fields)) {
+    counts.precision = ratio(counts.tp, counts.tp + counts.fp);
+    counts.recall = ratio(counts.tp, counts.tp + counts.fn);
+  }
+
+  return {
+    cases: cases.length,
+    exact_match_rate: ratio(exact, cases.length),
+    fields: sortKeys(fields),
+    failures
+  };
+}
+
+/**
+ * Compare a report with a saved baseline
+ * @param {Object} report - Report from evaluateCorpus
+ * @param {Object} baseline - Earlier report
+ * @returns {Object} { regressions, fixed, changed, exact_match_rate: { before, after }, fields }
+ *   where regressions are new failures, fixed are baseline failures that now pass and
+ *   changed are failures that still fail with a different value
+ */
+function diffReports(report, baseline) {
+  const key = failure => `${failure.case_id}:${failure.field}`;
+  const before = new Map(baseline.failures.map(failure => [key(failure), failure]));
+  const after = new Map(report.failures.map(failure => [key(failure), failure]));
+
+  const regressions = report.failures.filter(failure => !before.has(key(failure)));
+  const fixed = baseline.failures.filter(failure => !after.has(key(failure)));
+  const changed = report.failures
+    .filter(failure => before.has(key(failure)) &&
+      JSON.stringify(before.get(key(failure)).actual) !== JSON.stringify(failure.actual))
+    .map(failure => ({ ...failure, previous: before.get(key(failure)).actual }));
+
+  const fields = {};
+  for (const field of new Set([...Object.keys(baseline.fields), ...Object.keys(report.fields)])) {
+    const previous = baseline.fields[field] || {};
+    const current = report.fields[field] || {};
+    fields[field] = {
+      precision: { before: previous.precision ?? null, after: current.precision ?? null },
+      recall: { before: previous.recall ?? null, after: current.recall ?? null }
+    };
+  }
+
+  return {
+    regressions,
+    fixed,
+    changed,
+    exact_match_rate: { before: baseline.exact_match_rate, after: report.exact_match_rate },
+    fields: sortKeys(fields)
+  };
+}
+
+/**
+ * Format a report (and its baseline diff) for the terminal
+ * @param {Object} report - Report from evaluateCorpus
+ * @param {Object|null} diff - Diff from diffReports
+ * @returns {string} Text
+ */
+function formatReport(report, diff = null) {
+  const lines = [];
+  const exactDelta = diff ? ` (baseline ${formatRate(diff.exact_match_rate.before)})` : '';
+  lines.push(`Cases: ${report.cases}   Exact match: ${formatRate(report.exact_match_rate)}${exactDelta}`);
+  lines.push('');
+  lines.push(`${'Field'.padEnd(26)}${'Precision'.padStart(10)}${'Recall'.padStart(10)}${'TP'.padStart(5)}${'FP'.padStart(5)}${'FN'.padStart(5)}`);
+
+  for (const [field, counts] of Object.entries(report.fields)) {
+    const change = diff && diff.fields[field] ? formatChange(diff.fields[field]) : '';
+    lines.push(
+      `${field.padEnd(26)}${formatRate(counts.precision).padStart(10)}${formatRate(counts.recall).padStart(10)}` +
+      `${String(counts.tp).padStart(5)}${String(counts.fp).padStart(5)}${String(counts.fn).padStart(5)}${change}`
+    );
+  }
+
+  if (!diff) {
+    lines.push('', `Failures: ${report.failures.length} (no baseline to compare with)`);
+    report.failures.forEach(failure => lines.push(`  ${formatFailure(failure)}`));
+    return lines.join('\n');
+  }
+
+  const sections = [
+    ['New failures', diff.regressions, formatFailure],
+    ['Fixed', diff.fixed, formatFailure],
+    ['Still failing, different value', diff.changed, failure => `${formatFailure(failure)} (was ${JSON.stringify(failure.previous)})`]
+  ];
+  for (const [title, failures, format] of sections) {
+    lines.push('', `${title}: ${failures.length}`);
+    failures.forEach(failure => lines.push(`  ${format(failure)}`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format one failure line
+ * @param {Object} failure - { case_id, field, expected, actual }
+ * @returns {string} Text
+ */
+function formatFailure(failure) {
+  return `${failure.case_id} ${failure.field}: expected ${JSON.stringify(failure.expected)}, got ${JSON.stringify(failure.actual)}`;
+}
+
+/**
+ * Format a field's precision/recall change since the baseline
+ * @param {Object} change - { precision: { before, after }, recall: { before, after } }
+ * @returns {string} Text, empty when unchanged
+ */
+function formatChange({ precision, recall }) {
+  const parts = [];
+  if (precision.before !== precision.after) parts.push(`P ${formatRate(precision.before)} → ${formatRate(precision.after)}`);
+  if (recall.before !== recall.after) parts.push(`R ${formatRate(recall.before)} → ${formatRate(recall.after)}`);
+  return parts.length > 0 ? `   ${parts.join(', ')}` : '';
+}
+
+/**
+ * Format a rate as a percentage
+ * @param {number|null} value - Rate (0-1)
+ * @returns {string} e.g. '87.5%', or '-' when undefined
+ */
+function formatRate(value) {
+  return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Divide, rounded to 4 places
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} Ratio, or null when the denominator is 0
+ */
+function ratio(numerator, denominator) {
+  return denominator === 0 ? null : Math.round((numerator / denominator) * 10000) / 10000;
+}
+
+/**
+ * Order fields as EVALUATED_FIELDS, then details alphabetically
+ * @param {Object} object - Field → value
+ * @returns {Object} Sorted copy
+ */
+function sortKeys(object) {
+  const order = field => {
+    const index = EVALUATED_FIELDS.indexOf(field);
+    return index === -1 ? EVALUATED_FIELDS.length : index;
+  };
+  return Object.fromEntries(
+    Object.entries(object).sort(([a], [b]) => order(a) - order(b) || a.localeCompare(b))
+  );
+}
+
+module.exports = {
+  EVALUATED_FIELDS,
+  flattenFields,
+  normalizeValue,
+  scoreCase,
+  evaluateCorpus,
+  diffReports,
+  formatReport
+};
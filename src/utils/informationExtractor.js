@@ -1,119 +1,483 @@
 /**
  * Information extraction utility for parsing call transcripts
+ *
+ * Each field extractor returns { value, confidence, span } (or null): the confidence
+ * depends on which pattern matched, and the span is the [start, end) character range
+ * of the value in the text it was given.
  */
 
+const {
+  parseTranscriptTurns,
+  segmentTranscriptByCues,
+  locateTurns
+} = require('./transcriptTurns');
+const { normalizeSpokenText } = require('./spokenNormalizer');
+const { parseAddress } = require('./addressParser');
+const { extractPreferredTime } = require('./appointmentTime');
+const { classifyUrgency } = require('./urgencyClassifier');
+const { extractDetails, getDetailFields } = require('./detailExtractor');
+const { LANGUAGE } = require('./language');
+const spanish = require('./spanishPatterns');
+
+// Fields every call is scored on
+const FIELDS = ['name', 'callback_number', 'address', 'reason'];
+
+// Everything extracted from the transcript (email is optional and not scored)
+const EXTRACTED_FIELDS = [...FIELDS, 'email'];
+
+// Fields below this confidence are flagged for the owner to check
+const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
 /**
  * Extract caller information from transcript text
+ *
+ * Fields are read from the caller's turns only, so the agent's greeting ("thank you for
+ * calling ABC Plumbing") is never taken for a name. When the agent reads the details
+ * back, that confirmation turn cross-checks what was found: agreement raises the
+ * confidence, a more complete read-back ("John" → "John Smith") corrects the value and
+ * a contradiction lowers the confidence so the field gets flagged.
  * @param {string} transcript - Full conversation transcript
- * @returns {Object} Extracted information object
+ * @param {Object} options - Options
+ * @param {Array<Object>} options.turns - Speaker turns (see transcriptTurns.buildTranscriptTurns);
+ *   parsed from the transcript when not given
+ * @param {Date|number|string} options.referenceTime - Call start, for resolving "tomorrow" (defaults to now)
+ * @param {string} options.timezone - Business timezone for appointment times
+ * @param {string} options.businessType - Business type, for urgency signals and its detail fields
+ * @param {string} options.language - Call language ('en' or 'es', see language.detectLanguage);
+ *   Spanish calls use the Spanish pattern set for name, phone, address and reason
+ * @returns {Object} Extracted information object with per-field confidence and spans
+ *   (spans index into the original transcript)
  */
-function extractCallInformation(transcript) {
+function extractCallInformation(transcript, options = {}) {
   if (!transcript || typeof transcript !== 'string') {
     return {
       name: null,
       callback_number: null,
       address: null,
       reason: null,
-      call_summary: null
+      email: null,
+      address_components: null,
+      preferred_time: null,
+      urgency: null,
+      details: null,
+      confidence: {},
+      spans: {}
     };
   }
 
-  // Clean transcript for better matching
-  const cleanTranscript = transcript.toLowerCase().replace(/\s+/g, ' ');
+  const turns = getSpeakerTurns(transcript, options.turns);
+  const callerTurns = turns.filter(turn => turn.role === 'user');
 
-  // Extract caller name
-  const name = extractName(cleanTranscript);
-  
-  // Extract callback phone number
-  const callback_number = extractPhoneNumber(cleanTranscript);
-  
-  // Extract address
-  const address = extractAddress(cleanTranscript);
-  
-  // Extract reason for call
-  const reason = extractReason(cleanTranscript);
-  
-  // Create concise summary from reason
-  const call_summary = createCallSummary(reason);
+  // Without speaker separation the whole transcript is searched
+  const segments = callerTurns.length > 0 ? callerTurns : [{ role: 'user', text: transcript, char_start: 0 }];
+
+  const extractors = options.language === LANGUAGE.SPANISH ? SPANISH_FIELD_EXTRACTORS : FIELD_EXTRACTORS;
+
+  const results = {};
+  for (const field of EXTRACTED_FIELDS) {
+    results[field] = extractFromSegments(segments, field, undefined, extractors);
+  }
+
+  // Read-backs are only recognised in English
+  const confirmationTurn = callerTurns.length > 0 && extractors === FIELD_EXTRACTORS ? findConfirmationTurn(turns) : null;
+  if (confirmationTurn) {
+    const confirmed = parseConfirmation(confirmationTurn);
+    for (const field of EXTRACTED_FIELDS) {
+      results[field] = crossCheckField(field, results[field], confirmed[field]);
+    }
+  }
+
+  const info = {};
+  const confidence = {};
+  const spans = {};
+
+  for (const field of EXTRACTED_FIELDS) {
+    const result = results[field];
+    info[field] = result ? result.value : null;
+
+    if (result) {
+      confidence[field] = result.confidence;
+      spans[field] = result.span;
+    }
+  }
+
+  info.address_components = parseAddress(info.address);
+
+  // Appointment window the caller asked for ({ phrase, start, end }); not read back, so not cross-checked
+  const timeContext = { referenceTime: options.referenceTime, timezone: options.timezone };
+  const preferredTime = extractFromSegments(segments, 'preferred_time', timeContext);
+  info.preferred_time = preferredTime ? preferredTime.value : null;
+  if (preferredTime) {
+    confidence.preferred_time = preferredTime.confidence;
+    spans.preferred_time = preferredTime.span;
+  }
+
+  // Urgency and the business type's details from everything the caller said
+  const callerText = segments.map(segment => prepareText(segment.text).text).join(' ');
+  info.urgency = classifyUrgency(callerText, options.businessType, options.language);
+  info.details = extractDetails(callerText, getDetailFields(options.businessType));
+
+  info.confidence = confidence;
+  info.spans = spans;
+
+  return info;
+}
+
+/**
+ * Get speaker turns located in the transcript: the given turns, "Agent:/User:" labels,
+ * or, for unlabeled transcripts, the agent's recognisable lines
+ * @param {string} transcript - Full conversation transcript
+ * @param {Array<Object>|undefined} turns - Turns from the call event
+ * @returns {Array<Object>} Turns with char_start
+ */
+function getSpeakerTurns(transcript, turns) {
+  let speakerTurns = turns && turns.length > 0 ? turns : parseTranscriptTurns(transcript);
+  if (speakerTurns.length === 0) {
+    speakerTurns = segmentTranscriptByCues(transcript);
+  }
+  return locateTurns(transcript, speakerTurns);
+}
+
+/**
+ * Run one field extractor over transcript segments and keep the most confident result
+ * @param {Array<Object>} segments - Turns ({ text, char_start })
+ * @param {string} field - Field name
+ * @param {Object} context - Passed to the extractor (preferred_time: { referenceTime, timezone })
+ * @param {Object} extractors - Field extractors for the call's language
+ * @returns {Object|null} { value, confidence, span } with the span in the full transcript
+ */
+function extractFromSegments(segments, field, context, extractors = FIELD_EXTRACTORS) {
+  let best = null;
+
+  for (const segment of segments) {
+    const { text, offsets } = prepareText(segment.text);
+    const result = extractors[field](text, context);
+    if (!result || (best && result.confidence <= best.confidence)) continue;
+
+    const localSpan = result.span ? mapSpan(result.span, offsets) : null;
+    best = {
+      value: localSpan ? withOriginalCase(field, result.value, segment.text.slice(localSpan.start, localSpan.end)) : result.value,
+      confidence: result.confidence,
+      span: localSpan && segment.char_start !== null ? shiftSpan(localSpan, segment.char_start) : null
+    };
+  }
+
+  return best;
+}
+
+/**
+ * Restore the caller's own capitalisation for free-text fields ("CA", "McDonald")
+ * @param {string} field - Field name
+ * @param {string} value - Extracted (lowercased) value
+ * @param {string} original - Matching text from the transcript
+ * @returns {string} Value
+ */
+function withOriginalCase(field, value, original) {
+  if (field === 'name') {
+    return original.split(/\s+/).map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+  if (field === 'address') {
+    return original.charAt(0).toUpperCase() + original.slice(1);
+  }
+  if (field === 'preferred_time') {
+    return { ...value, phrase: original };
+  }
+  return value;
+}
+
+/**
+ * Offset a span
+ * @param {Object} span - { start, end }
+ * @param {number} offset - Characters to add
+ * @returns {Object} { start, end }
+ */
+function shiftSpan(span, offset) {
+  return { start: span.start + offset, end: span.end + offset };
+}
+
+// Agent lines that read the caller's details back
+const CONFIRMATION_CUE = /(?:i have your information|let me confirm|just to confirm|to confirm|let me read that back|i(?:'ve| have) got you down as)/i;
+
+/**
+ * Find the agent's read-back of the caller's details (the last one wins)
+ * @param {Array<Object>} turns - Located turns
+ * @returns {Object|null} Agent turn
+ */
+function findConfirmationTurn(turns) {
+  const confirmations = turns.filter(turn => turn.role === 'agent' && CONFIRMATION_CUE.test(turn.text));
+  return confirmations.length > 0 ? confirmations[confirmations.length - 1] : null;
+}
+
+/**
+ * Read the details the agent confirmed
+ * @param {Object} turn - Agent confirmation turn ({ text, char_start })
+ * @returns {Object} { name, callback_number, address, email, reason }, each { value, span } or null
+ */
+function parseConfirmation(turn) {
+  const { text, offsets } = prepareText(turn.text);
+  const read = (pattern, format) => {
+    const match = text.match(pattern);
+    if (!match || !match[1]) return null;
+
+    const captured = match[1].trim();
+    const localSpan = mapSpan(captureSpan(match, captured), offsets);
+    const value = format(captured, turn.text.slice(localSpan.start, localSpan.end));
+    if (!value) return null;
+
+    return {
+      value,
+      span: turn.char_start !== null ? shiftSpan(localSpan, turn.char_start) : null
+    };
+  };
 
   return {
-    name,
-    callback_number,
-    address,
-    reason,
-    call_summary
+    name: read(
+      /(?:information|confirm|read that back|down as)\s*[:,]?\s+([a-z][a-z'\-]*(?:\s+[a-z][a-z'\-]*){0,3}?)\s*(?=,|\.|\s+and\b|$)/id,
+      (captured, original) => (/\b(?:your|you|the|phone|number|address)\b/.test(captured) ? null : withOriginalCase('name', captured, original))
+    ),
+    callback_number: read(
+      /(\d[\d\s\-\(\)]{5,}\d)/d,
+      captured => {
+        const digits = captured.replace(/\D/g, '');
+        return digits.length >= 7 && digits.length <= 15 ? formatPhoneNumber(digits) : null;
+      }
+    ),
+    address: read(
+      /address\s+(?:is\s+)?([^.?!]+?)(?=,?\s+and\b|[.?!]|$)/id,
+      (captured, original) => (captured.length > 5 ? withOriginalCase('address', captured, original) : null)
+    ),
+    email: read(
+      /([a-z0-9._%+\-]+@[a-z0-9.\-]+\.[a-z]{2,})/d,
+      captured => captured
+    ),
+    reason: read(
+      /(?:you need|you're calling about|calling about|you want)\s+(?:a\s+|an\s+|some\s+|to\s+)?([^.?!,]+)/id,
+      captured => captured
+    )
   };
 }
 
 /**
- * Create a concise call summary (approximately 10 words)
- * @param {string} reason - Reason for call
- * @returns {string} Concise summary
+ * Cross-check an extracted field against the agent's read-back
+ * @param {string} field - Field name
+ * @param {Object|null} found - Extracted { value, confidence, span }
+ * @param {Object|null} confirmed - Confirmed { value, span }
+ * @returns {Object|null} Checked result
  */
-function createCallSummary(reason) {
-  if (!reason) {
-    return 'Customer inquiry';
+function crossCheckField(field, found, confirmed) {
+  if (!found || !confirmed) {
+    return found;
   }
-  
-  // Split into words and limit to approximately 10 words
-  const words = reason.split(' ').filter(word => word.length > 0);
-  
-  if (words.length <= 10) {
-    return reason;
+
+  const comparison = compareValues(field, found.value, confirmed.value);
+  const round = value => Math.round(value * 100) / 100;
+
+  if (comparison === 'match') {
+    return { ...found, confidence: round(Math.min(0.95, found.confidence + 0.15)) };
   }
-  
-  // Take first 10 words and add ellipsis if truncated
-  const summary = words.slice(0, 10).join(' ');
-  return summary + '...';
+  if (comparison === 'completes') {
+    return { value: confirmed.value, confidence: Math.max(found.confidence, 0.7), span: confirmed.span };
+  }
+  if (comparison === 'conflict') {
+    return { ...found, confidence: round(found.confidence * 0.6) };
+  }
+  return found;
+}
+
+/**
+ * Compare an extracted value with the confirmed one
+ * @param {string} field - Field name
+ * @param {string} found - Extracted value
+ * @param {string} confirmed - Confirmed value
+ * @returns {string} 'match', 'completes' (confirmed is a fuller version), 'conflict' or
+ *   'unknown' (reasons are paraphrased, so only agreement is counted)
+ */
+function compareValues(field, found, confirmed) {
+  if (field === 'callback_number') {
+    const digits = value => value.replace(/\D/g, '').replace(/^1(\d{10})$/, '$1');
+    const foundDigits = digits(found);
+    const confirmedDigits = digits(confirmed);
+    if (foundDigits === confirmedDigits) return 'match';
+    if (confirmedDigits.length > foundDigits.length && confirmedDigits.endsWith(foundDigits)) return 'completes';
+    return 'conflict';
+  }
+
+  const words = value => value.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const foundWords = words(found);
+  const confirmedWords = words(confirmed);
+
+  if (field === 'reason') {
+    const significant = foundWords.filter(word => word.length > 3);
+    return significant.some(word => confirmedWords.includes(word)) ? 'match' : 'unknown';
+  }
+
+  if (foundWords.every(word => confirmedWords.includes(word))) {
+    return confirmedWords.length > foundWords.length ? 'completes' : 'match';
+  }
+  if (confirmedWords.every(word => foundWords.includes(word))) {
+    return 'match';
+  }
+  return 'conflict';
+}
+
+/**
+ * Lowercase a transcript and collapse whitespace, recording where each character came from
+ * @param {string} transcript - Original transcript
+ * @returns {Object} { text, offsets } where offsets[i] is the original index of text[i]
+ */
+function cleanTranscriptText(transcript) {
+  let text = '';
+  const offsets = [];
+
+  for (let index = 0; index < transcript.length; index++) {
+    const char = transcript[index];
+
+    if (/\s/.test(char)) {
+      if (index === 0 || !/\s/.test(transcript[index - 1])) {
+        text += ' ';
+        offsets.push(index);
+      }
+      continue;
+    }
+
+    const lower = char.toLowerCase();
+    text += lower;
+    for (let i = 0; i < lower.length; i++) {
+      offsets.push(index);
+    }
+  }
+
+  return { text, offsets };
+}
+
+/**
+ * Clean text and rewrite spoken numbers, spelled letters and spoken emails
+ * @param {string} transcript - Original text
+ * @returns {Object} { text, offsets } (offsets into the original text)
+ */
+function prepareText(transcript) {
+  return normalizeSpokenText(cleanTranscriptText(transcript));
+}
+
+/**
+ * Map a span in cleaned text back to the original transcript
+ * @param {Object} span - { start, end } in cleaned text
+ * @param {Array<number>} offsets - Offsets from cleanTranscriptText
+ * @returns {Object} { start, end } in the original transcript
+ */
+function mapSpan(span, offsets) {
+  return {
+    start: offsets[span.start],
+    end: offsets[span.end - 1] + 1
+  };
+}
+
+/**
+ * Build an extractor result
+ * @param {string} value - Extracted value
+ * @param {number} confidence - Confidence (0-1)
+ * @param {Object|null} span - { start, end } of the evidence
+ * @returns {Object} { value, confidence, span }
+ */
+function fieldResult(value, confidence, span) {
+  return { value, confidence, span };
+}
+
+/**
+ * Span of a trimmed capture group value (patterns use the d flag for match indices)
+ * @param {Array} match - RegExp match with indices
+ * @param {string} value - Trimmed capture group text
+ * @returns {Object} { start, end }
+ */
+function captureSpan(match, value) {
+  const start = match.indices[1][0] + match[1].indexOf(value);
+  return { start, end: start + value.length };
+}
+
+/**
+ * Span of a keyword
+ * @param {string} transcript - Cleaned transcript text
+ * @param {string} keyword - Keyword that is in the transcript
+ * @returns {Object} { start, end }
+ */
+function keywordSpan(transcript, keyword) {
+  const start = transcript.indexOf(keyword);
+  return { start, end: start + keyword.length };
 }
 
 /**
  * Extract caller name from transcript
  * @param {string} transcript - Cleaned transcript text
- * @returns {string|null} Extracted name or null
+ * @returns {Object|null} { value, confidence, span } or null
  */
 function extractName(transcript) {
   // Look for name in the confirmation section
-  const confirmationMatch = transcript.match(/(?:information:)\s+([a-z\s]+?)(?:\s|,|\.|$)/i);
+  const confirmationMatch = transcript.match(/(?:information:)\s+([a-z\s]+?)(?:\s|,|\.|$)/id);
   if (confirmationMatch && confirmationMatch[1]) {
     const name = confirmationMatch[1].trim();
     if (name.length > 2) {
-      return name.charAt(0).toUpperCase() + name.slice(1);
+      return fieldResult(name.charAt(0).toUpperCase() + name.slice(1), 0.9, captureSpan(confirmationMatch, name));
     }
   }
 
-  // Look for name patterns in the conversation - capture full names
+  // Look for name patterns in the conversation - capture full names, most specific cue first
+  // ("i'm calling about..." is as likely as "i'm maria")
   const namePatterns = [
-    /(?:my name is|i'm|i am|this is|call me)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/i,
-    /(?:name is|call me)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/i,
-    /(?:i'm|i am)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/i,
-    /(?:my name is)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/i
+    { pattern: /(?:my name is)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/id, confidence: 0.8 },
+    { pattern: /(?:name is|call me)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/id, confidence: 0.7 },
+    { pattern: /(?:this is)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/id, confidence: 0.6 },
+    { pattern: /(?:i'm|i am)\s+([a-z\s]+?)(?:\s+and|\s+but|\s+or|,|\.|$)/id, confidence: 0.45 }
   ];
 
-  for (const pattern of namePatterns) {
-    const match = transcript.match(pattern);
-    if (match && match[1]) {
-      const name = match[1].trim();
-      // Filter out very short names and common words, but allow multi-word names
-      if (name.length > 2 && !['the', 'and', 'but', 'for', 'with', 'is', 'a'].includes(name.toLowerCase())) {
-        // Capitalize each word in the name
-        const capitalizedName = name.split(' ').map(word => 
-          word.charAt(0).toUpperCase() + word.slice(1)
-        ).join(' ');
-        return capitalizedName;
-      }
-    }
+  const named = matchNamePatterns(transcript, namePatterns, ['the', 'and', 'but', 'for', 'with', 'is', 'a']);
+  if (named) {
+    return named;
   }
 
   // Fallback: look for name in confirmation part
-  const fallbackMatch = transcript.match(/name\s+([^.]+?)(?:\s|,|\.|$)/i);
+  const fallbackMatch = transcript.match(/name\s+([^.]+?)(?:\s|,|\.|$)/id);
   if (fallbackMatch && fallbackMatch[1]) {
     const name = fallbackMatch[1].trim();
     if (name.length > 2) {
       const capitalizedName = name.split(' ').map(word => 
         word.charAt(0).toUpperCase() + word.slice(1)
       ).join(' ');
-      return capitalizedName;
+      return fieldResult(capitalizedName, 0.3, captureSpan(fallbackMatch, name));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract caller name from a Spanish transcript ("me llamo", "mi nombre es", "soy")
+ * @param {string} transcript - Cleaned transcript text
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function extractSpanishName(transcript) {
+  return matchNamePatterns(transcript, spanish.NAME_PATTERNS, spanish.NAME_STOPWORDS);
+}
+
+/**
+ * Take the name from the first pattern that captures one
+ * @param {string} transcript - Cleaned transcript text
+ * @param {Array<Object>} patterns - { pattern, confidence } (pattern with the d flag)
+ * @param {Array<string>} stopwords - Captures that are not names
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function matchNamePatterns(transcript, patterns, stopwords) {
+  for (const { pattern, confidence } of patterns) {
+    const match = transcript.match(pattern);
+    if (match && match[1]) {
+      const name = match[1].trim();
+      // Filter out very short names and common words, but allow multi-word names
+      if (name.length > 2 && !stopwords.includes(name.toLowerCase())) {
+        // Capitalize each word in the name
+        const capitalizedName = name.split(' ').map(word => 
+          word.charAt(0).toUpperCase() + word.slice(1)
+        ).join(' ');
+        return fieldResult(capitalizedName, confidence, captureSpan(match, name));
+      }
     }
   }
 
@@ -123,22 +487,47 @@ function extractName(transcript) {
 /**
  * Extract phone number from transcript
  * @param {string} transcript - Cleaned transcript text
- * @returns {string|null} Extracted phone number or null
+ * @returns {Object|null} { value, confidence, span } or null
  */
 function extractPhoneNumber(transcript) {
   const phonePatterns = [
-    /(?:my number is|phone number is|call me at|reach me at|my phone is)\s*([\d\s\-\(\)]+)/i,
-    /(?:number is|phone is|call me at)\s*([\d\s\-\(\)]+)/i,
-    /(?:it's|it is)\s*([\d\s\-\(\)]+)/i
+    { pattern: /(?:my number is|phone number is|call me at|reach me at|my phone is)\s*([\d\s\-\(\)]+)/id, confidence: 0.9 },
+    { pattern: /(?:number is|phone is|call me at)\s*([\d\s\-\(\)]+)/id, confidence: 0.75 },
+    { pattern: /(?:it's|it is)\s*([\d\s\-\(\)]+)/id, confidence: 0.4 }
   ];
 
-  for (const pattern of phonePatterns) {
+  return matchPhonePatterns(transcript, phonePatterns);
+}
+
+/**
+ * Extract phone number from a Spanish transcript ("mi número es", "llámeme al")
+ * @param {string} transcript - Cleaned transcript text
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function extractSpanishPhoneNumber(transcript) {
+  return matchPhonePatterns(transcript, spanish.PHONE_PATTERNS);
+}
+
+/**
+ * Take the phone number from the first pattern that captures 7-15 digits
+ * @param {string} transcript - Cleaned transcript text
+ * @param {Array<Object>} patterns - { pattern, confidence } (pattern with the d flag)
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function matchPhonePatterns(transcript, patterns) {
+  for (const { pattern, confidence } of patterns) {
     const match = transcript.match(pattern);
     if (match && match[1]) {
       const phone = match[1].replace(/\D/g, '');
       // Validate phone number length (7-15 digits)
       if (phone.length >= 7 && phone.length <= 15) {
-        return formatPhoneNumber(phone);
+        // Anything but a full North American number is less likely to be right
+        const isFullNumber = phone.length === 10 || (phone.length === 11 && phone.startsWith('1'));
+        return fieldResult(
+          formatPhoneNumber(phone),
+          isFullNumber ? confidence : Math.round(confidence * 0.6 * 100) / 100,
+          captureSpan(match, match[1].trim())
+        );
       }
     }
   }
@@ -146,46 +535,87 @@ function extractPhoneNumber(transcript) {
   return null;
 }
 
+/**
+ * Extract email address from transcript (spelled-out addresses are normalized first)
+ * @param {string} transcript - Cleaned, normalized transcript text
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function extractEmail(transcript) {
+  const emailPatterns = [
+    { pattern: /(?:email|e-mail)(?: address)? is\s+([a-z0-9._%+\-]+@[a-z0-9.\-]+\.[a-z]{2,})\b/id, confidence: 0.9 },
+    { pattern: /(?:email|e-mail)\b[^.?!]*?\b([a-z0-9._%+\-]+@[a-z0-9.\-]+\.[a-z]{2,})\b/id, confidence: 0.75 },
+    { pattern: /\b([a-z0-9._%+\-]+@[a-z0-9.\-]+\.[a-z]{2,})\b/id, confidence: 0.6 }
+  ];
+
+  for (const { pattern, confidence } of emailPatterns) {
+    const match = transcript.match(pattern);
+    if (match && match[1]) {
+      const email = match[1].trim();
+      return fieldResult(email, confidence, captureSpan(match, email));
+    }
+  }
+
+  return null;
+}
+
 /**
  * Extract address from transcript
  * @param {string} transcript - Cleaned transcript text
- * @returns {string|null} Extracted address or null
+ * @returns {Object|null} { value, confidence, span } or null
  */
 function extractAddress(transcript) {
-  // More specific patterns for address extraction
+  const untilClauseEnd = '(?=\\s+(?:and|but|so|because)\\b|[.?!]|$)';
+
+  // Strong cues accept any text; weaker ones only count when it parses as a street address
   const addressPatterns = [
-    /(?:i live at|my address is|located at|address is)\s+([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:live at)\s+([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:address)\s+([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:at)\s+([^.]+?)(?:\s|,|\.|$)/i
+    { pattern: new RegExp(`(?:i live at|my address is|located at|address is)\\s+([^.?!]+?)${untilClauseEnd}`, 'id'), confidence: 0.8 },
+    { pattern: new RegExp(`(?:live at)\\s+([^.?!]+?)${untilClauseEnd}`, 'id'), confidence: 0.7 },
+    { pattern: new RegExp(`\\baddress\\s+([^.?!]+?)${untilClauseEnd}`, 'id'), confidence: 0.5, requireStreet: true },
+    // A house number followed by a street suffix, wherever it is said
+    {
+      pattern: new RegExp(`\\b(\\d+[a-z]?\\s+(?:[a-z]+\\s+){0,3}(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|way|boulevard|blvd|court|ct|place|pl)\\b[^.?!]*?)${untilClauseEnd}`, 'id'),
+      confidence: 0.4,
+      requireStreet: true
+    },
+    { pattern: new RegExp(`\\bat\\s+(\\d[^.?!]+?)${untilClauseEnd}`, 'id'), confidence: 0.3, requireStreet: true }
   ];
 
-  for (const pattern of addressPatterns) {
+  return matchAddressPatterns(transcript, addressPatterns);
+}
+
+/**
+ * Extract address from a Spanish transcript ("vivo en", "mi dirección es")
+ * @param {string} transcript - Cleaned transcript text
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function extractSpanishAddress(transcript) {
+  return matchAddressPatterns(transcript, spanish.ADDRESS_PATTERNS);
+}
+
+/**
+ * Take the address from the first pattern that captures one
+ * @param {string} transcript - Cleaned transcript text
+ * @param {Array<Object>} patterns - { pattern, confidence, requireStreet } (pattern with the d flag)
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function matchAddressPatterns(transcript, patterns) {
+  for (const { pattern, confidence, requireStreet } of patterns) {
     const match = transcript.match(pattern);
     if (match && match[1]) {
       const address = match[1].trim();
       // Filter out very short addresses and common words
-      if (address.length > 5 && !['the', 'and', 'but', 'for', 'with'].includes(address.toLowerCase())) {
-        return address.charAt(0).toUpperCase() + address.slice(1);
+      if (address.length <= 5 || ['the', 'and', 'but', 'for', 'with'].includes(address.toLowerCase())) {
+        continue;
       }
-    }
-  }
 
-  // Fallback: look for address in the confirmation part
-  const confirmationMatch = transcript.match(/address\s+([^.]+?)(?:\s|,|\.|$)/i);
-  if (confirmationMatch && confirmationMatch[1]) {
-    const address = confirmationMatch[1].trim();
-    if (address.length > 5) {
-      return address.charAt(0).toUpperCase() + address.slice(1);
-    }
-  }
+      const components = parseAddress(address);
+      if (requireStreet && !(components && components.street_number && components.street_name)) {
+        continue;
+      }
 
-  // Look for street patterns in confirmation
-  const streetMatch = transcript.match(/(?:street|avenue|road|drive|lane|way|blvd|st|ave|rd|dr|ln|blvd)\s+([^.]+?)(?:\s|,|\.|$)/i);
-  if (streetMatch && streetMatch[1]) {
-    const address = streetMatch[1].trim();
-    if (address.length > 5) {
-      return address.charAt(0).toUpperCase() + address.slice(1);
+      // A complete, valid address is more likely to be right
+      const score = components && components.valid ? Math.min(0.95, confidence + 0.1) : confidence;
+      return fieldResult(address.charAt(0).toUpperCase() + address.slice(1), Math.round(score * 100) / 100, captureSpan(match, address));
     }
   }
 
@@ -195,42 +625,34 @@ function extractAddress(transcript) {
 /**
  * Extract reason for call from transcript
  * @param {string} transcript - Cleaned transcript text
- * @returns {string|null} Extracted reason or null
+ * @returns {Object|null} { value, confidence, span } or null
  */
 function extractReason(transcript) {
   // Look for emergency/urgent keywords
-  if (transcript.includes('emergency') || transcript.includes('urgent') || transcript.includes('storm')) {
-    // Check for specific emergency services
-    if (transcript.includes('plumbing') || transcript.includes('sink') || transcript.includes('water')) {
-      return 'Emergency plumbing service';
-    }
-    if (transcript.includes('tree') || transcript.includes('branch')) {
-      return 'Emergency tree removal';
-    }
-    if (transcript.includes('electrical') || transcript.includes('power')) {
-      return 'Emergency electrical service';
-    }
-    return 'Emergency service request';
+  const emergency = matchEmergencyReason(transcript, ['emergency', 'urgent', 'storm'], [
+    { keywords: ['plumbing', 'sink', 'water'], reason: 'Emergency plumbing service' },
+    { keywords: ['tree', 'branch'], reason: 'Emergency tree removal' },
+    { keywords: ['electrical', 'power'], reason: 'Emergency electrical service' }
+  ]);
+  if (emergency) {
+    return emergency;
   }
 
   // Look for specific service patterns
   const servicePatterns = [
-    /(?:calling about|need help with|reason for calling|i need|looking for|want to)\s*([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:need|want|help with)\s*([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:because|since)\s*([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:about|regarding)\s*([^.]+?)(?:\s|,|\.|$)/i,
-    /(?:schedule|book|appointment)\s*([^.]+?)(?:\s|,|\.|$)/i
+    { pattern: /(?:calling about|calling because|need help with|reason for calling is|reason for calling)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.75 },
+    // The caller describing the problem: "I have a leaky faucet in my kitchen"
+    { pattern: /(?:i have|i've got|there's|there is|we have|we've got)\s+(?:a|an|some)\s+([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.65 },
+    { pattern: /(?:i need|looking for|want to|i'd like to|i would like to)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.6 },
+    { pattern: /\b(?:need|want|help with)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.5 },
+    { pattern: /\b(?:because|since)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.5 },
+    { pattern: /\b(?:about|regarding)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.45 },
+    { pattern: /\b(?:schedule|book|appointment)\s*([^.?!]+?)(?=[.?!,]|$)/id, confidence: 0.4 }
   ];
 
-  for (const pattern of servicePatterns) {
-    const match = transcript.match(pattern);
-    if (match && match[1]) {
-      const reason = match[1].trim();
-      // Filter out very short reasons
-      if (reason.length > 3) {
-        return reason.charAt(0).toUpperCase() + reason.slice(1);
-      }
-    }
+  const described = matchReasonPatterns(transcript, servicePatterns);
+  if (described) {
+    return described;
   }
 
   // Look for specific business services mentioned
@@ -241,31 +663,104 @@ function extractReason(transcript) {
 
   for (const service of businessServices) {
     if (transcript.includes(service)) {
+      const span = keywordSpan(transcript, service);
       if (transcript.includes('maintenance') || transcript.includes('routine')) {
-        return `${service.charAt(0).toUpperCase() + service.slice(1)} maintenance`;
+        return fieldResult(`${service.charAt(0).toUpperCase() + service.slice(1)} maintenance`, 0.4, span);
       }
       if (transcript.includes('repair') || transcript.includes('fix')) {
-        return `${service.charAt(0).toUpperCase() + service.slice(1)} repair`;
+        return fieldResult(`${service.charAt(0).toUpperCase() + service.slice(1)} repair`, 0.4, span);
       }
       if (transcript.includes('installation') || transcript.includes('install')) {
-        return `${service.charAt(0).toUpperCase() + service.slice(1)} installation`;
+        return fieldResult(`${service.charAt(0).toUpperCase() + service.slice(1)} installation`, 0.4, span);
       }
-      return `${service.charAt(0).toUpperCase() + service.slice(1)} service`;
+      return fieldResult(`${service.charAt(0).toUpperCase() + service.slice(1)} service`, 0.35, span);
     }
   }
 
   // Fallback: look for reason in confirmation part
-  const confirmationMatch = transcript.match(/(?:reason|need)\s+([^.]+?)(?:\s|,|\.|$)/i);
+  const confirmationMatch = transcript.match(/(?:reason|need)\s+([^.]+?)(?:\s|,|\.|$)/id);
   if (confirmationMatch && confirmationMatch[1]) {
     const reason = confirmationMatch[1].trim();
     if (reason.length > 3) {
-      return reason.charAt(0).toUpperCase() + reason.slice(1);
+      return fieldResult(reason.charAt(0).toUpperCase() + reason.slice(1), 0.3, captureSpan(confirmationMatch, reason));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extract reason for call from a Spanish transcript ("llamo por", "tengo una fuga")
+ * @param {string} transcript - Cleaned transcript text
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function extractSpanishReason(transcript) {
+  return matchEmergencyReason(transcript, spanish.EMERGENCY_KEYWORDS, spanish.EMERGENCY_SERVICES) ||
+    matchReasonPatterns(transcript, spanish.REASON_PATTERNS);
+}
+
+/**
+ * Name the emergency service when the caller says it is an emergency
+ * @param {string} transcript - Cleaned transcript text
+ * @param {Array<string>} emergencyKeywords - Words that make a call an emergency
+ * @param {Array<Object>} services - { keywords, reason } checked in order
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function matchEmergencyReason(transcript, emergencyKeywords, services) {
+  const emergencyKeyword = emergencyKeywords.find(keyword => transcript.includes(keyword));
+  if (!emergencyKeyword) {
+    return null;
+  }
+
+  // Check for specific emergency services
+  for (const { keywords, reason } of services) {
+    const keyword = keywords.find(candidate => transcript.includes(candidate));
+    if (keyword) {
+      return fieldResult(reason, 0.7, keywordSpan(transcript, keyword));
+    }
+  }
+  return fieldResult('Emergency service request', 0.5, keywordSpan(transcript, emergencyKeyword));
+}
+
+/**
+ * Take the reason from the first pattern that captures one
+ * @param {string} transcript - Cleaned transcript text
+ * @param {Array<Object>} patterns - { pattern, confidence } (pattern with the d flag)
+ * @returns {Object|null} { value, confidence, span } or null
+ */
+function matchReasonPatterns(transcript, patterns) {
+  for (const { pattern, confidence } of patterns) {
+    const match = transcript.match(pattern);
+    if (match && match[1]) {
+      const reason = match[1].trim();
+      // Filter out very short reasons
+      if (reason.length > 3) {
+        return fieldResult(reason.charAt(0).toUpperCase() + reason.slice(1), confidence, captureSpan(match, reason));
+      }
     }
   }
 
   return null;
 }
 
+const FIELD_EXTRACTORS = {
+  name: extractName,
+  callback_number: extractPhoneNumber,
+  address: extractAddress,
+  reason: extractReason,
+  email: extractEmail,
+  preferred_time: extractPreferredTime
+};
+
+// Email addresses and appointment times are read the same way in both languages
+const SPANISH_FIELD_EXTRACTORS = {
+  ...FIELD_EXTRACTORS,
+  name: extractSpanishName,
+  callback_number: extractSpanishPhoneNumber,
+  address: extractSpanishAddress,
+  reason: extractSpanishReason
+};
+
 /**
  * Format phone number for consistency
  * @param {string} phone - Raw phone number string
@@ -286,29 +781,48 @@ function formatPhoneNumber(phone) {
 }
 
 /**
- * Calculate confidence score for extracted information
- * @param {Object} extractedInfo - Extracted information object
- * @param {string} transcript - Original transcript
- * @returns {number} Confidence score (0-1)
+ * Calculate an overall confidence score for extracted information
+ * @param {Object} extractedInfo - Extracted information object (with per-field confidence)
+ * @returns {number} Mean field confidence, missing fields counting as 0 (0-1)
  */
-function calculateConfidence(extractedInfo, transcript) {
-  let score = 0;
-  let totalFields = 4;
+function calculateConfidence(extractedInfo) {
+  const confidence = extractedInfo.confidence || {};
+  const total = FIELDS.reduce((sum, field) => (
+    sum + (extractedInfo[field] && confidence[field] ? confidence[field] : 0)
+  ), 0);
+
+  return Math.round((total / FIELDS.length) * 100) / 100;
+}
 
-  if (extractedInfo.name) score += 0.25;
-  if (extractedInfo.callback_number) score += 0.25;
-  if (extractedInfo.address) score += 0.25;
-  if (extractedInfo.reason) score += 0.25;
+/**
+ * List the extracted fields whose confidence is below the threshold
+ * @param {Object} confidence - Per-field confidence ({ name: 0.45, ... })
+ * @param {number} threshold - Confidence threshold
+ * @returns {Array<string>} Low-confidence field names
+ */
+function getLowConfidenceFields(confidence, threshold = LOW_CONFIDENCE_THRESHOLD) {
+  if (!confidence || typeof confidence !== 'object') {
+    return [];
+  }
 
-  return score;
+  return EXTRACTED_FIELDS.filter(field => typeof confidence[field] === 'number' && confidence[field] < threshold);
 }
 
 module.exports = {
+  FIELDS,
+  EXTRACTED_FIELDS,
+  LOW_CONFIDENCE_THRESHOLD,
   extractCallInformation,
   extractName,
   extractPhoneNumber,
   extractAddress,
   extractReason,
+  extractEmail,
+  extractSpanishName,
+  extractSpanishPhoneNumber,
+  extractSpanishAddress,
+  extractSpanishReason,
   formatPhoneNumber,
-  calculateConfidence
+  calculateConfidence,
+  getLowConfidenceFields
 };
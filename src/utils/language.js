@@ -0,0 +1,104 @@
+/**
+ * Call language detection and business locales
+ *
+ * A call's language is read from what the caller said: common function words ("el",
+ * "que", "para", "the", "and") are counted for each supported language and the one with
+ * clearly more hits wins. Short or mixed text stays with the default (English).
+ */
+
+const LANGUAGE = {
+  ENGLISH: 'en',
+  SPANISH: 'es'
+};
+
+const LANGUAGES = Object.values(LANGUAGE);
+const DEFAULT_LANGUAGE = LANGUAGE.ENGLISH;
+
+const LANGUAGE_LABELS = {
+  en: 'English',
+  es: 'Spanish'
+};
+
+// Frequent words that are rare in the other language ("a", "no", "me" are shared)
+const STOPWORDS = {
+  en: [
+    'the', 'and', 'is', 'to', 'my', 'it', 'you', 'i', 'of', 'for', 'have', 'this', 'that',
+    'with', 'can', 'need', 'what', 'please', 'yes', 'thank', 'thanks', 'your', 'are', 'hi', 'hello'
+  ],
+  es: [
+    'el', 'la', 'los', 'las', 'que', 'de', 'y', 'en', 'es', 'un', 'una', 'por', 'para', 'con',
+    'mi', 'su', 'necesito', 'tengo', 'hola', 'gracias', 'sí', 'si', 'usted', 'está', 'esta',
+    'llamo', 'porque', 'pero', 'muy', 'bueno', 'buenos', 'buenas', 'quiero', 'puede', 'favor'
+  ]
+};
+
+// Hits needed before a language other than the default is chosen, and its lead over the default
+const MIN_HITS = 3;
+const MIN_SHARE = 0.6;
+
+/**
+ * Detect the language of a caller's words
+ * @param {string|null} text - What the caller said
+ * @returns {string|null} 'en' or 'es' (null when there is nothing to read)
+ */
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const words = text.toLowerCase().match(/[a-záéíóúüñ']+/g) || [];
+  if (words.length === 0) {
+    return null;
+  }
+
+  const hits = {};
+  for (const language of LANGUAGES) {
+    const stopwords = new Set(STOPWORDS[language]);
+    hits[language] = words.filter(word => stopwords.has(word)).length;
+  }
+
+  const total = LANGUAGES.reduce((sum, language) => sum + hits[language], 0);
+  const detected = LANGUAGES.find(language => (
+    language !== DEFAULT_LANGUAGE && hits[language] >= MIN_HITS && hits[language] / total >= MIN_SHARE
+  ));
+
+  return detected || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Map a locale setting ("es", "es-MX", "es_US", "Spanish") to a supported language
+ * @param {string|null} locale - Locale
+ * @returns {string} 'en' or 'es' (default for unknown locales)
+ */
+function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') {
+    return DEFAULT_LANGUAGE;
+  }
+
+  const value = locale.trim().toLowerCase();
+  const byLabel = LANGUAGES.find(language => LANGUAGE_LABELS[language].toLowerCase() === value);
+  if (byLabel) {
+    return byLabel;
+  }
+
+  const prefix = value.split(/[-_]/)[0];
+  return LANGUAGES.includes(prefix) ? prefix : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get a language's display name
+ * @param {string|null} language - Language code
+ * @returns {string|null} 'English', 'Spanish' or null
+ */
+function getLanguageLabel(language) {
+  return LANGUAGE_LABELS[language] || null;
+}
+
+module.exports = {
+  LANGUAGE,
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  detectLanguage,
+  normalizeLocale,
+  getLanguageLabel
+};
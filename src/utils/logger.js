@@ -1,4 +1,5 @@
 const winston = require('winston');
+const { redactValue } = require('./redaction');
 
 // Define log levels
 const levels = {
@@ -28,8 +29,19 @@ const level = () => {
   return isDevelopment ? 'debug' : 'warn';
 };
 
+// Mask card numbers, SSNs and the like in messages and metadata (e.g. raw webhook payloads)
+const redact = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key !== 'level') {
+      info[key] = redactValue(info[key]);
+    }
+  }
+  return info;
+});
+
 // Define format for logs
 const format = winston.format.combine(
+  redact(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss:ms' }),
   winston.format.colorize({ all: true }),
   winston.format.printf(
@@ -0,0 +1,26 @@
+/**
+ * Phone number utilities
+ */
+
+/**
+ * Normalize phone number for consistent comparison
+ * @param {string} phoneNumber - Raw phone number
+ * @returns {string|null} E.164 phone number (US numbers get +1)
+ */
+function normalizePhoneNumber(phoneNumber) {
+  if (!phoneNumber) return null;
+
+  // Remove all non-digit characters
+  const cleaned = String(phoneNumber).replace(/\D/g, '');
+  if (!cleaned) return null;
+
+  // Ten-digit numbers are US numbers without the country code
+  if (cleaned.length === 10) {
+    return `+1${cleaned}`;
+  }
+  return `+${cleaned}`;
+}
+
+module.exports = {
+  normalizePhoneNumber
+};
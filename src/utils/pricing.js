@@ -0,0 +1,125 @@
+/**
+ * Call pricing - turns a call duration into billable seconds and cost under a plan
+ */
+
+/**
+ * @typedef {Object} PricingPlan
+ * @property {string} name - Plan name
+ * @property {number} rate_per_minute - Price per billable minute
+ * @property {number} minimum_billable_seconds - Shorter calls are billed as this long
+ * @property {number} billing_increment_seconds - Billable time is rounded to this increment
+ * @property {string} rounding - 'up', 'nearest' or 'down'
+ */
+
+/**
+ * Resolve a business's plan from its pricing_plan setting
+ * @param {string|Object|null} planSetting - Plan name, or { plan, ...field overrides }
+ * @param {Object} plans - Available plans keyed by name
+ * @param {string} defaultPlanName - Plan used when the setting is missing or unknown
+ * @returns {PricingPlan} Plan
+ */
+function resolvePlan(planSetting, plans, defaultPlanName) {
+  const defaultPlan = plans[defaultPlanName] || Object.values(plans)[0];
+
+  if (!planSetting) {
+    return defaultPlan;
+  }
+  if (typeof planSetting === 'string') {
+    return plans[planSetting] || defaultPlan;
+  }
+
+  const basePlan = plans[planSetting.plan] || defaultPlan;
+  const overrides = {};
+  for (const field of ['rate_per_minute', 'minimum_billable_seconds', 'billing_increment_seconds']) {
+    const value = Number(planSetting[field]);
+    if (planSetting[field] !== undefined && Number.isFinite(value) && value >= 0) {
+      overrides[field] = value;
+    }
+  }
+  if (['up', 'nearest', 'down'].includes(planSetting.rounding)) {
+    overrides.rounding = planSetting.rounding;
+  }
+
+  return {
+    ...basePlan,
+    ...overrides,
+    name: Object.keys(overrides).length > 0 ? `${basePlan.name} (custom)` : basePlan.name
+  };
+}
+
+/**
+ * Compute billable seconds for a call
+ * @param {number} durationSeconds - Call duration
+ * @param {PricingPlan} plan - Plan
+ * @returns {number} Billable seconds
+ */
+function calculateBillableSeconds(durationSeconds, plan) {
+  const seconds = Math.max(durationSeconds, plan.minimum_billable_seconds || 0);
+  const increment = plan.billing_increment_seconds > 0 ? plan.billing_increment_seconds : 1;
+
+  const round = { up: Math.ceil, nearest: Math.round, down: Math.floor }[plan.rounding] || Math.ceil;
+  return round(seconds / increment) * increment;
+}
+
+/**
+ * Compute the cost of a call
+ * @param {number|null} durationSeconds - Call duration (null when unknown)
+ * @param {PricingPlan} plan - Plan
+ * @returns {Object|null} { billable_seconds, cost } or null when the duration is unknown
+ */
+function calculateCallCost(durationSeconds, plan) {
+  if (!Number.isFinite(durationSeconds) || durationSeconds < 0) {
+    return null;
+  }
+
+  const billableSeconds = calculateBillableSeconds(durationSeconds, plan);
+  const cost = (billableSeconds / 60) * plan.rate_per_minute;
+
+  return {
+    billable_seconds: billableSeconds,
+    // calls.cost is DECIMAL(10,4)
+    cost: Math.round(cost * 10000) / 10000
+  };
+}
+
+/**
+ * Snapshot a plan onto a call record so later rate changes do not reprice it
+ * @param {PricingPlan} plan - Plan
+ * @returns {Object} Call fields (pricing_plan, rate_per_minute, pricing_rules)
+ */
+function planToCallFields(plan) {
+  return {
+    pricing_plan: plan.name,
+    rate_per_minute: plan.rate_per_minute,
+    pricing_rules: {
+      minimum_billable_seconds: plan.minimum_billable_seconds,
+      billing_increment_seconds: plan.billing_increment_seconds,
+      rounding: plan.rounding
+    }
+  };
+}
+
+/**
+ * Read the plan snapshot stored on a call
+ * @param {Object} call - Call record
+ * @returns {PricingPlan|null} Plan, or null when the call has no snapshot
+ */
+function planFromCall(call) {
+  if (!call || call.rate_per_minute === null || call.rate_per_minute === undefined) {
+    return null;
+  }
+
+  return {
+    name: call.pricing_plan,
+    rate_per_minute: Number(call.rate_per_minute),
+    ...(call.pricing_rules || {})
+  };
+}
+
+module.exports = {
+  resolvePlan,
+  calculateBillableSeconds,
+  calculateCallCost,
+  planToCallFields,
+  planFromCall
+};
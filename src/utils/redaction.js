@@ -0,0 +1,331 @@
+/**
+ * Sensitive data redaction
+ *
+ * Finds payment card numbers (Luhn-checked), Social Security numbers, dates of birth and
+ * account numbers in free text, including digits read out one at a time ("four one one
+ * one, ..."), and replaces them according to a policy:
+ * - mask: keep the type and the last 4 digits ("[CARD ****1111]", "[DOB]")
+ * - hash: keep the type and a keyed hash, so the same value can be matched across calls
+ * - drop: keep only the type ("[CARD]")
+ *
+ * Dates of birth and account numbers are only recognised after a cue ("date of birth",
+ * "account number"), so appointment dates and phone numbers are left alone.
+ */
+
+const crypto = require('crypto');
+const { normalizeSpokenText } = require('./spokenNormalizer');
+
+const REDACTION_POLICY = {
+  MASK: 'mask',
+  HASH: 'hash',
+  DROP: 'drop'
+};
+
+const REDACTION_POLICIES = Object.values(REDACTION_POLICY);
+const DEFAULT_REDACTION_POLICY = REDACTION_POLICY.MASK;
+
+const SENSITIVE_TYPES = {
+  CARD: 'card',
+  SSN: 'ssn',
+  DOB: 'dob',
+  ACCOUNT: 'account'
+};
+
+const LABELS = {
+  card: 'CARD',
+  ssn: 'SSN',
+  dob: 'DOB',
+  account: 'ACCOUNT'
+};
+
+// Grouped as printed on cards (4-4-4-4, 4-6-5, ...) or one unbroken run
+const CARD_PATTERNS = [
+  /\b\d{4}(?:[ -]\d{4}){3}\b/g,
+  /\b\d{4}(?:[ -]\d{4}){2}[ -]\d{1,3}\b/g,
+  /\b\d{4}(?:[ -]\d{4}){3}[ -]\d{1,3}\b/g,
+  /\b\d{4}[ -]\d{6}[ -]\d{4,5}\b/g,
+  /\b\d{13,19}\b/g
+];
+
+// 123-45-6789 or 123 45 6789; an unbroken run of 9 only after a cue
+const SSN_PATTERN = /\b(\d{3})([ -])(\d{2})\2(\d{4})\b/g;
+const SSN_CUE_PATTERN = /\b(?:social security(?: number)?|social|ssn|s s n)\b\D{0,20}?\b(\d{9})\b/g;
+
+const MONTHS = '(?:january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept|sep|oct|nov|dec)\\.?';
+const DAY = '(?:\\d{1,2}(?:st|nd|rd|th)?|(?:(?:twenty|thirty)[ -])?(?:first|second|third|\\w+th))';
+const YEAR = '(?:\\d{4}|\\d{2}|(?:nineteen|twenty)[ -]\\w+(?:[ -]\\w+)?|two thousand(?: and)?(?: \\w+)?)';
+const DOB_CUE = /\b(?:date of birth|birth ?date|dob|d\.o\.b\.?|born(?: on)?|birthday(?: is|'s)?)\b/g;
+const DATE_PATTERN = new RegExp(
+  `\\b(?:\\d{1,2}[/.\\- ]\\d{1,2}[/.\\- ]\\d{2,4}|${MONTHS} ${DAY},? ${YEAR}|${DAY} (?:of )?${MONTHS},? ${YEAR})\\b`
+);
+const DOB_WINDOW = 40;
+
+const ACCOUNT_CUE_PATTERN = new RegExp(
+  '\\b(?:account|acct|policy|member|subscriber|routing|group|member id|insurance id)' +
+  '(?:\\s+(?:number|no\\.?|num|#|id))?(?:\\s+(?:is|was|it\'s))?[\\s:#]*' +
+  '([a-z]{0,4}[ -]?\\d[\\d -]{4,24}\\d)\\b',
+  'g'
+);
+const ACCOUNT_DIGITS = { min: 6, max: 17 };
+
+/**
+ * Find sensitive values in text
+ * @param {string|null} text - Text
+ * @returns {Array<Object>} Non-overlapping findings in order ({ type, start, end, value }),
+ *   offsets into the text; value is the digits (or lowercased date) that were found
+ */
+function findSensitiveData(text) {
+  if (!text || typeof text !== 'string') {
+    return [];
+  }
+
+  // Detect on lowercased text with spoken digits rewritten, keeping offsets into the original
+  const lower = text.toLowerCase();
+  const identity = Array.from({ length: text.length }, (value, index) => index);
+  const source = lower.length === text.length
+    ? normalizeSpokenText({ text: lower, offsets: identity })
+    : { text: lower, offsets: identity };
+
+  const findings = [
+    ...findCards(source.text),
+    ...findSsns(source.text),
+    ...findDatesOfBirth(source.text),
+    ...findAccountNumbers(source.text)
+  ].map(finding => ({
+    ...finding,
+    start: source.offsets[finding.start],
+    end: source.offsets[finding.end - 1] + 1
+  }));
+
+  // Earliest first; on overlap keep the longer finding
+  findings.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  for (const finding of findings) {
+    const last = kept[kept.length - 1];
+    if (last && finding.start < last.end) continue;
+    kept.push(finding);
+  }
+  return kept;
+}
+
+/**
+ * Redact sensitive values in text
+ * @param {string|null} text - Text
+ * @param {Object} options - Options
+ * @param {string} options.policy - 'mask', 'hash' or 'drop' (default mask)
+ * @param {string} options.secret - Key for the hash policy
+ * @returns {Object} { text, redactions: [{ type, start, end, replacement }] } (offsets into the input)
+ */
+function redactText(text, options = {}) {
+  const findings = findSensitiveData(text);
+  if (findings.length === 0) {
+    return { text, redactions: [] };
+  }
+
+  let result = '';
+  let cursor = 0;
+  const redactions = [];
+
+  for (const finding of findings) {
+    const replacement = formatReplacement(finding, options);
+    result += text.slice(cursor, finding.start) + replacement;
+    redactions.push({ type: finding.type, start: finding.start, end: finding.end, replacement });
+    cursor = finding.end;
+  }
+
+  return { text: result + text.slice(cursor), redactions };
+}
+
+/**
+ * Redact every string in a value (objects and arrays are copied, other values kept)
+ * @param {*} value - Value
+ * @param {Object} options - Options (see redactText)
+ * @param {number} depth - Internal: nesting depth
+ * @returns {*} Redacted copy
+ */
+function redactValue(value, options = {}, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value, options).text;
+  }
+  if (depth > 10 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, options, depth + 1));
+  }
+
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) {
+    return value;
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = redactValue(item, options, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Check whether a policy name is valid
+ * @param {string} policy - Policy name
+ * @returns {boolean} Whether it is mask, hash or drop
+ */
+function isValidRedactionPolicy(policy) {
+  return REDACTION_POLICIES.includes(policy);
+}
+
+/**
+ * Find Luhn-valid card numbers
+ * @param {string} text - Normalized text
+ * @returns {Array<Object>} Findings
+ */
+function findCards(text) {
+  const findings = [];
+
+  for (const pattern of CARD_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const digits = match[0].replace(/\D/g, '');
+      if (digits.length >= 13 && digits.length <= 19 && passesLuhn(digits)) {
+        findings.push({ type: SENSITIVE_TYPES.CARD, start: match.index, end: match.index + match[0].length, value: digits });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find Social Security numbers (valid area, group and serial)
+ * @param {string} text - Normalized text
+ * @returns {Array<Object>} Findings
+ */
+function findSsns(text) {
+  const findings = [];
+
+  for (const match of text.matchAll(SSN_PATTERN)) {
+    const digits = `${match[1]}${match[3]}${match[4]}`;
+    if (isValidSsn(digits)) {
+      findings.push({ type: SENSITIVE_TYPES.SSN, start: match.index, end: match.index + match[0].length, value: digits });
+    }
+  }
+
+  for (const match of text.matchAll(SSN_CUE_PATTERN)) {
+    const start = match.index + match[0].length - match[1].length;
+    if (isValidSsn(match[1])) {
+      findings.push({ type: SENSITIVE_TYPES.SSN, start, end: start + match[1].length, value: match[1] });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find dates shortly after a date-of-birth cue
+ * @param {string} text - Normalized text
+ * @returns {Array<Object>} Findings
+ */
+function findDatesOfBirth(text) {
+  const findings = [];
+
+  for (const cue of text.matchAll(DOB_CUE)) {
+    const from = cue.index + cue[0].length;
+    const match = text.slice(from, from + DOB_WINDOW).match(DATE_PATTERN);
+    if (match) {
+      const start = from + match.index;
+      findings.push({ type: SENSITIVE_TYPES.DOB, start, end: start + match[0].length, value: match[0] });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find account, policy, member and routing numbers after their cue
+ * @param {string} text - Normalized text
+ * @returns {Array<Object>} Findings
+ */
+function findAccountNumbers(text) {
+  const findings = [];
+
+  for (const match of text.matchAll(ACCOUNT_CUE_PATTERN)) {
+    const number = match[1].trim();
+    const digits = number.replace(/\D/g, '');
+    if (digits.length < ACCOUNT_DIGITS.min || digits.length > ACCOUNT_DIGITS.max) continue;
+
+    const start = match.index + match[0].length - match[1].length + match[1].indexOf(number);
+    findings.push({ type: SENSITIVE_TYPES.ACCOUNT, start, end: start + number.length, value: number.replace(/[\s-]/g, '') });
+  }
+
+  return findings;
+}
+
+/**
+ * Build the replacement for a finding
+ * @param {Object} finding - { type, value }
+ * @param {Object} options - { policy, secret }
+ * @returns {string} Replacement text
+ */
+function formatReplacement(finding, options) {
+  const label = LABELS[finding.type];
+  const policy = isValidRedactionPolicy(options.policy) ? options.policy : DEFAULT_REDACTION_POLICY;
+
+  if (policy === REDACTION_POLICY.DROP) {
+    return `[${label}]`;
+  }
+  if (policy === REDACTION_POLICY.HASH) {
+    const hash = crypto.createHmac('sha256', options.secret || '').update(`${finding.type}:${finding.value}`).digest('hex');
+    return `[${label} #${hash.slice(0, 12)}]`;
+  }
+
+  switch (finding.type) {
+    case SENSITIVE_TYPES.CARD:
+    case SENSITIVE_TYPES.ACCOUNT:
+      return `[${label} ****${finding.value.slice(-4)}]`;
+    case SENSITIVE_TYPES.SSN:
+      return `[${label} ***-**-${finding.value.slice(-4)}]`;
+    default:
+      return `[${label}]`;
+  }
+}
+
+/**
+ * Luhn checksum
+ * @param {string} digits - Digits
+ * @returns {boolean} Whether the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Check an SSN's area, group and serial (000, 666 and 9xx areas are never issued)
+ * @param {string} digits - 9 digits
+ * @returns {boolean} Whether it could be an SSN
+ */
+function isValidSsn(digits) {
+  const area = digits.slice(0, 3);
+  return area !== '000' && area !== '666' && area[0] !== '9' &&
+    digits.slice(3, 5) !== '00' && digits.slice(5) !== '0000';
+}
+
+module.exports = {
+  REDACTION_POLICY,
+  REDACTION_POLICIES,
+  DEFAULT_REDACTION_POLICY,
+  SENSITIVE_TYPES,
+  findSensitiveData,
+  redactText,
+  redactValue,
+  isValidRedactionPolicy,
+  passesLuhn
+};
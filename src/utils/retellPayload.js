@@ -0,0 +1,234 @@
+/**
+ * Retell AI webhook payload normalization
+ *
+ * Retell has delivered two payload shapes:
+ * - legacy flat: { call_id, event_type, to_number, transcript, call_duration, ... }
+ * - nested:      { event, call: { call_id, to_number, transcript, transcript_object,
+ *                  start_timestamp, end_timestamp, disconnection_reason, call_analysis, ... } }
+ * Both are mapped to a single internal call event model. Inbound call webhooks
+ * ({ event: 'call_inbound', call_inbound: { from_number, to_number, agent_id } })
+ * arrive before a call exists and map to the same model without a call_id.
+ */
+
+/**
+ * @typedef {Object} CallEvent
+ * @property {string} format - 'nested' or 'legacy'
+ * @property {string|null} event_type - call_inbound, call_started, call_ended, call_analyzed (null for legacy status-only payloads)
+ * @property {string|null} call_id - Retell call ID
+ * @property {string|null} agent_id - Retell agent ID
+ * @property {string|null} from_number - Caller number
+ * @property {string|null} to_number - Business number that was called
+ * @property {string|null} direction - inbound or outbound
+ * @property {string|null} call_status - Status reported by Retell
+ * @property {string|null} transcript - Plain-text transcript
+ * @property {Array<Object>|null} transcript_object - Speaker-separated utterances ({ role, content, words })
+ * @property {string|null} recording_url - Recording URL
+ * @property {number|null} start_timestamp - Call start (ms since epoch)
+ * @property {number|null} end_timestamp - Call end (ms since epoch)
+ * @property {number|null} duration_seconds - Call duration in seconds
+ * @property {string|null} disconnection_reason - Why the call ended
+ * @property {Object|null} call_analysis - Retell post-call analysis
+ * @property {Object} metadata - Custom metadata attached to the call
+ */
+
+/**
+ * Check whether a payload uses the nested { event, call } shape
+ * @param {Object} payload - Raw webhook payload
+ * @returns {boolean} Whether the payload is nested
+ */
+function isNestedPayload(payload) {
+  return !!payload && typeof payload.call === 'object' && payload.call !== null && !Array.isArray(payload.call);
+}
+
+/**
+ * Normalize a Retell webhook payload into the internal call event model
+ * @param {Object} payload - Raw webhook payload (legacy flat or nested)
+ * @returns {CallEvent} Normalized call event
+ */
+function normalizeRetellEvent(payload) {
+  const raw = payload || {};
+  if (isInboundPayload(raw)) {
+    return normalizeInbound(raw);
+  }
+  return isNestedPayload(raw) ? normalizeNested(raw) : normalizeLegacy(raw);
+}
+
+/**
+ * Check whether a payload is an inbound call webhook
+ * @param {Object} payload - Raw webhook payload
+ * @returns {boolean} Whether the payload is call_inbound
+ */
+function isInboundPayload(payload) {
+  return !!payload && payload.event === 'call_inbound' &&
+    typeof payload.call_inbound === 'object' && payload.call_inbound !== null;
+}
+
+/**
+ * Normalize the call_inbound payload shape
+ * @param {Object} payload - Raw webhook payload
+ * @returns {CallEvent} Normalized call event (no call_id or transcript yet)
+ */
+function normalizeInbound(payload) {
+  const inbound = payload.call_inbound;
+
+  return {
+    format: 'nested',
+    event_type: 'call_inbound',
+    call_id: null,
+    agent_id: inbound.agent_id || null,
+    from_number: inbound.from_number || null,
+    to_number: inbound.to_number || null,
+    direction: 'inbound',
+    call_status: null,
+    transcript: null,
+    transcript_object: null,
+    recording_url: null,
+    start_timestamp: null,
+    end_timestamp: null,
+    duration_seconds: null,
+    disconnection_reason: null,
+    call_analysis: null,
+    metadata: {}
+  };
+}
+
+/**
+ * Normalize the nested { event, call } payload shape
+ * @param {Object} payload - Raw webhook payload
+ * @returns {CallEvent} Normalized call event
+ */
+function normalizeNested(payload) {
+  const call = payload.call;
+  const transcriptObject = Array.isArray(call.transcript_object) ? call.transcript_object : null;
+  const startTimestamp = toTimestamp(call.start_timestamp);
+  const endTimestamp = toTimestamp(call.end_timestamp);
+
+  return {
+    format: 'nested',
+    event_type: payload.event || null,
+    call_id: call.call_id || null,
+    agent_id: call.agent_id || null,
+    from_number: call.from_number || null,
+    to_number: call.to_number || null,
+    direction: call.direction || null,
+    call_status: call.call_status || null,
+    transcript: nonEmptyString(call.transcript) || transcriptFromObject(transcriptObject),
+    transcript_object: transcriptObject,
+    recording_url: call.recording_url || null,
+    start_timestamp: startTimestamp,
+    end_timestamp: endTimestamp,
+    duration_seconds: computeDurationSeconds(startTimestamp, endTimestamp, call.duration_ms, null),
+    disconnection_reason: call.disconnection_reason || null,
+    call_analysis: call.call_analysis || null,
+    metadata: call.metadata || {}
+  };
+}
+
+/**
+ * Normalize the legacy flat payload shape
+ * @param {Object} payload - Raw webhook payload
+ * @returns {CallEvent} Normalized call event
+ */
+function normalizeLegacy(payload) {
+  const transcriptObject = Array.isArray(payload.transcript_object) ? payload.transcript_object : null;
+  const startTimestamp = toTimestamp(payload.start_timestamp);
+  const endTimestamp = toTimestamp(payload.end_timestamp);
+
+  // Older integrations sent the transcript under several names
+  const transcript = nonEmptyString(payload.transcript) ||
+                     nonEmptyString(payload.transcript_text) ||
+                     nonEmptyString(payload.conversation) ||
+                     transcriptFromObject(transcriptObject) ||
+                     nonEmptyString(payload.call_summary) ||
+                     nonEmptyString(payload.summary);
+
+  return {
+    format: 'legacy',
+    event_type: payload.event_type || payload.event || null,
+    call_id: payload.call_id || null,
+    agent_id: payload.agent_id || null,
+    from_number: payload.from_number || null,
+    to_number: payload.to_number || null,
+    direction: payload.direction || null,
+    call_status: payload.call_status || null,
+    transcript,
+    transcript_object: transcriptObject,
+    recording_url: payload.recording_url || null,
+    start_timestamp: startTimestamp,
+    end_timestamp: endTimestamp,
+    duration_seconds: computeDurationSeconds(startTimestamp, endTimestamp, payload.duration_ms, payload.call_duration),
+    disconnection_reason: payload.disconnection_reason || null,
+    call_analysis: payload.call_analysis || null,
+    metadata: payload.metadata || {}
+  };
+}
+
+/**
+ * Build a plain-text transcript from Retell's transcript_object
+ * @param {Array<Object>|null} transcriptObject - Utterances ({ role, content })
+ * @returns {string|null} "Agent: ...\nUser: ..." transcript or null
+ */
+function transcriptFromObject(transcriptObject) {
+  if (!transcriptObject || transcriptObject.length === 0) {
+    return null;
+  }
+
+  const lines = transcriptObject
+    .filter(utterance => utterance && nonEmptyString(utterance.content))
+    .map(utterance => `${utterance.role === 'agent' ? 'Agent' : 'User'}: ${utterance.content.trim()}`);
+
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+/**
+ * Compute duration, preferring start/end timestamps over reported durations
+ * @param {number|null} startTimestamp - Start (ms)
+ * @param {number|null} endTimestamp - End (ms)
+ * @param {number|undefined} durationMs - Reported duration in milliseconds
+ * @param {number|undefined} durationSeconds - Reported duration in seconds (legacy call_duration)
+ * @returns {number|null} Duration in seconds
+ */
+function computeDurationSeconds(startTimestamp, endTimestamp, durationMs, durationSeconds) {
+  if (startTimestamp && endTimestamp && endTimestamp >= startTimestamp) {
+    return Math.round((endTimestamp - startTimestamp) / 1000);
+  }
+  if (isFiniteNumber(durationMs)) {
+    return Math.round(Number(durationMs) / 1000);
+  }
+  if (isFiniteNumber(durationSeconds)) {
+    return Math.round(Number(durationSeconds));
+  }
+  return null;
+}
+
+/**
+ * Parse a timestamp (ms since epoch or ISO string)
+ * @param {number|string|undefined} value - Timestamp value
+ * @returns {number|null} Milliseconds since epoch
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (isFiniteNumber(value)) {
+    return Number(value);
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function isFiniteNumber(value) {
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value));
+}
+
+function nonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0 ? value : null;
+}
+
+module.exports = {
+  isNestedPayload,
+  isInboundPayload,
+  normalizeRetellEvent,
+  transcriptFromObject,
+  computeDurationSeconds
+};
@@ -0,0 +1,138 @@
+/**
+ * Spam and robocall scoring
+ *
+ * Scores a call from 0 to 1 from independent signals: robocall script phrases, a caller
+ * who never spoke or barely spoke, a very short call, the same number calling many other
+ * businesses on the platform, and the business's own blocklist. Signals are combined as
+ * independent evidence (1 - product of (1 - weight)), so one weak signal never flags a
+ * call on its own but a blocklisted number always does.
+ */
+
+const DEFAULT_SPAM_THRESHOLD = 0.7;
+
+const SHORT_CALL_SECONDS = 10;
+const LOW_TALK_RATIO = 0.1;
+
+// Other businesses the same number called within the repeat window
+const REPEAT_BUSINESSES = 3;
+const MANY_REPEAT_BUSINESSES = 5;
+
+const SPAM_SIGNALS = {
+  BLOCKLISTED: 'blocklisted',
+  ROBOCALL_SCRIPT: 'robocall_script',
+  SILENT: 'silent',
+  LOW_TALK_RATIO: 'low_talk_ratio',
+  SHORT_CALL: 'short_call',
+  REPEAT_CALLER: 'repeat_caller'
+};
+
+// Phrases from telemarketing and robocall scripts (matched in the caller's words)
+const ROBOCALL_PHRASES = [
+  'extended warranty', 'vehicle warranty', 'car warranty', "car's warranty", 'auto warranty',
+  'press 1', 'press one', 'press 9', 'press nine', 'press 2 to be removed', 'to be removed from our list',
+  'this is not a sales call', 'final notice', 'final attempt to reach you',
+  'lower your interest rate', 'credit card debt', 'student loan forgiveness',
+  'social security number has been suspended', 'legal action will be taken', 'arrest warrant',
+  'you have been selected', "you've been selected", 'you have won', "you've won", 'free cruise',
+  'google business listing', 'your google listing', 'verify your business listing',
+  'medicare benefits', 'business funding', 'merchant services'
+];
+
+/**
+ * Score a call for spam
+ * @param {Object} call - Call signals
+ * @param {string} call.callerText - What the caller said (the whole transcript when it has no speakers)
+ * @param {string} call.agentText - What the agent said
+ * @param {number|null} call.duration - Call duration in seconds
+ * @param {number} call.repeatBusinesses - Other businesses this number called recently
+ * @param {boolean} call.blocklisted - The number is on the business's blocklist
+ * @param {Object} options - Options
+ * @param {number} options.threshold - Score at which a call is spam (default 0.7)
+ * @returns {Object} { score, is_spam, signals: [{ type, weight, detail }] }
+ */
+function scoreSpam(call, options = {}) {
+  const threshold = Number.isFinite(options.threshold) ? options.threshold : DEFAULT_SPAM_THRESHOLD;
+  const signals = [];
+
+  if (call.blocklisted) {
+    signals.push({ type: SPAM_SIGNALS.BLOCKLISTED, weight: 1, detail: 'number is on the business blocklist' });
+  }
+
+  const phrases = findRobocallPhrases(call.callerText);
+  if (phrases.length > 0) {
+    signals.push({ type: SPAM_SIGNALS.ROBOCALL_SCRIPT, weight: phrases.length > 1 ? 0.85 : 0.6, detail: phrases.join(', ') });
+  }
+
+  const callerWords = countWords(call.callerText);
+  const agentWords = countWords(call.agentText);
+  if (callerWords === 0) {
+    signals.push({ type: SPAM_SIGNALS.SILENT, weight: 0.6, detail: 'caller never spoke' });
+  } else if (agentWords > 0 && callerWords / (callerWords + agentWords) < LOW_TALK_RATIO) {
+    signals.push({
+      type: SPAM_SIGNALS.LOW_TALK_RATIO,
+      weight: 0.3,
+      detail: `caller spoke ${callerWords} of ${callerWords + agentWords} words`
+    });
+  }
+
+  if (Number.isFinite(call.duration) && call.duration < SHORT_CALL_SECONDS) {
+    signals.push({ type: SPAM_SIGNALS.SHORT_CALL, weight: 0.3, detail: `${call.duration}s` });
+  }
+
+  if (call.repeatBusinesses >= REPEAT_BUSINESSES) {
+    signals.push({
+      type: SPAM_SIGNALS.REPEAT_CALLER,
+      weight: call.repeatBusinesses >= MANY_REPEAT_BUSINESSES ? 0.8 : 0.5,
+      detail: `called ${call.repeatBusinesses} other businesses`
+    });
+  }
+
+  const score = combineWeights(signals.map(signal => signal.weight));
+
+  return {
+    score,
+    is_spam: score >= threshold,
+    signals
+  };
+}
+
+/**
+ * Find robocall script phrases in text
+ * @param {string|null} text - Text
+ * @returns {Array<string>} Phrases found
+ */
+function findRobocallPhrases(text) {
+  if (!text) {
+    return [];
+  }
+
+  const lower = text.toLowerCase().replace(/[’‘]/g, "'");
+  return ROBOCALL_PHRASES.filter(phrase => lower.includes(phrase));
+}
+
+/**
+ * Combine independent signal weights into one score
+ * @param {Array<number>} weights - Weights between 0 and 1
+ * @returns {number} Score between 0 and 1, rounded to 2 decimals
+ */
+function combineWeights(weights) {
+  const notSpam = weights.reduce((product, weight) => product * (1 - weight), 1);
+  return Math.round((1 - notSpam) * 100) / 100;
+}
+
+/**
+ * Count words
+ * @param {string|null} text - Text
+ * @returns {number} Word count
+ */
+function countWords(text) {
+  return text ? text.split(/\s+/).filter(word => /\w/.test(word)).length : 0;
+}
+
+module.exports = {
+  DEFAULT_SPAM_THRESHOLD,
+  SPAM_SIGNALS,
+  scoreSpam,
+  findRobocallPhrases,
+  combineWeights
+};
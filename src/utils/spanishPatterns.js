@@ -0,0 +1,123 @@
+/**
+ * Spanish pattern set for transcript extraction
+ *
+ * Used by informationExtractor for calls detected as Spanish. Patterns run on cleaned,
+ * lowercased text (accents kept) and capture the value in their first group; each has
+ * the confidence given to a match, as in the English extractors.
+ */
+
+// Letters of a Spanish word
+const WORD = '[a-záéíóúüñ][a-záéíóúüñ\'\\-]*';
+
+// Where a spoken value ends: "... y", "... pero", punctuation
+const NAME_END = '(?=\\s+(?:y|pero|o)\\b|,|\\.|$)';
+const CLAUSE_END = '(?=\\s+(?:y|pero|porque|así que|entonces)\\b|[.?!]|$)';
+
+// Words that follow "soy"/"habla" without starting a name ("soy el dueño", "habla español")
+const NAME_STOPWORDS = [
+  'el', 'la', 'los', 'las', 'un', 'una', 'muy', 'yo', 'su', 'mi', 'de', 'del', 'que', 'con', 'para',
+  'español', 'inglés', 'ingles', 'cliente', 'dueño', 'dueña', 'vecino', 'vecina', 'nuevo', 'nueva'
+];
+
+const NAME = `(?!(?:${NAME_STOPWORDS.join('|')})\\b)(${WORD}(?:\\s+${WORD}){0,3}?)`;
+
+const NAME_PATTERNS = [
+  { pattern: new RegExp(`(?:me llamo|mi nombre es)\\s+${NAME}${NAME_END}`, 'd'), confidence: 0.8 },
+  { pattern: new RegExp(`(?:nombre es|habla)\\s+${NAME}${NAME_END}`, 'd'), confidence: 0.7 },
+  { pattern: new RegExp(`\\b(?:soy|yo soy)\\s+${NAME}${NAME_END}`, 'd'), confidence: 0.45 }
+];
+
+const PHONE_PATTERNS = [
+  {
+    pattern: /(?:mi (?:número|numero)(?: de (?:teléfono|telefono|celular))? es|mi (?:teléfono|telefono|celular) es|(?:llámeme|llameme|llámenme|llamenme|márqueme|marqueme|me pueden llamar|me puede llamar)(?: al| a este número| a este numero)?)\s*([\d\s\-\(\)]+)/d,
+    confidence: 0.9
+  },
+  { pattern: /(?:número|numero|teléfono|telefono|celular)(?: es| de contacto es)?\s*([\d\s\-\(\)]+)/d, confidence: 0.75 },
+  { pattern: /(?:es el)\s*([\d\s\-\(\)]+)/d, confidence: 0.4 }
+];
+
+// Street types that come before the name in Spanish addresses ("Calle Principal 45")
+const STREET_TYPES = 'calle|avenida|avda\\.?|av\\.?|camino|paseo|carretera|calzada|bulevar|callejón|callejon|privada|plaza';
+
+// Spanish street order: street type and name (words, or a number as in "Calle 8"), then the
+// house number ("45", "número 45", "#45"), optionally followed by the city when there are
+// no commas (used by addressParser)
+const STREET_PATTERN = new RegExp(
+  `^(?:(?:la|el)\\s+)?((?:${STREET_TYPES})\\s+(?:\\d+[a-z]?(?=\\s+\\d)|(?:\\d+\\s+)?[^\\d,#]+?)),?\\s+(?:(?:número|numero|núm\\.?|num\\.?|no\\.?)\\s*|#\\s*)?(\\d+[a-z]?)\\b(?:\\s+(.+))?$`,
+  'i'
+);
+
+// Strong cues accept any text; weaker ones only count when it parses as a street address
+const ADDRESS_PATTERNS = [
+  { pattern: new RegExp(`(?:vivo en|mi (?:dirección|direccion) es|la (?:dirección|direccion) es|(?:dirección|direccion) de (?:la casa|servicio) es)\\s+(?:(?:la|el)\\s+)?([^.?!]+?)${CLAUSE_END}`, 'd'), confidence: 0.8 },
+  { pattern: new RegExp(`(?:estoy en|estamos en|queda en)\\s+(?:(?:la|el)\\s+)?([^.?!]+?)${CLAUSE_END}`, 'd'), confidence: 0.6, requireStreet: true },
+  { pattern: new RegExp(`\\b(?:dirección|direccion)\\s+([^.?!]+?)${CLAUSE_END}`, 'd'), confidence: 0.5, requireStreet: true },
+  // Callers in the US give US addresses: a house number followed by a street suffix
+  {
+    pattern: new RegExp(`\\b(\\d+[a-z]?\\s+(?:${WORD}\\s+){0,3}(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|way|boulevard|blvd|court|ct|place|pl|calle|avenida)\\b[^.?!]*?)${CLAUSE_END}`, 'd'),
+    confidence: 0.4,
+    requireStreet: true
+  },
+  // ... or in Spanish order: street type, name, house number
+  {
+    pattern: new RegExp(`\\b((?:${STREET_TYPES})\\s+(?:${WORD}\\s+){1,4}?(?:(?:número|numero)\\s+|#\\s*)?\\d+[a-z]?\\b[^.?!]*?)${CLAUSE_END}`, 'd'),
+    confidence: 0.4,
+    requireStreet: true
+  },
+  { pattern: new RegExp(`\\ben\\s+(\\d[^.?!]+?)${CLAUSE_END}`, 'd'), confidence: 0.3, requireStreet: true }
+];
+
+const REASON_PATTERNS = [
+  { pattern: /(?:llamo porque|llamo por|llamo para|llamaba porque|llamaba por|llamaba para|el motivo de mi llamada es|necesito ayuda con)\s*([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.75 },
+  // The caller describing the problem: "tengo una fuga en la cocina"
+  { pattern: /(?:tengo|tenemos|hay)\s+(?:un|una|unos|unas)\s+([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.65 },
+  { pattern: /(?:necesito|quiero|quisiera|me gustaría|me gustaria|busco)\s*([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.6 },
+  { pattern: /\b(?:porque|ya que)\s*([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.5 },
+  { pattern: /\b(?:sobre|acerca de)\s*([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.45 },
+  { pattern: /\b(?:cita|programar|agendar)\s*([^.?!]+?)(?=[.?!,]|$)/d, confidence: 0.4 }
+];
+
+const EMERGENCY_KEYWORDS = ['emergencia', 'urgente', 'tormenta'];
+
+// Generic urgency signals (urgencyClassifier); business types add their own in localizedUrgencySignals.es
+const URGENCY_SIGNALS = {
+  emergency: [
+    'emergencia', 'fuga de gas', 'huele a gas', 'olor a gas', 'monóxido de carbono', 'incendio', 'fuego',
+    'humo', 'inundación', 'inundado', 'inundada', 'se inundó'
+  ],
+  same_day: [
+    'urgente', 'fuga de agua', 'lo antes posible', 'cuanto antes', 'ahora mismo', 'hoy mismo', 'venir hoy',
+    'vengan hoy', 'esta noche'
+  ],
+  routine: [
+    'programar', 'agendar', 'cita', 'presupuesto', 'cotización', 'mantenimiento', 'instalar', 'instalación',
+    'reemplazar', 'reparar', 'arreglar', 'revisión', 'la próxima semana'
+  ],
+  informational: [
+    'su horario', 'sus horarios', 'están abiertos', 'está abierto', 'cuánto cobran', 'cuánto cuesta',
+    'una pregunta', 'número equivocado', 'numero equivocado'
+  ]
+};
+
+// Words shortly before a signal that negate it ("no es una emergencia", "sin humo")
+const URGENCY_NEGATION = /\b(?:no|sin|nunca|tampoco|ni)\s+(?:\S+\s+){0,2}$/;
+
+// Reasons are stored in English, like the English extractor's keyword reasons
+const EMERGENCY_SERVICES = [
+  { keywords: ['plomería', 'plomeria', 'plomero', 'fuga', 'agua', 'tubería', 'tuberia'], reason: 'Emergency plumbing service' },
+  { keywords: ['árbol', 'arbol', 'rama'], reason: 'Emergency tree removal' },
+  { keywords: ['eléctric', 'electric', 'luz', 'corriente'], reason: 'Emergency electrical service' }
+];
+
+module.exports = {
+  NAME_PATTERNS,
+  NAME_STOPWORDS,
+  PHONE_PATTERNS,
+  STREET_PATTERN,
+  ADDRESS_PATTERNS,
+  REASON_PATTERNS,
+  EMERGENCY_KEYWORDS,
+  EMERGENCY_SERVICES,
+  URGENCY_SIGNALS,
+  URGENCY_NEGATION
+};
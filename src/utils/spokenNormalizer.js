@@ -0,0 +1,196 @@
+/**
+ * Spoken-form normalization for transcripts
+ *
+ * Speech-to-text writes what callers say: "five five five, one two three, four five six
+ * seven", "double five", "oh" for zero, "j o h n at gmail dot com", and Spanish digits
+ * ("cinco cinco cinco, uno dos tres"). Before extraction
+ * these are rewritten to canonical forms ("555 123 4567", "john@gmail.com").
+ *
+ * Works on cleaned text ({ text, offsets }, see informationExtractor.cleanTranscriptText)
+ * and keeps the offsets pointing into the original transcript, so evidence spans still
+ * land on what the caller actually said.
+ */
+
+const DIGIT_WORDS = {
+  zero: '0',
+  oh: '0',
+  o: '0',
+  one: '1',
+  two: '2',
+  three: '3',
+  four: '4',
+  five: '5',
+  six: '6',
+  seven: '7',
+  eight: '8',
+  nine: '9',
+  cero: '0',
+  uno: '1',
+  dos: '2',
+  tres: '3',
+  cuatro: '4',
+  cinco: '5',
+  seis: '6',
+  siete: '7',
+  ocho: '8',
+  nueve: '9'
+};
+
+const REPEATERS = { double: 2, triple: 3 };
+
+// A digit word or numeral, optionally preceded by "double"/"triple"
+const DIGIT_TOKEN = '(?:(?:double|triple)\\s+)?(?:zero|oh|o|one|two|three|four|five|six|seven|eight|nine|cero|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|\\d+)';
+
+// Runs of digit tokens separated by spaces, commas or dashes. A run may not start with
+// "oh"/"o" so an exclamation ("oh, five...") or a spelled "o" is not read as zero.
+const DIGIT_RUN = new RegExp(
+  `\\b(?:(?:double|triple)\\s+)?(?:zero|one|two|three|four|five|six|seven|eight|nine|cero|uno|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|\\d+)(?:[\\s,\\-]+${DIGIT_TOKEN})+\\b`,
+  'g'
+);
+
+// Single letters spelled out one at a time ("j o h n"); accented letters count as part of a
+// word, so the "a" of "garcía" is not taken for a spelled letter
+const LETTER_RUN = /(?<![a-zà-ÿ])[a-z](?:\s+[a-z](?![a-zà-ÿ]))+/g;
+
+// Words of one letter ("i", "a"; Spanish "y", "o", "e", "u")
+const SINGLE_LETTER_WORDS = ['a', 'i', 'y', 'o', 'e', 'u'];
+
+const EMAIL_SEPARATORS = { dot: '.', underscore: '_', dash: '-', hyphen: '-' };
+
+// "john dot smith at gmail dot com"
+const SPOKEN_EMAIL = /\b([a-z0-9]+(?:\s+(?:dot|underscore|dash|hyphen)\s+[a-z0-9]+)*)\s+at\s+([a-z0-9]+(?:\s+dot\s+[a-z0-9]+)*\s+dot\s+(?:com|net|org|edu|gov|io|co|us|ca|uk|info|biz|me))\b/g;
+
+// Numbers shorter than this are left as words ("I have two kids")
+const MIN_SPOKEN_DIGITS = 3;
+
+/**
+ * Normalize spoken digits, spelled letters and spoken email addresses
+ * @param {Object} source - Cleaned text { text, offsets }
+ * @returns {Object} Normalized { text, offsets } (offsets into the original transcript)
+ */
+function normalizeSpokenText(source) {
+  let result = replaceWithOffsets(source, DIGIT_RUN, spokenDigitsToNumber);
+  result = replaceWithOffsets(result, LETTER_RUN, joinSpelledLetters);
+  result = replaceWithOffsets(result, SPOKEN_EMAIL, spokenEmailToAddress);
+  return result;
+}
+
+/**
+ * Rewrite a run of spoken digits: pauses (commas, dashes) separate digit groups
+ * @param {string} run - Matched run, e.g. "five five five, one two three"
+ * @returns {string|null} Digits, e.g. "555 123", or null to leave the run unchanged
+ */
+function spokenDigitsToNumber(run) {
+  const tokens = run.match(/[a-z0-9]+|[,\-]/g) || [];
+  if (!tokens.some(token => DIGIT_WORDS[token] || REPEATERS[token])) {
+    return null; // Already numerals
+  }
+
+  const groups = [''];
+  let repeat = 1;
+
+  for (const token of tokens) {
+    if (token === ',' || token === '-') {
+      if (groups[groups.length - 1]) groups.push('');
+    } else if (REPEATERS[token]) {
+      repeat = REPEATERS[token];
+    } else {
+      const digit = DIGIT_WORDS[token] || token;
+      groups[groups.length - 1] += digit.repeat(repeat);
+      repeat = 1;
+    }
+  }
+
+  const number = groups.filter(Boolean).join(' ');
+  return number.replace(/\D/g, '').length >= MIN_SPOKEN_DIGITS ? number : null;
+}
+
+/**
+ * Join letters spelled one at a time
+ * @param {string} run - Matched run, e.g. "j o h n"
+ * @returns {string|null} Joined letters, or null for ordinary words ("i", "a", "y")
+ */
+function joinSpelledLetters(run) {
+  const letters = run.split(/\s+/);
+  return letters.every(letter => SINGLE_LETTER_WORDS.includes(letter)) ? null : letters.join('');
+}
+
+/**
+ * Rewrite a spoken email address
+ * @param {string} spoken - Matched text, e.g. "john dot smith at gmail dot com"
+ * @returns {string} Email address
+ */
+function spokenEmailToAddress(spoken) {
+  const [local, domain] = spoken.split(/\s+at\s+/);
+  const join = part => part.replace(/\s+(dot|underscore|dash|hyphen)\s+/g, (match, word) => EMAIL_SEPARATORS[word]);
+  return `${join(local)}@${join(domain)}`;
+}
+
+/**
+ * Replace pattern matches while keeping every output character mapped to the original
+ * transcript (a replacement spans the original characters it replaced)
+ * @param {Object} source - { text, offsets }
+ * @param {RegExp} pattern - Global pattern
+ * @param {Function} replacer - (match) => replacement, or null to keep the match
+ * @returns {Object} { text, offsets }
+ */
+function replaceWithOffsets(source, pattern, replacer) {
+  let text = '';
+  const offsets = [];
+  let cursor = 0;
+  let match;
+
+  pattern.lastIndex = 0;
+  while ((match = pattern.exec(source.text)) !== null) {
+    const replacement = replacer(match[0]);
+    if (replacement === null) continue;
+
+    const start = match.index;
+    const end = start + match[0].length;
+
+    text += source.text.slice(cursor, start);
+    appendOffsets(offsets, source.offsets, cursor, start);
+
+    text += replacement;
+    for (let i = 0; i < replacement.length; i++) {
+      offsets.push(i === replacement.length - 1 ? source.offsets[end - 1] : source.offsets[start]);
+    }
+
+    cursor = end;
+  }
+
+  text += source.text.slice(cursor);
+  appendOffsets(offsets, source.offsets, cursor, source.offsets.length);
+
+  return { text, offsets };
+}
+
+/**
+ * Copy a range of offsets (a loop, so long transcripts cannot overflow the call stack)
+ * @param {Array<number>} target - Offsets being built
+ * @param {Array<number>} offsets - Source offsets
+ * @param {number} start - First index
+ * @param {number} end - End index (exclusive)
+ * @returns {void}
+ */
+function appendOffsets(target, offsets, start, end) {
+  for (let i = start; i < end; i++) {
+    target.push(offsets[i]);
+  }
+}
+
+/**
+ * Normalize a plain string
+ * @param {string} text - Lowercase text
+ * @returns {string} Normalized text
+ */
+function normalizeSpoken(text) {
+  const offsets = Array.from({ length: text.length }, (value, index) => index);
+  return normalizeSpokenText({ text, offsets }).text;
+}
+
+module.exports = {
+  normalizeSpokenText,
+  normalizeSpoken,
+  spokenDigitsToNumber
+};
@@ -0,0 +1,22 @@
+/**
+ * Promise timeout helper
+ */
+
+/**
+ * Reject when a promise takes longer than a limit
+ * @param {Promise} promise - Promise
+ * @param {number} ms - Limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The promise's result
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  withTimeout
+};
@@ -0,0 +1,231 @@
+/**
+ * Transcript turn utilities - split a call transcript into speaker-separated turns
+ */
+
+// "Agent:" / "User:" speaker prefixes (Retell's plain-text transcript format)
+const SPEAKER_PREFIX = /(?:^|\s)(agent|user|caller|customer)\s*:\s*/gi;
+
+// Lines only the agent says (greeting, asking for details, read-back, sign-off), used to
+// split transcripts that have no speaker labels
+const AGENT_CUES = [
+  /thank you for calling/i,
+  /you(?:'ve)? reached/i,
+  /how (?:may|can|could) i (?:help|assist)/i,
+  /what can i do for you/i,
+  /(?:can|could|may) i (?:get|have) your/i,
+  /what(?:'s| is) (?:your|the) (?:name|number|phone|address|best number)/i,
+  /i have your information/i,
+  /(?:let me|just to) (?:confirm|read that back)/i,
+  /i(?:'ve| have) got you down/i,
+  /(?:someone|we|a technician) will (?:get back|call you|be in touch|reach out)/i,
+  /is there anything else/i,
+  /have a (?:great|good|nice|wonderful) (?:day|evening|night|weekend)/i
+];
+
+const ROLE_ALIASES = {
+  agent: 'agent',
+  user: 'user',
+  caller: 'user',
+  customer: 'user'
+};
+
+/**
+ * @typedef {Object} TranscriptTurn
+ * @property {number} turn_index - Position of the turn in the call (0-based)
+ * @property {string} role - 'agent' or 'user'
+ * @property {string} text - What was said
+ * @property {number|null} start_offset - Seconds from call start (when word timings are available)
+ * @property {number|null} end_offset - Seconds from call start (when word timings are available)
+ */
+
+/**
+ * Build transcript turns for a call, preferring Retell's transcript_object
+ * @param {Object} event - Normalized call event
+ * @returns {Array<TranscriptTurn>} Turns (empty when the transcript has no speaker information)
+ */
+function buildTranscriptTurns(event) {
+  if (event.transcript_object && event.transcript_object.length > 0) {
+    return turnsFromTranscriptObject(event.transcript_object);
+  }
+  return parseTranscriptTurns(event.transcript);
+}
+
+/**
+ * Convert Retell transcript_object utterances to turns
+ * @param {Array<Object>} transcriptObject - Utterances ({ role, content, words: [{ word, start, end }] })
+ * @returns {Array<TranscriptTurn>} Turns
+ */
+function turnsFromTranscriptObject(transcriptObject) {
+  const turns = [];
+
+  for (const utterance of transcriptObject) {
+    const role = utterance && ROLE_ALIASES[String(utterance.role || '').toLowerCase()];
+    const text = utterance && typeof utterance.content === 'string' ? utterance.content.trim() : '';
+    if (!role || !text) continue;
+
+    const words = Array.isArray(utterance.words) ? utterance.words : [];
+    const timedWords = words.filter(word => Number.isFinite(word.start) && Number.isFinite(word.end));
+
+    turns.push({
+      turn_index: turns.length,
+      role,
+      text,
+      start_offset: timedWords.length > 0 ? timedWords[0].start : null,
+      end_offset: timedWords.length > 0 ? timedWords[timedWords.length - 1].end : null
+    });
+  }
+
+  return mergeConsecutiveTurns(turns);
+}
+
+/**
+ * Parse "Agent: ... User: ..." prefixes out of a plain-text transcript
+ * @param {string|null} transcript - Plain-text transcript
+ * @returns {Array<TranscriptTurn>} Turns (empty when no speaker prefixes are present)
+ */
+function parseTranscriptTurns(transcript) {
+  if (!transcript || typeof transcript !== 'string') {
+    return [];
+  }
+
+  const markers = [];
+  let match;
+  SPEAKER_PREFIX.lastIndex = 0;
+  while ((match = SPEAKER_PREFIX.exec(transcript)) !== null) {
+    markers.push({
+      role: ROLE_ALIASES[match[1].toLowerCase()],
+      contentStart: match.index + match[0].length,
+      markerStart: match.index
+    });
+  }
+
+  const turns = [];
+  markers.forEach((marker, i) => {
+    const contentEnd = i + 1 < markers.length ? markers[i + 1].markerStart : transcript.length;
+    const text = transcript.slice(marker.contentStart, contentEnd).trim();
+    if (text) {
+      turns.push({
+        turn_index: turns.length,
+        role: marker.role,
+        text,
+        start_offset: null,
+        end_offset: null
+      });
+    }
+  });
+
+  return mergeConsecutiveTurns(turns);
+}
+
+/**
+ * Split a transcript without speaker labels into turns by recognising the agent's
+ * scripted lines; every other sentence is attributed to the caller
+ * @param {string|null} transcript - Plain-text transcript
+ * @returns {Array<TranscriptTurn>} Turns (empty when no agent line is recognised)
+ */
+function segmentTranscriptByCues(transcript) {
+  if (!transcript || typeof transcript !== 'string') {
+    return [];
+  }
+
+  const sentences = [];
+  const sentencePattern = /[^.?!]+(?:[.?!]+|$)/g;
+  let match;
+  while ((match = sentencePattern.exec(transcript)) !== null) {
+    const text = match[0].trim();
+    if (!text) continue;
+
+    const start = match.index + match[0].indexOf(text);
+    sentences.push({
+      role: AGENT_CUES.some(cue => cue.test(text)) ? 'agent' : 'user',
+      start,
+      end: start + text.length
+    });
+  }
+
+  if (!sentences.some(sentence => sentence.role === 'agent')) {
+    return [];
+  }
+
+  // Consecutive sentences from one speaker form a turn; keep its exact transcript text
+  const ranges = [];
+  for (const sentence of sentences) {
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous.role === sentence.role) {
+      previous.end = sentence.end;
+    } else {
+      ranges.push({ ...sentence });
+    }
+  }
+
+  return ranges.map((range, index) => ({
+    turn_index: index,
+    role: range.role,
+    text: transcript.slice(range.start, range.end),
+    start_offset: null,
+    end_offset: null
+  }));
+}
+
+/**
+ * Find where each turn's text starts in the plain-text transcript
+ * @param {string} transcript - Plain-text transcript
+ * @param {Array<TranscriptTurn>} turns - Turns in call order
+ * @returns {Array<Object>} Turns with char_start (null when the text is not found verbatim)
+ */
+function locateTurns(transcript, turns) {
+  let cursor = 0;
+
+  return turns.map(turn => {
+    const index = transcript ? transcript.indexOf(turn.text, cursor) : -1;
+    if (index === -1) {
+      return { ...turn, char_start: null };
+    }
+
+    cursor = index + turn.text.length;
+    return { ...turn, char_start: index };
+  });
+}
+
+/**
+ * Merge back-to-back turns from the same speaker
+ * @param {Array<TranscriptTurn>} turns - Turns
+ * @returns {Array<TranscriptTurn>} Merged turns with re-numbered indexes
+ */
+function mergeConsecutiveTurns(turns) {
+  const merged = [];
+
+  for (const turn of turns) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.role === turn.role) {
+      previous.text = `${previous.text} ${turn.text}`;
+      previous.end_offset = turn.end_offset !== null ? turn.end_offset : previous.end_offset;
+    } else {
+      merged.push({ ...turn, turn_index: merged.length });
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Get the text spoken by one role
+ * @param {Array<TranscriptTurn>} turns - Turns
+ * @param {string} role - 'agent' or 'user'
+ * @returns {string} Joined text of that speaker's turns
+ */
+function getSpeakerText(turns, role) {
+  return turns
+    .filter(turn => turn.role === role)
+    .map(turn => turn.text)
+    .join(' ');
+}
+
+module.exports = {
+  buildTranscriptTurns,
+  turnsFromTranscriptObject,
+  parseTranscriptTurns,
+  segmentTranscriptByCues,
+  locateTurns,
+  getSpeakerText
+};
@@ -0,0 +1,167 @@
+/**
+ * Call urgency classification
+ *
+ * Sorts a call into emergency / same-day / routine / informational from what the caller
+ * said. Each business type adds its own signals on top of the generic ones: "no heat"
+ * is an emergency for an HVAC shop, a "burst pipe" for a plumber. The highest level with
+ * a matching signal wins; a negated signal ("it's not an emergency") does not count.
+ * Spanish calls are also checked against the Spanish signals (spanishPatterns and each
+ * business type's localizedUrgencySignals.es).
+ */
+
+const { BUSINESS_TYPES } = require('../config/businessTypes');
+const { LANGUAGE } = require('./language');
+const spanishPatterns = require('./spanishPatterns');
+
+const URGENCY = {
+  EMERGENCY: 'emergency',
+  SAME_DAY: 'same_day',
+  ROUTINE: 'routine',
+  INFORMATIONAL: 'informational'
+};
+
+// Highest first
+const URGENCY_LEVELS = [URGENCY.EMERGENCY, URGENCY.SAME_DAY, URGENCY.ROUTINE, URGENCY.INFORMATIONAL];
+
+const URGENCY_LABELS = {
+  emergency: 'Emergency',
+  same_day: 'Same-day',
+  routine: 'Routine',
+  informational: 'Informational'
+};
+
+const GENERIC_SIGNALS = {
+  emergency: [
+    'emergency', 'gas leak', 'smell gas', 'smells like gas', 'carbon monoxide', 'on fire',
+    'smoke', 'flooding', 'flooded'
+  ],
+  same_day: [
+    'urgent', 'asap', 'as soon as possible', 'right away', 'come today', 'out today',
+    'someone today', 'today if possible', 'tonight'
+  ],
+  routine: [
+    'schedule', 'appointment', 'estimate', 'quote', 'maintenance', 'install', 'replace',
+    'repair', 'fix', 'tune up', 'inspection', 'next week'
+  ],
+  informational: [
+    'what are your hours', 'are you open', 'do you service', 'do you serve', 'how much do you charge',
+    'how much does', 'just have a question', 'quick question', 'just wondering', 'wrong number'
+  ]
+};
+
+// Per-vertical signals, declared with each business type (src/config/businessTypes)
+const BUSINESS_TYPE_SIGNALS = Object.fromEntries(
+  Object.entries(BUSINESS_TYPES).map(([type, definition]) => [type, definition.urgencySignals || {}])
+);
+
+const LOCALIZED_BUSINESS_TYPE_SIGNALS = {
+  es: Object.fromEntries(
+    Object.entries(BUSINESS_TYPES).map(([type, definition]) => [type, (definition.localizedUrgencySignals || {}).es || {}])
+  )
+};
+
+const LOCALIZED_GENERIC_SIGNALS = {
+  es: spanishPatterns.URGENCY_SIGNALS
+};
+
+// Words just before a signal that negate it ("not an emergency", "no smoke")
+const NEGATION = /\b(?:not|no|isn't|isnt|wasn't|never|without)\s+(?:\w+\s+)?$/;
+
+const LOCALIZED_NEGATION = {
+  es: spanishPatterns.URGENCY_NEGATION
+};
+
+// Letters a signal must not be glued to (\b does not know accented letters)
+const WORD_CHAR = '[\\wáéíóúüñ]';
+
+/**
+ * Get the signals used for a business type
+ * @param {string|null} businessType - Business type (plumbing, hvac, ...)
+ * @param {string} language - Call language; Spanish calls add the Spanish signals
+ * @returns {Object} Level → phrases
+ */
+function getUrgencySignals(businessType, language = LANGUAGE.ENGLISH) {
+  const type = businessType ? businessType.toLowerCase() : null;
+  const sources = [(type && BUSINESS_TYPE_SIGNALS[type]) || {}, GENERIC_SIGNALS];
+  if (language !== LANGUAGE.ENGLISH && LOCALIZED_GENERIC_SIGNALS[language]) {
+    sources.unshift((type && LOCALIZED_BUSINESS_TYPE_SIGNALS[language][type]) || {}, LOCALIZED_GENERIC_SIGNALS[language]);
+  }
+
+  const signals = {};
+  for (const level of URGENCY_LEVELS) {
+    signals[level] = sources.flatMap(source => source[level] || []);
+  }
+
+  return signals;
+}
+
+/**
+ * Classify a call's urgency
+ * @param {string|null} text - Caller text (cleaned, lowercase)
+ * @param {string|null} businessType - Business type
+ * @param {string} language - Call language ('en' or 'es', default English)
+ * @returns {Object|null} { level, signals, confidence } or null without text; signals are the
+ *   phrases that set the level (routine with no signals is the fallback for any request)
+ */
+function classifyUrgency(text, businessType, language = LANGUAGE.ENGLISH) {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  const signals = getUrgencySignals(businessType, language);
+  const negations = [NEGATION, LOCALIZED_NEGATION[language]].filter(Boolean);
+
+  for (const level of URGENCY_LEVELS) {
+    const matched = signals[level].filter(phrase => hasSignal(text, phrase, negations));
+    if (matched.length > 0) {
+      return {
+        level,
+        signals: matched,
+        confidence: Math.min(0.95, 0.6 + 0.15 * matched.length)
+      };
+    }
+  }
+
+  return { level: URGENCY.ROUTINE, signals: [], confidence: 0.4 };
+}
+
+/**
+ * Check for a phrase as whole words, ignoring negated mentions
+ * @param {string} text - Cleaned text
+ * @param {string} phrase - Signal phrase
+ * @param {Array<RegExp>} negations - Patterns for negating words just before a mention
+ * @returns {boolean} Whether the text has an un-negated mention
+ */
+function hasSignal(text, phrase, negations = [NEGATION]) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`(?<!${WORD_CHAR})${escaped}(?!${WORD_CHAR})`, 'g');
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(Math.max(0, match.index - 30), match.index);
+    if (!negations.some(negation => negation.test(before))) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Check an urgency level
+ * @param {string} level - Level
+ * @returns {boolean} Whether it is a known level
+ */
+function isValidUrgency(level) {
+  return URGENCY_LEVELS.includes(level);
+}
+
+module.exports = {
+  URGENCY,
+  URGENCY_LEVELS,
+  URGENCY_LABELS,
+  BUSINESS_TYPE_SIGNALS,
+  classifyUrgency,
+  getUrgencySignals,
+  isValidUrgency
+};
@@ -0,0 +1,93 @@
+const { parseAddress, isValidState, isValidZip } = require('../src/utils/addressParser');
+
+describe('Address parser', () => {
+  it('should split a comma-separated address', () => {
+    expect(parseAddress('123 Main Street, Anytown, CA 90210')).toEqual({
+      street_number: '123',
+      street_name: 'Main Street',
+      unit: null,
+      city: 'Anytown',
+      state: 'CA',
+      zip: '90210',
+      rejected: [],
+      valid: true
+    });
+  });
+
+  it('should find the unit and city without commas', () => {
+    expect(parseAddress('123 main st apt 4b springfield il 62704')).toMatchObject({
+      street_number: '123',
+      street_name: 'Main St',
+      unit: '4B',
+      city: 'Springfield',
+      state: 'IL',
+      zip: '62704'
+    });
+    expect(parseAddress('456 Oak Ave, Unit 2, Chicago, Illinois 60601-1234')).toMatchObject({
+      unit: '2',
+      city: 'Chicago',
+      state: 'IL',
+      zip: '60601-1234'
+    });
+  });
+
+  it('should read Spanish street order', () => {
+    expect(parseAddress('Calle Principal 45, Miami, FL 33101')).toEqual({
+      street_number: '45',
+      street_name: 'Calle Principal',
+      unit: null,
+      city: 'Miami',
+      state: 'FL',
+      zip: '33101',
+      rejected: [],
+      valid: true
+    });
+    expect(parseAddress('calle 8 suroeste 1520 miami fl 33135')).toMatchObject({
+      street_number: '1520',
+      street_name: 'Calle 8 Suroeste',
+      city: 'Miami'
+    });
+  });
+
+  it('should keep the house number of a Spanish address without a ZIP', () => {
+    expect(parseAddress('Calle Principal 45')).toMatchObject({ street_number: '45', street_name: 'Calle Principal', rejected: [] });
+    expect(parseAddress('Calle Mayor 12')).toMatchObject({ street_number: '12', street_name: 'Calle Mayor' });
+    expect(parseAddress('la calle 8 1520')).toMatchObject({ street_number: '1520', street_name: 'Calle 8', zip: null, rejected: [] });
+  });
+
+  it('should leave invalid states and ZIPs empty and the address invalid', () => {
+    const address = parseAddress('123 Main Street, Anytown, ZZ 9021');
+
+    expect(address.city).toBe('Anytown');
+    expect(address.state).toBeNull();
+    expect(address.zip).toBeNull();
+    expect(address.rejected).toEqual(['zip', 'state']);
+    expect(address.valid).toBe(false);
+    expect(parseAddress('12 elm st, boston, zz 02134')).toMatchObject({ state: null, zip: '02134', rejected: ['state'], valid: false });
+    expect(parseAddress('123 Main St 4567')).toMatchObject({ city: null, zip: null, rejected: ['zip'], valid: false });
+  });
+
+  it('should split a trailing unit off instead of reading it as a ZIP', () => {
+    expect(parseAddress('123 Main St Apt 12')).toMatchObject({ street_name: 'Main St', unit: '12', city: null, rejected: [] });
+    expect(parseAddress('123 Main Street, Unit 4')).toMatchObject({ street_name: 'Main Street', unit: '4', city: null, rejected: [] });
+    expect(parseAddress('45 Oak Ave #3')).toMatchObject({ street_name: 'Oak Ave', unit: '3', rejected: [] });
+    expect(parseAddress('45 Oak Ave #3, Austin, TX 78701')).toMatchObject({ street_name: 'Oak Ave', unit: '3', city: 'Austin', valid: true });
+  });
+
+  it('should not read ordinary words as state codes', () => {
+    expect(parseAddress('55 river road come in').state).toBeNull();
+    expect(parseAddress('12 pine rd, boston, ma').state).toBe('MA');
+  });
+
+  it('should reject text that is not an address', () => {
+    expect(parseAddress('the back door')).toBeNull();
+    expect(parseAddress(null)).toBeNull();
+  });
+
+  it('should validate state codes and ZIP formats', () => {
+    expect(isValidState('tx')).toBe(true);
+    expect(isValidState('ZZ')).toBe(false);
+    expect(isValidZip('12345-6789')).toBe(true);
+    expect(isValidZip('1234')).toBe(false);
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const app = require('../src/index');
+const agentFunctions = require('../src/services/functions');
+const webhookController = require('../src/controllers/webhookController');
+const businessSettingsService = require('../src/services/businessSettingsService');
+const functionInvocationService = require('../src/services/functionInvocationService');
+const callerHistoryService = require('../src/services/callerHistoryService');
+
+process.env.RETELL_WEBHOOK_SKIP_VERIFICATION = 'true';
+
+jest.mock('../src/config/database');
+
+describe('Agent functions', () => {
+  const business = {
+    id: 'business-123',
+    business_name: 'Test Plumbing',
+    timezone: 'America/New_York',
+    business_hours: { monday: { open: '08:00', close: '17:00' } }
+  };
+
+  const call = {
+    call_id: 'test-call-123',
+    from_number: '+15551234567',
+    to_number: '+15559876543'
+  };
+
+  beforeEach(() => {
+    jest.spyOn(webhookController, 'findBusinessByPhoneNumber').mockResolvedValue(business);
+    jest.spyOn(businessSettingsService, 'getSettings').mockResolvedValue({ service_area_zips: '60601, 606' });
+    jest.spyOn(functionInvocationService, 'logInvocation').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateArguments', () => {
+    const { parameters } = agentFunctions.getFunction('create_appointment_request');
+
+    it('should accept valid arguments', () => {
+      expect(agentFunctions.validateArguments(parameters, {
+        caller_name: 'John Doe',
+        reason: 'Leaking water heater',
+        preferred_time: 'Tuesday morning'
+      })).toEqual([]);
+    });
+
+    it('should report missing and mistyped arguments', () => {
+      const errors = agentFunctions.validateArguments(parameters, { caller_name: 42 });
+      expect(errors.map(error => error.path)).toEqual(['reason', 'caller_name']);
+    });
+  });
+
+  describe('isFunctionEnabled', () => {
+    it('should use defaults until the business lists its functions', () => {
+      const lookup = agentFunctions.getFunction('lookup_existing_customer');
+      const hours = agentFunctions.getFunction('get_business_hours');
+
+      expect(agentFunctions.isFunctionEnabled(lookup, null)).toBe(false);
+      expect(agentFunctions.isFunctionEnabled(hours, null)).toBe(true);
+      expect(agentFunctions.isFunctionEnabled(lookup, ['lookup_existing_customer'])).toBe(true);
+      expect(agentFunctions.isFunctionEnabled(hours, ['lookup_existing_customer'])).toBe(false);
+    });
+  });
+
+  describe('POST /webhook/retell/functions/:name', () => {
+    it('should run the function and log the invocation', async () => {
+      const response = await request(app)
+        .post('/webhook/retell/functions/check_service_area')
+        .send({ name: 'check_service_area', call, args: { zip: '60614' } })
+        .expect(200);
+
+      expect(response.body.in_service_area).toBe(true);
+      expect(functionInvocationService.logInvocation).toHaveBeenCalledWith(expect.objectContaining({
+        call_id: 'test-call-123',
+        business_id: 'business-123',
+        function_name: 'check_service_area',
+        status: 'success'
+      }));
+    });
+
+    it('should report ZIP codes outside the service area', async () => {
+      const response = await request(app)
+        .post('/webhook/retell/functions/check_service_area')
+        .send({ call, args: { zip: '10001' } })
+        .expect(200);
+
+      expect(response.body.in_service_area).toBe(false);
+    });
+
+    it('should return 400 with details for invalid arguments', async () => {
+      const response = await request(app)
+        .post('/webhook/retell/functions/check_service_area')
+        .send({ call, args: { zip: 'abc' } })
+        .expect(400);
+
+      expect(response.body.error.details[0].path).toBe('zip');
+      expect(functionInvocationService.logInvocation).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'rejected'
+      }));
+    });
+
+    it('should return 403 for a function the business has not enabled', async () => {
+      await request(app)
+        .post('/webhook/retell/functions/lookup_existing_customer')
+        .send({ call, args: {} })
+        .expect(403);
+    });
+
+    it('should only look up the number the caller is calling from', async () => {
+      businessSettingsService.getSettings.mockResolvedValue({ enabled_functions: 'lookup_existing_customer' });
+      const getCallerHistory = jest.spyOn(callerHistoryService, 'getCallerHistory').mockResolvedValue({
+        prior_calls: 2,
+        caller_name: 'John Doe',
+        last_address: '123 Main St'
+      });
+
+      const response = await request(app)
+        .post('/webhook/retell/functions/lookup_existing_customer')
+        .send({ call, args: { phone: '+15550001111' } })
+        .expect(200);
+
+      expect(getCallerHistory).toHaveBeenCalledWith('business-123', '+15551234567', { excludeCallId: 'test-call-123' });
+      expect(response.body).toMatchObject({ found: true, phone: '+15551234567', caller_name: 'John Doe' });
+    });
+
+    it('should return 404 for an unknown function', async () => {
+      await request(app)
+        .post('/webhook/retell/functions/transfer_call')
+        .send({ call, args: {} })
+        .expect(404);
+    });
+
+    it('should return 400 without call details', async () => {
+      await request(app)
+        .post('/webhook/retell/functions/get_business_hours')
+        .send({ args: {} })
+        .expect(400);
+    });
+  });
+});
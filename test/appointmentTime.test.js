@@ -0,0 +1,98 @@
+const { extractPreferredTime, formatTimeWindow } = require('../src/utils/appointmentTime');
+const { extractCallInformation } = require('../src/utils/informationExtractor');
+const { localTimeToDate } = require('../src/utils/businessHours');
+
+// Tuesday, March 10 2026, 11:00 in New York
+const context = { referenceTime: '2026-03-10T15:00:00Z', timezone: 'America/New_York' };
+
+describe('Appointment time extraction', () => {
+  it('should resolve a relative day and part of day', () => {
+    const result = extractPreferredTime('can someone come tomorrow afternoon', context);
+
+    expect(result.value).toEqual({
+      phrase: 'tomorrow afternoon',
+      start: '2026-03-11T16:00:00.000Z',
+      end: '2026-03-11T21:00:00.000Z'
+    });
+    expect(result.confidence).toBe(0.8);
+    expect(result.span).toEqual({ start: 17, end: 35 });
+  });
+
+  it('should read a bare hour as business hours on the coming weekday', () => {
+    const result = extractPreferredTime('next tuesday at 3 works for me', context);
+
+    expect(result.value.phrase).toBe('next tuesday at 3');
+    expect(result.value.start).toBe('2026-03-17T19:00:00.000Z');
+    expect(result.value.end).toBe('2026-03-17T20:00:00.000Z');
+  });
+
+  it('should open the window after the given time on a day of the month', () => {
+    const result = extractPreferredTime('any time after 5 on the 12th', context);
+
+    expect(result.value).toEqual({
+      phrase: 'any time after 5 on the 12th',
+      start: '2026-03-12T21:00:00.000Z',
+      end: '2026-03-13T00:00:00.000Z'
+    });
+  });
+
+  it('should resolve ranges, dates and mornings', () => {
+    expect(extractPreferredTime('between 2 and 4 on friday', context).value).toMatchObject({
+      start: '2026-03-13T18:00:00.000Z',
+      end: '2026-03-13T20:00:00.000Z'
+    });
+    expect(extractPreferredTime('march 20th at 10am', context).value.start).toBe('2026-03-20T14:00:00.000Z');
+    expect(extractPreferredTime('at 9 in the morning on monday', context).value.start).toBe('2026-03-16T13:00:00.000Z');
+  });
+
+  it('should move a time that has passed today to tomorrow', () => {
+    const result = extractPreferredTime('around 9am', context);
+
+    expect(result.value.start).toBe('2026-03-11T13:00:00.000Z');
+    expect(result.confidence).toBe(0.6);
+  });
+
+  it('should roll a passed day of the month to next month', () => {
+    expect(extractPreferredTime('on the 2nd', context).value.start).toBe('2026-04-02T12:00:00.000Z');
+    expect(extractPreferredTime('on the 31st', { ...context, referenceTime: '2026-04-10T15:00:00Z' })).toBeNull();
+  });
+
+  it('should resolve in the business timezone', () => {
+    const result = extractPreferredTime('tomorrow at 8am', { ...context, timezone: 'America/Los_Angeles' });
+
+    expect(result.value.start).toBe('2026-03-11T15:00:00.000Z');
+  });
+
+  it('should not read street numbers as times', () => {
+    expect(extractPreferredTime('i live at 12 oak lane', context)).toBeNull();
+    expect(extractPreferredTime('my number is 555 123 4567', context)).toBeNull();
+  });
+
+  it('should format the window in local time', () => {
+    expect(formatTimeWindow('2026-03-12T21:00:00.000Z', '2026-03-13T00:00:00.000Z', 'America/New_York'))
+      .toBe('Thu, Mar 12, 5:00 PM - 8:00 PM');
+  });
+});
+
+describe('Local time conversion', () => {
+  it('should account for daylight saving time', () => {
+    expect(localTimeToDate({ year: 2026, month: 3, day: 12, minutes: 17 * 60 }, 'America/New_York').toISOString())
+      .toBe('2026-03-12T21:00:00.000Z');
+    expect(localTimeToDate({ year: 2026, month: 1, day: 12, minutes: 17 * 60 }, 'America/New_York').toISOString())
+      .toBe('2026-01-12T22:00:00.000Z');
+  });
+});
+
+describe('Preferred time in call extraction', () => {
+  it('should take the phrase from the caller and keep its span', () => {
+    const transcript = 'Agent: When would you like us to come out?\nUser: Tomorrow afternoon if possible.';
+    const info = extractCallInformation(transcript, context);
+
+    expect(info.preferred_time).toEqual({
+      phrase: 'Tomorrow afternoon',
+      start: '2026-03-11T16:00:00.000Z',
+      end: '2026-03-11T21:00:00.000Z'
+    });
+    expect(transcript.slice(info.spans.preferred_time.start, info.spans.preferred_time.end)).toBe('Tomorrow afternoon');
+  });
+});
@@ -0,0 +1,46 @@
+const { getBusinessStatus, isValidBusinessHours, isValidTimezone, describeWeeklyHours } = require('../src/utils/businessHours');
+
+describe('Business hours', () => {
+  const business = {
+    timezone: 'America/Chicago',
+    business_hours: {
+      monday: { open: '08:00', close: '17:00' },
+      friday: { open: '18:00', close: '02:00' },
+      sunday: null
+    }
+  };
+
+  it('should report open and closed in the business timezone', () => {
+    // Monday 2026-10-19: 13:00Z is 8:00 AM in Chicago, 22:30Z is 5:30 PM
+    expect(getBusinessStatus(business, new Date('2026-10-19T13:00:00Z')).is_open).toBe(true);
+    expect(getBusinessStatus(business, new Date('2026-10-19T22:30:00Z')).is_open).toBe(false);
+    expect(getBusinessStatus(business, new Date('2026-10-19T13:00:00Z')).today_hours).toBe('8:00 AM to 5:00 PM');
+  });
+
+  it('should handle hours that run past midnight', () => {
+    // Saturday 1:00 AM in Chicago is still inside Friday's 6 PM - 2 AM shift
+    const status = getBusinessStatus(business, new Date('2026-10-24T06:00:00Z'));
+    expect(status.is_open).toBe(true);
+    expect(status.today_hours).toBe('Closed');
+  });
+
+  it('should report unconfigured hours', () => {
+    const status = getBusinessStatus({ business_hours: null }, new Date());
+    expect(status.configured).toBe(false);
+    expect(status.is_open).toBeNull();
+  });
+
+  it('should validate hours and timezones', () => {
+    expect(isValidBusinessHours(business.business_hours)).toBe(true);
+    expect(isValidBusinessHours({ funday: null })).toBe(false);
+    expect(isValidBusinessHours({ monday: { open: '8am', close: '17:00' } })).toBe(false);
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+  });
+
+  it('should describe the week starting on Monday', () => {
+    const week = describeWeeklyHours(business);
+    expect(week[0]).toEqual({ day: 'monday', hours: '8:00 AM to 5:00 PM' });
+    expect(week[6]).toEqual({ day: 'sunday', hours: 'Closed' });
+  });
+});
@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../src/index');
+const businessController = require('../src/controllers/businessController');
+
+jest.mock('../src/config/database');
+
+const businessId = '0b9b4a4e-5d8f-4a53-9a8c-3f1f4a6d2b10';
+
+const newBusiness = {
+  business_name: 'Acme Heating',
+  owner_name: 'Jane Doe',
+  owner_phone: '+15558675309',
+  retell_agent_id: 'agent_123',
+  phone_number: '+15551234567',
+  area_code: '555'
+};
+
+describe('Business management', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('business_type', () => {
+    it('should accept a known business type on create', async () => {
+      const createBusiness = jest.spyOn(businessController, 'createBusiness').mockResolvedValue({ success: true });
+
+      const response = await request(app).post('/api/businesses').send({ ...newBusiness, business_type: ' HVAC ' });
+
+      expect(response.status).toBe(201);
+      expect(createBusiness).toHaveBeenCalledWith(expect.objectContaining({ business_type: 'hvac' }));
+    });
+
+    it('should reject unknown business types on create and update', async () => {
+      const createBusiness = jest.spyOn(businessController, 'createBusiness').mockResolvedValue({ success: true });
+      const updateBusiness = jest.spyOn(businessController, 'updateBusiness').mockResolvedValue({ success: true });
+
+      const created = await request(app).post('/api/businesses').send({ ...newBusiness, business_type: 'bakery' });
+      const updated = await request(app).put(`/api/businesses/${businessId}`).send({ business_type: 'bakery' });
+
+      expect(created.status).toBe(400);
+      expect(updated.status).toBe(400);
+      expect(createBusiness).not.toHaveBeenCalled();
+      expect(updateBusiness).not.toHaveBeenCalled();
+    });
+
+    it('should let an update change or clear the business type', async () => {
+      const updateBusiness = jest.spyOn(businessController, 'updateBusiness').mockResolvedValue({ success: true });
+
+      await request(app).put(`/api/businesses/${businessId}`).send({ business_type: 'plumbing' });
+      const cleared = await request(app).put(`/api/businesses/${businessId}`).send({ business_type: null });
+
+      expect(cleared.status).toBe(200);
+      expect(updateBusiness).toHaveBeenNthCalledWith(1, businessId, { business_type: 'plumbing' });
+      expect(updateBusiness).toHaveBeenNthCalledWith(2, businessId, { business_type: null });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const {
+  resolveAnalysisFieldMap,
+  extractFromCallAnalysis,
+  mergeExtractedInfo
+} = require('../src/utils/callAnalysis');
+const extractionService = require('../src/services/extractionService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+
+jest.mock('../src/config/database');
+
+describe('Call analysis extraction', () => {
+  const callAnalysis = {
+    call_summary: 'Caller reported a burst pipe in the basement and wants a plumber today.',
+    user_sentiment: 'Negative',
+    call_successful: true,
+    custom_analysis_data: {
+      customer_name: 'Dana Smith',
+      phone_number: '(555) 123-4567'
+    }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should read default analysis keys', () => {
+    const extracted = extractFromCallAnalysis(callAnalysis, resolveAnalysisFieldMap(null));
+
+    expect(extracted).toEqual({
+      name: 'Dana Smith',
+      callback_number: '+15551234567',
+      address: null,
+      reason: null,
+      email: null,
+      details: null,
+      call_summary: callAnalysis.call_summary,
+      user_sentiment: 'Negative',
+      call_successful: true
+    });
+  });
+
+  it('should use a business mapping of analysis keys', () => {
+    const fieldMap = resolveAnalysisFieldMap({ address: 'job_site', reason: ['issue', 'job_type'] });
+    const extracted = extractFromCallAnalysis({
+      custom_analysis_data: { job_site: '12 Oak Lane', job_type: 'Water heater install', address: 'ignored' }
+    }, fieldMap);
+
+    expect(fieldMap.caller_name).toContain('customer_name');
+    expect(extracted.address).toBe('12 Oak Lane');
+    expect(extracted.reason).toBe('Water heater install');
+  });
+
+  it('should prefer structured fields and fill gaps from regex extraction', () => {
+    const merged = mergeExtractedInfo(
+      extractFromCallAnalysis(callAnalysis, resolveAnalysisFieldMap(null)),
+      {
+        name: 'Dana',
+        callback_number: null,
+        address: '12 Oak Lane',
+        reason: 'Burst pipe',
+        call_summary: 'Burst pipe',
+        confidence: { name: 0.75, address: 0.8, reason: 0.45 },
+        spans: { name: { start: 0, end: 4 }, address: { start: 20, end: 31 }, reason: { start: 40, end: 50 } }
+      }
+    );
+
+    expect(merged.name).toBe('Dana Smith');
+    expect(merged.address).toBe('12 Oak Lane');
+    expect(merged.sources).toEqual({
+      name: 'call_analysis',
+      callback_number: 'call_analysis',
+      address: 'regex',
+      reason: 'regex',
+      call_summary: 'call_analysis'
+    });
+    expect(merged.confidence).toEqual({ name: 0.9, callback_number: 0.9, address: 0.8, reason: 0.45 });
+    expect(merged.spans.name).toBeNull();
+    expect(merged.spans.address).toEqual({ start: 20, end: 31 });
+  });
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(businessSettingsService, 'getSetting')
+      .mockImplementation(async (businessId, key, defaultValue) => defaultValue);
+  });
+
+  it('should fall back to regex extraction without call_analysis', async () => {
+    const getSetting = jest.spyOn(businessSettingsService, 'getJsonSetting');
+
+    const extracted = await extractionService.extract({
+      call_id: 'call-1',
+      transcript: 'Hi, my name is John Smith and my number is 555-123-4567.',
+      call_analysis: null
+    }, { id: 'business-123' });
+
+    expect(getSetting).not.toHaveBeenCalled();
+    expect(extracted.callback_number).toBe('+15551234567');
+    expect(extracted.sources.callback_number).toBe('regex');
+    expect(extracted.user_sentiment).toBeNull();
+    expect(extracted.provider).toEqual({ name: 'regex', version: expect.any(String), fallback_from: null });
+  });
+
+  it('should apply the business field map setting', async () => {
+    jest.spyOn(businessSettingsService, 'getJsonSetting').mockResolvedValue({ caller_name: 'full_name' });
+
+    const extracted = await extractionService.extract({
+      call_id: 'call-1',
+      transcript: null,
+      call_analysis: { custom_analysis_data: { full_name: 'Lee Park', customer_name: 'Someone Else' } }
+    }, { id: 'business-123' });
+
+    expect(businessSettingsService.getJsonSetting).toHaveBeenCalledWith('business-123', 'call_analysis_field_map');
+    expect(extracted.name).toBe('Lee Park');
+    expect(extracted.sources).toEqual({ name: 'call_analysis' });
+  });
+});
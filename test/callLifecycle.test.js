@@ -0,0 +1,150 @@
+const { getEventState, resolveCallState, mergeCallFields } = require('../src/utils/callLifecycle');
+
+// Minimal in-memory stand-in for the Supabase tables the lifecycle service uses
+jest.mock('../src/config/database', () => {
+  const tables = { calls: [], call_events: [] };
+
+  const from = (table) => {
+    const filters = [];
+    let operation = { type: 'select' };
+
+    const rows = () => tables[table].filter(row => filters.every(([field, value]) => row[field] === value));
+    const run = () => {
+      if (operation.type === 'insert') {
+        tables[table].push({ ...operation.values });
+        return { data: [operation.values], error: null };
+      }
+      if (operation.type === 'update') {
+        rows().forEach(row => Object.assign(row, operation.values));
+      }
+      return { data: rows().map(row => ({ ...row })), error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      limit: () => builder,
+      eq: (field, value) => { filters.push([field, value]); return builder; },
+      insert: (values) => { operation = { type: 'insert', values }; return builder; },
+      update: (values) => { operation = { type: 'update', values }; return builder; },
+      single: async () => {
+        const { data, error } = run();
+        return { data: data[0] || null, error };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase: { from, tables } };
+});
+
+const { supabase } = require('../src/config/database');
+const callLifecycleService = require('../src/services/callLifecycleService');
+
+describe('Call lifecycle', () => {
+  describe('getEventState', () => {
+    it('should map Retell events to lifecycle states', () => {
+      expect(getEventState({ event_type: 'call_started' })).toBe('in-progress');
+      expect(getEventState({ event_type: 'call_ended', disconnection_reason: 'user_hangup' })).toBe('ended');
+      expect(getEventState({ event_type: 'call_ended', disconnection_reason: 'dial_no_answer' })).toBe('abandoned');
+      expect(getEventState({ event_type: 'call_ended', disconnection_reason: 'error_llm_websocket_lost_connection' })).toBe('failed');
+      expect(getEventState({ event_type: 'call_analyzed' })).toBe('analyzed');
+    });
+
+    it('should map legacy statuses', () => {
+      expect(getEventState({ call_status: 'completed', transcript: 'Agent: Hi' })).toBe('analyzed');
+      expect(getEventState({ call_status: 'completed', transcript: null })).toBe('ended');
+      expect(getEventState({ call_status: 'registered' })).toBe('ringing');
+      expect(getEventState({ call_status: 'not_connected' })).toBe('abandoned');
+    });
+  });
+
+  describe('resolveCallState', () => {
+    it('should only move forward', () => {
+      expect(resolveCallState(null, 'ended')).toEqual({ state: 'ended', transitioned: true });
+      expect(resolveCallState('ended', 'analyzed')).toEqual({ state: 'analyzed', transitioned: true });
+      expect(resolveCallState('analyzed', 'in-progress')).toEqual({ state: 'analyzed', transitioned: false });
+      expect(resolveCallState('failed', 'analyzed')).toEqual({ state: 'failed', transitioned: false });
+    });
+  });
+
+  describe('mergeCallFields', () => {
+    it('should fill empty fields but not overwrite from a late event', () => {
+      const existing = { transcript_text: 'Agent: Hi', recording_url: null, duration: 120 };
+      const incoming = { transcript_text: null, recording_url: 'https://example.com/a.mp3', duration: 0 };
+
+      expect(mergeCallFields(existing, incoming, false)).toEqual({ recording_url: 'https://example.com/a.mp3' });
+    });
+
+    it('should keep the earliest start time', () => {
+      const existing = { started_at: '2026-10-19T14:00:00.000Z' };
+      expect(mergeCallFields(existing, { started_at: '2026-10-19T14:00:05.000Z' }, true)).toEqual({});
+    });
+  });
+
+  describe('applyEvent', () => {
+    const fields = (values) => ({ business_id: 'business-123', to_number: '+15559876543', ...values });
+
+    beforeEach(() => {
+      supabase.tables.calls.length = 0;
+      supabase.tables.call_events.length = 0;
+    });
+
+    it('should create the call from call_ended when call_started never arrived', async () => {
+      const result = await callLifecycleService.applyEvent(
+        { event_type: 'call_ended', call_id: 'call-1' },
+        fields({ duration: 95 })
+      );
+
+      expect(result.created).toBe(true);
+      expect(result.call.call_status).toBe('ended');
+      expect(supabase.tables.calls[0].duration).toBe(95);
+    });
+
+    it('should not move an analyzed call back to in-progress', async () => {
+      await callLifecycleService.applyEvent(
+        { event_type: 'call_analyzed', call_id: 'call-1' },
+        fields({ transcript_text: 'Agent: Hi\nUser: My name is John Doe', caller_name: 'John Doe' })
+      );
+      const late = await callLifecycleService.applyEvent(
+        { event_type: 'call_started', call_id: 'call-1', start_timestamp: 1760882400000 },
+        fields({ started_at: '2025-10-19T14:00:00.000Z' })
+      );
+
+      expect(late.transitioned).toBe(false);
+      expect(late.call.call_status).toBe('analyzed');
+      expect(late.call.caller_name).toBe('John Doe');
+      expect(late.call.started_at).toBe('2025-10-19T14:00:00.000Z');
+    });
+
+    it('should keep the rate stored on the call when pricing changes', async () => {
+      const pricing = (rate) => ({
+        pricing_plan: 'standard',
+        rate_per_minute: rate,
+        pricing_rules: { minimum_billable_seconds: 0, billing_increment_seconds: 1, rounding: 'up' }
+      });
+
+      await callLifecycleService.applyEvent({ event_type: 'call_started', call_id: 'call-1' }, fields(pricing(0.091)));
+      const ended = await callLifecycleService.applyEvent(
+        { event_type: 'call_ended', call_id: 'call-1' },
+        fields({ duration: 120, ...pricing(0.5) })
+      );
+
+      expect(ended.call.rate_per_minute).toBe(0.091);
+      expect(ended.call.cost).toBe(0.182);
+      expect(ended.call.billable_seconds).toBe(120);
+    });
+
+    it('should record every event in the timeline', async () => {
+      await callLifecycleService.applyEvent({ event_type: 'call_analyzed', call_id: 'call-1' }, fields({}));
+      await callLifecycleService.applyEvent({ event_type: 'call_ended', call_id: 'call-1' }, fields({}));
+
+      const timeline = await callLifecycleService.getTimeline('call-1');
+      expect(timeline.map(event => [event.event_type, event.from_state, event.to_state, event.transitioned])).toEqual([
+        ['call_analyzed', null, 'analyzed', true],
+        ['call_ended', 'analyzed', 'analyzed', false]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../src/index');
+const { classifySentiment, classifyOutcome, adjustCount } = require('../src/utils/callOutcome');
+const extractionService = require('../src/services/extractionService');
+const businessController = require('../src/controllers/businessController');
+
+jest.mock('../src/config/database');
+
+const lead = {
+  callback_number: '+15558675309',
+  reason: 'Leaking water heater',
+  urgency: { level: 'same_day', signals: ['leaking'] }
+};
+
+describe('Call sentiment and outcome', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should prefer Retell\'s sentiment and read the caller\'s mood otherwise', () => {
+    expect(classifySentiment('This is ridiculous', 'Positive')).toBe('positive');
+    expect(classifySentiment('Honestly this is ridiculous, I am so frustrated.', 'Unknown')).toBe('negative');
+    expect(classifySentiment('Thank you so much, that was very helpful!')).toBe('positive');
+    expect(classifySentiment('I\'m not upset, just need a quote for a new faucet.')).toBe('neutral');
+    expect(classifySentiment('')).toBeNull();
+  });
+
+  it('should classify what the call produced', () => {
+    expect(classifyOutcome({ callerText: 'My water heater is leaking, call me at 555-867-5309.', info: lead })).toBe('lead_captured');
+    expect(classifyOutcome({ callerText: 'Hi, what are your hours on Saturday?', info: { urgency: { level: 'informational' } } })).toBe('information_only');
+    expect(classifyOutcome({ callerText: 'Oh sorry, I think I have the wrong number.', info: {} })).toBe('wrong_number');
+    expect(classifyOutcome({ callerText: 'Your guy never showed up yesterday and I want a refund.', info: lead })).toBe('complaint');
+    expect(classifyOutcome({ callerText: 'Hello?', info: {} })).toBe('hang_up');
+    expect(classifyOutcome({ callerText: null })).toBe('hang_up');
+  });
+
+  it('should classify from the caller\'s turns only', () => {
+    const event = {
+      transcript: 'Agent: Sorry to hear that, is it a complaint about our service?\nUser: No, my AC stopped working. Call me back at 555-867-5309 please.'
+    };
+
+    expect(extractionService.classify(event, { callback_number: '+15558675309', reason: 'AC stopped working' })).toEqual({
+      sentiment: 'neutral',
+      outcome: 'lead_captured'
+    });
+  });
+
+  it('should adjust daily rollup counts', () => {
+    const counts = adjustCount(adjustCount({ neutral: 2 }, 'neutral', -1), 'negative', 1);
+
+    expect(counts).toEqual({ neutral: 1, negative: 1 });
+    expect(adjustCount(counts, null, 1)).toEqual(counts);
+    expect(adjustCount({}, 'positive', -1)).toEqual({ positive: 0 });
+  });
+
+  describe('GET /api/businesses/:id/calls', () => {
+    const businessId = '0b9b4a4e-5d8f-4a53-9a8c-3f1f4a6d2b10';
+
+    it('should pass sentiment and outcome filters through', async () => {
+      const getBusinessCalls = jest.spyOn(businessController, 'getBusinessCalls').mockResolvedValue({ success: true, calls: [] });
+
+      const response = await request(app).get(`/api/businesses/${businessId}/calls?sentiment=negative&outcome=complaint`);
+
+      expect(response.status).toBe(200);
+      expect(getBusinessCalls).toHaveBeenCalledWith(businessId, expect.objectContaining({ sentiment: 'negative', outcome: 'complaint' }));
+    });
+
+    it('should reject unknown outcomes', async () => {
+      const response = await request(app).get(`/api/businesses/${businessId}/calls?outcome=sale`);
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { summarizeCall, createHeadline } = require('../src/utils/callSummarizer');
+const { extractCallInformation } = require('../src/utils/informationExtractor');
+const { parseTranscriptTurns } = require('../src/utils/transcriptTurns');
+const { createSummarizer } = require('../src/services/summarization');
+const summaryService = require('../src/services/summaryService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+
+jest.mock('../src/config/database');
+
+const transcript = [
+  'Agent: Thank you for calling Acme Plumbing, how can I help you?',
+  'User: Yeah hi, this is Tom Becker. We got a pipe burst in the basement and there\'s water everywhere.',
+  'Agent: What\'s the best number to reach you?',
+  'User: My number is 555-867-5309.',
+  'Agent: Thank you, a plumber will call you back within ten minutes.'
+].join('\n');
+
+const business = { id: 'business-123', timezone: 'America/New_York', business_type: 'plumbing' };
+
+function summarize(text, businessType = 'plumbing') {
+  const turns = parseTranscriptTurns(text);
+  const info = extractCallInformation(text, {
+    turns,
+    referenceTime: Date.UTC(2026, 2, 10, 14),
+    timezone: business.timezone,
+    businessType
+  });
+  return summarizeCall(turns, text, info, { timezone: business.timezone });
+}
+
+describe('Call summarizer', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should summarize what the caller needs, how urgent it is and what was promised', () => {
+    const { headline, summary } = summarize(transcript);
+
+    expect(headline).toBe('We got a pipe burst in the basement...');
+    expect(summary).toBe(
+      'Tom Becker said: "We got a pipe burst in the basement and there\'s water everywhere." ' +
+      'Urgency: Emergency (pipe burst, water everywhere). ' +
+      'Agent promised: "A plumber will call you back within ten minutes."'
+    );
+  });
+
+  it('should include the preferred time in local time', () => {
+    const { summary } = summarize(
+      'Agent: How can I help?\nUser: My name is Dana Lee, I need a quote to replace my water heater. Tomorrow morning works.'
+    );
+
+    expect(summary).toBe(
+      'Dana Lee said: "I need a quote to replace my water heater." ' +
+      'Urgency: Routine; prefers Wed, Mar 11, 8:00 AM - 12:00 PM.'
+    );
+  });
+
+  it('should use the caller\'s words when no reason was extracted', () => {
+    const { headline, summary } = summarize(
+      'Agent: Harper Law, how can I help?\nUser: Hi, my name is Andre Wilson. My son was arrested last night and he\'s in custody.',
+      'legal'
+    );
+
+    expect(headline).toBe('My son was arrested last night and he\'s in custody');
+    expect(summary).toMatch(/^Andre Wilson said: "My son was arrested last night and he's in custody\." Urgency: Emergency/);
+  });
+
+  it('should only fall back to a generic headline when the call has nothing to go on', () => {
+    expect(summarizeCall([], null, {})).toEqual({ headline: 'Customer inquiry', summary: null });
+    expect(createHeadline({ name: 'Lee Park' })).toBe('Call from Lee Park');
+  });
+
+  describe('Summary service', () => {
+    function useMode(mode) {
+      jest.spyOn(businessSettingsService, 'getSetting').mockImplementation(
+        async (businessId, key, defaultValue) => (key === 'summary_mode' && mode ? mode : defaultValue)
+      );
+    }
+
+    it('should use the extractive summarizer by default', async () => {
+      useMode(undefined);
+
+      const result = await summaryService.summarize({ call_id: 'call-1', transcript }, {}, business, parseTranscriptTurns(transcript));
+
+      expect(result.summarizer).toEqual({ name: 'extractive', version: expect.any(String), fallback_from: null });
+      expect(result.summary).toContain('Agent promised');
+    });
+
+    it('should use the generative summarizer when the business selects it', async () => {
+      jest.spyOn(summaryService, 'getSummarizer').mockResolvedValue(
+        createSummarizer('generative', { url: 'https://llm.example.com/v1/chat/completions', model: 'test-model' })
+      );
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({
+        data: { choices: [{ message: { content: JSON.stringify({
+          headline: 'Burst pipe in basement',
+          summary: 'Tom Becker has a burst pipe flooding the basement. It is an emergency. A plumber will call back within ten minutes.'
+        }) } }] }
+      });
+
+      const result = await summaryService.summarize({ call_id: 'call-1', transcript }, { name: 'Tom Becker' }, business);
+
+      expect(post.mock.calls[0][1].messages[1].content).toContain('Caller: Tom Becker');
+      expect(result.headline).toBe('Burst pipe in basement');
+      expect(result.summarizer).toEqual({ name: 'generative', version: 'test-model/v1', fallback_from: null });
+    });
+
+    it('should fall back to extractive when the generative reply is unusable', async () => {
+      jest.spyOn(summaryService, 'getSummarizer').mockResolvedValue(
+        createSummarizer('generative', { url: 'https://llm.example.com/v1/chat/completions' })
+      );
+      jest.spyOn(axios, 'post').mockResolvedValue({
+        data: { choices: [{ message: { content: JSON.stringify({
+          headline: 'Burst pipe',
+          summary: 'One. Two. Three. Four.'
+        }) } }] }
+      });
+
+      const result = await summaryService.summarize(
+        { call_id: 'call-1', transcript }, {}, business, parseTranscriptTurns(transcript)
+      );
+
+      expect(result.summarizer).toMatchObject({ name: 'extractive', fallback_from: 'generative' });
+      expect(result.headline).toBe('We got a pipe burst in the basement...');
+    });
+  });
+});
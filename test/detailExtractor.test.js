@@ -0,0 +1,65 @@
+const { extractDetails, getDetailFields, getDetailLabel } = require('../src/utils/detailExtractor');
+const { BUSINESS_TYPES } = require('../src/config/businessTypes');
+const { BUSINESS_TEMPLATES } = require('../src/services/promptTemplateService');
+const { extractCallInformation } = require('../src/utils/informationExtractor');
+const { extractFromCallAnalysis, mergeExtractedInfo, resolveAnalysisFieldMap } = require('../src/utils/callAnalysis');
+const notificationService = require('../src/services/notificationService');
+
+describe('Business type details', () => {
+  it('should declare a template and detail fields for every business type', () => {
+    for (const [type, definition] of Object.entries(BUSINESS_TYPES)) {
+      expect(BUSINESS_TEMPLATES[type]).toBe(definition.template);
+      expect(definition.detailFields.length).toBeGreaterThan(0);
+      for (const field of definition.detailFields) {
+        expect(field.key).toMatch(/^[a-z_]+$/);
+        expect(field.options || field.pattern).toBeTruthy();
+      }
+    }
+  });
+
+  it('should extract HVAC system details', () => {
+    const details = extractDetails('our furnace stopped working, it is about 15 years old', getDetailFields('hvac'));
+
+    expect(details).toEqual({ system_type: 'Furnace', system_age: '15 years' });
+  });
+
+  it('should extract landscaping and legal details', () => {
+    expect(extractDetails('we need weekly mowing for about half an acre', getDetailFields('landscaping'))).toEqual({
+      service_type: 'Lawn care',
+      property_size: 'half an acre'
+    });
+    expect(extractDetails('i need a lawyer, my husband filed for divorce', getDetailFields('legal'))).toEqual({
+      matter_type: 'Family law',
+      case_status: 'New matter'
+    });
+  });
+
+  it('should return null for unknown types or nothing found', () => {
+    expect(getDetailFields('bakery')).toEqual([]);
+    expect(extractDetails('hello there', getDetailFields('plumbing'))).toBeNull();
+  });
+
+  it('should read details from the caller\'s turns and prefer call_analysis values', () => {
+    const transcript = 'Agent: Is it your furnace or your heat pump?\nUser: The heat pump, it is not heating.';
+    const regex = extractCallInformation(transcript, { businessType: 'hvac' });
+    expect(regex.details).toEqual({ issue_type: 'Heating', system_type: 'Heat pump' });
+
+    const structured = extractFromCallAnalysis(
+      { custom_analysis_data: { system_type: 'Heat pump (Trane)' } },
+      resolveAnalysisFieldMap(null),
+      getDetailFields('hvac')
+    );
+    expect(mergeExtractedInfo(structured, regex).details).toEqual({ issue_type: 'Heating', system_type: 'Heat pump (Trane)' });
+  });
+
+  it('should render details in the Slack message', () => {
+    const message = notificationService.formatSlackMessage(
+      { id: 'call-1', created_at: new Date().toISOString(), details: { system_type: 'Furnace', filter_size: '16x25' } },
+      { business_name: 'Cool Air', business_type: 'hvac' }
+    );
+    const section = message.blocks.find(block => block.fields && block.fields[0].text.startsWith('*System:*'));
+
+    expect(section.fields.map(field => field.text)).toEqual(['*System:* Furnace', '*Filter size:* 16x25']);
+    expect(getDetailLabel('hvac', 'system_age')).toBe('System age');
+  });
+});
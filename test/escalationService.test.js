@@ -0,0 +1,157 @@
+// Minimal in-memory stand-in for the emergency_escalations table
+jest.mock('../src/config/database', () => {
+  const tables = { emergency_escalations: [] };
+
+  const from = (table) => {
+    const filters = [];
+    let operation = { type: 'select' };
+
+    const rows = () => tables[table].filter(row => filters.every(([field, value]) => row[field] === value));
+    const run = () => {
+      if (operation.type === 'insert') {
+        const row = { id: `esc-${tables[table].length + 1}`, ...operation.values };
+        tables[table].push(row);
+        return [{ ...row }];
+      }
+      if (operation.type === 'update') {
+        rows().forEach(row => Object.assign(row, operation.values));
+      }
+      return rows().map(row => ({ ...row }));
+    };
+
+    const builder = {
+      select: () => builder,
+      eq: (field, value) => { filters.push([field, value]); return builder; },
+      insert: (values) => { operation = { type: 'insert', values }; return builder; },
+      update: (values) => { operation = { type: 'update', values }; return builder; },
+      single: async () => {
+        const data = run();
+        return data[0] ? { data: data[0], error: null } : { data: null, error: { message: 'not found' } };
+      },
+      maybeSingle: async () => ({ data: run()[0] || null, error: null })
+    };
+    return builder;
+  };
+
+  return { supabase: { from, tables } };
+});
+
+const { supabase } = require('../src/config/database');
+const escalationService = require('../src/services/escalationService');
+const notificationService = require('../src/services/notificationService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+const { getJobQueue } = require('../src/services/queue');
+
+describe('Emergency escalation', () => {
+  const business = { id: 'business-123', business_name: 'ABC Plumbing', slack_webhook_url: 'https://hooks.slack.com/services/T/B/X' };
+  const call = { id: 'call-1', urgency: 'emergency', urgency_signals: ['burst pipe'], callback_number: '+15551234567' };
+  const settings = { escalation_max_alerts: '3', on_call_contact: 'U024BE7LH' };
+
+  let enqueue;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    supabase.tables.emergency_escalations.length = 0;
+    jest.spyOn(businessSettingsService, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(escalationService, 'getRecord').mockImplementation(async table => (table === 'calls' ? call : business));
+    jest.spyOn(notificationService, 'sendEmergencyAlert').mockResolvedValue({ success: true, status: 'sent' });
+    enqueue = jest.spyOn(getJobQueue(), 'enqueue').mockResolvedValue({ id: 'job-1' });
+  });
+
+  describe('startEscalation', () => {
+    it('should store the escalation, send the first alert and schedule the next check', async () => {
+      const escalation = await escalationService.startEscalation(call, business);
+
+      expect(escalation).toMatchObject({ call_id: 'call-1', business_id: 'business-123', status: 'active', alert_count: 1 });
+      expect(escalation.acknowledge_token).toMatch(/^[0-9a-f]{32}$/);
+      expect(notificationService.sendEmergencyAlert).toHaveBeenCalledWith(call, business, expect.objectContaining({
+        webhookUrl: business.slack_webhook_url,
+        contact: 'U024BE7LH',
+        attempt: 1,
+        maxAlerts: 3
+      }));
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'emergency_escalation',
+        payload: { escalation_id: escalation.id },
+        orderingKey: `escalation:${escalation.id}`
+      }));
+    });
+
+    it('should not start a second escalation for a re-sent call', async () => {
+      const first = await escalationService.startEscalation(call, business);
+      const second = await escalationService.startEscalation(call, business);
+
+      expect(second.id).toBe(first.id);
+      expect(supabase.tables.emergency_escalations).toHaveLength(1);
+      expect(notificationService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+    });
+
+    it('should do nothing when the business has nowhere to alert', async () => {
+      const escalation = await escalationService.startEscalation(call, { ...business, slack_webhook_url: null });
+
+      expect(escalation).toBeNull();
+      expect(supabase.tables.emergency_escalations).toHaveLength(0);
+      expect(notificationService.sendEmergencyAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleEscalationJob', () => {
+    it('should alert again and schedule the next check while unacknowledged', async () => {
+      const escalation = await escalationService.startEscalation(call, business);
+
+      await escalationService.handleEscalationJob({ payload: { escalation_id: escalation.id } });
+
+      expect(notificationService.sendEmergencyAlert).toHaveBeenLastCalledWith(call, business, expect.objectContaining({ attempt: 2, maxAlerts: 3 }));
+      expect(supabase.tables.emergency_escalations[0].alert_count).toBe(2);
+      expect(enqueue).toHaveBeenCalledTimes(2);
+    });
+
+    it('should stop once acknowledged', async () => {
+      const escalation = await escalationService.startEscalation(call, business);
+      await escalationService.acknowledge('business-123', 'call-1', { token: escalation.acknowledge_token });
+
+      await escalationService.handleEscalationJob({ payload: { escalation_id: escalation.id } });
+
+      expect(notificationService.sendEmergencyAlert).toHaveBeenCalledTimes(1);
+      expect(enqueue).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up after the last alert', async () => {
+      const escalation = await escalationService.startEscalation(call, business);
+      for (let i = 0; i < 3; i++) {
+        await escalationService.handleEscalationJob({ payload: { escalation_id: escalation.id } });
+      }
+
+      expect(notificationService.sendEmergencyAlert).toHaveBeenCalledTimes(3);
+      expect(supabase.tables.emergency_escalations[0]).toMatchObject({ status: 'exhausted', alert_count: 3 });
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('should require the acknowledge token', async () => {
+      const escalation = await escalationService.startEscalation(call, business);
+
+      await expect(escalationService.acknowledge('business-123', 'call-1', { token: 'wrong' })).rejects.toThrow('Invalid acknowledge token');
+      await expect(escalationService.acknowledge('business-123', 'call-1', {})).rejects.toThrow('Invalid acknowledge token');
+      await expect(escalationService.acknowledge('other-business', 'call-1', { token: escalation.acknowledge_token })).rejects.toThrow('Escalation not found');
+      expect(supabase.tables.emergency_escalations[0].status).toBe('active');
+
+      const acknowledged = await escalationService.acknowledge('business-123', 'call-1', { token: escalation.acknowledge_token, acknowledgedBy: 'Sam' });
+      expect(acknowledged).toMatchObject({ status: 'acknowledged', acknowledged_by: 'Sam' });
+    });
+  });
+
+  it('should format a distinct emergency alert', () => {
+    const message = notificationService.formatEmergencyMessage(call, business, {
+      attempt: 2,
+      maxAlerts: 3,
+      contact: 'U024BE7LH',
+      acknowledgeUrl: 'https://example.com/ack'
+    });
+
+    expect(message.blocks[0].text.text).toBe('🚨 EMERGENCY - ABC Plumbing');
+    expect(message.blocks[1].text.text).toContain('<@U024BE7LH> Emergency call (alert 2 of 3, not yet acknowledged): *burst pipe*');
+    expect(message.blocks[2].fields[0].text).toBe('*Call back now:* +15551234567');
+    expect(message.blocks[3].elements[0].url).toBe('https://example.com/ack');
+  });
+});
@@ -0,0 +1,127 @@
+const {
+  scoreCase,
+  evaluateCorpus,
+  diffReports,
+  formatReport
+} = require('../src/utils/extractionEvaluation');
+const { runCorpus } = require('../scripts/evaluate-extraction');
+const { createExtractionProvider } = require('../src/services/extraction');
+const { getDetailFields } = require('../src/utils/detailExtractor');
+const { URGENCY_LEVELS } = require('../src/utils/urgencyClassifier');
+const corpus = require('./fixtures/extraction/corpus.json');
+const regexBaseline = require('./fixtures/extraction/baseline.regex.json');
+
+describe('Extraction evaluation', () => {
+  const testCase = {
+    id: 'case-1',
+    expected: {
+      name: 'Dana Lee',
+      callback_number: '+15551234567',
+      address: null,
+      reason: ['Leaky faucet', 'Faucet is leaking'],
+      urgency: 'same_day',
+      details: { fixture: 'Sink' }
+    }
+  };
+
+  it('should score each field as tp, fp, fn, wrong or tn', () => {
+    const scored = scoreCase(testCase, {
+      name: 'dana lee',
+      callback_number: '+15550000000',
+      address: '12 Oak Street',
+      reason: 'Faucet is leaking.',
+      email: null,
+      urgency: { level: 'same_day', signals: ['leaking'], confidence: 0.75 },
+      details: null
+    });
+
+    expect(scored.fields.name.outcome).toBe('tp');
+    expect(scored.fields.callback_number.outcome).toBe('wrong');
+    expect(scored.fields.address.outcome).toBe('fp');
+    expect(scored.fields.reason.outcome).toBe('tp');
+    expect(scored.fields.email.outcome).toBe('tn');
+    expect(scored.fields.urgency.outcome).toBe('tp');
+    expect(scored.fields['details.fixture'].outcome).toBe('fn');
+    expect(scored.exact).toBe(false);
+  });
+
+  it('should report per-field precision and recall and the exact-match rate', () => {
+    const cases = [testCase, { id: 'case-2', expected: { name: 'Sam Ortiz' } }];
+    const report = evaluateCorpus(cases, {
+      'case-1': {
+        name: 'Dana Lee',
+        callback_number: '+15551234567',
+        reason: 'Leaky faucet',
+        urgency: { level: 'same_day' },
+        details: { fixture: 'Sink' }
+      },
+      'case-2': { name: 'Sam' }
+    });
+
+    expect(report.cases).toBe(2);
+    expect(report.exact_match_rate).toBe(0.5);
+    expect(report.fields.name).toEqual({ tp: 1, fp: 1, fn: 1, precision: 0.5, recall: 0.5 });
+    expect(report.fields.address).toEqual({ tp: 0, fp: 0, fn: 0, precision: null, recall: null });
+    expect(report.failures).toEqual([{ case_id: 'case-2', field: 'name', expected: 'Sam Ortiz', actual: 'Sam' }]);
+  });
+
+  it('should diff failures against a baseline', () => {
+    const baseline = {
+      exact_match_rate: 0.5,
+      fields: { name: { precision: 0.5, recall: 0.5 } },
+      failures: [
+        { case_id: 'case-1', field: 'reason', expected: 'Leaky faucet', actual: null },
+        { case_id: 'case-2', field: 'name', expected: 'Sam Ortiz', actual: 'Sam' }
+      ]
+    };
+    const report = {
+      exact_match_rate: 0.5,
+      fields: { name: { precision: 0.5, recall: 0.5 } },
+      failures: [
+        { case_id: 'case-2', field: 'name', expected: 'Sam Ortiz', actual: 'Ortiz' },
+        { case_id: 'case-2', field: 'email', expected: null, actual: 'sam@example.com' }
+      ]
+    };
+
+    const diff = diffReports(report, baseline);
+
+    expect(diff.regressions.map(f => `${f.case_id}:${f.field}`)).toEqual(['case-2:email']);
+    expect(diff.fixed.map(f => `${f.case_id}:${f.field}`)).toEqual(['case-1:reason']);
+    expect(diff.changed).toEqual([expect.objectContaining({ field: 'name', actual: 'Ortiz', previous: 'Sam' })]);
+    expect(formatReport(report, diff)).toContain('New failures: 1');
+  });
+
+  describe('Golden corpus', () => {
+    it('should only label known fields, detail keys and option values', () => {
+      const ids = new Set();
+
+      for (const { id, business_type: businessType, call_started_at: startedAt, transcript, expected } of corpus.cases) {
+        expect(ids.has(id)).toBe(false);
+        ids.add(id);
+        expect(Number.isNaN(Date.parse(startedAt))).toBe(false);
+        expect(transcript.length).toBeGreaterThan(0);
+
+        if (expected.urgency) expect(URGENCY_LEVELS).toContain(expected.urgency);
+        if (expected.preferred_time) {
+          expect(new Date(expected.preferred_time.start).toISOString()).toBe(expected.preferred_time.start);
+        }
+
+        const fields = getDetailFields(businessType);
+        for (const [key, value] of Object.entries(expected.details || {})) {
+          const field = fields.find(candidate => candidate.key === key);
+          expect(field).toBeDefined();
+          if (field.options) expect(Object.keys(field.options)).toContain(value);
+        }
+      }
+    });
+
+    it('should have no regex failures beyond the saved baseline', async () => {
+      const { outputs, errors } = await runCorpus(createExtractionProvider('regex'), corpus.cases);
+      const diff = diffReports(evaluateCorpus(corpus.cases, outputs), regexBaseline);
+
+      expect(errors).toEqual({});
+      // After improving the extractor, refresh with: npm run eval:extraction -- --save-baseline
+      expect(diff.regressions).toEqual([]);
+    });
+  });
+});
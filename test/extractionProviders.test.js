@@ -0,0 +1,172 @@
+const axios = require('axios');
+const {
+  createExtractionProvider,
+  getExtractionProvider,
+  StubProvider
+} = require('../src/services/extraction');
+const { buildExtractionSchema } = require('../src/services/extraction/llmProvider');
+const { getDetailFields } = require('../src/utils/detailExtractor');
+const extractionService = require('../src/services/extractionService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+
+jest.mock('../src/config/database');
+
+const transcript = 'Agent: Thanks for calling.\nUser: Hi, this is Dana Lee, my number is 555-123-4567. My furnace stopped working at 12 Oak Street.';
+
+const event = { call_id: 'call-1', transcript, call_analysis: null, start_timestamp: Date.UTC(2026, 2, 11, 15) };
+const business = { id: 'business-123', timezone: 'America/New_York', business_type: 'hvac' };
+
+function llmReply(content) {
+  return { data: { choices: [{ message: { content } }] } };
+}
+
+describe('Extraction providers', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('LLM provider', () => {
+    const provider = createExtractionProvider('llm', {
+      url: 'https://llm.example.com/v1/chat/completions',
+      apiKey: 'test-key',
+      model: 'test-model'
+    });
+
+    it('should send the transcript with a JSON schema and normalize the reply', async () => {
+      const post = jest.spyOn(axios, 'post').mockResolvedValue(llmReply(JSON.stringify({
+        caller_name: 'Dana Lee',
+        callback_number: '555-123-4567',
+        address: '12 Oak Street',
+        reason: 'Furnace stopped working',
+        email: null,
+        preferred_time: 'Tomorrow morning',
+        urgency: 'same_day',
+        details: { system_type: 'Furnace', system_age: null }
+      })));
+
+      const info = await provider.extract(transcript, {
+        referenceTime: event.start_timestamp,
+        timezone: business.timezone,
+        businessType: 'hvac'
+      });
+
+      const [url, body, config] = post.mock.calls[0];
+      expect(url).toBe('https://llm.example.com/v1/chat/completions');
+      expect(body.model).toBe('test-model');
+      expect(body.messages[1].content).toBe(transcript);
+      expect(body.response_format.json_schema.schema.properties.details.properties).toHaveProperty('system_type');
+      expect(config.headers.Authorization).toBe('Bearer test-key');
+
+      expect(info.name).toBe('Dana Lee');
+      expect(info.callback_number).toBe('+15551234567');
+      expect(info.address_components).toMatchObject({ street_number: '12', street_name: 'Oak Street' });
+      expect(info.preferred_time.phrase).toBe('Tomorrow morning');
+      expect(info.preferred_time.start).toBe('2026-03-12T12:00:00.000Z');
+      expect(info.urgency).toEqual({ level: 'same_day', signals: [], confidence: 0.8 });
+      expect(info.details).toEqual({ system_type: 'Furnace' });
+      expect(info.spans.name).toEqual({ start: transcript.indexOf('Dana Lee'), end: transcript.indexOf('Dana Lee') + 8 });
+      expect(info.spans.reason).toEqual({ start: transcript.indexOf('furnace'), end: transcript.indexOf('furnace') + 23 });
+      expect(info.spans.preferred_time).toBeNull();
+    });
+
+    it('should reject invalid JSON and off-schema values', async () => {
+      jest.spyOn(axios, 'post').mockResolvedValueOnce(llmReply('Sure! The caller is Dana.'));
+      await expect(provider.extract(transcript, {})).rejects.toThrow('invalid JSON');
+
+      jest.spyOn(axios, 'post').mockResolvedValueOnce(llmReply(JSON.stringify({ caller_name: 42 })));
+      await expect(provider.extract(transcript, {})).rejects.toThrow('invalid caller_name');
+
+      jest.spyOn(axios, 'post').mockResolvedValueOnce(llmReply(JSON.stringify({ urgency: 'panic' })));
+      await expect(provider.extract(transcript, {})).rejects.toThrow('invalid urgency');
+    });
+
+    it('should restrict option fields to their declared values in the schema', () => {
+      const schema = buildExtractionSchema(getDetailFields('hvac'));
+      const systemType = schema.properties.details.properties.system_type;
+
+      expect(systemType.enum).toContain('Furnace');
+      expect(systemType.enum).toContain(null);
+      expect(schema.required).toEqual(expect.arrayContaining(['caller_name', 'urgency', 'details']));
+    });
+
+    it('should fail without a configured URL', async () => {
+      await expect(createExtractionProvider('llm', { url: null }).extract(transcript, {}))
+        .rejects.toThrow('EXTRACTION_LLM_URL');
+    });
+  });
+
+  describe('Provider selection and fallback', () => {
+    beforeEach(() => {
+      jest.spyOn(businessSettingsService, 'getSetting')
+        .mockImplementation(async (businessId, key, defaultValue) => defaultValue);
+    });
+
+    function useProvider(provider) {
+      jest.spyOn(extractionService, 'getProvider').mockResolvedValue(provider);
+    }
+
+    it('should use the business extraction_provider setting', async () => {
+      const getSetting = jest.spyOn(businessSettingsService, 'getSetting').mockResolvedValue('stub');
+
+      const provider = await extractionService.getProvider('business-123');
+
+      expect(getSetting).toHaveBeenCalledWith('business-123', 'extraction_provider', 'regex');
+      expect(provider).toBe(getExtractionProvider('stub'));
+    });
+
+    it('should use regex for an unknown provider name', async () => {
+      jest.spyOn(businessSettingsService, 'getSetting').mockResolvedValue('magic');
+
+      const provider = await extractionService.getProvider('business-123');
+
+      expect(provider.name).toBe('regex');
+    });
+
+    it('should record the provider and version that produced the fields', async () => {
+      const stub = new StubProvider({ version: 'stub-2', result: { name: 'Stub Caller', reason: 'Test call' } });
+      useProvider(stub);
+
+      const extracted = await extractionService.extract(event, business);
+
+      expect(stub.calls[0].transcript).toBe(transcript);
+      expect(stub.calls[0].context.timezone).toBe('America/New_York');
+      expect(extracted.name).toBe('Stub Caller');
+      expect(extracted.sources).toEqual({ name: 'stub', reason: 'stub', call_summary: 'extractive' });
+      expect(extracted.provider).toEqual({ name: 'stub', version: 'stub-2', fallback_from: null });
+    });
+
+    it('should fall back to regex when the provider fails', async () => {
+      useProvider(new StubProvider({ error: 'upstream unavailable' }));
+
+      const extracted = await extractionService.extract(event, business);
+
+      expect(extracted.name).toBe('Dana Lee');
+      expect(extracted.sources.name).toBe('regex');
+      expect(extracted.provider).toEqual({ name: 'regex', version: expect.any(String), fallback_from: 'stub' });
+    });
+
+    it('should fall back to regex when the provider times out', async () => {
+      process.env.EXTRACTION_TIMEOUT_MS = '20';
+      useProvider(new StubProvider({ delayMs: 200, result: { name: 'Too Late' } }));
+
+      try {
+        const extracted = await extractionService.extract(event, business);
+
+        expect(extracted.name).toBe('Dana Lee');
+        expect(extracted.provider.fallback_from).toBe('stub');
+      } finally {
+        delete process.env.EXTRACTION_TIMEOUT_MS;
+      }
+    });
+
+    it('should fall back to regex when the LLM returns invalid JSON', async () => {
+      useProvider(createExtractionProvider('llm', { url: 'https://llm.example.com/v1/chat/completions' }));
+      jest.spyOn(axios, 'post').mockResolvedValue(llmReply('{"caller_name": "Dana'));
+
+      const extracted = await extractionService.extract(event, business);
+
+      expect(extracted.callback_number).toBe('+15551234567');
+      expect(extracted.provider).toMatchObject({ name: 'regex', fallback_from: 'llm' });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const request = require('supertest');
+
+// Minimal in-memory stand-in for the tables the dead-letter store and replay touch
+jest.mock('../src/config/database', () => {
+  const tables = { failed_webhooks: [], processed_webhook_events: [], businesses: [] };
+
+  const from = (table) => {
+    const filters = [];
+    let operation = { type: 'select' };
+    let window = null;
+
+    const matching = () => tables[table].filter(row => filters.every(([field, value]) => row[field] === value));
+    const run = () => {
+      if (operation.type === 'insert') {
+        const row = { id: `${table}-${tables[table].length + 1}`, ...operation.values };
+        tables[table].push(row);
+        return { data: [{ ...row }], error: null };
+      }
+      if (operation.type === 'update') {
+        matching().forEach(row => Object.assign(row, operation.values));
+      }
+      if (operation.type === 'delete') {
+        matching().forEach(row => tables[table].splice(tables[table].indexOf(row), 1));
+        return { data: [], error: null };
+      }
+      const rows = matching().map(row => ({ ...row }));
+      return { data: window ? rows.slice(window[0], window[1] + 1) : rows, error: null, count: rows.length };
+    };
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      eq: (field, value) => { filters.push([field, value]); return builder; },
+      is: (field, value) => { filters.push([field, value]); return builder; },
+      limit: (count) => { window = [0, count - 1]; return builder; },
+      range: (start, end) => { window = [start, end]; return builder; },
+      insert: (values) => { operation = { type: 'insert', values }; return builder; },
+      update: (values) => { operation = { type: 'update', values }; return builder; },
+      delete: () => { operation = { type: 'delete' }; return builder; },
+      single: async () => {
+        const { data } = run();
+        return data[0] ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116', message: 'no rows' } };
+      },
+      maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase: { from, tables } };
+});
+
+const app = require('../src/index');
+const { supabase } = require('../src/config/database');
+const webhookController = require('../src/controllers/webhookController');
+const failedWebhookService = require('../src/services/failedWebhookService');
+
+const ADMIN_KEY = 'test-admin-key';
+const entryId = '9f0c2a3e-6b1d-4c8e-a7f5-2d4b6e8a0c13';
+
+const payload = {
+  event: 'call_ended',
+  call: { call_id: 'call-1', to_number: '+15559876543', from_number: '+15551234567', call_status: 'ended' }
+};
+
+describe('Failed webhooks admin API', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+    Object.values(supabase.tables).forEach(rows => { rows.length = 0; });
+    supabase.tables.failed_webhooks.push({
+      id: entryId,
+      call_id: 'call-1',
+      event_type: 'call_ended',
+      payload,
+      error_message: 'Database unavailable',
+      attempt_count: 1,
+      status: 'pending'
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('admin key', () => {
+    it('should reject requests without the key', async () => {
+      const response = await request(app).get('/api/admin/failed-webhooks');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject requests with a wrong key', async () => {
+      const response = await request(app).get('/api/admin/failed-webhooks').set('x-admin-key', 'wrong-admin-key');
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject every request while ADMIN_API_KEY is unset', async () => {
+      delete process.env.ADMIN_API_KEY;
+
+      const response = await request(app).get('/api/admin/failed-webhooks').set('x-admin-key', '');
+
+      expect(response.status).toBe(401);
+    });
+  });
+
+  it('should list pending failed webhooks', async () => {
+    const response = await request(app).get('/api/admin/failed-webhooks').set('x-admin-key', ADMIN_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body.failed_webhooks).toEqual([expect.objectContaining({ id: entryId, attempt_count: 1 })]);
+    expect(response.body.pagination).toMatchObject({ total: 1, has_more: false });
+  });
+
+  it('should replay a failed webhook and mark it replayed', async () => {
+    const handleRetellWebhook = jest.spyOn(webhookController, 'handleRetellWebhook').mockResolvedValue({ success: true, callId: 'call-1' });
+
+    const response = await request(app).post(`/api/admin/failed-webhooks/${entryId}/replay`).set('x-admin-key', ADMIN_KEY);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, status: 'replayed', result: { callId: 'call-1' } });
+    expect(handleRetellWebhook).toHaveBeenCalledWith(payload, { failedWebhookId: entryId });
+    expect(supabase.tables.failed_webhooks[0].status).toBe('replayed');
+
+    const again = await request(app).post(`/api/admin/failed-webhooks/${entryId}/replay`).set('x-admin-key', ADMIN_KEY);
+    expect(again.status).toBe(409);
+  });
+
+  it('should keep a replay that fails again pending and count the attempt', async () => {
+    jest.spyOn(webhookController, 'findBusinessByPhoneNumber').mockResolvedValue(null);
+
+    const response = await request(app).post(`/api/admin/failed-webhooks/${entryId}/replay`).set('x-admin-key', ADMIN_KEY);
+
+    expect(response.status).toBe(502);
+    expect(response.body).toMatchObject({ success: false, status: 'pending', error: 'Business not found for phone number: +15559876543' });
+    expect(supabase.tables.failed_webhooks).toHaveLength(1);
+    expect(supabase.tables.failed_webhooks[0]).toMatchObject({
+      status: 'pending',
+      attempt_count: 2,
+      error_message: 'Business not found for phone number: +15559876543'
+    });
+    expect(supabase.tables.processed_webhook_events).toHaveLength(0);
+  });
+
+  it('should replay pending failed webhooks in bulk', async () => {
+    jest.spyOn(webhookController, 'handleRetellWebhook').mockResolvedValue({ success: true });
+
+    const response = await request(app).post('/api/admin/failed-webhooks/replay').set('x-admin-key', ADMIN_KEY).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ attempted: 1, replayed: 1, failed: 0 });
+  });
+
+  it('should store a new failure and count repeats of the same event', async () => {
+    const first = await failedWebhookService.recordFailure({ ...payload, call: { ...payload.call, call_id: 'call-2' } }, 'Timeout');
+    const second = await failedWebhookService.recordFailure({ ...payload, call: { ...payload.call, call_id: 'call-2' } }, 'Timeout again');
+
+    expect(first).toMatchObject({ call_id: 'call-2', event_type: 'call_ended', attempt_count: 1, status: 'pending' });
+    expect(second).toMatchObject({ id: first.id, attempt_count: 2, error_message: 'Timeout again' });
+  });
+});
@@ -0,0 +1,160 @@
+const {
+  extractCallInformation,
+  extractName,
+  extractPhoneNumber,
+  extractEmail,
+  extractAddress,
+  calculateConfidence,
+  getLowConfidenceFields
+} = require('../src/utils/informationExtractor');
+const notificationService = require('../src/services/notificationService');
+const examplePayload = require('../examples/webhook-payload.json');
+
+jest.mock('../src/config/database');
+
+describe('Information extractor', () => {
+  it('should return value, confidence and span from field extractors', () => {
+    const transcript = 'hi, my name is dana smith. my number is 555-123-4567.';
+
+    const name = extractName(transcript);
+    expect(name.value).toBe('Dana Smith');
+    expect(name.confidence).toBe(0.8);
+    expect(transcript.slice(name.span.start, name.span.end)).toBe('dana smith');
+
+    const phone = extractPhoneNumber(transcript);
+    expect(phone.value).toBe('+15551234567');
+    expect(phone.confidence).toBe(0.9);
+    expect(transcript.slice(phone.span.start, phone.span.end)).toBe('555-123-4567');
+  });
+
+  it('should lower confidence for weaker patterns', () => {
+    expect(extractPhoneNumber('it is 555 1234').confidence).toBeLessThan(0.5);
+    expect(extractPhoneNumber('no number here')).toBeNull();
+  });
+
+  it('should rank name cues from most to least specific', () => {
+    const info = extractCallInformation('User: I am calling because my furnace stopped working last night.');
+
+    expect(info.confidence.name).toBe(0.45);
+    expect(getLowConfidenceFields(info.confidence)).toContain('name');
+    expect(extractName('i am calling about my order, my name is dana smith.')).toMatchObject({ value: 'Dana Smith', confidence: 0.8 });
+    expect(extractName('hi, this is dana smith.').confidence).toBe(0.6);
+  });
+
+  it('should map spans back to the original transcript', () => {
+    const transcript = 'Agent: How can I help?\n\nUser:   Hi, my name is Dana Smith. My number is 555-123-4567.';
+    const info = extractCallInformation(transcript);
+
+    expect(info.name).toBe('Dana Smith');
+    expect(transcript.slice(info.spans.name.start, info.spans.name.end)).toBe('Dana Smith');
+    expect(transcript.slice(info.spans.callback_number.start, info.spans.callback_number.end)).toBe('555-123-4567');
+    expect(Object.keys(info.confidence)).toEqual(Object.keys(info.spans));
+  });
+
+  it('should extract the example payload from the caller\'s lines only', () => {
+    const info = extractCallInformation(examplePayload.transcript);
+
+    expect(info.name).toBe('John Smith');
+    expect(info.callback_number).toBe('+15551234567');
+    expect(info.address).toBe('123 Main Street, Anytown, CA 90210');
+    expect(info.reason).toBe('Leaky faucet in my kitchen');
+    // Each field agrees with the agent's read-back
+    expect(info.confidence).toEqual({ name: 0.95, callback_number: 0.95, address: 0.95, reason: 0.8 });
+    expect(info.spans.name.start).toBeLessThan(examplePayload.transcript.indexOf('I have your information'));
+  });
+
+  it('should not take the agent\'s greeting as the caller\'s name or address', () => {
+    const info = extractCallInformation(
+      'Agent: Hi, I am Ava at ABC Plumbing, thank you for calling. How can I help?\nUser: The kitchen sink is clogged.'
+    );
+
+    expect(info.name).toBeNull();
+    expect(info.address).toBeNull();
+  });
+
+  it('should correct and cross-check caller fields with the agent\'s confirmation', () => {
+    const info = extractCallInformation(
+      'Agent: Thank you for calling. User: I am Bob and my number is 555 1234. ' +
+      'Agent: Let me confirm, Bob Jones, 312-555-1234.'
+    );
+
+    expect(info.name).toBe('Bob Jones');
+    expect(info.callback_number).toBe('+13125551234');
+
+    const conflicting = extractCallInformation(
+      'Agent: Thank you for calling. User: My name is Dana and my number is 555-123-4567. ' +
+      'Agent: Let me confirm, Dana, 555-999-0000.'
+    );
+
+    expect(conflicting.callback_number).toBe('+15551234567');
+    expect(conflicting.confidence.callback_number).toBeLessThan(0.6);
+    expect(conflicting.confidence.name).toBeGreaterThan(0.8);
+  });
+
+  it('should extract spoken phone numbers and spelled-out emails', () => {
+    const transcript = 'User: My number is five five five, one two three, four five six seven. ' +
+      'My email is j o h n at gmail dot com.';
+    const info = extractCallInformation(transcript);
+
+    expect(info.callback_number).toBe('+15551234567');
+    expect(transcript.slice(info.spans.callback_number.start, info.spans.callback_number.end))
+      .toBe('five five five, one two three, four five six seven');
+    expect(info.email).toBe('john@gmail.com');
+    expect(transcript.slice(info.spans.email.start, info.spans.email.end)).toBe('j o h n at gmail dot com');
+    expect(info.confidence.email).toBe(0.9);
+  });
+
+  it('should only accept weak address cues that parse as a street address', () => {
+    expect(extractAddress('meet me at 5 pm')).toBeNull();
+    expect(extractAddress('the house is 42 elm street in springfield').value).toBe('42 elm street in springfield');
+    expect(extractAddress('i live at 9 oak lane, dayton, oh 45402').confidence).toBe(0.9);
+  });
+
+  it('should parse the extracted address into components', () => {
+    const info = extractCallInformation(examplePayload.transcript);
+
+    expect(info.address_components).toMatchObject({
+      street_number: '123',
+      street_name: 'Main Street',
+      city: 'Anytown',
+      state: 'CA',
+      zip: '90210',
+      rejected: [],
+      valid: true
+    });
+  });
+
+  it('should extract written email addresses', () => {
+    expect(extractEmail('send it to dana.smith@example.com please').value).toBe('dana.smith@example.com');
+    expect(extractEmail('no email here')).toBeNull();
+  });
+
+  it('should score overall confidence from the field confidences', () => {
+    const info = {
+      name: 'Dana Smith',
+      callback_number: '+15551234567',
+      address: null,
+      reason: 'Leak',
+      confidence: { name: 0.8, callback_number: 0.9, reason: 0.3 }
+    };
+
+    expect(calculateConfidence(info)).toBe(0.5);
+    expect(getLowConfidenceFields(info.confidence)).toEqual(['reason']);
+    expect(getLowConfidenceFields(null)).toEqual([]);
+  });
+
+  it('should flag low-confidence fields in Slack', () => {
+    const message = notificationService.formatSlackMessage({
+      id: 'call-1',
+      created_at: new Date().toISOString(),
+      caller_name: 'Dana Smith',
+      address: 'Main street',
+      extraction_confidence: { name: 0.8, address: 0.3 }
+    }, { business_name: 'Test Plumbing' });
+
+    const fields = message.blocks[1].fields.map(field => field.text);
+    expect(fields[0]).toBe('*Name:* Dana Smith');
+    expect(fields[2]).toBe('*Address:* Main street ⚠️');
+    expect(JSON.stringify(message.blocks)).toContain('Low confidence: Address');
+  });
+});
@@ -0,0 +1,133 @@
+const { MemoryQueue, JobWorker } = require('../src/services/queue');
+
+// Resolve once the predicate holds (or fail after the timeout)
+function waitFor(predicate, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    const startedAt = Date.now();
+    const check = () => {
+      if (predicate()) return resolve();
+      if (Date.now() - startedAt > timeoutMs) return reject(new Error('Timed out waiting for condition'));
+      setTimeout(check, 5);
+    };
+    check();
+  });
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Job queue', () => {
+  let queue;
+  let worker;
+
+  beforeEach(() => {
+    queue = new MemoryQueue();
+    worker = new JobWorker(queue, {
+      concurrency: 2,
+      pollIntervalMs: 10,
+      baseBackoffMs: 10,
+      maxBackoffMs: 20
+    });
+  });
+
+  afterEach(async () => {
+    await worker.stop();
+  });
+
+  describe('MemoryQueue', () => {
+    it('should only claim the earliest unfinished job for an ordering key', async () => {
+      await queue.enqueue({ type: 'test', payload: { n: 1 }, orderingKey: 'call-1' });
+      await queue.enqueue({ type: 'test', payload: { n: 2 }, orderingKey: 'call-1' });
+      await queue.enqueue({ type: 'test', payload: { n: 3 }, orderingKey: 'call-2' });
+
+      const claimed = await queue.claim(10, 'worker-1');
+      expect(claimed.map(job => job.payload.n)).toEqual([1, 3]);
+
+      await queue.complete(claimed[0].id);
+      const next = await queue.claim(10, 'worker-1');
+      expect(next.map(job => job.payload.n)).toEqual([2]);
+    });
+
+    it('should not claim jobs scheduled in the future', async () => {
+      await queue.enqueue({ type: 'test', payload: {}, runAt: new Date(Date.now() + 60000) });
+      expect(await queue.claim(10, 'worker-1')).toHaveLength(0);
+    });
+  });
+
+  describe('JobWorker', () => {
+    it('should process jobs for the same key in order', async () => {
+      const processed = [];
+      worker.registerHandler('test', async (job) => {
+        await delay(job.payload.wait);
+        processed.push(job.payload.n);
+      });
+
+      await queue.enqueue({ type: 'test', payload: { n: 1, wait: 30 }, orderingKey: 'call-1' });
+      await queue.enqueue({ type: 'test', payload: { n: 2, wait: 0 }, orderingKey: 'call-1' });
+      await queue.enqueue({ type: 'test', payload: { n: 3, wait: 0 }, orderingKey: 'call-1' });
+      worker.start();
+
+      await waitFor(() => processed.length === 3);
+      expect(processed).toEqual([1, 2, 3]);
+    });
+
+    it('should not exceed the concurrency limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      let done = 0;
+      worker.registerHandler('test', async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(20);
+        running--;
+        done++;
+      });
+
+      for (let i = 0; i < 6; i++) {
+        await queue.enqueue({ type: 'test', payload: {}, orderingKey: `call-${i}` });
+      }
+      worker.start();
+
+      await waitFor(() => done === 6);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should retry failed jobs with backoff until they succeed', async () => {
+      let attempts = 0;
+      worker.registerHandler('test', async () => {
+        attempts++;
+        if (attempts < 3) {
+          throw new Error('Slack timed out');
+        }
+      });
+
+      await queue.enqueue({ type: 'test', payload: {}, maxAttempts: 5 });
+      worker.start();
+
+      await waitFor(() => attempts === 3);
+      await waitFor(() => queue.jobs.length === 0);
+      expect(attempts).toBe(3);
+    });
+
+    it('should call onFailure once attempts are exhausted', async () => {
+      const onFailure = jest.fn();
+      worker.registerHandler('test', async () => {
+        throw new Error('Business not found');
+      }, { onFailure });
+
+      await queue.enqueue({ type: 'test', payload: { call_id: 'call-1' }, maxAttempts: 2 });
+      worker.start();
+
+      await waitFor(() => onFailure.mock.calls.length === 1);
+      const [job, error] = onFailure.mock.calls[0];
+      expect(job.attempts).toBe(2);
+      expect(error.message).toBe('Business not found');
+    });
+
+    it('should grow the backoff exponentially up to the maximum', () => {
+      const backoffWorker = new JobWorker(queue, { baseBackoffMs: 1000, maxBackoffMs: 5000 });
+      expect(backoffWorker.getBackoffMs(1)).toBeGreaterThanOrEqual(1000);
+      expect(backoffWorker.getBackoffMs(2)).toBeGreaterThanOrEqual(2000);
+      expect(backoffWorker.getBackoffMs(10)).toBeLessThanOrEqual(5500);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { detectLanguage, normalizeLocale } = require('../src/utils/language');
+const { extractCallInformation } = require('../src/utils/informationExtractor');
+const { normalizeSpoken } = require('../src/utils/spokenNormalizer');
+const { generateCustomPrompt, getTemplatePreview } = require('../src/services/promptTemplateService');
+const { BUSINESS_TYPES } = require('../src/config/businessTypes');
+const extractionService = require('../src/services/extractionService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+const summaryService = require('../src/services/summaryService');
+const notificationService = require('../src/services/notificationService');
+
+jest.mock('../src/config/database');
+
+const spanishCall = [
+  'Agent: Gracias por llamar a Acme Plumbing, ¿en qué le puedo ayudar?',
+  'User: Hola, me llamo José García y tengo una fuga debajo del fregadero.',
+  'Agent: ¿A qué número le podemos llamar?',
+  'User: Mi número es siete uno tres, cinco cinco cinco, cero uno cuatro ocho.',
+  'Agent: ¿Y la dirección?',
+  'User: Vivo en 2210 Pecan Street, Houston, TX 77008.'
+].join('\n');
+
+describe('Spanish language support', () => {
+  it('should detect the language the caller spoke', () => {
+    expect(detectLanguage('Hola, me llamo José y necesito un plomero porque tengo una fuga en la cocina.')).toBe('es');
+    expect(detectLanguage('Hi, my name is John and I need a plumber for a leak in the kitchen.')).toBe('en');
+    expect(detectLanguage('Sí')).toBe('en');
+    expect(detectLanguage('')).toBeNull();
+  });
+
+  it('should map locale settings to a supported language', () => {
+    expect(normalizeLocale('es-MX')).toBe('es');
+    expect(normalizeLocale('es_US')).toBe('es');
+    expect(normalizeLocale('Spanish')).toBe('es');
+    expect(normalizeLocale('fr')).toBe('en');
+    expect(normalizeLocale(null)).toBe('en');
+  });
+
+  it('should extract name, phone, address and reason with the Spanish patterns', () => {
+    const info = extractCallInformation(spanishCall, { language: 'es' });
+
+    expect(info.name).toBe('José García');
+    expect(info.callback_number).toBe('+17135550148');
+    expect(info.address).toBe('2210 Pecan Street, Houston, TX 77008');
+    expect(info.reason).toBe('Fuga debajo del fregadero');
+    expect(spanishCall.slice(info.spans.name.start, info.spans.name.end)).toBe('José García');
+    expect(extractCallInformation(spanishCall).name).toBeNull();
+  });
+
+  it('should skip words that are not names and read Spanish digits', () => {
+    const info = extractCallInformation('User: Soy el dueño de la casa. Llamo porque el calentador no funciona. Llámeme al 713 555 1234.', { language: 'es' });
+
+    expect(info.name).toBeNull();
+    expect(info.reason).toBe('El calentador no funciona');
+    expect(info.callback_number).toBe('+17135551234');
+    expect(normalizeSpoken('cinco cinco cinco, uno dos tres')).toBe('555 123');
+    expect(normalizeSpoken('josé garcía y maría')).toBe('josé garcía y maría');
+  });
+
+  it('should read Spanish street order', () => {
+    const info = extractCallInformation('User: Vivo en Calle Principal 45, Miami, FL 33101.', { language: 'es' });
+
+    expect(info.address).toBe('Calle Principal 45, Miami, FL 33101');
+    expect(info.address_components).toMatchObject({ street_number: '45', street_name: 'Calle Principal', city: 'Miami', state: 'FL', valid: true });
+    expect(extractCallInformation('User: Estamos en la avenida Flagler 220 en Miami.', { language: 'es' }).address_components)
+      .toMatchObject({ street_number: '220', street_name: 'Avenida Flagler', city: 'Miami' });
+    expect(extractCallInformation('User: Vivo en la calle 8 1520.', { language: 'es' })).toMatchObject({
+      address: 'Calle 8 1520',
+      address_components: { street_number: '1520', street_name: 'Calle 8' }
+    });
+  });
+
+  it('should classify urgency from Spanish signals', () => {
+    const leak = extractCallInformation('User: Tengo una fuga de agua en el baño.', { language: 'es' });
+    const gas = extractCallInformation('User: Huele a gas en la cocina.', { language: 'es', businessType: 'plumbing' });
+    const quote = extractCallInformation('User: No es una emergencia, quiero un presupuesto.', { language: 'es' });
+
+    expect(leak.urgency).toMatchObject({ level: 'same_day', signals: ['fuga de agua'] });
+    expect(gas.urgency.level).toBe('emergency');
+    expect(quote.urgency).toMatchObject({ level: 'routine', signals: ['presupuesto'] });
+    expect(extractCallInformation('User: Tengo una fuga de agua.').urgency.level).toBe('routine');
+  });
+
+  it('should pick the Spanish template from the business locale', () => {
+    const plumbing = generateCustomPrompt({ business_name: 'Acme', business_type: 'plumbing', locale: 'es' });
+    const standard = generateCustomPrompt({ business_type: 'bakery', locale: 'es-MX' });
+
+    expect(plumbing).toContain('Hola, gracias por llamar a Acme');
+    expect(plumbing).toContain('plomeros');
+    expect(standard).toContain('recepcionista virtual profesional de nuestra empresa');
+    expect(generateCustomPrompt({ business_name: 'Acme', business_type: 'plumbing' })).toContain('Hello, thank you for calling Acme');
+    expect(getTemplatePreview('medical', 'Clínica Sol', 'es')).toContain('911');
+
+    for (const definition of Object.values(BUSINESS_TYPES)) {
+      expect(definition.localizedTemplates.es).toContain('{custom_instructions}');
+    }
+  });
+
+  describe('Extraction service', () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(businessSettingsService, 'getSetting').mockImplementation(async (id, key, defaultValue) => defaultValue);
+      jest.spyOn(summaryService, 'summarize').mockResolvedValue({ headline: 'Leak', summary: null, summarizer: { name: 'extractive' } });
+    });
+
+    it('should record the call language and show it in Slack', async () => {
+      const info = await extractionService.extract({ call_id: 'call-1', transcript: spanishCall }, { id: 'business-123', business_type: 'plumbing' });
+      const message = notificationService.formatSlackMessage(
+        { id: 'call-1', created_at: '2026-10-19T14:00:00Z', caller_name: info.name, language: info.language },
+        { business_name: 'Acme Plumbing' }
+      );
+
+      expect(info.language).toBe('es');
+      expect(info.name).toBe('José García');
+      expect(message.blocks[1].fields.map(field => field.text)).toContain('*Language:* Spanish');
+    });
+  });
+});
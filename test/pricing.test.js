@@ -0,0 +1,39 @@
+const { resolvePlan, calculateCallCost, planToCallFields, planFromCall } = require('../src/utils/pricing');
+
+describe('Call pricing', () => {
+  const plans = {
+    standard: { name: 'standard', rate_per_minute: 0.091, minimum_billable_seconds: 0, billing_increment_seconds: 1, rounding: 'up' },
+    pro: { name: 'pro', rate_per_minute: 0.06, minimum_billable_seconds: 30, billing_increment_seconds: 60, rounding: 'up' }
+  };
+
+  it('should price per second on the standard plan', () => {
+    expect(calculateCallCost(120, plans.standard)).toEqual({ billable_seconds: 120, cost: 0.182 });
+  });
+
+  it('should apply the minimum and round up to the billing increment', () => {
+    expect(calculateCallCost(10, plans.pro)).toEqual({ billable_seconds: 60, cost: 0.06 });
+    expect(calculateCallCost(61, plans.pro)).toEqual({ billable_seconds: 120, cost: 0.12 });
+    expect(calculateCallCost(89, { ...plans.pro, rounding: 'nearest' })).toEqual({ billable_seconds: 60, cost: 0.06 });
+  });
+
+  it('should not price calls without a duration', () => {
+    expect(calculateCallCost(null, plans.standard)).toBeNull();
+  });
+
+  it('should resolve business plan names and overrides', () => {
+    expect(resolvePlan(null, plans, 'standard').name).toBe('standard');
+    expect(resolvePlan('pro', plans, 'standard').rate_per_minute).toBe(0.06);
+    expect(resolvePlan('unknown', plans, 'standard').name).toBe('standard');
+
+    const custom = resolvePlan({ plan: 'pro', rate_per_minute: 0.05 }, plans, 'standard');
+    expect(custom.rate_per_minute).toBe(0.05);
+    expect(custom.billing_increment_seconds).toBe(60);
+    expect(custom.name).toBe('pro (custom)');
+  });
+
+  it('should round-trip the plan stored on a call', () => {
+    const call = { ...planToCallFields(plans.pro), rate_per_minute: '0.0600' };
+    expect(planFromCall(call)).toEqual(plans.pro);
+    expect(planFromCall({ rate_per_minute: null })).toBeNull();
+  });
+});
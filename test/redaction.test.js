@@ -0,0 +1,172 @@
+const { findSensitiveData, redactText, passesLuhn } = require('../src/utils/redaction');
+const redactionService = require('../src/services/redactionService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+const webhookQueueService = require('../src/services/webhookQueueService');
+const failedWebhookService = require('../src/services/failedWebhookService');
+const { getJobQueue, getJobWorker } = require('../src/services/queue');
+const { supabase } = require('../src/config/database');
+const logger = require('../src/utils/logger');
+
+jest.mock('../src/config/database', () => ({ supabase: { from: jest.fn() } }));
+
+const business = { id: 'business-123' };
+
+describe('Sensitive data redaction', () => {
+  it('should find Luhn-valid card numbers, typed or read out', () => {
+    expect(passesLuhn('4111111111111111')).toBe(true);
+    expect(redactText('Card 4111-1111-1111-1111 please').text).toBe('Card [CARD ****1111] please');
+    expect(redactText('It is four one one one, one one one one, one one one one, one one one one.').text)
+      .toBe('It is [CARD ****1111].');
+    expect(findSensitiveData('Card 4111 1111 1111 1112, call me at 555-867-5309')).toEqual([]);
+  });
+
+  it('should find SSNs but skip numbers that are never issued', () => {
+    expect(redactText('My SSN is 123-45-6789.').text).toBe('My SSN is [SSN ***-**-6789].');
+    expect(redactText('social security number 123456789').text).toBe('social security number [SSN ***-**-6789]');
+    expect(findSensitiveData('Reference 666-12-3456 and 123-00-4567')).toEqual([]);
+  });
+
+  it('should only treat dates and numbers after a cue as sensitive', () => {
+    expect(redactText('My date of birth is March 3rd, 1985 and I need a visit on March 12, 2026.').text)
+      .toBe('My date of birth is [DOB] and I need a visit on March 12, 2026.');
+    expect(redactText('I was born on the fourth of july nineteen eighty five.').text).toBe('I was born on the [DOB].');
+    expect(redactText('Member ID is ABC 123456789, account number: 9876543210.').text)
+      .toBe('Member ID is [ACCOUNT ****6789], account number: [ACCOUNT ****3210].');
+    expect(redactText('My account is on file, call 555 123 4567').redactions).toEqual([]);
+  });
+
+  it('should apply the mask, hash and drop policies', () => {
+    const text = 'Card 4111111111111111';
+    const hashed = redactText(text, { policy: 'hash', secret: 'secret' }).text;
+
+    expect(hashed).toMatch(/^Card \[CARD #[0-9a-f]{12}\]$/);
+    expect(redactText(text, { policy: 'hash', secret: 'secret' }).text).toBe(hashed);
+    expect(redactText(text, { policy: 'hash', secret: 'other' }).text).not.toBe(hashed);
+    expect(redactText(text, { policy: 'drop' }).text).toBe('Card [CARD]');
+    expect(redactText(redactText(text).text).redactions).toEqual([]);
+  });
+
+  describe('Redaction service', () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.REDACTION_HASH_SECRET;
+    });
+
+    it('should redact the transcript, utterances and analysis of an event', async () => {
+      jest.spyOn(businessSettingsService, 'getSetting').mockImplementation(async (id, key, defaultValue) => defaultValue);
+      const event = {
+        call_id: 'call-1',
+        transcript: 'Agent: How can I help?\nUser: My card is 4111 1111 1111 1111.',
+        transcript_object: [
+          { role: 'agent', content: 'How can I help?', words: [{ word: 'How', start: 0, end: 0.2 }] },
+          { role: 'user', content: 'My card is 4111 1111 1111 1111.', words: [{ word: '4111', start: 1, end: 1.4 }] }
+        ],
+        call_analysis: { call_summary: 'Caller read out card 4111 1111 1111 1111.', user_sentiment: 'Neutral' }
+      };
+
+      const redacted = await redactionService.redactEvent(event, business);
+
+      expect(redacted.transcript).toBe('Agent: How can I help?\nUser: My card is [CARD ****1111].');
+      expect(redacted.transcript_object[0]).toBe(event.transcript_object[0]);
+      expect(redacted.transcript_object[1]).toEqual({ role: 'user', content: 'My card is [CARD ****1111].', words: [{ start: 1, end: 1.4 }] });
+      expect(redacted.call_analysis).toEqual({ call_summary: 'Caller read out card [CARD ****1111].', user_sentiment: 'Neutral' });
+      expect(event.transcript).toContain('4111 1111 1111 1111');
+    });
+
+    it('should fall back to mask when hash has no secret', async () => {
+      jest.spyOn(businessSettingsService, 'getSetting').mockResolvedValue('hash');
+
+      expect(await redactionService.getOptions(business.id)).toEqual({ policy: 'mask' });
+
+      process.env.REDACTION_HASH_SECRET = 'secret';
+      expect(await redactionService.getOptions(business.id)).toEqual({ policy: 'hash', secret: 'secret' });
+      delete process.env.REDACTION_HASH_SECRET;
+    });
+
+    it('should mask log messages and metadata', () => {
+      const info = logger.format.transform({
+        level: 'error',
+        [Symbol.for('level')]: 'error',
+        message: 'Failed for 123-45-6789',
+        webhookData: { call: { transcript: 'My card is 4111 1111 1111 1111' } }
+      });
+
+      expect(info.message).toContain('[SSN ***-**-6789]');
+      expect(info.webhookData.call.transcript).toBe('My card is [CARD ****1111]');
+    });
+  });
+
+  describe('Stored webhook payloads', () => {
+    const payload = {
+      event: 'call_analyzed',
+      call: {
+        call_id: 'call-4111111111111111',
+        to_number: '+15559876543',
+        recording_url: 'https://recordings.example.com/4111111111111111/account-number-9876543210.wav',
+        transcript: 'User: My card is 4111 1111 1111 1111.',
+        transcript_object: [
+          { role: 'user', content: 'My card is 4111 1111 1111 1111.', words: [{ word: '4111', start: 1, end: 1.4 }] }
+        ],
+        call_analysis: { call_summary: 'Caller gave SSN 123-45-6789.' }
+      }
+    };
+
+    const redactedCall = {
+      ...payload.call,
+      transcript: 'User: My card is [CARD].',
+      transcript_object: [{ role: 'user', content: 'My card is [CARD].', words: [{ start: 1, end: 1.4 }] }],
+      call_analysis: { call_summary: 'Caller gave SSN [SSN].' }
+    };
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      process.env.REDACTION_POLICY = 'drop';
+    });
+
+    afterAll(() => {
+      delete process.env.REDACTION_POLICY;
+    });
+
+    it('should redact the transcript and analysis with the default policy and no database reads', () => {
+      const getSetting = jest.spyOn(businessSettingsService, 'getSetting');
+
+      const redacted = redactionService.redactPayload(payload);
+
+      expect(redacted).toEqual({ event: 'call_analyzed', call: redactedCall });
+      expect(getSetting).not.toHaveBeenCalled();
+      expect(supabase.from).not.toHaveBeenCalled();
+      expect(payload.call.transcript).toContain('4111 1111 1111 1111');
+    });
+
+    it('should keep ids, numbers and URLs as sent', () => {
+      const legacy = { call_id: 'call-4111111111111111', from_number: '+15551234567', recording_url: payload.call.recording_url, transcript: 'My SSN is 123-45-6789.' };
+
+      const nested = redactionService.redactPayload(payload).call;
+      const flat = redactionService.redactPayload(legacy);
+
+      expect(nested).toMatchObject({ call_id: 'call-4111111111111111', to_number: '+15559876543', recording_url: payload.call.recording_url });
+      expect(flat).toEqual({ ...legacy, transcript: 'My SSN is [SSN].' });
+    });
+
+    it('should queue the redacted payload', async () => {
+      const enqueue = jest.spyOn(getJobQueue(), 'enqueue').mockResolvedValue({ id: 'job-1' });
+      jest.spyOn(getJobWorker(), 'notify').mockImplementation(() => {});
+
+      await webhookQueueService.enqueueWebhook(payload);
+
+      expect(enqueue).toHaveBeenCalledWith(expect.objectContaining({ payload: { event: 'call_analyzed', call: redactedCall }, orderingKey: payload.call.call_id }));
+    });
+
+    it('should dead-letter the redacted payload', async () => {
+      jest.spyOn(failedWebhookService, 'findPendingEntry').mockResolvedValue(null);
+      const insert = jest.fn().mockReturnValue({
+        select: () => ({ single: async () => ({ data: { id: 'failed-1' }, error: null }) })
+      });
+      supabase.from.mockReturnValue({ insert });
+
+      await failedWebhookService.recordFailure(payload, 'Database unavailable');
+
+      expect(insert).toHaveBeenCalledWith(expect.objectContaining({ payload: { event: 'call_analyzed', call: redactedCall } }));
+    });
+  });
+});
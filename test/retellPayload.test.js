@@ -0,0 +1,94 @@
+const { normalizeRetellEvent, transcriptFromObject } = require('../src/utils/retellPayload');
+const legacyPayload = require('../examples/webhook-payload.json');
+
+describe('Retell payload normalization', () => {
+  const nestedPayload = {
+    event: 'call_analyzed',
+    call: {
+      call_id: 'call_nested_001',
+      agent_id: 'agent_001',
+      from_number: '+15551234567',
+      to_number: '+15559876543',
+      direction: 'inbound',
+      call_status: 'ended',
+      start_timestamp: 1714608475945,
+      end_timestamp: 1714608491736,
+      disconnection_reason: 'user_hangup',
+      recording_url: 'https://recordings.retellai.com/call_nested_001.wav',
+      transcript_object: [
+        { role: 'agent', content: 'Thank you for calling ABC Plumbing.' },
+        { role: 'user', content: 'Hi, my name is John Smith.' }
+      ],
+      call_analysis: {
+        call_summary: 'Caller reported a leaky faucet.',
+        user_sentiment: 'Neutral',
+        call_successful: true
+      }
+    }
+  };
+
+  it('should normalize the nested payload shape', () => {
+    const event = normalizeRetellEvent(nestedPayload);
+
+    expect(event.format).toBe('nested');
+    expect(event.event_type).toBe('call_analyzed');
+    expect(event.call_id).toBe('call_nested_001');
+    expect(event.to_number).toBe('+15559876543');
+    expect(event.duration_seconds).toBe(16);
+    expect(event.disconnection_reason).toBe('user_hangup');
+    expect(event.call_analysis.call_summary).toBe('Caller reported a leaky faucet.');
+    expect(event.transcript_object).toHaveLength(2);
+  });
+
+  it('should build a transcript from transcript_object when none is sent', () => {
+    const event = normalizeRetellEvent(nestedPayload);
+    expect(event.transcript).toBe('Agent: Thank you for calling ABC Plumbing.\nUser: Hi, my name is John Smith.');
+  });
+
+  it('should normalize the legacy flat payload shape', () => {
+    const event = normalizeRetellEvent(legacyPayload);
+
+    expect(event.format).toBe('legacy');
+    expect(event.event_type).toBeNull();
+    expect(event.call_status).toBe('completed');
+    expect(event.call_id).toBe('call_abc123def456');
+    expect(event.duration_seconds).toBe(180);
+    expect(event.transcript).toBe(legacyPayload.transcript);
+  });
+
+  it('should fall back through the legacy transcript field names', () => {
+    expect(normalizeRetellEvent({ call_id: 'c1', conversation: 'Hello there' }).transcript).toBe('Hello there');
+    expect(normalizeRetellEvent({ call_id: 'c1', transcript: '', summary: 'Summary only' }).transcript).toBe('Summary only');
+    expect(normalizeRetellEvent({ call_id: 'c1' }).transcript).toBeNull();
+  });
+
+  it('should prefer timestamps over a reported duration', () => {
+    const event = normalizeRetellEvent({
+      call_id: 'c1',
+      call_duration: 999,
+      start_timestamp: 1000,
+      end_timestamp: 61000
+    });
+    expect(event.duration_seconds).toBe(60);
+  });
+
+  it('should leave duration empty when nothing is reported', () => {
+    expect(normalizeRetellEvent({ event: 'call_started', call: { call_id: 'c1' } }).duration_seconds).toBeNull();
+  });
+
+  it('should skip empty utterances when building a transcript', () => {
+    expect(transcriptFromObject([{ role: 'user', content: '  ' }])).toBeNull();
+  });
+
+  it('should normalize the call_inbound payload shape', () => {
+    const event = normalizeRetellEvent({
+      event: 'call_inbound',
+      call_inbound: { agent_id: 'agent-1', from_number: '+15551234567', to_number: '+15559876543' }
+    });
+
+    expect(event.event_type).toBe('call_inbound');
+    expect(event.call_id).toBeNull();
+    expect(event.to_number).toBe('+15559876543');
+    expect(event.direction).toBe('inbound');
+  });
+});
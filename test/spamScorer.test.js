@@ -0,0 +1,48 @@
+const { scoreSpam, combineWeights } = require('../src/utils/spamScorer');
+
+describe('Spam scorer', () => {
+  it('should flag robocall scripts', () => {
+    const result = scoreSpam({
+      callerText: 'This is your final notice about your car\'s extended warranty. Press 1 now.',
+      agentText: 'How can I help?',
+      duration: 35,
+      repeatBusinesses: 0
+    });
+
+    expect(result.is_spam).toBe(true);
+    expect(result.score).toBe(0.85);
+    expect(result.signals[0]).toMatchObject({ type: 'robocall_script', detail: 'extended warranty, press 1, final notice' });
+  });
+
+  it('should flag short silent calls but not a single weak signal', () => {
+    expect(scoreSpam({ callerText: '', agentText: 'Hello? Hello?', duration: 6, repeatBusinesses: 0 })).toMatchObject({
+      score: 0.72,
+      is_spam: true
+    });
+    expect(scoreSpam({ callerText: 'Yes', agentText: 'How can I help you today with your plumbing needs?', duration: 45, repeatBusinesses: 0 })).toMatchObject({
+      score: 0.3,
+      is_spam: false
+    });
+  });
+
+  it('should combine repeat callers with other signals', () => {
+    const result = scoreSpam({
+      callerText: 'Hi, this is a courtesy call about your Google business listing.',
+      agentText: 'How can I help?',
+      duration: 40,
+      repeatBusinesses: 4
+    });
+
+    expect(result.signals.map(signal => signal.type)).toEqual(['robocall_script', 'repeat_caller']);
+    expect(result.score).toBe(0.8);
+    expect(result.is_spam).toBe(true);
+  });
+
+  it('should always flag blocklisted numbers and honor the threshold', () => {
+    const call = { callerText: 'I need a quote', agentText: 'Sure', duration: 60, repeatBusinesses: 0, blocklisted: true };
+
+    expect(scoreSpam(call)).toMatchObject({ score: 1, is_spam: true });
+    expect(scoreSpam({ ...call, blocklisted: false, duration: 5 }, { threshold: 0.25 }).is_spam).toBe(true);
+    expect(combineWeights([])).toBe(0);
+  });
+});
@@ -0,0 +1,223 @@
+const request = require('supertest');
+
+// Minimal in-memory stand-in for the tables the spam service reads and writes
+jest.mock('../src/config/database', () => {
+  const tables = { calls: [], call_analytics: [], business_settings: [] };
+
+  const from = (table) => {
+    const filters = [];
+    let operation = { type: 'select' };
+    let window = null;
+
+    const matching = () => tables[table].filter(row => filters.every(filter => filter(row)));
+    const run = () => {
+      if (operation.type === 'insert') {
+        const row = { id: `${table}-${tables[table].length + 1}`, ...operation.values };
+        tables[table].push(row);
+        return { data: [{ ...row }], error: null };
+      }
+      if (operation.type === 'update') {
+        matching().forEach(row => Object.assign(row, operation.values));
+      }
+      const rows = matching().map(row => ({ ...row }));
+      return { data: window ? rows.slice(window[0], window[1] + 1) : rows, error: null, count: rows.length };
+    };
+
+    const builder = {
+      select: () => builder,
+      order: () => builder,
+      eq: (field, value) => { filters.push(row => row[field] === value); return builder; },
+      neq: (field, value) => { filters.push(row => row[field] !== value); return builder; },
+      gte: (field, value) => { filters.push(row => row[field] >= value); return builder; },
+      limit: (count) => { window = [0, count - 1]; return builder; },
+      range: (start, end) => { window = [start, end]; return builder; },
+      insert: (values) => { operation = { type: 'insert', values }; return builder; },
+      update: (values) => { operation = { type: 'update', values }; return builder; },
+      single: async () => {
+        const { data } = run();
+        return data[0] ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116', message: 'no rows' } };
+      },
+      maybeSingle: async () => ({ data: run().data[0] || null, error: null }),
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase: { from, tables } };
+});
+
+const app = require('../src/index');
+const { supabase } = require('../src/config/database');
+const spamService = require('../src/services/spamService');
+const webhookController = require('../src/controllers/webhookController');
+
+const businessId = '0b9b4a4e-5d8f-4a53-9a8c-3f1f4a6d2b10';
+const business = { id: businessId };
+
+const robocall = [
+  'Agent: Thanks for calling Acme Plumbing, how can I help?',
+  'User: We have been trying to reach you concerning your car\'s extended warranty. Press 1 to speak to a specialist.'
+].join('\n');
+
+const customer = [
+  'Agent: Thanks for calling Acme Plumbing, how can I help?',
+  'User: Hi, my kitchen sink is leaking and I need someone to come out this week. My number is 555-867-5309.'
+].join('\n');
+
+const spamCall = {
+  id: 'call-1',
+  business_id: businessId,
+  from_number: '+15552223333',
+  is_spam: true,
+  spam_score: 0.85,
+  call_status: 'analyzed',
+  sentiment: 'neutral',
+  outcome: 'lead_captured',
+  created_at: '2026-10-12T22:30:00.000Z'
+};
+
+describe('Spam service', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    Object.values(supabase.tables).forEach(rows => { rows.length = 0; });
+  });
+
+  describe('assess', () => {
+    it('should score the caller\'s turns and check the business blocklist', async () => {
+      supabase.tables.business_settings.push({ business_id: businessId, setting_key: 'spam_blocklist', setting_value: '(555) 000-1111' });
+
+      const spam = await spamService.assess({ call_id: 'call-1', transcript: robocall, from_number: '+15552223333', duration_seconds: 30 }, business);
+      const blocked = await spamService.assess({ call_id: 'call-2', transcript: customer, from_number: '+15550001111', duration_seconds: 30 }, business);
+      const legit = await spamService.assess({ call_id: 'call-3', transcript: customer, from_number: '+15552223333', duration_seconds: 30 }, business);
+
+      expect(spam.is_spam).toBe(true);
+      expect(blocked.signals.map(signal => signal.type)).toEqual(['blocklisted']);
+      expect(legit).toEqual({ score: 0, is_spam: false, signals: [] });
+    });
+
+    it('should count other businesses the number called and honor the threshold setting', async () => {
+      const recent = new Date().toISOString();
+      ['business-a', 'business-b', 'business-c', 'business-a', businessId].forEach((id, index) => {
+        supabase.tables.calls.push({ id: `other-${index}`, business_id: id, from_number: '+15552223333', created_at: recent });
+      });
+      supabase.tables.business_settings.push({ business_id: businessId, setting_key: 'spam_threshold', setting_value: '1' });
+
+      expect(await spamService.countRecentBusinesses('+15552223333', businessId)).toBe(3);
+      const result = await spamService.assess({ call_id: 'call-1', transcript: robocall, from_number: '+15552223333', duration_seconds: 30 }, business);
+
+      expect(result.signals.map(signal => signal.type)).toEqual(['robocall_script', 'repeat_caller']);
+      expect(result.score).toBeGreaterThan(0.9);
+      expect(result.is_spam).toBe(false);
+    });
+  });
+
+  describe('moveAnalytics', () => {
+    it('should move a call\'s counts into spam_calls on the day it was created', async () => {
+      supabase.tables.call_analytics.push({ id: 'analytics-1', business_id: businessId, date: '2026-10-12', total_calls: 5, successful_notifications: 2, spam_calls: 0 });
+
+      await spamService.moveAnalytics(businessId, { started: true, completed: true }, true, spamCall.created_at);
+
+      expect(supabase.tables.call_analytics).toHaveLength(1);
+      expect(supabase.tables.call_analytics[0]).toMatchObject({ total_calls: 3, successful_notifications: 1, spam_calls: 1 });
+    });
+
+    it('should start the day\'s row when there is none', async () => {
+      await spamService.moveAnalytics(businessId, { started: false, completed: false }, true, '2026-10-01T08:00:00Z');
+
+      expect(supabase.tables.call_analytics).toEqual([
+        expect.objectContaining({ business_id: businessId, date: '2026-10-01', total_calls: 0, spam_calls: 1 })
+      ]);
+    });
+
+    it('should pass the call\'s created_at when a call is flagged after it started', async () => {
+      const moveAnalytics = jest.spyOn(spamService, 'moveAnalytics').mockResolvedValue();
+      const updateCallAnalytics = jest.spyOn(webhookController, 'updateCallAnalytics').mockResolvedValue();
+      const lifecycle = { call: spamCall, previousState: 'ended', state: 'analyzed', transitioned: true, created: false };
+
+      await webhookController.trackLifecycleAnalytics(businessId, lifecycle, { is_spam: true, score: 0.85, signals: [] });
+      await webhookController.trackLifecycleAnalytics(businessId, { ...lifecycle, previousState: 'in-progress', state: 'ended' });
+
+      expect(moveAnalytics).toHaveBeenCalledTimes(1);
+      expect(moveAnalytics).toHaveBeenCalledWith(businessId, { started: true, completed: true }, true, spamCall.created_at);
+      expect(updateCallAnalytics).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should count and move a call on its created day when events are processed on later days', async () => {
+    const call = { ...spamCall, is_spam: null, created_at: '2025-12-31T23:50:00.000Z' };
+
+    await webhookController.trackLifecycleAnalytics(businessId, { call, previousState: null, state: 'in-progress', transitioned: true, created: true });
+    await webhookController.trackLifecycleAnalytics(businessId, { call, previousState: 'in-progress', state: 'ended', transitioned: true, created: false });
+    expect(supabase.tables.call_analytics).toEqual([
+      expect.objectContaining({ date: '2025-12-31', total_calls: 2, successful_notifications: 1 })
+    ]);
+
+    await webhookController.trackLifecycleAnalytics(businessId, { call, previousState: 'ended', state: 'analyzed', transitioned: true, created: false }, { is_spam: true, score: 0.85, signals: [] });
+
+    expect(supabase.tables.call_analytics).toEqual([
+      expect.objectContaining({ date: '2025-12-31', total_calls: 0, successful_notifications: 0, spam_calls: 1 })
+    ]);
+  });
+
+  describe('unflag', () => {
+    it('should return the call to the analytics of the day it was created', async () => {
+      supabase.tables.calls.push({ ...spamCall });
+      supabase.tables.call_analytics.push(
+        { id: 'analytics-1', business_id: businessId, date: '2026-10-12', total_calls: 3, successful_notifications: 1, spam_calls: 1, sentiment_counts: {}, outcome_counts: {} },
+        { id: 'analytics-2', business_id: businessId, date: '2026-10-19', total_calls: 4, successful_notifications: 2, spam_calls: 0 }
+      );
+
+      const call = await spamService.unflag(businessId, 'call-1');
+
+      expect(call.is_spam).toBe(false);
+      expect(call.spam_reviewed_at).toEqual(expect.any(String));
+      expect(supabase.tables.call_analytics[0]).toMatchObject({
+        total_calls: 5,
+        successful_notifications: 2,
+        spam_calls: 0,
+        sentiment_counts: { neutral: 1 },
+        outcome_counts: { lead_captured: 1 }
+      });
+      expect(supabase.tables.call_analytics[1]).toMatchObject({ total_calls: 4, successful_notifications: 2, spam_calls: 0 });
+    });
+
+    it('should reject calls that are not flagged or belong to another business', async () => {
+      supabase.tables.calls.push({ ...spamCall, is_spam: false });
+
+      await expect(spamService.unflag(businessId, 'call-1')).rejects.toThrow('Call is not flagged as spam');
+      await expect(spamService.unflag('business-other', 'call-1')).rejects.toThrow('Call not found');
+    });
+  });
+
+  describe('Quarantine routes', () => {
+    beforeEach(() => {
+      supabase.tables.calls.push(
+        { ...spamCall },
+        { ...spamCall, id: 'call-2', is_spam: false, created_at: '2026-10-13T10:00:00.000Z' }
+      );
+    });
+
+    it('should list only the business\'s quarantined calls', async () => {
+      const response = await request(app).get(`/api/businesses/${businessId}/calls/quarantine`).expect(200);
+
+      expect(response.body.calls.map(call => call.id)).toEqual(['call-1']);
+      expect(response.body.pagination).toMatchObject({ total: 1, has_more: false });
+    });
+
+    it('should un-flag a quarantined call', async () => {
+      const response = await request(app).post(`/api/businesses/${businessId}/calls/call-1/unflag`).expect(200);
+
+      expect(response.body).toMatchObject({ success: true, call_id: 'call-1', is_spam: false });
+      expect(supabase.tables.calls[0].is_spam).toBe(false);
+    });
+
+    it('should return 404 and 409 for unknown and unflagged calls', async () => {
+      await request(app).post(`/api/businesses/${businessId}/calls/call-9/unflag`).expect(404);
+      await request(app).post(`/api/businesses/${businessId}/calls/call-2/unflag`).expect(409);
+    });
+
+    it('should validate the business ID', async () => {
+      await request(app).get('/api/businesses/not-a-uuid/calls/quarantine').expect(400);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { normalizeSpoken, normalizeSpokenText } = require('../src/utils/spokenNormalizer');
+
+describe('Spoken normalizer', () => {
+  it('should turn spoken digits into digit groups', () => {
+    expect(normalizeSpoken('my number is five five five, one two three, four five six seven.'))
+      .toBe('my number is 555 123 4567.');
+    expect(normalizeSpoken('call me at double five five, one oh two, three four five six'))
+      .toBe('call me at 555 102 3456');
+  });
+
+  it('should leave ordinary words and written numbers alone', () => {
+    expect(normalizeSpoken('oh, i have two kids and one dog')).toBe('oh, i have two kids and one dog');
+    expect(normalizeSpoken('my number is 555-123-4567')).toBe('my number is 555-123-4567');
+    expect(normalizeSpoken('i need a plumber')).toBe('i need a plumber');
+  });
+
+  it('should join spelled letters and rewrite spoken emails', () => {
+    expect(normalizeSpoken('my email is j o h n at gmail dot com')).toBe('my email is john@gmail.com');
+    expect(normalizeSpoken('it is john dot smith at yahoo dot co dot uk')).toBe('it is john.smith@yahoo.co.uk');
+  });
+
+  it('should keep offsets pointing at the original words', () => {
+    const text = 'it is five five five one two three four';
+    const offsets = Array.from({ length: text.length }, (value, index) => index);
+    const normalized = normalizeSpokenText({ text, offsets });
+
+    expect(normalized.text).toBe('it is 5551234');
+    expect(normalized.offsets).toHaveLength(normalized.text.length);
+    expect(normalized.offsets[6]).toBe(6);
+    expect(normalized.offsets[normalized.text.length - 1]).toBe(text.length - 1);
+  });
+});
@@ -0,0 +1,60 @@
+const {
+  buildTranscriptTurns,
+  parseTranscriptTurns,
+  segmentTranscriptByCues,
+  locateTurns
+} = require('../src/utils/transcriptTurns');
+
+describe('Transcript turns', () => {
+  it('should build turns with offsets from transcript_object', () => {
+    const turns = buildTranscriptTurns({
+      transcript: 'ignored',
+      transcript_object: [
+        {
+          role: 'agent',
+          content: 'Thank you for calling ABC Plumbing.',
+          words: [{ word: 'Thank', start: 0.5, end: 0.8 }, { word: 'Plumbing.', start: 1.9, end: 2.4 }]
+        },
+        {
+          role: 'user',
+          content: 'Hi, my name is John Smith.',
+          words: [{ word: 'Hi,', start: 3.1, end: 3.3 }, { word: 'Smith.', start: 4.6, end: 5.0 }]
+        }
+      ]
+    });
+
+    expect(turns).toEqual([
+      { turn_index: 0, role: 'agent', text: 'Thank you for calling ABC Plumbing.', start_offset: 0.5, end_offset: 2.4 },
+      { turn_index: 1, role: 'user', text: 'Hi, my name is John Smith.', start_offset: 3.1, end_offset: 5.0 }
+    ]);
+  });
+
+  it('should parse Agent:/User: prefixes from a plain transcript', () => {
+    const turns = parseTranscriptTurns('Agent: Hello, how may I help?\nUser: My sink is leaking.\nUser: It is urgent.\nAgent: Okay.');
+
+    expect(turns.map(turn => [turn.role, turn.text])).toEqual([
+      ['agent', 'Hello, how may I help?'],
+      ['user', 'My sink is leaking. It is urgent.'],
+      ['agent', 'Okay.']
+    ]);
+    expect(turns[2].turn_index).toBe(2);
+  });
+
+  it('should return no turns for a transcript without speaker prefixes', () => {
+    expect(parseTranscriptTurns('Hello, thank you for calling. Hi, my name is John.')).toEqual([]);
+    expect(parseTranscriptTurns(null)).toEqual([]);
+  });
+
+  it('should split an unlabeled transcript on the agent\'s scripted lines', () => {
+    const transcript = 'Thank you for calling ABC Plumbing. How may I help you? My sink is leaking. It is urgent. Have a great day!';
+    const turns = segmentTranscriptByCues(transcript);
+
+    expect(turns.map(turn => [turn.role, turn.text])).toEqual([
+      ['agent', 'Thank you for calling ABC Plumbing. How may I help you?'],
+      ['user', 'My sink is leaking. It is urgent.'],
+      ['agent', 'Have a great day!']
+    ]);
+    expect(locateTurns(transcript, turns).map(turn => turn.char_start)).toEqual([0, 56, 90]);
+    expect(segmentTranscriptByCues('My sink is leaking.')).toEqual([]);
+  });
+});
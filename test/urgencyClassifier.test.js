@@ -0,0 +1,67 @@
+const { classifyUrgency, getUrgencySignals } = require('../src/utils/urgencyClassifier');
+const { extractCallInformation } = require('../src/utils/informationExtractor');
+const extractionService = require('../src/services/extractionService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+const summaryService = require('../src/services/summaryService');
+
+jest.mock('../src/config/database');
+
+describe('Urgency classifier', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should use business-type signals', () => {
+    expect(classifyUrgency('we have no heat and it is ten degrees out', 'hvac')).toMatchObject({
+      level: 'emergency',
+      signals: ['no heat']
+    });
+    // The same words mean nothing special to a landscaper
+    expect(classifyUrgency('we have no heat and it is ten degrees out', 'landscaping').level).toBe('routine');
+    expect(classifyUrgency('a pipe burst in the basement, there is water everywhere', 'plumbing')).toMatchObject({
+      level: 'emergency',
+      signals: ['pipe burst', 'water everywhere']
+    });
+  });
+
+  it('should pick the highest level with a signal', () => {
+    expect(classifyUrgency('my kitchen sink is clogged, can someone come today', 'plumbing')).toMatchObject({
+      level: 'same_day',
+      signals: ['clogged', 'come today']
+    });
+    expect(classifyUrgency('i would like to schedule a furnace tune up', 'hvac').level).toBe('routine');
+    expect(classifyUrgency('what are your hours on saturday', 'plumbing').level).toBe('informational');
+  });
+
+  it('should ignore negated signals', () => {
+    expect(classifyUrgency('it is not an emergency, i just want a quote', 'plumbing')).toMatchObject({
+      level: 'routine',
+      signals: ['quote']
+    });
+  });
+
+  it('should fall back to the generic signals for unknown types', () => {
+    expect(getUrgencySignals('bakery').emergency).toContain('gas leak');
+    expect(classifyUrgency('i smell gas in the kitchen', null).level).toBe('emergency');
+    expect(classifyUrgency(null, 'hvac')).toBeNull();
+  });
+
+  it('should classify from the caller\'s turns only', () => {
+    const transcript = 'Agent: If this is an emergency, please say so.\nUser: No rush, I need a quote for a new water heater.';
+    const info = extractCallInformation(transcript, { businessType: 'plumbing' });
+
+    expect(info.urgency.level).toBe('routine');
+  });
+
+  it('should use the stored business type when extracting a call', async () => {
+    jest.spyOn(businessSettingsService, 'getSetting').mockImplementation(async (id, key, defaultValue) => defaultValue);
+    jest.spyOn(summaryService, 'summarize').mockResolvedValue({ headline: null, summary: null, summarizer: { name: 'extractive' } });
+    const event = { call_id: 'call-1', transcript: 'Agent: How can I help?\nUser: We have no heat and it is ten degrees out.' };
+
+    const hvac = await extractionService.extract(event, { id: 'business-123', business_type: 'hvac' });
+    const landscaping = await extractionService.extract(event, { id: 'business-123', business_type: 'landscaping' });
+
+    expect(hvac.urgency).toMatchObject({ level: 'emergency', signals: ['no heat'] });
+    expect(landscaping.urgency.level).toBe('routine');
+  });
+});
@@ -1,6 +1,12 @@
 const request = require('supertest');
 const app = require('../src/index');
 const { supabase } = require('../src/config/database');
+const webhookController = require('../src/controllers/webhookController');
+const callerHistoryService = require('../src/services/callerHistoryService');
+const businessSettingsService = require('../src/services/businessSettingsService');
+
+// Signature verification is covered in webhookSignature.test.js
+process.env.RETELL_WEBHOOK_SKIP_VERIFICATION = 'true';
 
 // Mock the database and services for testing
 jest.mock('../src/config/database');
@@ -83,6 +89,34 @@ describe('Webhook Endpoints', () => {
       expect(response.body.errors).toBeDefined();
     });
 
+    it('should accept the nested event payload format', async () => {
+      const response = await request(app)
+        .post('/webhook/retell')
+        .send({
+          event: 'call_started',
+          call: {
+            call_id: 'test-call-456',
+            from_number: '+15551234567',
+            to_number: '+15559876543',
+            start_timestamp: 1714608475945
+          }
+        })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.call_id).toBe('test-call-456');
+      expect(response.body.event_type).toBe('call_started');
+    });
+
+    it('should return 400 for a nested payload without a to number', async () => {
+      const response = await request(app)
+        .post('/webhook/retell')
+        .send({ event: 'call_started', call: { call_id: 'test-call-456' } })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
     it('should return 400 for invalid call status', async () => {
       const invalidData = {
         ...validWebhookData,
@@ -99,6 +133,95 @@ describe('Webhook Endpoints', () => {
     });
   });
 
+  describe('POST /webhook/retell/inbound', () => {
+    const business = {
+      id: 'business-123',
+      business_name: 'Test Plumbing',
+      custom_prompt: 'Mention our 24/7 emergency line.',
+      timezone: 'America/New_York',
+      business_hours: { monday: { open: '08:00', close: '17:00' }, sunday: null },
+      after_hours_agent_id: 'after-hours-agent'
+    };
+
+    const inboundPayload = {
+      event: 'call_inbound',
+      call_inbound: {
+        agent_id: 'test-agent-456',
+        from_number: '+15551234567',
+        to_number: '+15559876543'
+      }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(webhookController, 'findBusinessByPhoneNumber').mockResolvedValue(business);
+      jest.spyOn(callerHistoryService, 'getCallerHistory').mockResolvedValue({
+        prior_calls: 2,
+        caller_name: 'John Doe',
+        last_call_at: '2026-10-01T15:00:00Z'
+      });
+      jest.spyOn(businessSettingsService, 'getSetting').mockImplementation(async (id, key, defaultValue) => defaultValue);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return dynamic variables for the business and caller', async () => {
+      const response = await request(app)
+        .post('/webhook/retell/inbound')
+        .send(inboundPayload)
+        .expect(200);
+
+      const variables = response.body.call_inbound.dynamic_variables;
+      expect(variables.business_name).toBe('Test Plumbing');
+      expect(variables.caller_prior_calls).toBe('2');
+      expect(variables.caller_name).toBe('John Doe');
+      expect(variables.custom_instructions).toBe('Mention our 24/7 emergency line.');
+      expect(variables.agent_prompt).toContain('Test Plumbing');
+      expect(response.body.call_inbound.metadata.business_id).toBe('business-123');
+    });
+
+    it('should override the agent outside business hours', async () => {
+      // Monday 10:00 and 20:00 in New York
+      const open = await webhookController.handleCallInbound(inboundPayload, new Date('2026-10-19T14:00:00Z'));
+      const closed = await webhookController.handleCallInbound(inboundPayload, new Date('2026-10-20T00:00:00Z'));
+
+      expect(open.call_inbound.dynamic_variables.business_status).toBe('open');
+      expect(open.call_inbound.dynamic_variables.today_hours).toBe('8:00 AM to 5:00 PM');
+      expect(open.call_inbound.override_agent_id).toBeUndefined();
+      expect(closed.call_inbound.dynamic_variables.business_status).toBe('closed');
+      expect(closed.call_inbound.override_agent_id).toBe('after-hours-agent');
+    });
+
+    it('should use the Spanish prompt for a business with a Spanish locale', async () => {
+      businessSettingsService.getSetting.mockImplementation(async (id, key, defaultValue) => (key === 'locale' ? 'es-MX' : defaultValue));
+
+      const response = await webhookController.handleCallInbound({ ...inboundPayload }, new Date('2026-10-19T14:00:00Z'));
+
+      expect(response.call_inbound.dynamic_variables.agent_prompt).toContain('Hola, gracias por llamar a Test Plumbing');
+    });
+
+    it('should return an empty response for an unknown number', async () => {
+      webhookController.findBusinessByPhoneNumber.mockResolvedValue(null);
+
+      const response = await request(app)
+        .post('/webhook/retell/inbound')
+        .send(inboundPayload)
+        .expect(200);
+
+      expect(response.body).toEqual({ call_inbound: {} });
+    });
+
+    it('should return 400 for a non-inbound event', async () => {
+      const response = await request(app)
+        .post('/webhook/retell/inbound')
+        .send({ event: 'call_started', call: { call_id: 'test-call-456', to_number: '+15559876543' } })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
   describe('GET /webhook/health', () => {
     it('should return webhook health status', async () => {
       const response = await request(app)
@@ -0,0 +1,151 @@
+// Minimal in-memory stand-in for processed_webhook_events: unique (call_id, event_type)
+// and an updated_at bumped on every update, like the table's trigger
+jest.mock('../src/config/database', () => {
+  const rows = [];
+  let clock = Date.now();
+  const tick = () => new Date(clock += 1000).toISOString();
+
+  const from = () => {
+    const filters = [];
+    let operation = { type: 'select' };
+
+    const matching = () => rows.filter(row => filters.every(([field, value]) => row[field] === value));
+    const run = () => {
+      if (operation.type === 'insert') {
+        const { call_id: callId, event_type: eventType } = operation.values;
+        if (rows.some(row => row.call_id === callId && row.event_type === eventType)) {
+          return { data: [], error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        }
+        const now = tick();
+        const row = { id: `event-${rows.length + 1}`, update_count: 0, result: null, created_at: now, updated_at: now, ...operation.values };
+        rows.push(row);
+        return { data: [{ ...row }], error: null };
+      }
+      if (operation.type === 'update') {
+        const updated = matching();
+        updated.forEach(row => Object.assign(row, operation.values, { updated_at: tick() }));
+        return { data: updated.map(row => ({ ...row })), error: null };
+      }
+      if (operation.type === 'delete') {
+        matching().forEach(row => rows.splice(rows.indexOf(row), 1));
+        return { data: [], error: null };
+      }
+      return { data: matching().map(row => ({ ...row })), error: null };
+    };
+
+    const builder = {
+      select: () => builder,
+      eq: (field, value) => { filters.push([field, value]); return builder; },
+      is: (field, value) => { filters.push([field, value]); return builder; },
+      insert: (values) => { operation = { type: 'insert', values }; return builder; },
+      update: (values) => { operation = { type: 'update', values }; return builder; },
+      delete: () => { operation = { type: 'delete' }; return builder; },
+      single: async () => {
+        const { data, error } = run();
+        if (error) return { data: null, error };
+        return data[0] ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116', message: 'no rows' } };
+      },
+      then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject)
+    };
+    return builder;
+  };
+
+  return { supabase: { from, rows } };
+});
+
+const { supabase } = require('../src/config/database');
+const webhookEventLedger = require('../src/services/webhookEventLedger');
+const { ConflictError } = require('../src/middleware/errorHandler');
+
+describe('Webhook event ledger', () => {
+  const firstHash = webhookEventLedger.hashTranscript('Agent: Hi\nUser: My sink is leaking');
+  const secondHash = webhookEventLedger.hashTranscript('Agent: Hi\nUser: My sink is leaking, call 555-123-4567');
+
+  beforeEach(() => {
+    supabase.rows.length = 0;
+  });
+
+  // Claim and complete an event
+  async function processEvent(callId, eventType, transcriptHash = null) {
+    const claim = await webhookEventLedger.claim(callId, eventType, transcriptHash);
+    await webhookEventLedger.complete(claim, { success: true, callId });
+    return claim;
+  }
+
+  it('should claim a new event and store its result', async () => {
+    const claim = await webhookEventLedger.claim('call-1', 'call_ended');
+    expect(claim).toMatchObject({ action: 'process', previous: null, entry: { status: 'processing' } });
+
+    await webhookEventLedger.complete(claim, { success: true });
+    expect(supabase.rows[0]).toMatchObject({ status: 'completed', result: { success: true } });
+  });
+
+  it('should answer a retried delivery as a duplicate', async () => {
+    await processEvent('call-1', 'call_analyzed', firstHash);
+
+    const claim = await webhookEventLedger.claim('call-1', 'call_analyzed', firstHash);
+
+    expect(claim.action).toBe('duplicate');
+    expect(claim.entry.result).toEqual({ success: true, callId: 'call-1' });
+  });
+
+  it('should reject a delivery while the event is still being processed', async () => {
+    await webhookEventLedger.claim('call-1', 'call_started');
+
+    await expect(webhookEventLedger.claim('call-1', 'call_started')).rejects.toThrow(ConflictError);
+  });
+
+  it('should process a re-sent call_analyzed with a changed transcript as an update', async () => {
+    await processEvent('call-1', 'call_analyzed', firstHash);
+
+    const claim = await webhookEventLedger.claim('call-1', 'call_analyzed', secondHash);
+
+    expect(claim.action).toBe('update');
+    expect(claim.previous).toMatchObject({ status: 'completed', transcript_hash: firstHash, update_count: 0 });
+    expect(claim.entry).toMatchObject({ status: 'processing', transcript_hash: secondHash, update_count: 1 });
+  });
+
+  it('should let only one of two concurrent deliveries claim an update', async () => {
+    await processEvent('call-1', 'call_analyzed', firstHash);
+
+    const results = await Promise.allSettled([
+      webhookEventLedger.claim('call-1', 'call_analyzed', secondHash),
+      webhookEventLedger.claim('call-1', 'call_analyzed', secondHash)
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled').map(result => result.value.action)).toEqual(['update']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+    expect(supabase.rows[0].update_count).toBe(1);
+  });
+
+  it('should let only one delivery reclaim a stale event', async () => {
+    await webhookEventLedger.claim('call-1', 'call_ended');
+    supabase.rows[0].updated_at = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+    const results = await Promise.allSettled([
+      webhookEventLedger.claim('call-1', 'call_ended'),
+      webhookEventLedger.claim('call-1', 'call_ended')
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled').map(result => result.value.action)).toEqual(['process']);
+    expect(results.find(result => result.status === 'rejected').reason).toBeInstanceOf(ConflictError);
+  });
+
+  it('should release a failed claim so the event can be retried', async () => {
+    const claim = await webhookEventLedger.claim('call-1', 'call_ended');
+    await webhookEventLedger.release(claim);
+
+    expect(supabase.rows).toHaveLength(0);
+    expect((await webhookEventLedger.claim('call-1', 'call_ended')).action).toBe('process');
+  });
+
+  it('should restore the previous result when an update fails', async () => {
+    await processEvent('call-1', 'call_analyzed', firstHash);
+    const claim = await webhookEventLedger.claim('call-1', 'call_analyzed', secondHash);
+
+    await webhookEventLedger.release(claim);
+
+    expect(supabase.rows[0]).toMatchObject({ status: 'completed', transcript_hash: firstHash, update_count: 0 });
+    expect((await webhookEventLedger.claim('call-1', 'call_analyzed', secondHash)).action).toBe('update');
+  });
+});
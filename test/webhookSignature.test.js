@@ -0,0 +1,99 @@
+const express = require('express');
+const request = require('supertest');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const {
+  captureRawBody,
+  signPayload,
+  verifySignature,
+  verifyRetellSignature
+} = require('../src/middleware/webhookSignature');
+
+const SECRET = 'current-secret';
+const PREVIOUS_SECRET = 'previous-secret';
+
+// Minimal app mirroring the body parsing in src/index.js
+function createApp() {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/webhook/retell', verifyRetellSignature, (req, res) => {
+    res.json({ success: true, call_id: req.body.call_id });
+  });
+  app.use(errorHandler);
+  return app;
+}
+
+describe('Retell webhook signature verification', () => {
+  const originalEnv = { ...process.env };
+  const payload = JSON.stringify({ call_id: 'test-call-123', to_number: '+15559876543' });
+
+  beforeEach(() => {
+    process.env.RETELL_WEBHOOK_SECRET = SECRET;
+    process.env.RETELL_WEBHOOK_SECRET_PREVIOUS = PREVIOUS_SECRET;
+    delete process.env.RETELL_WEBHOOK_SKIP_VERIFICATION;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const post = (signature) => {
+    const req = request(createApp())
+      .post('/webhook/retell')
+      .set('Content-Type', 'application/json');
+    if (signature) {
+      req.set('x-retell-signature', signature);
+    }
+    return req.send(payload);
+  };
+
+  it('should accept a payload signed with the current secret', async () => {
+    const response = await post(signPayload(payload, SECRET)).expect(200);
+    expect(response.body.call_id).toBe('test-call-123');
+  });
+
+  it('should accept a payload signed with the previous secret', async () => {
+    await post(signPayload(payload, PREVIOUS_SECRET)).expect(200);
+  });
+
+  it('should reject a missing signature', async () => {
+    const response = await post(null).expect(401);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should reject a signature made with an unknown secret', async () => {
+    await post(signPayload(payload, 'wrong-secret')).expect(401);
+  });
+
+  it('should reject a signature over a different body', async () => {
+    await post(signPayload('{"call_id":"other"}', SECRET)).expect(401);
+  });
+
+  it('should reject a stale signature', async () => {
+    await post(signPayload(payload, SECRET, Date.now() - 10 * 60 * 1000)).expect(401);
+  });
+
+  it('should reject everything when no secret is configured', async () => {
+    delete process.env.RETELL_WEBHOOK_SECRET;
+    delete process.env.RETELL_WEBHOOK_SECRET_PREVIOUS;
+    await post(signPayload(payload, SECRET)).expect(401);
+  });
+
+  it('should allow the local bypass outside production', async () => {
+    process.env.RETELL_WEBHOOK_SKIP_VERIFICATION = 'true';
+    await post(null).expect(200);
+  });
+
+  it('should ignore the bypass in production', async () => {
+    process.env.RETELL_WEBHOOK_SKIP_VERIFICATION = 'true';
+    process.env.NODE_ENV = 'production';
+    try {
+      await post(null).expect(401);
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  it('should report the reason for a malformed header', () => {
+    expect(verifySignature(payload, 'not-a-signature', [SECRET]).reason).toBe('Malformed signature');
+  });
+});